@@ -25,7 +25,7 @@ try {
     $db->exec(
         "CREATE TABLE IF NOT EXISTS `admin_actions` (
             `id` INT AUTO_INCREMENT PRIMARY KEY,
-            `admin_id` INT NOT NULL,
+            `admin_id` INT NULL,
             `action` VARCHAR(100) NOT NULL,
             `target_type` VARCHAR(50),
             `target_id` INT,
@@ -46,7 +46,7 @@ try {
     }
 
     $stmt = $db->prepare(
-        "SELECT a.id, a.action, a.target_type, a.target_id, a.details, a.ip_address, a.created_at,
+        "SELECT a.id, a.admin_id, a.action, a.target_type, a.target_id, a.details, a.ip_address, a.created_at,
                 admin.name AS admin_name, admin.email AS admin_email,
                 target.name AS target_name, target.email AS target_email
          FROM admin_actions a
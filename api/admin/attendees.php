@@ -0,0 +1,196 @@
+<?php
+/**
+ * Admin Attendees API - Per-event roster for organizers
+ * GET /api/admin/attendees.php?event_id=X - Every registration of the event (any status)
+ *     with the registrant's contact details, tickets, order and check-in time
+ * DELETE /api/admin/attendees.php?id=X - Cancel a registration on the organizer's behalf;
+ *     optional body {"reason": "..."}. Paid orders are refunded in full, whatever
+ *     the event's refund policy, and the freed seats go to the waitlist.
+ *
+ * Canceled registrations stay on the roster with status 'canceled'.
+ */
+
+session_start();
+header('Content-Type: application/json');
+header('Access-Control-Allow-Origin: *');
+header('Access-Control-Allow-Methods: GET, DELETE, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type, X-Firebase-UID');
+
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    exit;
+}
+
+function respond($status, $payload)
+{
+    http_response_code($status);
+    echo json_encode($payload);
+    exit;
+}
+
+try {
+    $db = require __DIR__ . '/../db.php';
+    require_once __DIR__ . '/../auth.php';
+    require_once __DIR__ . '/../waitlist.php';
+    require_once __DIR__ . '/../payments.php';
+    require_once __DIR__ . '/../ticket-codes.php';
+
+    ensureWaitlistSchema($db);
+    ensureTicketSchema($db);
+    ensureOrderSchema($db);
+    ensureCheckInSchema($db);
+
+    $auth = new Auth($db);
+    $currentUser = $auth->requireAdmin();
+    $method = $_SERVER['REQUEST_METHOD'];
+    $ip = $_SERVER['REMOTE_ADDR'] ?? null;
+
+    if ($method === 'GET') {
+        $eventId = (int)($_GET['event_id'] ?? 0);
+        $stmt = $db->prepare('SELECT id, name, date, time, location, capacity, available_spots FROM events WHERE id = :id');
+        $stmt->execute([':id' => $eventId]);
+        $event = $stmt->fetch();
+        if (!$event) {
+            respond(404, ['success' => false, 'error' => 'Event not found']);
+        }
+
+        // Holds that ran out show as canceled rather than pending, and their
+        // seats go to the waitlist
+        releaseExpiredHolds($db, $eventId);
+
+        $stmt = $db->prepare(
+            "SELECT r.id, r.user_id, r.status, r.quantity, r.created_at, r.updated_at,
+                    r.waitlisted_at, r.checked_in_at,
+                    u.name, u.email, u.phone
+             FROM registrations r
+             JOIN users u ON u.id = r.user_id
+             WHERE r.event_id = :event
+             ORDER BY r.created_at ASC, r.id ASC"
+        );
+        $stmt->execute([':event' => $eventId]);
+        $rows = $stmt->fetchAll();
+
+        $ids = array_column($rows, 'id');
+        $tickets = registrationTickets($db, $ids);
+        $orders = registrationOrders($db, $ids);
+
+        $waitlistPosition = 0;
+        $attendees = [];
+        $summary = ['registered' => 0, 'pending' => 0, 'waitlisted' => 0, 'canceled' => 0, 'tickets' => 0, 'checked_in' => 0];
+        foreach ($rows as $row) {
+            $id = (int)$row['id'];
+            $summary[$row['status']]++;
+            if ($row['status'] === 'registered') {
+                $summary['tickets'] += (int)$row['quantity'];
+                $summary['checked_in'] += $row['checked_in_at'] !== null ? (int)$row['quantity'] : 0;
+            }
+
+            $attendees[] = [
+                'registration_id' => $id,
+                'user_id' => (int)$row['user_id'],
+                'name' => $row['name'],
+                'email' => $row['email'],
+                'phone' => $row['phone'],
+                'status' => $row['status'],
+                'quantity' => (int)$row['quantity'],
+                'tickets' => $tickets[$id] ?? [],
+                'registered_at' => $row['created_at'],
+                'updated_at' => $row['updated_at'],
+                'checked_in_at' => $row['checked_in_at'],
+                'waitlist_position' => null,
+                'order' => formatOrder($orders[$id] ?? null),
+            ];
+        }
+
+        // Positions follow the order promoteWaitlist() uses
+        $waiting = array_filter(array_keys($attendees), function ($i) use ($attendees) {
+            return $attendees[$i]['status'] === 'waitlisted';
+        });
+        usort($waiting, function ($a, $b) use ($rows) {
+            return [$rows[$a]['waitlisted_at'], (int)$rows[$a]['id']] <=> [$rows[$b]['waitlisted_at'], (int)$rows[$b]['id']];
+        });
+        foreach ($waiting as $i) {
+            $attendees[$i]['waitlist_position'] = ++$waitlistPosition;
+        }
+
+        respond(200, ['success' => true, 'event' => $event, 'attendees' => $attendees, 'summary' => $summary]);
+    }
+
+    if ($method === 'DELETE') {
+        $registrationId = (int)($_GET['id'] ?? 0);
+        $input = json_decode(file_get_contents('php://input'), true) ?? [];
+        $reason = trim((string)($input['reason'] ?? ''));
+        if (mb_strlen($reason) > 255) {
+            respond(422, ['success' => false, 'error' => 'Reason must be 255 characters or fewer']);
+        }
+
+        $db->beginTransaction();
+        try {
+            $stmt = $db->prepare(
+                "SELECT r.*, u.email FROM registrations r
+                 JOIN users u ON u.id = r.user_id
+                 WHERE r.id = :id
+                 FOR UPDATE"
+            );
+            $stmt->execute([':id' => $registrationId]);
+            $registration = $stmt->fetch();
+            if (!$registration) {
+                $db->rollBack();
+                respond(404, ['success' => false, 'error' => 'Registration not found']);
+            }
+            if ($registration['status'] === 'canceled') {
+                $db->rollBack();
+                respond(409, ['success' => false, 'error' => 'Registration is already canceled']);
+            }
+
+            $stmt = $db->prepare('SELECT * FROM events WHERE id = :id');
+            $stmt->execute([':id' => $registration['event_id']]);
+            $event = $stmt->fetch();
+
+            try {
+                $order = settleCanceledOrder($db, $registration, $event, true);
+            } catch (PaymentException $e) {
+                $db->rollBack();
+                error_log('Refund failed for registration ' . $registrationId . ': ' . $e->getMessage());
+                respond(502, ['success' => false, 'error' => 'The refund could not be processed. Please try again later.']);
+            }
+
+            // The row stays so the roster keeps a record; the user can register again
+            $db->prepare("UPDATE registrations SET status = 'canceled', waitlisted_at = NULL, updated_at = NOW() WHERE id = :id")
+                ->execute([':id' => $registrationId]);
+
+            $promoted = [];
+            if (in_array($registration['status'], ['registered', 'pending'], true)) {
+                $promoted = promoteWaitlist($db, $registration['event_id']);
+            }
+
+            $db->commit();
+        } catch (Exception $e) {
+            if ($db->inTransaction()) {
+                $db->rollBack();
+            }
+            throw $e;
+        }
+
+        $refunded = $order ? (float)$order['refunded_amount'] : 0.0;
+        $auth->logAction($currentUser['id'], 'cancel_registration', 'registration', $registrationId, json_encode([
+            'event_id' => (int)$registration['event_id'],
+            'user_id' => (int)$registration['user_id'],
+            'email' => $registration['email'],
+            'previous_status' => $registration['status'],
+            'reason' => $reason !== '' ? $reason : null,
+            'refunded' => $refunded,
+        ]), $ip);
+
+        respond(200, [
+            'success' => true,
+            'status' => 'canceled',
+            'promoted' => count($promoted),
+            'refunded' => $refunded,
+        ]);
+    }
+
+    respond(405, ['success' => false, 'error' => 'Method not allowed']);
+} catch (Exception $e) {
+    error_log('Admin Attendees API error: ' . $e->getMessage());
+    respond(500, ['success' => false, 'error' => 'Server error']);
+}
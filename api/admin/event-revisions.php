@@ -0,0 +1,100 @@
+<?php
+/**
+ * Admin Event Revisions API - Edit history of an event
+ * GET /api/admin/event-revisions.php?event_id=X - Every revision, newest first, with
+ *     its editor, time and the fields it changed (see api/event-revisions.php)
+ * POST /api/admin/event-revisions.php?event_id=X&revision=N - Restore revision N;
+ *     the result is saved as a new revision and logged as 'restore_event_revision'
+ */
+
+session_start();
+header('Content-Type: application/json');
+header('Access-Control-Allow-Origin: *');
+header('Access-Control-Allow-Methods: GET, POST, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type, X-Firebase-UID');
+
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    exit;
+}
+
+function respond($status, $payload)
+{
+    http_response_code($status);
+    echo json_encode($payload);
+    exit;
+}
+
+try {
+    $db = require __DIR__ . '/../db.php';
+    require_once __DIR__ . '/../auth.php';
+    require_once __DIR__ . '/../waitlist.php';
+    require_once __DIR__ . '/../event-revisions.php';
+
+    ensureTicketSchema($db);
+    ensureEventTimeSchema($db);
+    ensureRevisionSchema($db);
+
+    $auth = new Auth($db);
+    $currentUser = $auth->requireAdmin();
+    $method = $_SERVER['REQUEST_METHOD'];
+
+    $eventId = (int)($_GET['event_id'] ?? 0);
+    $stmt = $db->prepare('SELECT id, name, capacity FROM events WHERE id = :id');
+    $stmt->execute([':id' => $eventId]);
+    $event = $stmt->fetch();
+    if (!$event) {
+        respond(404, ['success' => false, 'error' => 'Event not found']);
+    }
+
+    if ($method === 'GET') {
+        respond(200, ['success' => true, 'event_id' => $eventId, 'revisions' => eventRevisions($db, $eventId)]);
+    }
+
+    if ($method === 'POST') {
+        $revision = fetchRevision($db, $eventId, (int)($_GET['revision'] ?? 0));
+        if (!$revision) {
+            respond(404, ['success' => false, 'error' => 'Revision not found']);
+        }
+
+        $db->beginTransaction();
+        try {
+            $result = restoreRevision($db, $eventId, $revision, $currentUser['id']);
+            $db->commit();
+        } catch (InvalidArgumentException $e) {
+            $db->rollBack();
+            respond(422, ['success' => false, 'error' => $e->getMessage()]);
+        } catch (Exception $e) {
+            $db->rollBack();
+            throw $e;
+        }
+
+        // A restored capacity or ticket type may make room for the waitlist
+        $db->beginTransaction();
+        try {
+            promoteWaitlist($db, $eventId);
+            $db->commit();
+        } catch (Exception $e) {
+            $db->rollBack();
+            throw $e;
+        }
+
+        $auth->logAction($currentUser['id'], 'restore_event_revision', 'event', $eventId, json_encode([
+            'name' => $event['name'],
+            'restored' => (int)$revision['revision'],
+            'revision' => $result['revision'],
+            'fields' => array_column($result['changes'], 'field'),
+        ]), $_SERVER['REMOTE_ADDR'] ?? null);
+
+        respond(200, [
+            'success' => true,
+            'revision' => $result['revision'],
+            'changes' => $result['changes'],
+            'message' => 'Restored revision ' . $revision['revision'],
+        ]);
+    }
+
+    respond(405, ['success' => false, 'error' => 'Method not allowed']);
+} catch (Throwable $e) {
+    error_log('Admin event revisions error: ' . $e->getMessage());
+    respond(500, ['success' => false, 'error' => 'Failed to load event history']);
+}
@@ -0,0 +1,106 @@
+<?php
+/**
+ * Admin Event Templates API - Named starting points for new events
+ * GET /api/admin/event-templates.php - Every template by name, with its details
+ * POST /api/admin/event-templates.php - Save a template from {"name", "details"} (shaped
+ *     like an add-event payload) or {"name", "event_id"}; an existing name is replaced
+ * DELETE /api/admin/event-templates.php?id=X - Delete a template
+ * See api/event-templates.php for what a template keeps.
+ */
+
+session_start();
+header('Content-Type: application/json');
+header('Access-Control-Allow-Origin: *');
+header('Access-Control-Allow-Methods: GET, POST, DELETE, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type, X-Firebase-UID');
+
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    exit;
+}
+
+function respond($status, $payload)
+{
+    http_response_code($status);
+    echo json_encode($payload);
+    exit;
+}
+
+try {
+    $db = require __DIR__ . '/../db.php';
+    require_once __DIR__ . '/../auth.php';
+    require_once __DIR__ . '/../event-templates.php';
+
+    ensureTicketSchema($db);
+    ensureEventTimeSchema($db);
+    ensureTemplateSchema($db);
+
+    $auth = new Auth($db);
+    $currentUser = $auth->requireAdmin();
+    $method = $_SERVER['REQUEST_METHOD'];
+    $ip = $_SERVER['REMOTE_ADDR'] ?? null;
+
+    if ($method === 'GET') {
+        respond(200, ['success' => true, 'templates' => listTemplates($db)]);
+    }
+
+    if ($method === 'POST') {
+        $input = json_decode(file_get_contents('php://input'), true) ?? [];
+
+        if (!empty($input['event_id'])) {
+            $details = templateDetailsFromEvent($db, (int)$input['event_id']);
+            if ($details === null) {
+                respond(404, ['success' => false, 'error' => 'Event not found']);
+            }
+        } elseif (isset($input['details']) && is_array($input['details'])) {
+            $details = templateDetails($input['details']);
+        } else {
+            respond(422, ['success' => false, 'error' => 'Send the template details or an event to take them from']);
+        }
+
+        try {
+            $saved = saveTemplate($db, $input['name'] ?? '', $details, $currentUser['id']);
+        } catch (InvalidArgumentException $e) {
+            respond(422, ['success' => false, 'error' => $e->getMessage()]);
+        }
+
+        $template = fetchTemplate($db, $saved['id']);
+        $logDetails = ['name' => $template['name']];
+        if (!empty($input['event_id'])) {
+            $logDetails['event_id'] = (int)$input['event_id'];
+        }
+        $auth->logAction(
+            $currentUser['id'],
+            $saved['replaced'] ? 'update_event_template' : 'create_event_template',
+            'event_template',
+            $saved['id'],
+            json_encode($logDetails),
+            $ip
+        );
+        respond($saved['replaced'] ? 200 : 201, [
+            'success' => true,
+            'message' => $saved['replaced'] ? 'Template replaced' : 'Template saved',
+            'replaced' => $saved['replaced'],
+            'template' => $template,
+        ]);
+    }
+
+    if ($method === 'DELETE') {
+        $templateId = (int)($_GET['id'] ?? 0);
+        $template = $templateId > 0 ? fetchTemplate($db, $templateId) : null;
+        if (!$template) {
+            respond(404, ['success' => false, 'error' => 'Template not found']);
+        }
+
+        $db->prepare('DELETE FROM event_templates WHERE id = :id')->execute([':id' => $templateId]);
+
+        $auth->logAction($currentUser['id'], 'delete_event_template', 'event_template', $templateId, json_encode([
+            'name' => $template['name'],
+        ]), $ip);
+        respond(200, ['success' => true, 'message' => 'Template deleted']);
+    }
+
+    respond(405, ['success' => false, 'error' => 'Method not allowed']);
+} catch (Exception $e) {
+    error_log('Admin event templates error: ' . $e->getMessage());
+    respond(500, ['success' => false, 'error' => 'Server error']);
+}
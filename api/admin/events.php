@@ -1,10 +1,19 @@
 <?php
 /**
  * Admin Events API - Protected endpoint for event management
- * POST /api/admin/events.php - Create new event
- * PUT /api/admin/events.php?id=X - Update event
- * DELETE /api/admin/events.php?id=X - Delete event
- * GET /api/admin/events.php - Get all events (including drafts)
+ * POST /api/admin/events.php - Create new event; a 'recurrence' rule creates a series of dates.
+ *     end_date/end_time (optional) and timezone (IANA name) set when it ends and where.
+ * PUT /api/admin/events.php?id=X - Update event (one date of a series, or with
+ *     &scope=series also its upcoming dates that weren't edited on their own)
+ * POST /api/admin/events.php?id=X&action=cancel - Cancel one date, refunding its registrations
+ * POST /api/admin/events.php?id=X&action=restore - Bring a canceled date back
+ * POST /api/admin/events.php?id=X&action=submit|approve|reject|publish|schedule|unpublish
+ *     - Move the event through the publishing workflow (see api/event-publishing.php);
+ *     schedule and submit take publish_at, reject takes a note
+ * DELETE /api/admin/events.php?id=X - Delete event (&scope=series deletes every date of its series);
+ *     registrations for dates still to come are canceled first, with paid orders refunded in full
+ * GET /api/admin/events.php - Get all events (including drafts); &status=draft,scheduled narrows the list
+ * GET /api/admin/events.php?id=X - One event in any status, shaped like api/events.php (edit page, previews)
  */
 
 session_start();
@@ -19,6 +28,14 @@ if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
 
 $db = require __DIR__ . '/../db.php';
 require_once __DIR__ . '/../auth.php';
+require_once __DIR__ . '/../event-genres.php';
+require_once __DIR__ . '/../waitlist.php';
+require_once __DIR__ . '/../tickets.php';
+require_once __DIR__ . '/../payments.php';
+require_once __DIR__ . '/../event-series.php';
+require_once __DIR__ . '/../event-times.php';
+require_once __DIR__ . '/../event-publishing.php';
+require_once __DIR__ . '/../event-revisions.php';
 
 // Ensure tables/columns exist before we start querying/inserting
 ensureEventsSchema($db);
@@ -42,7 +59,8 @@ $db->exec(
         `id` INT AUTO_INCREMENT PRIMARY KEY,
         `user_id` INT NOT NULL,
         `event_id` INT NOT NULL,
-        `status` ENUM('registered','canceled') DEFAULT 'registered',
+        `status` ENUM('registered','pending','waitlisted','canceled') DEFAULT 'registered',
+        `waitlisted_at` DATETIME NULL,
         `created_at` DATETIME DEFAULT CURRENT_TIMESTAMP,
         `updated_at` DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
         UNIQUE KEY `unique_user_event` (`user_id`, `event_id`),
@@ -52,6 +70,13 @@ $db->exec(
         CONSTRAINT `fk_reg_event_events` FOREIGN KEY (`event_id`) REFERENCES `events`(`id`) ON DELETE CASCADE
     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci"
 );
+ensureWaitlistSchema($db);
+ensureTicketSchema($db);
+ensureOrderSchema($db);
+ensureSeriesSchema($db);
+ensureEventTimeSchema($db);
+ensurePublishingSchema($db);
+ensureRevisionSchema($db);
 $method = $_SERVER['REQUEST_METHOD'];
 
 function respond($status, $payload)
@@ -77,6 +102,82 @@ function sanitizeInt($value)
     return (int) $value;
 }
 
+// Both coordinates or neither, and within range; exits with 422 otherwise
+function validateCoordinates($lat, $lng): void
+{
+    if (($lat === null) !== ($lng === null)) {
+        respond(422, ['success' => false, 'error' => 'Latitude and longitude must be set together']);
+    }
+    if ($lat !== null && (abs($lat) > 90 || abs($lng) > 180)) {
+        respond(422, ['success' => false, 'error' => 'Coordinates are out of range']);
+    }
+}
+
+// Save the ticket types sent with the event, if any; exits with 422 on invalid input
+function applyTicketTypes(PDO $db, int $eventId, array $input): void
+{
+    if (!isset($input['ticket_types']) || !is_array($input['ticket_types'])) {
+        return;
+    }
+    try {
+        $types = saveTicketTypes($db, $eventId, $input['ticket_types']);
+    } catch (InvalidArgumentException $e) {
+        if ($db->inTransaction()) {
+            $db->rollBack();
+        }
+        respond(422, ['success' => false, 'error' => $e->getMessage()]);
+    }
+
+    // Listings and price filters use the cheapest ticket as the event price
+    if ($types) {
+        $db->prepare('UPDATE events SET price = :price WHERE id = :id')
+            ->execute([':price' => min(array_column($types, 'price')), ':id' => $eventId]);
+    }
+}
+
+// Refund policy fields from the payload (or the event being edited); exits with 422 on invalid input
+function parseRefundPolicy(array $input, array $existing = []): array
+{
+    try {
+        return refundPolicyFromInput($input, $existing);
+    } catch (InvalidArgumentException $e) {
+        respond(422, ['success' => false, 'error' => $e->getMessage()]);
+    }
+}
+
+// Start/end date, time and time zone from the payload (or the event being edited); exits with 422 on invalid input
+function parseEventTimes(array $input, array $existing = []): array
+{
+    try {
+        return eventTimesFromInput($input, $existing);
+    } catch (InvalidArgumentException $e) {
+        respond(422, ['success' => false, 'error' => $e->getMessage()]);
+    }
+}
+
+// Recurrence rule and its dates from the payload (null for one-off events); exits with 422 on invalid input
+function parseRecurrence(array $input): ?array
+{
+    try {
+        $rule = recurrenceFromInput($input);
+        return $rule ? ['rule' => $rule, 'dates' => expandRecurrence($rule, $input['date'] ?? '')] : null;
+    } catch (InvalidArgumentException $e) {
+        respond(422, ['success' => false, 'error' => $e->getMessage()]);
+    }
+}
+
+// Outcome of a publishing action (see planTransition()); exits with 403/409/422 when it isn't allowed
+function planPublishing(array $event, string $action, array $user, array $input): array
+{
+    try {
+        return planTransition($event, $action, $user, $input);
+    } catch (PublishingException $e) {
+        respond($e->getCode(), ['success' => false, 'error' => $e->getMessage()]);
+    } catch (InvalidArgumentException $e) {
+        respond(422, ['success' => false, 'error' => $e->getMessage()]);
+    }
+}
+
 function columnExists(PDO $db, string $table, string $column): bool
 {
     $stmt = $db->prepare("SELECT COUNT(*) FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = :table AND COLUMN_NAME = :column");
@@ -100,7 +201,7 @@ function ensureEventsSchema(PDO $db): void
             `age_restriction` INT,
             `price` DECIMAL(10,2) DEFAULT 0.00,
             `image_url` VARCHAR(500),
-            `status` ENUM('draft','published','archived') DEFAULT 'published',
+            `status` ENUM('draft','pending_review','scheduled','published','archived') DEFAULT 'published',
             `genre_id` INT,
             `owner_id` INT NOT NULL,
             `capacity` INT DEFAULT 0,
@@ -117,7 +218,7 @@ function ensureEventsSchema(PDO $db): void
         'owner_id' => 'ADD COLUMN `owner_id` INT NOT NULL DEFAULT 1',
         'capacity' => 'ADD COLUMN `capacity` INT DEFAULT 0',
         'available_spots' => 'ADD COLUMN `available_spots` INT DEFAULT 0',
-        'status' => "ADD COLUMN `status` ENUM('draft','published','archived') DEFAULT 'published'",
+        'status' => "ADD COLUMN `status` ENUM('draft','pending_review','scheduled','published','archived') DEFAULT 'published'",
         'genre_id' => 'ADD COLUMN `genre_id` INT NULL',
         'image_url' => 'ADD COLUMN `image_url` VARCHAR(500) NULL',
         'price' => 'ADD COLUMN `price` DECIMAL(10,2) DEFAULT 0.00',
@@ -138,29 +239,136 @@ function ensureEventsSchema(PDO $db): void
     }
 }
 
+if ($method === 'GET' && isset($_GET['id'])) {
+    $stmt = $db->prepare(
+        "SELECT e.*, u.name AS owner_name
+         FROM events e
+         LEFT JOIN users u ON e.owner_id = u.id
+         WHERE e.id = :id"
+    );
+    $stmt->execute([':id' => (int) $_GET['id']]);
+    $event = $stmt->fetch();
+
+    if (!$event) {
+        respond(404, ['success' => false, 'error' => 'Event not found']);
+    }
+
+    $single = [$event];
+    attachEventGenres($db, $single);
+    attachEventSeries($db, $single);
+    attachEventTimes($single);
+    formatPublishAt($single);
+    $single[0]['ticket_types'] = fetchTicketTypes($db, (int) $event['id']);
+    if ($single[0]['series']) {
+        $single[0]['series']['upcoming'] = seriesOccurrences($db, (int) $event['series_id'], date('Y-m-d'), 12);
+    }
+
+    respond(200, ['success' => true, 'event' => $single[0]]);
+}
+
 if ($method === 'GET') {
-    $stmt = $db->query(
-        "SELECT e.*, u.name AS owner_name,
-                GROUP_CONCAT(g.name) AS genres,
-                GROUP_CONCAT(g.slug) AS genre_slugs
+    $where = '';
+    $params = [];
+    if (!empty($_GET['status'])) {
+        $statuses = array_values(array_intersect(EVENT_STATUSES, explode(',', $_GET['status'])));
+        if (!$statuses) {
+            respond(422, ['success' => false, 'error' => 'Invalid status']);
+        }
+        $where = 'WHERE e.status IN (' . implode(',', array_fill(0, count($statuses), '?')) . ')';
+        $params = $statuses;
+    }
+
+    $stmt = $db->prepare(
+        "SELECT e.*, u.name AS owner_name
          FROM events e
          LEFT JOIN users u ON e.owner_id = u.id
-         LEFT JOIN event_genres eg ON e.id = eg.event_id
-         LEFT JOIN genres g ON eg.genre_id = g.id
-         GROUP BY e.id
+         $where
          ORDER BY e.created_at DESC"
     );
+    $stmt->execute($params);
     $events = $stmt->fetchAll();
-
-    foreach ($events as &$event) {
-        $event['genres'] = $event['genres'] ? explode(',', $event['genres']) : [];
-        $event['genre_slugs'] = $event['genre_slugs'] ? explode(',', $event['genre_slugs']) : [];
-    }
+    attachEventGenres($db, $events);
+    attachEventSeries($db, $events);
+    attachEventTimes($events);
+    formatPublishAt($events);
 
     respond(200, ['success' => true, 'events' => $events]);
 }
 
 $input = json_decode(file_get_contents('php://input'), true) ?? [];
+$action = $_GET['action'] ?? '';
+
+if ($method === 'POST' && ($action === 'cancel' || $action === 'restore')) {
+    $eventId = (int) ($_GET['id'] ?? 0);
+    $check = $db->prepare('SELECT * FROM events WHERE id = :id');
+    $check->execute([':id' => $eventId]);
+    $event = $check->fetch();
+
+    if (!$event) {
+        respond(404, ['success' => false, 'error' => 'Event not found']);
+    }
+    if (($action === 'cancel') === ($event['canceled_at'] !== null)) {
+        respond(409, ['success' => false, 'error' => $action === 'cancel' ? 'This date is already canceled' : 'This date is not canceled']);
+    }
+
+    $result = ['registrations' => 0, 'refunded' => 0.0];
+    $db->beginTransaction();
+    try {
+        if ($action === 'cancel') {
+            $result = cancelOccurrence($db, $event);
+        } else {
+            // Registrations canceled with the date stay canceled; people register again
+            $db->prepare('UPDATE events SET canceled_at = NULL WHERE id = :id')->execute([':id' => $eventId]);
+        }
+        $db->commit();
+    } catch (PaymentException $e) {
+        $db->rollBack();
+        error_log('Refund failed while canceling event ' . $eventId . ': ' . $e->getMessage());
+        respond(502, ['success' => false, 'error' => 'A refund could not be processed, so the date was not canceled. Please try again later.']);
+    } catch (Exception $e) {
+        $db->rollBack();
+        throw $e;
+    }
+
+    $auth->logAction($currentUser['id'], $action === 'cancel' ? 'cancel_event_date' : 'restore_event_date', 'event', $eventId, json_encode([
+        'name' => $event['name'],
+        'date' => $event['date'],
+        'series_id' => $event['series_id'] !== null ? (int) $event['series_id'] : null,
+    ] + $result), $_SERVER['REMOTE_ADDR'] ?? null);
+
+    respond(200, ['success' => true, 'status' => $action === 'cancel' ? 'canceled' : 'restored'] + $result);
+}
+
+if ($method === 'POST' && isset(PUBLISHING_TRANSITIONS[$action])) {
+    $eventId = (int) ($_GET['id'] ?? 0);
+    $check = $db->prepare('SELECT * FROM events WHERE id = :id');
+    $check->execute([':id' => $eventId]);
+    $event = $check->fetch();
+
+    if (!$event) {
+        respond(404, ['success' => false, 'error' => 'Event not found']);
+    }
+
+    $plan = planPublishing($event, $action, $currentUser, $input);
+    $db->beginTransaction();
+    try {
+        $ids = applyTransition($db, $event, $plan, $currentUser['id'], $_SERVER['REMOTE_ADDR'] ?? null);
+        $db->commit();
+    } catch (PublishingException $e) {
+        $db->rollBack();
+        respond($e->getCode(), ['success' => false, 'error' => $e->getMessage()]);
+    } catch (Exception $e) {
+        $db->rollBack();
+        throw $e;
+    }
+
+    respond(200, [
+        'success' => true,
+        'status' => $plan['status'],
+        'publish_at' => publishAtIso($plan['publish_at']),
+        'dates' => count($ids),
+    ]);
+}
 
 if ($method === 'POST') {
     $required = ['name', 'description', 'date', 'time', 'location'];
@@ -170,29 +378,52 @@ if ($method === 'POST') {
         }
     }
 
-    $status = 'published';
+    // Events start as drafts; publishing, scheduling or submitting them is a
+    // transition from there, checked and logged like any other
+    $createActions = ['draft' => null, 'pending_review' => 'submit', 'scheduled' => 'schedule', 'published' => 'publish'];
+    $requestedStatus = $input['status'] ?? 'published';
+    if (!is_string($requestedStatus) || !array_key_exists($requestedStatus, $createActions)) {
+        respond(422, ['success' => false, 'error' => 'Invalid status']);
+    }
+    $plan = $createActions[$requestedStatus]
+        ? planPublishing(['status' => 'draft'], $createActions[$requestedStatus], $currentUser, $input)
+        : null;
+    $status = 'draft';
+
+    $lat = sanitizeFloat($input['lat'] ?? null);
+    $lng = sanitizeFloat($input['lng'] ?? null);
+    validateCoordinates($lat, $lng);
 
     $genres = isset($input['genres']) && is_array($input['genres']) ? $input['genres'] : [];
 
     $primaryGenre = $genres[0] ?? null;
     $capacity = sanitizeInt($input['capacity'] ?? 0);
     $available = $capacity !== null ? $capacity : 0;
+    $refundPolicy = parseRefundPolicy($input);
+    $times = parseEventTimes($input, ['timezone' => defaultEventTimezone()]);
+    $recurrence = parseRecurrence($input);
 
+    $db->beginTransaction();
     $stmt = $db->prepare(
         "INSERT INTO events
-            (name, description, location, lat, lng, date, time, age_restriction, price, image_url, status, genre_id, owner_id, capacity, available_spots)
+            (name, description, location, lat, lng, date, time, end_date, end_time, timezone, age_restriction, price, image_url, status, genre_id, owner_id,
+             capacity, available_spots, refund_policy, refund_percent, refund_cutoff_hours)
          VALUES
-            (:name, :description, :location, :lat, :lng, :date, :time, :age_restriction, :price, :image_url, :status, :genre_id, :owner_id, :capacity, :available_spots)"
+            (:name, :description, :location, :lat, :lng, :date, :time, :end_date, :end_time, :timezone, :age_restriction, :price, :image_url, :status, :genre_id, :owner_id,
+             :capacity, :available_spots, :refund_policy, :refund_percent, :refund_cutoff_hours)"
     );
 
     $stmt->execute([
         ':name' => $input['name'],
         ':description' => $input['description'],
         ':location' => $input['location'],
-        ':lat' => sanitizeFloat($input['lat'] ?? null),
-        ':lng' => sanitizeFloat($input['lng'] ?? null),
-        ':date' => $input['date'],
-        ':time' => $input['time'],
+        ':lat' => $lat,
+        ':lng' => $lng,
+        ':date' => $times['date'],
+        ':time' => $times['time'],
+        ':end_date' => $times['end_date'],
+        ':end_time' => $times['end_time'],
+        ':timezone' => $times['timezone'],
         ':age_restriction' => sanitizeInt($input['age_restriction'] ?? null),
         ':price' => sanitizeFloat($input['price'] ?? 0),
         ':image_url' => $input['image_url'] ?? null,
@@ -201,6 +432,9 @@ if ($method === 'POST') {
         ':owner_id' => $currentUser['id'],
         ':capacity' => $capacity ?? 0,
         ':available_spots' => $available,
+        ':refund_policy' => $refundPolicy['refund_policy'],
+        ':refund_percent' => $refundPolicy['refund_percent'],
+        ':refund_cutoff_hours' => $refundPolicy['refund_cutoff_hours'],
     ]);
 
     $eventId = $db->lastInsertId();
@@ -212,11 +446,48 @@ if ($method === 'POST') {
         }
     }
 
+    applyTicketTypes($db, (int) $eventId, $input);
+
+    // The other dates are copies, so they pick up the genres and ticket types saved above
+    $seriesId = null;
+    if ($recurrence) {
+        $seriesId = createSeries($db, (int) $eventId, $recurrence['rule'], $recurrence['dates'], $currentUser['id']);
+    } else {
+        refreshEventTimes($db, [(int) $eventId]);
+    }
+    foreach ($seriesId ? seriesEventIds($db, $seriesId) : [(int) $eventId] as $createdId) {
+        recordRevision($db, $createdId, $currentUser['id'], 'create');
+    }
+    $db->commit();
+
     if (method_exists($auth, 'logAction')) {
-        $auth->logAction($currentUser['id'], 'create_event', 'event', $eventId, json_encode(['name' => $input['name']]), $_SERVER['REMOTE_ADDR'] ?? null);
+        $details = ['name' => $input['name']];
+        if ($recurrence) {
+            $details += ['series_id' => $seriesId, 'rrule' => recurrenceRrule($recurrence['rule']), 'dates' => count($recurrence['dates'])];
+        }
+        $auth->logAction($currentUser['id'], 'create_event', 'event', $eventId, json_encode($details), $_SERVER['REMOTE_ADDR'] ?? null);
     }
 
-    respond(201, ['success' => true, 'event_id' => (int) $eventId, 'message' => 'Event created successfully']);
+    if ($plan) {
+        $db->beginTransaction();
+        try {
+            applyTransition($db, ['id' => (int) $eventId, 'name' => $input['name'], 'series_id' => $seriesId], $plan, $currentUser['id'], $_SERVER['REMOTE_ADDR'] ?? null);
+            $db->commit();
+        } catch (Exception $e) {
+            $db->rollBack();
+            throw $e;
+        }
+    }
+
+    respond(201, [
+        'success' => true,
+        'event_id' => (int) $eventId,
+        'status' => $plan ? $plan['status'] : $status,
+        'publish_at' => $plan ? publishAtIso($plan['publish_at']) : null,
+        'series_id' => $seriesId,
+        'occurrences' => $recurrence ? count($recurrence['dates']) : 1,
+        'message' => $recurrence ? 'Created ' . count($recurrence['dates']) . ' dates' : 'Event created successfully',
+    ]);
 }
 
 if ($method === 'PUT') {
@@ -233,17 +504,27 @@ if ($method === 'PUT') {
         respond(404, ['success' => false, 'error' => 'Event not found']);
     }
 
-    $status = $input['status'] ?? $existing['status'];
-    if (!in_array($status, ['draft', 'published', 'archived'], true)) {
-        respond(422, ['success' => false, 'error' => 'Invalid status']);
+    // Status changes go through the publishing actions, which check and log them
+    $status = $existing['status'];
+    if (isset($input['status']) && $input['status'] !== $status) {
+        respond(422, ['success' => false, 'error' => 'Change the status with a publishing action (submit, approve, reject, publish, schedule or unpublish)']);
     }
 
-    $capacity = array_key_exists('capacity', $input) ? sanitizeInt($input['capacity']) : $existing['capacity'];
-    $regStmt = $db->prepare("SELECT COUNT(*) FROM registrations WHERE event_id = :event_id AND status = 'registered'");
-    $regStmt->execute([':event_id' => $eventId]);
-    $registeredCount = (int) $regStmt->fetchColumn();
-    $available = $capacity !== null ? max($capacity - $registeredCount, 0) : 0;
+    $lat = array_key_exists('lat', $input) ? sanitizeFloat($input['lat']) : $existing['lat'];
+    $lng = array_key_exists('lng', $input) ? sanitizeFloat($input['lng']) : $existing['lng'];
+    validateCoordinates($lat, $lng);
 
+    $capacity = array_key_exists('capacity', $input) ? sanitizeInt($input['capacity']) : $existing['capacity'];
+    $available = $capacity !== null ? max($capacity - seatsUsed($db, $eventId), 0) : 0;
+    $refundPolicy = parseRefundPolicy($input, $existing);
+    $times = parseEventTimes($input, $existing);
+    $seriesWide = $existing['series_id'] !== null && ($_GET['scope'] ?? '') === 'series';
+
+    $db->beginTransaction();
+    // Events saved before history was kept get their current state recorded first
+    foreach ($seriesWide ? seriesEventIds($db, (int) $existing['series_id']) : [$eventId] as $baselineId) {
+        ensureBaselineRevision($db, $baselineId);
+    }
     $stmt = $db->prepare(
         "UPDATE events SET
             name = :name,
@@ -253,13 +534,19 @@ if ($method === 'PUT') {
             lng = :lng,
             date = :date,
             time = :time,
+            end_date = :end_date,
+            end_time = :end_time,
+            timezone = :timezone,
             age_restriction = :age_restriction,
             price = :price,
             image_url = :image_url,
             status = :status,
             genre_id = :genre_id,
             capacity = :capacity,
-            available_spots = :available_spots
+            available_spots = :available_spots,
+            refund_policy = :refund_policy,
+            refund_percent = :refund_percent,
+            refund_cutoff_hours = :refund_cutoff_hours
          WHERE id = :id"
     );
 
@@ -267,10 +554,13 @@ if ($method === 'PUT') {
         ':name' => $input['name'] ?? $existing['name'],
         ':description' => $input['description'] ?? $existing['description'],
         ':location' => $input['location'] ?? $existing['location'],
-        ':lat' => array_key_exists('lat', $input) ? sanitizeFloat($input['lat']) : $existing['lat'],
-        ':lng' => array_key_exists('lng', $input) ? sanitizeFloat($input['lng']) : $existing['lng'],
-        ':date' => $input['date'] ?? $existing['date'],
-        ':time' => $input['time'] ?? $existing['time'],
+        ':lat' => $lat,
+        ':lng' => $lng,
+        ':date' => $times['date'],
+        ':time' => $times['time'],
+        ':end_date' => $times['end_date'],
+        ':end_time' => $times['end_time'],
+        ':timezone' => $times['timezone'],
         ':age_restriction' => array_key_exists('age_restriction', $input) ? sanitizeInt($input['age_restriction']) : $existing['age_restriction'],
         ':price' => array_key_exists('price', $input) ? sanitizeFloat($input['price']) : $existing['price'],
         ':image_url' => array_key_exists('image_url', $input) ? $input['image_url'] : $existing['image_url'],
@@ -278,6 +568,9 @@ if ($method === 'PUT') {
         ':genre_id' => isset($input['genres'][0]) ? $input['genres'][0] : $existing['genre_id'],
         ':capacity' => $capacity,
         ':available_spots' => $available,
+        ':refund_policy' => $refundPolicy['refund_policy'],
+        ':refund_percent' => $refundPolicy['refund_percent'],
+        ':refund_cutoff_hours' => $refundPolicy['refund_cutoff_hours'],
         ':id' => $eventId,
     ]);
 
@@ -289,11 +582,46 @@ if ($method === 'PUT') {
         }
     }
 
+    applyTicketTypes($db, $eventId, $input);
+
+    // Editing one date of a series sets it apart from later series-wide edits
+    $seriesUpdated = [];
+    if ($existing['series_id'] !== null) {
+        if ($seriesWide) {
+            $seriesUpdated = applyToSeries($db, $eventId, (int) $existing['series_id']);
+        } else {
+            $db->prepare('UPDATE events SET series_override = 1 WHERE id = :id')->execute([':id' => $eventId]);
+        }
+    }
+    refreshEventTimes($db, array_merge([$eventId], $seriesUpdated));
+    foreach (array_merge([$eventId], $seriesUpdated) as $editedId) {
+        recordRevision($db, $editedId, $currentUser['id']);
+    }
+    $db->commit();
+
+    // Raising (or removing) a capacity lets people off the waitlist
+    if ((int) $capacity !== (int) $existing['capacity'] || isset($input['ticket_types'])) {
+        $db->beginTransaction();
+        try {
+            foreach (array_merge([$eventId], $seriesUpdated) as $promoteId) {
+                promoteWaitlist($db, $promoteId);
+            }
+            $db->commit();
+        } catch (Exception $e) {
+            $db->rollBack();
+            throw $e;
+        }
+    }
+
     if (method_exists($auth, 'logAction')) {
         $auth->logAction($currentUser['id'], 'update_event', 'event', $eventId, json_encode($input), $_SERVER['REMOTE_ADDR'] ?? null);
     }
 
-    respond(200, ['success' => true, 'message' => 'Event updated successfully']);
+    respond(200, [
+        'success' => true,
+        'message' => $seriesUpdated ? 'Event and ' . count($seriesUpdated) . ' upcoming dates updated' : 'Event updated successfully',
+        'series_updated' => count($seriesUpdated),
+    ]);
 }
 
 if ($method === 'DELETE') {
@@ -302,7 +630,7 @@ if ($method === 'DELETE') {
     }
     $eventId = (int) $_GET['id'];
 
-    $check = $db->prepare('SELECT name FROM events WHERE id = :id');
+    $check = $db->prepare('SELECT * FROM events WHERE id = :id');
     $check->execute([':id' => $eventId]);
     $event = $check->fetch();
 
@@ -310,14 +638,57 @@ if ($method === 'DELETE') {
         respond(404, ['success' => false, 'error' => 'Event not found']);
     }
 
-    $db->prepare('DELETE FROM event_genres WHERE event_id = :event_id')->execute([':event_id' => $eventId]);
-    $db->prepare('DELETE FROM events WHERE id = :id')->execute([':id' => $eventId]);
+    $wholeSeries = ($_GET['scope'] ?? '') === 'series' && $event['series_id'] !== null;
+    $result = ['registrations' => 0, 'refunded' => 0.0];
+    $db->beginTransaction();
+    try {
+        if ($wholeSeries) {
+            $dates = $db->prepare('SELECT * FROM events WHERE series_id = :series');
+            $dates->execute([':series' => $event['series_id']]);
+            $deleteEvents = $dates->fetchAll();
+        } else {
+            $deleteEvents = [$event];
+        }
+        $deleteIds = array_map('intval', array_column($deleteEvents, 'id'));
+
+        // Registrations go with the event, so cancel them first: unpaid orders
+        // fail and paid ones are refunded in full, as when a date is canceled.
+        // Dates that already took place keep their orders as they are
+        $now = gmdate('Y-m-d H:i:s');
+        foreach ($deleteEvents as $deleteEvent) {
+            if ($deleteEvent['ends_at_utc'] !== null && $deleteEvent['ends_at_utc'] <= $now) {
+                continue;
+            }
+            $canceled = cancelOccurrence($db, $deleteEvent);
+            $result['registrations'] += $canceled['registrations'];
+            $result['refunded'] = round($result['refunded'] + $canceled['refunded'], 2);
+        }
+
+        $placeholders = implode(',', array_fill(0, count($deleteIds), '?'));
+        $db->prepare("DELETE FROM event_genres WHERE event_id IN ($placeholders)")->execute($deleteIds);
+        $db->prepare("DELETE FROM events WHERE id IN ($placeholders)")->execute($deleteIds);
+        if ($wholeSeries) {
+            $db->prepare('DELETE FROM event_series WHERE id = :id')->execute([':id' => $event['series_id']]);
+        }
+        $db->commit();
+    } catch (PaymentException $e) {
+        $db->rollBack();
+        error_log('Refund failed while deleting event ' . $eventId . ': ' . $e->getMessage());
+        respond(502, ['success' => false, 'error' => 'A refund could not be processed, so the event was not deleted. Please try again later.']);
+    } catch (Exception $e) {
+        $db->rollBack();
+        throw $e;
+    }
 
     if (method_exists($auth, 'logAction')) {
-        $auth->logAction($currentUser['id'], 'delete_event', 'event', $eventId, json_encode(['name' => $event['name']]), $_SERVER['REMOTE_ADDR'] ?? null);
+        $details = ['name' => $event['name']];
+        if ($wholeSeries) {
+            $details += ['series_id' => (int) $event['series_id'], 'dates' => count($deleteIds)];
+        }
+        $auth->logAction($currentUser['id'], 'delete_event', 'event', $eventId, json_encode($details + $result), $_SERVER['REMOTE_ADDR'] ?? null);
     }
 
-    respond(200, ['success' => true, 'message' => 'Event deleted successfully']);
+    respond(200, ['success' => true, 'message' => 'Event deleted successfully'] + $result);
 }
 
 respond(405, ['success' => false, 'error' => 'Method not allowed']);
@@ -0,0 +1,327 @@
+<?php
+/**
+ * Admin Genres API - Protected endpoint for genre management
+ * GET /api/admin/genres.php - Get all genres in display order, with event counts
+ * POST /api/admin/genres.php - Create genre
+ * PUT /api/admin/genres.php?id=X - Update genre name, slug, description or icon
+ * DELETE /api/admin/genres.php?id=X - Delete genre (its events keep their other genres)
+ * POST /api/admin/genres.php?action=reorder - Set display order from {"order": [id, ...]}
+ * POST /api/admin/genres.php?action=merge - Move every event from source_id to target_id, then delete source_id
+ */
+
+session_start();
+header('Content-Type: application/json');
+header('Access-Control-Allow-Origin: *');
+header('Access-Control-Allow-Methods: GET, POST, PUT, DELETE, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type, X-Firebase-UID');
+
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    exit;
+}
+
+function respond($status, $payload)
+{
+    http_response_code($status);
+    echo json_encode($payload);
+    exit;
+}
+
+function slugify(string $value): string
+{
+    return trim(preg_replace('/[^a-z0-9]+/', '-', strtolower($value)), '-');
+}
+
+function fetchGenre(PDO $db, int $id): ?array
+{
+    $stmt = $db->prepare('SELECT id, name, slug, description, icon, display_order FROM genres WHERE id = :id');
+    $stmt->execute([':id' => $id]);
+    $genre = $stmt->fetch();
+    return $genre ?: null;
+}
+
+/**
+ * Validate name/slug/description/icon from the request body.
+ * On create every field is read; on update only the ones present.
+ * Exits with 422 on invalid input and 409 when the name or slug is taken.
+ */
+function genreFieldsFromInput(PDO $db, array $input, ?array $existing): array
+{
+    $fields = [];
+
+    if ($existing === null || array_key_exists('name', $input)) {
+        $name = trim((string)($input['name'] ?? ''));
+        if ($name === '' || mb_strlen($name) > 100) {
+            respond(422, ['success' => false, 'error' => 'Name is required (100 characters max)']);
+        }
+        $fields['name'] = $name;
+    }
+
+    if ($existing === null || array_key_exists('slug', $input)) {
+        $slug = trim((string)($input['slug'] ?? ''));
+        // Blank slug on create: derive it from the name
+        if ($slug === '' && $existing === null) {
+            $slug = slugify($fields['name']);
+        }
+        if (!preg_match('/^[a-z0-9]+(?:-[a-z0-9]+)*$/', $slug) || strlen($slug) > 100) {
+            respond(422, ['success' => false, 'error' => 'Slug may only contain lowercase letters, numbers and single hyphens']);
+        }
+        $fields['slug'] = $slug;
+    }
+
+    if (array_key_exists('description', $input)) {
+        $description = trim((string)$input['description']);
+        $fields['description'] = $description === '' ? null : $description;
+    }
+
+    if (array_key_exists('icon', $input)) {
+        $icon = trim((string)$input['icon']);
+        if (mb_strlen($icon) > 50) {
+            respond(422, ['success' => false, 'error' => 'Icon must be 50 characters or fewer']);
+        }
+        $fields['icon'] = $icon === '' ? null : $icon;
+    }
+
+    // name and slug are both UNIQUE; report a clash instead of a 500
+    foreach (['name', 'slug'] as $column) {
+        if (!isset($fields[$column])) {
+            continue;
+        }
+        $stmt = $db->prepare("SELECT id FROM genres WHERE $column = :value AND id != :id LIMIT 1");
+        $stmt->execute([':value' => $fields[$column], ':id' => $existing['id'] ?? 0]);
+        if ($stmt->fetchColumn()) {
+            respond(409, ['success' => false, 'error' => "Another genre already uses this $column"]);
+        }
+    }
+
+    return $fields;
+}
+
+try {
+    $db = require __DIR__ . '/../db.php';
+    require_once __DIR__ . '/../auth.php';
+    require_once __DIR__ . '/../event-genres.php';
+
+    $db->exec(
+        "CREATE TABLE IF NOT EXISTS `genres` (
+            `id` INT AUTO_INCREMENT PRIMARY KEY,
+            `name` VARCHAR(100) NOT NULL UNIQUE,
+            `slug` VARCHAR(100) NOT NULL UNIQUE,
+            `description` TEXT,
+            `icon` VARCHAR(50),
+            `created_at` DATETIME DEFAULT CURRENT_TIMESTAMP
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci"
+    );
+    $db->exec(
+        "CREATE TABLE IF NOT EXISTS `event_genres` (
+            `id` INT AUTO_INCREMENT PRIMARY KEY,
+            `event_id` INT NOT NULL,
+            `genre_id` INT NOT NULL,
+            `created_at` DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY `unique_event_genre` (`event_id`, `genre_id`)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci"
+    );
+    ensureGenreDisplayOrder($db);
+
+    $auth = new Auth($db);
+    $currentUser = $auth->requireAdmin();
+    $method = $_SERVER['REQUEST_METHOD'];
+    $action = $_GET['action'] ?? '';
+    $ip = $_SERVER['REMOTE_ADDR'] ?? null;
+
+    if ($method === 'GET') {
+        // Counts every event (any status) tagged through event_genres or the legacy genre_id
+        $stmt = $db->query(
+            "SELECT g.id, g.name, g.slug, g.description, g.icon, g.display_order, g.created_at,
+                    (SELECT COUNT(*) FROM events e
+                     WHERE e.genre_id = g.id
+                        OR EXISTS (SELECT 1 FROM event_genres eg WHERE eg.event_id = e.id AND eg.genre_id = g.id)
+                    ) AS event_count
+             FROM genres g
+             ORDER BY g.display_order ASC, g.name ASC"
+        );
+        respond(200, ['success' => true, 'genres' => $stmt->fetchAll()]);
+    }
+
+    if ($method === 'POST' && $action === 'reorder') {
+        $input = json_decode(file_get_contents('php://input'), true) ?? [];
+        $order = array_values(array_unique(array_map('intval', (array)($input['order'] ?? []))));
+        $known = array_map('intval', $db->query('SELECT id FROM genres')->fetchAll(PDO::FETCH_COLUMN));
+
+        // The order must name every genre exactly once, so nothing is left with a stale position
+        sort($known);
+        $sorted = $order;
+        sort($sorted);
+        if ($sorted !== $known) {
+            respond(422, ['success' => false, 'error' => 'Order must list every genre exactly once']);
+        }
+
+        $db->beginTransaction();
+        try {
+            $stmt = $db->prepare('UPDATE genres SET display_order = :position WHERE id = :id');
+            foreach ($order as $index => $genreId) {
+                $stmt->execute([':position' => $index + 1, ':id' => $genreId]);
+            }
+            $db->commit();
+        } catch (Exception $e) {
+            $db->rollBack();
+            throw $e;
+        }
+
+        $auth->logAction($currentUser['id'], 'reorder_genres', 'genre', null, json_encode(['order' => $order]), $ip);
+        respond(200, ['success' => true, 'message' => 'Genre order saved']);
+    }
+
+    if ($method === 'POST' && $action === 'merge') {
+        $input = json_decode(file_get_contents('php://input'), true) ?? [];
+        $sourceId = (int)($input['source_id'] ?? 0);
+        $targetId = (int)($input['target_id'] ?? 0);
+
+        if ($sourceId <= 0 || $targetId <= 0 || $sourceId === $targetId) {
+            respond(422, ['success' => false, 'error' => 'Choose two different genres to merge']);
+        }
+        $source = fetchGenre($db, $sourceId);
+        $target = fetchGenre($db, $targetId);
+        if (!$source || !$target) {
+            respond(404, ['success' => false, 'error' => 'Genre not found']);
+        }
+
+        $db->beginTransaction();
+        try {
+            // Tag the source's events with the target; events that already have both keep one row
+            $stmt = $db->prepare(
+                'INSERT IGNORE INTO event_genres (event_id, genre_id)
+                 SELECT event_id, :target FROM event_genres WHERE genre_id = :source'
+            );
+            $stmt->execute([':target' => $targetId, ':source' => $sourceId]);
+
+            $stmt = $db->prepare('DELETE FROM event_genres WHERE genre_id = :source');
+            $stmt->execute([':source' => $sourceId]);
+            $moved = $stmt->rowCount();
+
+            $stmt = $db->prepare('UPDATE events SET genre_id = :target WHERE genre_id = :source');
+            $stmt->execute([':target' => $targetId, ':source' => $sourceId]);
+            $primary = $stmt->rowCount();
+
+            $stmt = $db->prepare('DELETE FROM genres WHERE id = :id');
+            $stmt->execute([':id' => $sourceId]);
+
+            $db->commit();
+        } catch (Exception $e) {
+            $db->rollBack();
+            throw $e;
+        }
+
+        $details = [
+            'source' => ['id' => $sourceId, 'name' => $source['name']],
+            'target' => ['id' => $targetId, 'name' => $target['name']],
+            'event_genres_moved' => $moved,
+            'primary_genre_updated' => $primary,
+        ];
+        $auth->logAction($currentUser['id'], 'merge_genre', 'genre', $targetId, json_encode($details), $ip);
+        respond(200, [
+            'success' => true,
+            'message' => sprintf('Merged "%s" into "%s"', $source['name'], $target['name']),
+            'genre' => fetchGenre($db, $targetId),
+        ]);
+    }
+
+    if ($method === 'POST') {
+        $input = json_decode(file_get_contents('php://input'), true) ?? [];
+        $fields = genreFieldsFromInput($db, $input, null);
+
+        // New genres go to the end of the list
+        $position = (int)$db->query('SELECT COALESCE(MAX(display_order), 0) + 1 FROM genres')->fetchColumn();
+
+        $stmt = $db->prepare(
+            'INSERT INTO genres (name, slug, description, icon, display_order)
+             VALUES (:name, :slug, :description, :icon, :display_order)'
+        );
+        $stmt->execute([
+            ':name' => $fields['name'],
+            ':slug' => $fields['slug'],
+            ':description' => $fields['description'] ?? null,
+            ':icon' => $fields['icon'] ?? null,
+            ':display_order' => $position,
+        ]);
+        $genreId = (int)$db->lastInsertId();
+
+        $auth->logAction($currentUser['id'], 'create_genre', 'genre', $genreId, json_encode($fields), $ip);
+        respond(201, ['success' => true, 'message' => 'Genre created', 'genre' => fetchGenre($db, $genreId)]);
+    }
+
+    if ($method === 'PUT') {
+        $genreId = (int)($_GET['id'] ?? 0);
+        $genre = $genreId > 0 ? fetchGenre($db, $genreId) : null;
+        if (!$genre) {
+            respond(404, ['success' => false, 'error' => 'Genre not found']);
+        }
+
+        $input = json_decode(file_get_contents('php://input'), true) ?? [];
+        $fields = genreFieldsFromInput($db, $input, $genre);
+        if (!$fields) {
+            respond(400, ['success' => false, 'error' => 'No fields to update']);
+        }
+
+        $sets = [];
+        $params = [':id' => $genreId];
+        foreach ($fields as $column => $value) {
+            $sets[] = "$column = :$column";
+            $params[":$column"] = $value;
+        }
+        $stmt = $db->prepare('UPDATE genres SET ' . implode(', ', $sets) . ' WHERE id = :id');
+        $stmt->execute($params);
+
+        // Log old => new for the fields that actually changed
+        $changes = [];
+        foreach ($fields as $column => $value) {
+            if ($genre[$column] !== $value) {
+                $changes[$column] = ['from' => $genre[$column], 'to' => $value];
+            }
+        }
+        $auth->logAction($currentUser['id'], 'update_genre', 'genre', $genreId, json_encode($changes), $ip);
+        respond(200, ['success' => true, 'message' => 'Genre updated', 'genre' => fetchGenre($db, $genreId)]);
+    }
+
+    if ($method === 'DELETE') {
+        $genreId = (int)($_GET['id'] ?? 0);
+        $genre = $genreId > 0 ? fetchGenre($db, $genreId) : null;
+        if (!$genre) {
+            respond(404, ['success' => false, 'error' => 'Genre not found']);
+        }
+
+        $db->beginTransaction();
+        try {
+            $stmt = $db->prepare('DELETE FROM event_genres WHERE genre_id = :id');
+            $stmt->execute([':id' => $genreId]);
+            $untagged = $stmt->rowCount();
+
+            // Events whose primary genre this was fall back to one of their remaining genres
+            $stmt = $db->prepare(
+                'UPDATE events e
+                 SET e.genre_id = (SELECT MIN(eg.genre_id) FROM event_genres eg WHERE eg.event_id = e.id)
+                 WHERE e.genre_id = :id'
+            );
+            $stmt->execute([':id' => $genreId]);
+
+            $stmt = $db->prepare('DELETE FROM genres WHERE id = :id');
+            $stmt->execute([':id' => $genreId]);
+
+            $db->commit();
+        } catch (Exception $e) {
+            $db->rollBack();
+            throw $e;
+        }
+
+        $auth->logAction($currentUser['id'], 'delete_genre', 'genre', $genreId, json_encode([
+            'name' => $genre['name'],
+            'slug' => $genre['slug'],
+            'event_genres_removed' => $untagged,
+        ]), $ip);
+        respond(200, ['success' => true, 'message' => 'Genre deleted']);
+    }
+
+    respond(405, ['success' => false, 'error' => 'Method not allowed']);
+} catch (Exception $e) {
+    error_log('Admin Genres API error: ' . $e->getMessage());
+    respond(500, ['success' => false, 'error' => 'Server error']);
+}
@@ -0,0 +1,39 @@
+<?php
+/**
+ * Admin Geocode API
+ * GET /api/admin/geocode.php?q=address
+ * Returns candidate coordinates for an event location (admin only, so the
+ * upstream geocoder can't be used as an open proxy).
+ */
+
+header('Content-Type: application/json');
+header('Access-Control-Allow-Origin: *');
+header('Access-Control-Allow-Methods: GET, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type, X-Firebase-UID');
+
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    exit;
+}
+
+$db = require __DIR__ . '/../db.php';
+require_once __DIR__ . '/../auth.php';
+require_once __DIR__ . '/../geocoder.php';
+
+$auth = new Auth($db);
+$auth->requireAdmin();
+
+$query = trim($_GET['q'] ?? '');
+if ($query === '') {
+    http_response_code(422);
+    echo json_encode(['success' => false, 'error' => 'Address is required']);
+    exit;
+}
+
+try {
+    $results = createGeocoder()->geocode($query);
+    echo json_encode(['success' => true, 'results' => $results]);
+} catch (Exception $e) {
+    error_log('Geocode API error: ' . $e->getMessage());
+    http_response_code(502);
+    echo json_encode(['success' => false, 'error' => 'Address lookup failed']);
+}
@@ -16,6 +16,10 @@ if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
 
 $db = require __DIR__ . '/../db.php';
 require_once __DIR__ . '/../auth.php';
+require_once __DIR__ . '/../tickets.php';
+require_once __DIR__ . '/../ticket-codes.php';
+require_once __DIR__ . '/../event-series.php';
+require_once __DIR__ . '/../event-times.php';
 
 $auth = new Auth($db);
 $currentUser = $auth->requireAdmin();
@@ -27,7 +31,8 @@ try {
             `id` INT AUTO_INCREMENT PRIMARY KEY,
             `user_id` INT NOT NULL,
             `event_id` INT NOT NULL,
-            `status` ENUM('registered','canceled') DEFAULT 'registered',
+            `status` ENUM('registered','pending','waitlisted','canceled') DEFAULT 'registered',
+            `waitlisted_at` DATETIME NULL,
             `created_at` DATETIME DEFAULT CURRENT_TIMESTAMP,
             `updated_at` DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
             UNIQUE KEY `unique_user_event` (`user_id`, `event_id`),
@@ -64,6 +69,11 @@ try {
         ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci"
     );
 
+    ensureTicketSchema($db);
+    ensureCheckInSchema($db);
+    ensureSeriesSchema($db);
+    ensureEventTimeSchema($db);
+
     $counts = [
         'events' => (int) $db->query('SELECT COUNT(*) FROM events')->fetchColumn(),
         'users' => (int) $db->query('SELECT COUNT(*) FROM users')->fetchColumn(),
@@ -71,20 +81,70 @@ try {
         'cancellations' => (int) $db->query("SELECT COUNT(*) FROM registrations WHERE status = 'canceled'")->fetchColumn(),
     ];
 
-    $upcomingStmt = $db->query(
-        "SELECT COUNT(*) FROM events WHERE (status IS NULL OR status NOT IN ('archived')) AND (date IS NULL OR date >= CURDATE())"
+    // What the public listing shows by default: published, not canceled, not over yet
+    $upcomingParams = [];
+    $upcomingStmt = $db->prepare(
+        "SELECT COUNT(*) FROM events e WHERE e.status = 'published' AND e.canceled_at IS NULL AND " . eventUpcomingSql($upcomingParams)
     );
+    $upcomingStmt->execute($upcomingParams);
     $counts['upcoming'] = (int) $upcomingStmt->fetchColumn();
 
+    // Seats, not registrations: one registration can hold several tickets
+    $counts['tickets'] = (int) $db->query("SELECT COALESCE(SUM(quantity), 0) FROM registrations WHERE status = 'registered'")->fetchColumn();
+
+    // An event's seat limit is its own capacity and/or the sum of its ticket
+    // type capacities (when every type has one); unlimited events are left out
     $capacityStmt = $db->query(
-        "SELECT
-            COALESCE(SUM(e.capacity), 0) AS total_capacity,
-            COALESCE(SUM(e.available_spots), 0) AS total_available
-         FROM events e"
+        "SELECT COALESCE(SUM(limits.seats), 0) AS total_capacity,
+                COALESCE(SUM(LEAST(limits.sold, limits.seats)), 0) AS total_sold
+         FROM (
+            SELECT CASE
+                       WHEN e.capacity > 0 AND tt.unlimited = 0 THEN LEAST(e.capacity, tt.seats)
+                       WHEN e.capacity > 0 THEN e.capacity
+                       WHEN tt.unlimited = 0 THEN tt.seats
+                       ELSE 0
+                   END AS seats,
+                   (SELECT COALESCE(SUM(r.quantity), 0) FROM registrations r
+                    WHERE r.event_id = e.id AND r.status = 'registered') AS sold
+            FROM events e
+            LEFT JOIN (
+                SELECT event_id, SUM(capacity) AS seats, SUM(capacity IS NULL OR capacity <= 0) AS unlimited
+                FROM ticket_types
+                GROUP BY event_id
+            ) tt ON tt.event_id = e.id
+         ) limits
+         WHERE limits.seats > 0"
     );
     $capacity = $capacityStmt->fetch();
     $counts['capacity'] = (int) ($capacity['total_capacity'] ?? 0);
-    $counts['available'] = (int) ($capacity['total_available'] ?? 0);
+    $counts['capacity_sold'] = (int) ($capacity['total_sold'] ?? 0);
+    $counts['available'] = max(0, $counts['capacity'] - $counts['capacity_sold']);
+
+    // Attendance only makes sense for events that have started
+    $attendanceStmt = $db->query(
+        "SELECT COALESCE(SUM(r.quantity), 0) AS tickets,
+                COALESCE(SUM(CASE WHEN r.checked_in_at IS NOT NULL THEN r.quantity ELSE 0 END), 0) AS checked_in
+         FROM registrations r
+         JOIN events e ON e.id = r.event_id
+         WHERE r.status = 'registered' AND e.date <= CURDATE()"
+    );
+    $attendance = $attendanceStmt->fetch();
+    $counts['attendance_tickets'] = (int) ($attendance['tickets'] ?? 0);
+    $counts['checked_in'] = (int) ($attendance['checked_in'] ?? 0);
+
+    $eventAttendance = $db
+        ->query(
+            "SELECT e.id, e.name, e.date,
+                    COALESCE(SUM(r.quantity), 0) AS tickets,
+                    COALESCE(SUM(CASE WHEN r.checked_in_at IS NOT NULL THEN r.quantity ELSE 0 END), 0) AS checked_in
+             FROM events e
+             JOIN registrations r ON r.event_id = e.id AND r.status = 'registered'
+             WHERE e.date <= CURDATE()
+             GROUP BY e.id
+             ORDER BY e.date DESC, e.id DESC
+             LIMIT 6"
+        )
+        ->fetchAll();
 
     $genreStmt = $db->query(
         "SELECT g.name, g.slug, COUNT(DISTINCT eg.event_id) AS event_count
@@ -98,7 +158,7 @@ try {
 
     $recentRegistrations = $db
         ->query(
-            "SELECT r.id, r.status, r.created_at, e.title AS event_title, u.name AS user_name
+            "SELECT r.id, r.status, r.created_at, e.name AS event_title, u.name AS user_name
              FROM registrations r
              LEFT JOIN events e ON e.id = r.event_id
              LEFT JOIN users u ON u.id = r.user_id
@@ -109,9 +169,9 @@ try {
 
     $recentEvents = $db
         ->query(
-            "SELECT e.id, e.title, e.status, e.date, u.name AS creator_name
+            "SELECT e.id, e.name AS title, e.status, e.date, u.name AS creator_name
              FROM events e
-             LEFT JOIN users u ON u.id = e.created_by
+             LEFT JOIN users u ON u.id = e.owner_id
              ORDER BY e.created_at DESC
              LIMIT 5"
         )
@@ -137,6 +197,7 @@ try {
         'recentRegistrations' => $recentRegistrations,
         'recentEvents' => $recentEvents,
         'genreBreakdown' => $genreBreakdown,
+        'eventAttendance' => $eventAttendance,
         'recentActions' => $recentActions,
         'role' => $currentUser['role'] ?? null,
     ]);
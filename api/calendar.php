@@ -0,0 +1,209 @@
+<?php
+/**
+ * Calendar API - iCalendar (.ics) export
+ * GET /api/calendar.php?event_id=X - Download one published (or archived) event as .ics
+ * GET /api/calendar.php?token=T - Subscribable feed of the token owner's registrations
+ * GET /api/calendar.php?token=T&favorites=1 - Same feed, plus their favorites
+ * GET /api/calendar.php?action=feed - Feed URLs for the signed-in user (JSON)
+ * POST /api/calendar.php?action=reset - Replace the feed token; old URLs stop working (JSON)
+ */
+
+session_start();
+header('Content-Type: application/json');
+header('Access-Control-Allow-Origin: *');
+header('Access-Control-Allow-Methods: GET, POST, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type, X-Firebase-UID, Authorization');
+
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    exit;
+}
+
+// Feed events older than this are left out to keep subscriptions small
+const FEED_PAST_DAYS = 90;
+
+try {
+    $db = require __DIR__ . '/db.php';
+    $config = require __DIR__ . '/config.php';
+    require_once __DIR__ . '/auth.php';
+    require_once __DIR__ . '/ical.php';
+    require_once __DIR__ . '/event-series.php';
+
+    ensureCalendarTokenColumn($db);
+    ensureSeriesSchema($db);
+    ensureEventTimeSchema($db);
+
+    $method = $_SERVER['REQUEST_METHOD'];
+    $action = $_GET['action'] ?? '';
+
+    if ($method === 'GET' && isset($_GET['event_id'])) {
+        sendEvent($db, $config, (int)$_GET['event_id']);
+        exit;
+    }
+
+    if ($method === 'GET' && isset($_GET['token'])) {
+        sendFeed($db, $config, (string)$_GET['token'], !empty($_GET['favorites']));
+        exit;
+    }
+
+    if ($action === 'feed' || $action === 'reset') {
+        $auth = new Auth($db);
+        $currentUser = $auth->requireAuth();
+
+        if ($action === 'reset' && $method !== 'POST') {
+            http_response_code(405);
+            echo json_encode(['success' => false, 'error' => 'Method not allowed']);
+            exit;
+        }
+
+        $token = $action === 'reset'
+            ? rotateCalendarToken($db, (int)$currentUser['id'])
+            : ($currentUser['calendar_token'] ?: rotateCalendarToken($db, (int)$currentUser['id']));
+
+        $feedUrl = endpointUrl($config) . '?' . http_build_query(['token' => $token]);
+        echo json_encode([
+            'success' => true,
+            'feed_url' => $feedUrl,
+            'feed_url_with_favorites' => $feedUrl . '&favorites=1',
+        ]);
+        exit;
+    }
+
+    http_response_code(400);
+    echo json_encode(['success' => false, 'error' => 'event_id, token or action is required']);
+} catch (Exception $e) {
+    error_log('Calendar API error: ' . $e->getMessage());
+    http_response_code(500);
+    echo json_encode(['success' => false, 'error' => 'Failed to build calendar']);
+}
+
+function ensureCalendarTokenColumn(PDO $db): void
+{
+    $stmt = $db->prepare("SELECT COUNT(*) FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'users' AND COLUMN_NAME = 'calendar_token'");
+    $stmt->execute();
+    if ((int)$stmt->fetchColumn() === 0) {
+        $db->exec('ALTER TABLE users ADD COLUMN calendar_token VARCHAR(64) NULL UNIQUE');
+    }
+}
+
+function rotateCalendarToken(PDO $db, int $userId): string
+{
+    $token = bin2hex(random_bytes(20));
+    $stmt = $db->prepare('UPDATE users SET calendar_token = :token WHERE id = :id');
+    $stmt->execute([':token' => $token, ':id' => $userId]);
+    return $token;
+}
+
+// Public site root, from config or the current request (…/api/calendar.php -> …/)
+function appUrl(array $config): string
+{
+    if (!empty($config['ical']['app_url'])) {
+        return rtrim($config['ical']['app_url'], '/') . '/';
+    }
+    $https = (!empty($_SERVER['HTTPS']) && $_SERVER['HTTPS'] !== 'off')
+        || ($_SERVER['HTTP_X_FORWARDED_PROTO'] ?? '') === 'https';
+    $root = rtrim(str_replace('\\', '/', dirname(dirname($_SERVER['SCRIPT_NAME']))), '/');
+    return ($https ? 'https' : 'http') . '://' . ($_SERVER['HTTP_HOST'] ?? 'localhost') . $root . '/';
+}
+
+function endpointUrl(array $config): string
+{
+    return appUrl($config) . 'api/calendar.php';
+}
+
+function icalOptions(array $config, array $extra = []): array
+{
+    $appUrl = appUrl($config);
+    return array_merge([
+        'tzid' => $config['timezone'] ?? 'UTC',
+        'duration_minutes' => $config['ical']['default_duration_minutes'] ?? 120,
+        'uid_domain' => parse_url($appUrl, PHP_URL_HOST) ?: 'localhost',
+        'event_url' => fn($id) => $appUrl . 'event.html?id=' . $id,
+    ], $extra);
+}
+
+function sendEvent(PDO $db, array $config, int $eventId): void
+{
+    if ($eventId <= 0) {
+        http_response_code(400);
+        echo json_encode(['success' => false, 'error' => 'Invalid event_id']);
+        return;
+    }
+
+    $stmt = $db->prepare("SELECT id, name, description, location, lat, lng, date, time, end_date, end_time, timezone, canceled_at FROM events WHERE id = :id AND status IN ('published', 'archived')");
+    $stmt->execute([':id' => $eventId]);
+    $event = $stmt->fetch();
+
+    if (!$event) {
+        http_response_code(404);
+        echo json_encode(['success' => false, 'error' => 'Event not found']);
+        return;
+    }
+    if (empty($event['date'])) {
+        http_response_code(422);
+        echo json_encode(['success' => false, 'error' => 'This event has no date yet']);
+        return;
+    }
+
+    $slug = trim(preg_replace('/[^a-z0-9]+/', '-', strtolower($event['name'])), '-') ?: 'event';
+    ical_send(ical_calendar([$event], icalOptions($config)), $slug . '.ics', true);
+}
+
+function sendFeed(PDO $db, array $config, string $token, bool $withFavorites): void
+{
+    // Tokens are 40 hex characters; reject anything else before touching the DB
+    if (!preg_match('/^[a-f0-9]{40}$/', $token)) {
+        http_response_code(404);
+        echo json_encode(['success' => false, 'error' => 'Calendar not found']);
+        return;
+    }
+
+    $stmt = $db->prepare('SELECT id, name FROM users WHERE calendar_token = :token AND is_active = 1 LIMIT 1');
+    $stmt->execute([':token' => $token]);
+    $user = $stmt->fetch();
+    if (!$user) {
+        http_response_code(404);
+        echo json_encode(['success' => false, 'error' => 'Calendar not found']);
+        return;
+    }
+
+    $columns = 'e.id, e.name, e.description, e.location, e.lat, e.lng, e.date, e.time, e.end_date, e.end_time, e.timezone, e.canceled_at';
+    $since = date('Y-m-d', strtotime('-' . FEED_PAST_DAYS . ' days'));
+
+    $stmt = $db->prepare(
+        "SELECT $columns
+         FROM registrations r
+         JOIN events e ON e.id = r.event_id
+         WHERE r.user_id = :uid AND r.status = 'registered' AND e.status IN ('published', 'archived') AND e.date >= :since
+         ORDER BY e.date, e.time"
+    );
+    $stmt->execute([':uid' => $user['id'], ':since' => $since]);
+    $events = [];
+    foreach ($stmt->fetchAll() as $event) {
+        $events[$event['id']] = $event;
+    }
+
+    if ($withFavorites) {
+        $stmt = $db->prepare(
+            "SELECT $columns
+             FROM user_favorites uf
+             JOIN events e ON e.id = uf.event_id
+             WHERE uf.user_id = :uid AND e.status IN ('published', 'archived') AND e.date >= :since
+             ORDER BY e.date, e.time"
+        );
+        $stmt->execute([':uid' => $user['id'], ':since' => $since]);
+        foreach ($stmt->fetchAll() as $event) {
+            // Registered events win; favorites-only ones don't block time
+            if (!isset($events[$event['id']])) {
+                $event['categories'] = ['Favorite'];
+                $event['transparent'] = true;
+                $events[$event['id']] = $event;
+            }
+        }
+    }
+
+    $body = ical_calendar(array_values($events), icalOptions($config, [
+        'name' => $withFavorites ? 'Lawen: registrations & favorites' : 'Lawen: registrations',
+        'refresh' => 'PT6H',
+    ]));
+    ical_send($body, 'lawen.ics', false);
+}
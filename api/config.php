@@ -6,6 +6,10 @@ return [
     // Admin secret for protected endpoints
     'admin_secret' => getenv('EVENTS_ADMIN_SECRET') ?: 'change-me-to-a-secure-value',
 
+    // Signs the ticket codes shown as QR codes (see api/ticket-codes.php).
+    // Changing it invalidates every ticket already issued.
+    'ticket_signing_key' => getenv('TICKET_SIGNING_KEY') ?: 'change-me-to-a-random-ticket-key',
+
     // Database connection settings. If DB_DRIVER is 'mysql' the app will use PDO MySQL.
     'db' => [
         'driver' => 'mysql',
@@ -16,4 +20,52 @@ return [
         'pass' => getenv('DB_PASS') ?: '',
         // For SQLite the file path is relative to project and set in db.php
     ],
+
+    // Time zone that event dates/times are entered in (IANA name)
+    'timezone' => getenv('EVENTS_TIMEZONE') ?: 'Europe/London',
+
+    // Past events (see api/event-archive.php and dev/archive-events.php).
+    // Published events are moved to 'archived' this many hours after they end.
+    'archive' => [
+        'after_hours' => (int) (getenv('ARCHIVE_AFTER_HOURS') ?: 24),
+    ],
+
+    // Draft, review and scheduled publishing (see api/event-publishing.php).
+    // With require_approval on, only owners can publish or schedule; admins
+    // submit their events for review instead.
+    'publishing' => [
+        'require_approval' => filter_var(getenv('PUBLISH_REQUIRE_APPROVAL') ?: false, FILTER_VALIDATE_BOOLEAN),
+    ],
+
+    // iCalendar export (see api/ical.php and api/calendar.php)
+    'ical' => [
+        // Events only have a start time; this is the length given to calendar apps
+        'default_duration_minutes' => 120,
+        // Public site root used for links and feed URLs, e.g. https://lawen.example/
+        // Leave empty to derive it from the current request.
+        'app_url' => getenv('APP_URL') ?: '',
+    ],
+
+    // Address lookup for event locations (see api/geocoder.php).
+    // 'nominatim' queries an OpenStreetMap Nominatim server; 'fixture' reads
+    // canned results from a JSON file so dev and demos work offline.
+    'geocoder' => [
+        'driver' => getenv('GEOCODER_DRIVER') ?: 'nominatim',
+        'nominatim_url' => getenv('GEOCODER_URL') ?: 'https://nominatim.openstreetmap.org/search',
+        'user_agent' => getenv('GEOCODER_USER_AGENT') ?: 'Lawen event finder (local dev)',
+        'fixture' => getenv('GEOCODER_FIXTURE') ?: __DIR__ . '/../dev/geocode-fixture.json',
+        'limit' => 5,
+    ],
+
+    // Checkout for priced events (see api/payments.php).
+    // 'mock' accepts test cards without any network access; see
+    // MockPaymentProvider for which numbers succeed or decline.
+    'payments' => [
+        'provider' => getenv('PAYMENT_PROVIDER') ?: 'mock',
+        'currency' => getenv('PAYMENT_CURRENCY') ?: 'USD',
+        // How long seats are held while an order waits for payment
+        'hold_minutes' => 15,
+        // Longer for people promoted off a waitlist, who may not be online
+        'waitlist_hold_minutes' => 1440,
+    ],
 ];
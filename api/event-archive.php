@@ -0,0 +1,90 @@
+<?php
+/**
+ * Archiving past events
+ * Published events move to 'archived' once they ended more than
+ * archive.after_hours ago (config.php). Listings already hide events that have
+ * ended; archiving takes them out of the admin's working set and makes the
+ * change visible in the admin actions log.
+ *
+ * Run on a schedule by dev/archive-events.php. Each archived event gets an
+ * 'archive_event' row in admin_actions with no admin (admin_id NULL), which
+ * the log shows as "System".
+ */
+
+require_once __DIR__ . '/event-times.php';
+
+function archiveConfig(): array {
+    $appConfig = require __DIR__ . '/config.php';
+    return ($appConfig['archive'] ?? []) + [
+        'after_hours' => 24,
+    ];
+}
+
+// Scheduled jobs log actions without an admin
+function ensureArchiveSchema(PDO $db) {
+    ensureEventTimeSchema($db);
+
+    $stmt = $db->prepare("SELECT IS_NULLABLE FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'admin_actions' AND COLUMN_NAME = 'admin_id'");
+    $stmt->execute();
+    if ($stmt->fetchColumn() === 'NO') {
+        $db->exec('ALTER TABLE admin_actions MODIFY admin_id INT NULL');
+    }
+}
+
+/**
+ * Published events that ended at least $afterHours ago, oldest first
+ */
+function endedEventsToArchive(PDO $db, $afterHours, $limit = 500) {
+    $cutoff = (new DateTimeImmutable('now', new DateTimeZone('UTC')))->modify('-' . (int)$afterHours . ' hours');
+    $stmt = $db->prepare(
+        "SELECT id, name, date, end_date, timezone, ends_at_utc
+         FROM events
+         WHERE status = 'published' AND ends_at_utc IS NOT NULL AND ends_at_utc <= :cutoff
+         ORDER BY ends_at_utc, id
+         LIMIT " . (int)$limit
+    );
+    $stmt->execute([':cutoff' => $cutoff->format('Y-m-d H:i:s')]);
+    return $stmt->fetchAll(PDO::FETCH_ASSOC);
+}
+
+/**
+ * Archive every published event that ended more than $afterHours ago (the
+ * configured delay when null) and log each one. Returns the archived rows.
+ */
+function archiveEndedEvents(PDO $db, $afterHours = null) {
+    $afterHours = $afterHours ?? (int)archiveConfig()['after_hours'];
+    $events = endedEventsToArchive($db, $afterHours);
+
+    $archive = $db->prepare("UPDATE events SET status = 'archived' WHERE id = :id AND status = 'published'");
+    $log = $db->prepare(
+        "INSERT INTO admin_actions (admin_id, action, target_type, target_id, details)
+         VALUES (NULL, 'archive_event', 'event', :id, :details)"
+    );
+
+    $archived = [];
+    foreach ($events as $event) {
+        $db->beginTransaction();
+        try {
+            $archive->execute([':id' => $event['id']]);
+            // An admin may have changed it since it was selected
+            if ($archive->rowCount() === 0) {
+                $db->rollBack();
+                continue;
+            }
+            $log->execute([
+                ':id' => $event['id'],
+                ':details' => json_encode([
+                    'name' => $event['name'],
+                    'ended_at' => $event['ends_at_utc'] . ' UTC',
+                    'after_hours' => (int)$afterHours,
+                ]),
+            ]);
+            $db->commit();
+        } catch (Exception $e) {
+            $db->rollBack();
+            throw $e;
+        }
+        $archived[] = $event;
+    }
+    return $archived;
+}
@@ -0,0 +1,119 @@
+<?php
+/**
+ * Event genre helpers
+ * Every read path returns an event's genres the same way:
+ *   'genres' => [['id' => 1, 'name' => 'Music', 'slug' => 'music', 'icon' => '🎵'], ...]
+ *
+ * Genres come from the event_genres table. Events created before it existed
+ * only have events.genre_id, which is used as a one-genre fallback. The
+ * primary genre (events.genre_id) is listed first.
+ */
+
+/**
+ * Add a 'genres' array to each event row.
+ * $idKey names the column holding the event id (e.g. 'event_id' for registrations).
+ */
+function attachEventGenres(PDO $db, array &$events, $idKey = 'id') {
+    $ids = array_values(array_unique(array_filter(array_map(
+        fn($event) => (int)($event[$idKey] ?? 0),
+        $events
+    ))));
+
+    $byEvent = [];
+    if ($ids) {
+        $placeholders = implode(',', array_fill(0, count($ids), '?'));
+        $stmt = $db->prepare(
+            "SELECT e.id AS event_id, g.id, g.name, g.slug, g.icon, (g.id = e.genre_id) AS is_primary
+             FROM events e
+             JOIN event_genres eg ON eg.event_id = e.id
+             JOIN genres g ON g.id = eg.genre_id
+             WHERE e.id IN ($placeholders)
+             UNION
+             SELECT e.id, g.id, g.name, g.slug, g.icon, 1
+             FROM events e
+             JOIN genres g ON g.id = e.genre_id
+             WHERE e.id IN ($placeholders)
+               AND NOT EXISTS (SELECT 1 FROM event_genres eg2 WHERE eg2.event_id = e.id)
+             ORDER BY event_id, is_primary DESC, name"
+        );
+        $stmt->execute(array_merge($ids, $ids));
+        foreach ($stmt->fetchAll(PDO::FETCH_ASSOC) as $row) {
+            $byEvent[(int)$row['event_id']][] = [
+                'id' => (int)$row['id'],
+                'name' => $row['name'],
+                'slug' => $row['slug'],
+                'icon' => $row['icon'],
+            ];
+        }
+    }
+
+    foreach ($events as &$event) {
+        $event['genres'] = $byEvent[(int)($event[$idKey] ?? 0)] ?? [];
+    }
+    unset($event);
+}
+
+/**
+ * Parse a genre filter: "rock,jazz", ['rock', 'jazz'] or ids.
+ * Returns a de-duplicated list of non-empty strings.
+ */
+function parseGenreFilter($value) {
+    $values = is_array($value) ? $value : explode(',', (string)$value);
+    $values = array_map(fn($v) => trim((string)$v), $values);
+    return array_values(array_unique(array_filter($values, fn($v) => $v !== '')));
+}
+
+/**
+ * SQL condition (on alias e) for events having any / all of the given genres,
+ * matched by slug or numeric id. Adds its placeholders to $params.
+ */
+function genreFilterSql(array $genres, $matchAll, array &$params) {
+    // Native prepares can't reuse a placeholder, so each use gets its own set
+    $genreMatch = function ($alias, $prefix) use ($genres, &$params) {
+        $slugs = [];
+        $ids = [];
+        foreach (array_values($genres) as $i => $genre) {
+            if (ctype_digit($genre)) {
+                $ids[] = ":{$prefix}_id$i";
+                $params[":{$prefix}_id$i"] = (int)$genre;
+            } else {
+                $slugs[] = ":{$prefix}_slug$i";
+                $params[":{$prefix}_slug$i"] = $genre;
+            }
+        }
+
+        $match = [];
+        if ($slugs) {
+            $match[] = "$alias.slug IN (" . implode(',', $slugs) . ')';
+        }
+        if ($ids) {
+            $match[] = "$alias.id IN (" . implode(',', $ids) . ')';
+        }
+        return '(' . implode(' OR ', $match) . ')';
+    };
+
+    // Count how many of the requested genres the event has (event_genres or
+    // the legacy genre_id): at least one for "any", every one for "all"
+    $count = "(SELECT COUNT(DISTINCT fg.id) FROM genres fg
+        WHERE " . $genreMatch('fg', 'gf') . "
+          AND (fg.id = e.genre_id
+               OR EXISTS (SELECT 1 FROM event_genres feg WHERE feg.event_id = e.id AND feg.genre_id = fg.id)))";
+    if (!$matchAll) {
+        return "$count > 0";
+    }
+
+    // "All" counts genres, not inputs: jazz,3 may name the same one twice
+    return "$count = (SELECT COUNT(*) FROM genres rg WHERE " . $genreMatch('rg', 'gr') . ")";
+}
+
+/**
+ * Add genres.display_order on databases created before genres could be
+ * reordered. New rows default to 0, so unordered genres fall back to name order.
+ */
+function ensureGenreDisplayOrder(PDO $db) {
+    $stmt = $db->prepare("SELECT COUNT(*) FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'genres' AND COLUMN_NAME = 'display_order'");
+    $stmt->execute();
+    if ((int)$stmt->fetchColumn() === 0) {
+        $db->exec('ALTER TABLE genres ADD COLUMN display_order INT NOT NULL DEFAULT 0');
+    }
+}
@@ -57,7 +57,8 @@ try {
         exit;
     }
 
-    $db = require __DIR__ . '/../db.php';
+    $db = require __DIR__ . '/db.php';
+    require_once __DIR__ . '/event-genres.php';
 
     // check role
     $stmt = $db->prepare('SELECT role FROM users WHERE firebase_uid = :uid');
@@ -81,9 +82,12 @@ try {
         exit;
     }
 
+    $single = [$event];
+    attachEventGenres($db, $single);
+
     echo json_encode([
         'success' => true,
-        'event'   => $event,
+        'event'   => $single[0],
     ]);
 } catch (Exception $e) {
     error_log('event-get error: ' . $e->getMessage());
@@ -0,0 +1,274 @@
+<?php
+/**
+ * Publishing workflow
+ * Events move between these states:
+ *   draft           being written; only admins can see (and preview) it
+ *   pending_review  submitted for an owner's approval
+ *   scheduled       goes live at publish_at (UTC)
+ *   published       listed on the public site
+ *   archived        ended a while ago (see api/event-archive.php)
+ *
+ * Transitions:
+ *   submit     draft -> pending_review; publish_at is when it should go live (optional)
+ *   approve    pending_review -> scheduled, or published when publish_at has passed (owners)
+ *   reject     pending_review -> draft, with a note for the author (owners)
+ *   publish    draft/scheduled -> published now
+ *   schedule   draft/scheduled -> scheduled at publish_at
+ *   unpublish  pending_review/scheduled/published -> draft
+ *
+ * With publishing.require_approval on (config.php) only owners can publish or
+ * schedule; admins submit for review. Every date of a repeating event shares
+ * the workflow, and each transition is recorded in admin_actions.
+ *
+ * publishDueEvents() puts scheduled events live; dev/publish-scheduled.php
+ * runs it from cron.
+ */
+
+require_once __DIR__ . '/event-archive.php';
+
+const EVENT_STATUSES = ['draft', 'pending_review', 'scheduled', 'published', 'archived'];
+
+// Action => states it can be taken from
+const PUBLISHING_TRANSITIONS = [
+    'submit' => ['draft'],
+    'approve' => ['pending_review'],
+    'reject' => ['pending_review'],
+    'publish' => ['draft', 'scheduled'],
+    'schedule' => ['draft', 'scheduled'],
+    'unpublish' => ['pending_review', 'scheduled', 'published'],
+];
+
+const MAX_REVIEW_NOTE_LENGTH = 500;
+
+// A transition that isn't allowed; the code is the HTTP status to answer with
+class PublishingException extends RuntimeException {}
+
+function publishingConfig(): array {
+    $appConfig = require __DIR__ . '/config.php';
+    return ($appConfig['publishing'] ?? []) + [
+        'require_approval' => false,
+    ];
+}
+
+function ensurePublishingSchema(PDO $db) {
+    // Scheduled publishing is logged without an admin
+    ensureArchiveSchema($db);
+
+    $stmt = $db->prepare("SELECT COLUMN_NAME, COLUMN_TYPE FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'events' AND COLUMN_NAME IN ('status', 'publish_at', 'review_note')");
+    $stmt->execute();
+    $columns = $stmt->fetchAll(PDO::FETCH_KEY_PAIR);
+
+    $alter = [];
+    if (isset($columns['status']) && strpos($columns['status'], 'pending_review') === false) {
+        $alter[] = "MODIFY status ENUM('draft','pending_review','scheduled','published','archived') DEFAULT 'published'";
+    }
+    if (!isset($columns['publish_at'])) {
+        $alter[] = 'ADD COLUMN publish_at DATETIME NULL, ADD INDEX idx_publish_at (status, publish_at)';
+    }
+    if (!isset($columns['review_note'])) {
+        $alter[] = 'ADD COLUMN review_note VARCHAR(' . MAX_REVIEW_NOTE_LENGTH . ') NULL';
+    }
+    if ($alter) {
+        $db->exec('ALTER TABLE events ' . implode(', ', $alter));
+    }
+}
+
+/**
+ * publish_at from a payload (ISO 8601, e.g. 2025-07-01T09:00:00+02:00) as
+ * UTC, or null when empty. Values without an offset are read as UTC.
+ */
+function parsePublishAt($value) {
+    if ($value === null || $value === '') {
+        return null;
+    }
+    if (!is_string($value) || !preg_match('/^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/', $value)) {
+        throw new InvalidArgumentException('Publish time is not a valid date and time');
+    }
+    try {
+        $utc = new DateTimeZone('UTC');
+        return (new DateTimeImmutable($value, $utc))->setTimezone($utc);
+    } catch (Exception $e) {
+        throw new InvalidArgumentException('Publish time is not a valid date and time');
+    }
+}
+
+/**
+ * Check that $user may take $action on $event and work out the outcome:
+ * ['action', 'from', 'status', 'publish_at' (UTC 'Y-m-d H:i:s' or null), 'review_note'].
+ * Throws PublishingException (403/409), or InvalidArgumentException for bad input.
+ */
+function planTransition(array $event, $action, array $user, array $input = []) {
+    if (!isset(PUBLISHING_TRANSITIONS[$action])) {
+        throw new InvalidArgumentException('Unknown publishing action');
+    }
+    $from = $event['status'] ?? 'draft';
+    if (!in_array($from, PUBLISHING_TRANSITIONS[$action], true)) {
+        throw new PublishingException("Can't $action an event that is " . str_replace('_', ' ', $from), 409);
+    }
+
+    $isOwner = ($user['role'] ?? null) === 'owner';
+    if (($action === 'approve' || $action === 'reject') && !$isOwner) {
+        throw new PublishingException('Only an owner can approve or reject events', 403);
+    }
+    if (($action === 'publish' || $action === 'schedule') && !$isOwner && publishingConfig()['require_approval']) {
+        throw new PublishingException("Events need an owner's approval before they go live. Submit it for review instead.", 403);
+    }
+
+    $utc = new DateTimeZone('UTC');
+    $now = new DateTimeImmutable('now', $utc);
+    $publishAt = parsePublishAt($input['publish_at'] ?? null);
+    $plan = ['action' => $action, 'from' => $from, 'status' => 'draft', 'publish_at' => null, 'review_note' => null];
+
+    switch ($action) {
+        case 'submit':
+            if ($publishAt && $publishAt <= $now) {
+                throw new InvalidArgumentException('Publish time must be in the future');
+            }
+            $plan['status'] = 'pending_review';
+            break;
+        case 'approve':
+            // The time asked for when it was submitted, unless the owner picks another
+            if (!$publishAt && !empty($event['publish_at'])) {
+                $publishAt = new DateTimeImmutable($event['publish_at'], $utc);
+            }
+            if ($publishAt && $publishAt <= $now) {
+                $publishAt = null;
+            }
+            $plan['status'] = $publishAt ? 'scheduled' : 'published';
+            break;
+        case 'reject':
+            // Back to the author, keeping the requested time for the next submission
+            if (!empty($event['publish_at'])) {
+                $publishAt = new DateTimeImmutable($event['publish_at'], $utc);
+            }
+            $note = trim((string)($input['note'] ?? ''));
+            $plan['review_note'] = $note === '' ? null : mb_substr($note, 0, MAX_REVIEW_NOTE_LENGTH);
+            break;
+        case 'publish':
+            $plan['status'] = 'published';
+            $publishAt = null;
+            break;
+        case 'schedule':
+            if (!$publishAt) {
+                throw new InvalidArgumentException('Choose when the event should be published');
+            }
+            if ($publishAt <= $now) {
+                throw new InvalidArgumentException('Publish time must be in the future');
+            }
+            $plan['status'] = 'scheduled';
+            break;
+        case 'unpublish':
+            $publishAt = null;
+            break;
+    }
+
+    $plan['publish_at'] = $publishAt ? $publishAt->format('Y-m-d H:i:s') : null;
+    return $plan;
+}
+
+/**
+ * Apply a plan from planTransition() to $event and, for a repeating event, to
+ * every date of its series in the same state, then log it. Call inside a
+ * transaction. Returns the ids of the changed events.
+ */
+function applyTransition(PDO $db, array $event, array $plan, $adminId, $ipAddress = null) {
+    $ids = [(int)$event['id']];
+    if (!empty($event['series_id'])) {
+        $stmt = $db->prepare('SELECT id FROM events WHERE series_id = :series AND status = :status AND id <> :id');
+        $stmt->execute([':series' => $event['series_id'], ':status' => $plan['from'], ':id' => $event['id']]);
+        $ids = array_merge($ids, array_map('intval', $stmt->fetchAll(PDO::FETCH_COLUMN)));
+    }
+
+    $update = $db->prepare('UPDATE events SET status = ?, publish_at = ?, review_note = ? WHERE id = ? AND status = ?');
+    foreach ($ids as $id) {
+        $update->execute([$plan['status'], $plan['publish_at'], $plan['review_note'], $id, $plan['from']]);
+        // Someone else moved it on since it was loaded
+        if ($id === (int)$event['id'] && $update->rowCount() === 0) {
+            throw new PublishingException('This event was changed in the meantime. Reload and try again.', 409);
+        }
+    }
+
+    logEventTransition($db, $adminId, $event, $plan, count($ids), $ipAddress);
+    return $ids;
+}
+
+// One admin_actions row per transition, e.g. 'submit_event'; $adminId is null for the scheduler
+function logEventTransition(PDO $db, $adminId, array $event, array $plan, $dates = 1, $ipAddress = null) {
+    $details = ['name' => $event['name'], 'from' => $plan['from'], 'to' => $plan['status']];
+    if ($plan['publish_at'] !== null) {
+        $details['publish_at'] = $plan['publish_at'] . ' UTC';
+    }
+    if ($plan['review_note'] !== null && $plan['action'] === 'reject') {
+        $details['note'] = $plan['review_note'];
+    }
+    if ($dates > 1) {
+        $details['dates'] = $dates;
+    }
+
+    $db->prepare(
+        'INSERT INTO admin_actions (admin_id, action, target_type, target_id, details, ip_address)
+         VALUES (:admin_id, :action, :target_type, :target_id, :details, :ip_address)'
+    )->execute([
+        ':admin_id' => $adminId,
+        ':action' => $plan['action'] . '_event',
+        ':target_type' => 'event',
+        ':target_id' => $event['id'],
+        ':details' => json_encode($details),
+        ':ip_address' => $ipAddress,
+    ]);
+}
+
+/**
+ * Publish scheduled events whose publish_at has passed, logging each one
+ * without an admin. Returns the published rows.
+ */
+function publishDueEvents(PDO $db, $limit = 500) {
+    $stmt = $db->prepare(
+        "SELECT id, name, series_id, status, publish_at
+         FROM events
+         WHERE status = 'scheduled' AND publish_at <= :now
+         ORDER BY publish_at, id
+         LIMIT " . (int)$limit
+    );
+    $stmt->execute([':now' => gmdate('Y-m-d H:i:s')]);
+    $due = $stmt->fetchAll(PDO::FETCH_ASSOC);
+
+    $publish = $db->prepare("UPDATE events SET status = 'published', publish_at = NULL WHERE id = :id AND status = 'scheduled'");
+    $published = [];
+    foreach ($due as $event) {
+        $db->beginTransaction();
+        try {
+            $publish->execute([':id' => $event['id']]);
+            // Another request got to it first
+            if ($publish->rowCount() === 0) {
+                $db->rollBack();
+                continue;
+            }
+            logEventTransition($db, null, $event, [
+                'action' => 'publish',
+                'from' => 'scheduled',
+                'status' => 'published',
+                'publish_at' => $event['publish_at'],
+                'review_note' => null,
+            ]);
+            $db->commit();
+        } catch (Exception $e) {
+            $db->rollBack();
+            throw $e;
+        }
+        $published[] = $event;
+    }
+    return $published;
+}
+
+// A stored publish_at (UTC) as ISO 8601 for the admin pages, or null
+function publishAtIso($value) {
+    return $value ? (new DateTimeImmutable($value, new DateTimeZone('UTC')))->format(DATE_ATOM) : null;
+}
+
+function formatPublishAt(array &$events) {
+    foreach ($events as &$event) {
+        $event['publish_at'] = publishAtIso($event['publish_at'] ?? null);
+    }
+    unset($event);
+}
@@ -0,0 +1,245 @@
+<?php
+/**
+ * Event revisions
+ * Every save of an event stores a snapshot of its editable details
+ * (REVISION_FIELDS, genres and ticket types) in event_revisions, numbered per
+ * event, with who saved it and when. An event that was last saved before
+ * revisions were kept gets that state recorded first ('original'), so its
+ * first change can be undone too. Saves that change nothing add no revision.
+ *
+ * Restoring writes an older snapshot back and records the result as a new
+ * revision ('restore'), so a restore can itself be undone. Status and series
+ * membership are not part of a snapshot and stay as they are.
+ */
+
+require_once __DIR__ . '/tickets.php';
+require_once __DIR__ . '/event-times.php';
+
+// Columns of events that a revision snapshots and a restore writes back
+const REVISION_FIELDS = ['name', 'description', 'location', 'lat', 'lng', 'date', 'time', 'end_date', 'end_time', 'timezone',
+    'age_restriction', 'price', 'image_url', 'genre_id', 'capacity', 'refund_policy', 'refund_percent', 'refund_cutoff_hours'];
+
+function ensureRevisionSchema(PDO $db) {
+    $db->exec(
+        "CREATE TABLE IF NOT EXISTS event_revisions (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            event_id INT NOT NULL,
+            revision INT NOT NULL,
+            action ENUM('original','create','edit','restore') NOT NULL DEFAULT 'edit',
+            restored_from INT NULL,
+            snapshot MEDIUMTEXT NOT NULL,
+            edited_by INT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY unique_event_revision (event_id, revision),
+            CONSTRAINT fk_revision_event FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
+            CONSTRAINT fk_revision_editor FOREIGN KEY (edited_by) REFERENCES users(id) ON DELETE SET NULL
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci"
+    );
+}
+
+// The event's editable details as a revision stores them, or null when it doesn't exist
+function eventSnapshot(PDO $db, $eventId) {
+    $stmt = $db->prepare('SELECT ' . implode(', ', REVISION_FIELDS) . ' FROM events WHERE id = :id');
+    $stmt->execute([':id' => $eventId]);
+    $snapshot = $stmt->fetch(PDO::FETCH_ASSOC);
+    if (!$snapshot) {
+        return null;
+    }
+
+    $stmt = $db->prepare('SELECT genre_id FROM event_genres WHERE event_id = :id ORDER BY genre_id');
+    $stmt->execute([':id' => $eventId]);
+    $snapshot['genres'] = array_map('intval', $stmt->fetchAll(PDO::FETCH_COLUMN));
+
+    $stmt = $db->prepare('SELECT id, name, price, capacity FROM ticket_types WHERE event_id = :id ORDER BY sort_order, id');
+    $stmt->execute([':id' => $eventId]);
+    $snapshot['ticket_types'] = array_map(function ($type) {
+        return [
+            'id' => (int)$type['id'],
+            'name' => $type['name'],
+            'price' => (float)$type['price'],
+            'capacity' => $type['capacity'] !== null ? (int)$type['capacity'] : null,
+        ];
+    }, $stmt->fetchAll(PDO::FETCH_ASSOC));
+
+    return $snapshot;
+}
+
+/**
+ * Record the event's current details as its next revision. Call inside the
+ * transaction that changed it. Returns the revision number (the latest one
+ * when nothing changed since), or null when the event doesn't exist.
+ */
+function recordRevision(PDO $db, $eventId, $editorId, $action = 'edit', $restoredFrom = null) {
+    $snapshot = eventSnapshot($db, $eventId);
+    if ($snapshot === null) {
+        return null;
+    }
+
+    $latest = latestRevision($db, $eventId);
+    if ($latest && $action !== 'restore' && !diffSnapshots($latest['snapshot'], $snapshot)) {
+        return $latest['revision'];
+    }
+
+    $revision = $latest ? $latest['revision'] + 1 : 1;
+    $db->prepare(
+        'INSERT INTO event_revisions (event_id, revision, action, restored_from, snapshot, edited_by)
+         VALUES (:event, :revision, :action, :restored_from, :snapshot, :edited_by)'
+    )->execute([
+        ':event' => $eventId,
+        ':revision' => $revision,
+        ':action' => $action,
+        ':restored_from' => $restoredFrom,
+        ':snapshot' => json_encode($snapshot),
+        ':edited_by' => $editorId,
+    ]);
+    return $revision;
+}
+
+// Record the event as it is now if it has no revisions yet; call before changing it
+function ensureBaselineRevision(PDO $db, $eventId) {
+    if (!latestRevision($db, $eventId)) {
+        recordRevision($db, $eventId, null, 'original');
+    }
+}
+
+function latestRevision(PDO $db, $eventId) {
+    $stmt = $db->prepare('SELECT revision, snapshot FROM event_revisions WHERE event_id = :event ORDER BY revision DESC LIMIT 1');
+    $stmt->execute([':event' => $eventId]);
+    $row = $stmt->fetch(PDO::FETCH_ASSOC);
+    return $row ? ['revision' => (int)$row['revision'], 'snapshot' => json_decode($row['snapshot'], true)] : null;
+}
+
+// One revision with its decoded snapshot, or null
+function fetchRevision(PDO $db, $eventId, $revision) {
+    $stmt = $db->prepare('SELECT * FROM event_revisions WHERE event_id = :event AND revision = :revision');
+    $stmt->execute([':event' => $eventId, ':revision' => $revision]);
+    $row = $stmt->fetch(PDO::FETCH_ASSOC);
+    if (!$row) {
+        return null;
+    }
+    $row['snapshot'] = json_decode($row['snapshot'], true);
+    return $row;
+}
+
+/**
+ * Field-level differences from one snapshot to the next:
+ * [['field' => 'price', 'from' => '10.00', 'to' => '12.50'], ...]
+ * genre_id is left out; it follows the first of genres.
+ */
+function diffSnapshots(array $before, array $after) {
+    // Ticket type ids change when types are re-created; compare what people see
+    $comparable = function ($field, $value) {
+        if ($field === 'ticket_types' && is_array($value)) {
+            return array_map(function ($type) {
+                return ['name' => $type['name'], 'price' => (float)$type['price'], 'capacity' => $type['capacity']];
+            }, $value);
+        }
+        return $value;
+    };
+
+    $changes = [];
+    foreach (array_merge(array_diff(REVISION_FIELDS, ['genre_id']), ['genres', 'ticket_types']) as $field) {
+        $from = $comparable($field, $before[$field] ?? null);
+        $to = $comparable($field, $after[$field] ?? null);
+        if (json_encode($from) !== json_encode($to)) {
+            $changes[] = ['field' => $field, 'from' => $from, 'to' => $to];
+        }
+    }
+    return $changes;
+}
+
+/**
+ * An event's revisions, newest first, each with its editor and what changed
+ * from the revision before it (genres by name)
+ */
+function eventRevisions(PDO $db, $eventId) {
+    $stmt = $db->prepare(
+        'SELECT r.revision, r.action, r.restored_from, r.snapshot, r.edited_by, r.created_at, u.name AS editor_name
+         FROM event_revisions r
+         LEFT JOIN users u ON u.id = r.edited_by
+         WHERE r.event_id = :event
+         ORDER BY r.revision'
+    );
+    $stmt->execute([':event' => $eventId]);
+    $rows = $stmt->fetchAll(PDO::FETCH_ASSOC);
+
+    $genreNames = $db->query('SELECT id, name FROM genres')->fetchAll(PDO::FETCH_KEY_PAIR);
+    $named = function ($ids) use ($genreNames) {
+        return array_map(function ($id) use ($genreNames) {
+            return $genreNames[$id] ?? "#$id";
+        }, $ids ?? []);
+    };
+
+    $revisions = [];
+    $previous = null;
+    foreach ($rows as $row) {
+        $snapshot = json_decode($row['snapshot'], true);
+        $changes = $previous === null ? [] : diffSnapshots($previous, $snapshot);
+        foreach ($changes as &$change) {
+            if ($change['field'] === 'genres') {
+                $change['from'] = $named($change['from']);
+                $change['to'] = $named($change['to']);
+            }
+        }
+        unset($change);
+
+        $revisions[] = [
+            'revision' => (int)$row['revision'],
+            'action' => $row['action'],
+            'restored_from' => $row['restored_from'] !== null ? (int)$row['restored_from'] : null,
+            'edited_by' => $row['edited_by'] !== null ? (int)$row['edited_by'] : null,
+            'editor_name' => $row['editor_name'],
+            'created_at' => $row['created_at'],
+            'changes' => $changes,
+        ];
+        $previous = $snapshot;
+    }
+    return array_reverse($revisions);
+}
+
+/**
+ * Write a revision's snapshot back to the event and record the result as a
+ * new revision. Call inside a transaction. Returns ['revision' => new number,
+ * 'changes' => diffSnapshots() from before the restore]. Throws
+ * InvalidArgumentException when the snapshot's ticket types no longer validate.
+ */
+function restoreRevision(PDO $db, $eventId, array $revision, $editorId) {
+    ensureBaselineRevision($db, $eventId);
+    $current = eventSnapshot($db, $eventId);
+    $snapshot = $revision['snapshot'];
+
+    $set = [];
+    $params = [':id' => $eventId];
+    foreach (REVISION_FIELDS as $field) {
+        $set[] = "$field = :$field";
+        $params[":$field"] = $snapshot[$field] ?? null;
+    }
+    // A genre deleted since can't be the primary one any more
+    if ($params[':genre_id'] !== null) {
+        $stmt = $db->prepare('SELECT COUNT(*) FROM genres WHERE id = :id');
+        $stmt->execute([':id' => $params[':genre_id']]);
+        if (!$stmt->fetchColumn()) {
+            $params[':genre_id'] = null;
+        }
+    }
+    $capacity = $snapshot['capacity'] ?? null;
+    $set[] = 'available_spots = :available_spots';
+    $params[':available_spots'] = $capacity !== null ? max((int)$capacity - seatsUsed($db, $eventId), 0) : 0;
+    $db->prepare('UPDATE events SET ' . implode(', ', $set) . ' WHERE id = :id')->execute($params);
+
+    $db->prepare('DELETE FROM event_genres WHERE event_id = :event')->execute([':event' => $eventId]);
+    // Skipping genres that were deleted since
+    $genreStmt = $db->prepare('INSERT INTO event_genres (event_id, genre_id) SELECT :event, id FROM genres WHERE id = :genre');
+    foreach ($snapshot['genres'] ?? [] as $genreId) {
+        $genreStmt->execute([':event' => $eventId, ':genre' => $genreId]);
+    }
+
+    // Types deleted since are added back under new ids
+    saveTicketTypes($db, $eventId, $snapshot['ticket_types'] ?? []);
+    refreshEventTimes($db, [$eventId]);
+
+    return [
+        'revision' => recordRevision($db, $eventId, $editorId, 'restore', (int)$revision['revision']),
+        'changes' => diffSnapshots($current, eventSnapshot($db, $eventId)),
+    ];
+}
@@ -0,0 +1,422 @@
+<?php
+/**
+ * Recurring events
+ * A series is a recurrence rule (daily, weekly on chosen weekdays or monthly,
+ * every N periods, ending on a date or after a number of dates) stored in
+ * event_series. Each date of the series is a regular events row with
+ * series_id set, so registration, capacity, waitlist and check-in all work
+ * per occurrence without knowing about series.
+ *
+ * An occurrence edited on its own gets series_override = 1 and is skipped
+ * when later edits are applied to the whole series. A canceled occurrence
+ * keeps its row with canceled_at set and drops out of the listings.
+ */
+
+require_once __DIR__ . '/tickets.php';
+require_once __DIR__ . '/payments.php';
+require_once __DIR__ . '/event-times.php';
+
+// Hard limit on generated dates, so a typo in the end date can't create thousands of events
+const MAX_SERIES_OCCURRENCES = 100;
+const SERIES_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const SERIES_WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+function ensureSeriesSchema(PDO $db) {
+    $db->exec(
+        "CREATE TABLE IF NOT EXISTS event_series (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            freq ENUM('daily','weekly','monthly') NOT NULL,
+            interval_count INT NOT NULL DEFAULT 1,
+            weekdays VARCHAR(20) NULL,
+            until_date DATE NULL,
+            occurrence_count INT NULL,
+            created_by INT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci"
+    );
+
+    $stmt = $db->prepare("SELECT COLUMN_NAME FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'events' AND COLUMN_NAME IN ('series_id', 'series_override', 'canceled_at')");
+    $stmt->execute();
+    $existing = $stmt->fetchAll(PDO::FETCH_COLUMN);
+
+    $missing = [];
+    if (!in_array('series_id', $existing, true)) {
+        $missing[] = 'ADD COLUMN series_id INT NULL, ADD INDEX idx_series (series_id, date)';
+    }
+    if (!in_array('series_override', $existing, true)) {
+        $missing[] = 'ADD COLUMN series_override TINYINT(1) NOT NULL DEFAULT 0';
+    }
+    if (!in_array('canceled_at', $existing, true)) {
+        $missing[] = 'ADD COLUMN canceled_at DATETIME NULL';
+    }
+    if ($missing) {
+        $db->exec('ALTER TABLE events ' . implode(', ', $missing));
+    }
+}
+
+/**
+ * Normalized rule from the 'recurrence' object of an event payload, or null
+ * for a one-off event:
+ * {"freq": "weekly", "interval": 1, "weekdays": ["MO", "TH"], "until": "2026-12-31"}
+ * or {"freq": "monthly", "count": 6}. Exactly one of until/count is required.
+ * Throws InvalidArgumentException with a user-facing message.
+ */
+function recurrenceFromInput(array $input) {
+    $recurrence = $input['recurrence'] ?? null;
+    if (!is_array($recurrence) || empty($recurrence['freq']) || $recurrence['freq'] === 'none') {
+        return null;
+    }
+
+    $freq = strtolower((string)$recurrence['freq']);
+    if (!in_array($freq, SERIES_FREQUENCIES, true)) {
+        throw new InvalidArgumentException('Repeat must be daily, weekly or monthly');
+    }
+
+    $interval = (int)($recurrence['interval'] ?? 1);
+    if ($interval < 1 || $interval > 99) {
+        throw new InvalidArgumentException('Repeat interval must be between 1 and 99');
+    }
+
+    $weekdays = [];
+    if ($freq === 'weekly') {
+        $weekdays = array_map('strtoupper', (array)($recurrence['weekdays'] ?? []));
+        if (array_diff($weekdays, SERIES_WEEKDAYS)) {
+            throw new InvalidArgumentException('Unknown weekday in the repeat rule');
+        }
+        // Keep Monday-first order so the rule reads the same however it was sent
+        $weekdays = array_values(array_intersect(SERIES_WEEKDAYS, $weekdays));
+    }
+
+    $until = trim((string)($recurrence['until'] ?? ''));
+    $count = isset($recurrence['count']) && $recurrence['count'] !== '' ? (int)$recurrence['count'] : null;
+    if (($until === '') === ($count === null)) {
+        throw new InvalidArgumentException('A repeating event needs either an end date or a number of dates');
+    }
+    if ($until !== '') {
+        $parsed = DateTimeImmutable::createFromFormat('!Y-m-d', $until);
+        if (!$parsed || $parsed->format('Y-m-d') !== $until) {
+            throw new InvalidArgumentException('Repeat end date is not a valid date');
+        }
+    }
+    if ($count !== null && ($count < 2 || $count > MAX_SERIES_OCCURRENCES)) {
+        throw new InvalidArgumentException('Number of dates must be between 2 and ' . MAX_SERIES_OCCURRENCES);
+    }
+
+    return [
+        'freq' => $freq,
+        'interval' => $interval,
+        'weekdays' => $weekdays,
+        'until' => $until !== '' ? $until : null,
+        'count' => $count,
+    ];
+}
+
+/**
+ * Dates (Y-m-d) of a rule starting on $startDate. The start date is always
+ * the first occurrence, like DTSTART in RFC 5545. Weekly rules without
+ * weekdays repeat on the start date's weekday; monthly rules skip months
+ * without that day of the month (the 31st, say).
+ * Throws InvalidArgumentException when the rule yields too many dates or
+ * ends before it starts.
+ */
+function expandRecurrence(array $rule, $startDate) {
+    $start = DateTimeImmutable::createFromFormat('!Y-m-d', (string)$startDate);
+    if (!$start) {
+        throw new InvalidArgumentException('Date is required for a repeating event');
+    }
+    $until = $rule['until'] ? DateTimeImmutable::createFromFormat('!Y-m-d', $rule['until']) : null;
+    if ($until && $until <= $start) {
+        throw new InvalidArgumentException('Repeat end date must be after the first date');
+    }
+
+    $dates = [$start->format('Y-m-d')];
+    $add = function (DateTimeImmutable $date) use (&$dates, $rule, $until, $start) {
+        if ($date <= $start) {
+            return true;
+        }
+        if (($until && $date > $until) || ($rule['count'] && count($dates) >= $rule['count'])) {
+            return false;
+        }
+        if (count($dates) >= MAX_SERIES_OCCURRENCES) {
+            throw new InvalidArgumentException('A series can have at most ' . MAX_SERIES_OCCURRENCES . ' dates. Choose an earlier end date.');
+        }
+        $dates[] = $date->format('Y-m-d');
+        return true;
+    };
+
+    $interval = $rule['interval'];
+    // Bounded by the limit on dates; the step cap only guards against rules that never match
+    for ($step = 1; $step <= MAX_SERIES_OCCURRENCES * 12; $step++) {
+        if ($rule['freq'] === 'daily') {
+            $more = $add($start->modify('+' . ($step * $interval) . ' days'));
+        } elseif ($rule['freq'] === 'weekly') {
+            $weekdays = $rule['weekdays'] ?: [SERIES_WEEKDAYS[(int)$start->format('N') - 1]];
+            // Walk week by week from the Monday of the start week (step 1 is that week itself)
+            $monday = $start->modify('-' . ((int)$start->format('N') - 1) . ' days')
+                ->modify('+' . (($step - 1) * $interval) . ' weeks');
+            $more = true;
+            foreach ($weekdays as $weekday) {
+                $more = $add($monday->modify('+' . array_search($weekday, SERIES_WEEKDAYS, true) . ' days'));
+                if (!$more) {
+                    break;
+                }
+            }
+        } else {
+            $months = (int)$start->format('n') - 1 + $step * $interval;
+            $year = (int)$start->format('Y') + intdiv($months, 12);
+            $month = $months % 12 + 1;
+            $day = (int)$start->format('j');
+            $more = checkdate($month, $day, $year)
+                ? $add($start->setDate($year, $month, $day))
+                : true;
+        }
+        if (!$more) {
+            break;
+        }
+    }
+
+    if (count($dates) < 2) {
+        throw new InvalidArgumentException('The repeat rule gives no dates after the first one');
+    }
+    return $dates;
+}
+
+// RFC 5545 RRULE for a rule, e.g. FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=8
+function recurrenceRrule(array $rule) {
+    $parts = ['FREQ=' . strtoupper($rule['freq'])];
+    if ($rule['interval'] > 1) {
+        $parts[] = 'INTERVAL=' . $rule['interval'];
+    }
+    if ($rule['weekdays']) {
+        $parts[] = 'BYDAY=' . implode(',', $rule['weekdays']);
+    }
+    $parts[] = $rule['until'] ? 'UNTIL=' . str_replace('-', '', $rule['until']) : 'COUNT=' . $rule['count'];
+    return implode(';', $parts);
+}
+
+// Series row as sent to the browser
+function formatSeries(array $row) {
+    $rule = [
+        'freq' => $row['freq'],
+        'interval' => (int)$row['interval_count'],
+        'weekdays' => $row['weekdays'] ? explode(',', $row['weekdays']) : [],
+        'until' => $row['until_date'],
+        'count' => $row['occurrence_count'] !== null ? (int)$row['occurrence_count'] : null,
+    ];
+    return ['id' => (int)$row['id']] + $rule + ['rrule' => recurrenceRrule($rule)];
+}
+
+/**
+ * Copy an event with its genres and ticket types, replacing the columns in
+ * $overrides. Nothing sold is copied: the copy starts with every seat free.
+ * Returns the new event id.
+ */
+function cloneEvent(PDO $db, $sourceId, array $overrides = []) {
+    $stmt = $db->prepare("SELECT COLUMN_NAME FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'events'");
+    $stmt->execute();
+    $columns = array_diff($stmt->fetchAll(PDO::FETCH_COLUMN), ['id', 'created_at', 'updated_at', 'available_spots']);
+
+    $select = [];
+    $params = [':source' => $sourceId];
+    foreach ($columns as $column) {
+        if (array_key_exists($column, $overrides)) {
+            $select[] = ':o_' . $column;
+            $params[':o_' . $column] = $overrides[$column];
+        } else {
+            $select[] = "`$column`";
+        }
+    }
+    $list = implode(', ', array_map(function ($column) {
+        return "`$column`";
+    }, $columns));
+
+    $db->prepare("INSERT INTO events ($list, available_spots) SELECT " . implode(', ', $select) . ", capacity FROM events WHERE id = :source")
+        ->execute($params);
+    $newId = (int)$db->lastInsertId();
+
+    $db->prepare('INSERT INTO event_genres (event_id, genre_id) SELECT :target, genre_id FROM event_genres WHERE event_id = :source')
+        ->execute([':target' => $newId, ':source' => $sourceId]);
+    $db->prepare(
+        'INSERT INTO ticket_types (event_id, name, price, capacity, sort_order)
+         SELECT :target, name, price, capacity, sort_order FROM ticket_types WHERE event_id = :source'
+    )->execute([':target' => $newId, ':source' => $sourceId]);
+
+    return $newId;
+}
+
+/**
+ * Turn $eventId into the first date of a new series and create the other
+ * dates as copies of it. Call inside a transaction. Returns the series id.
+ */
+function createSeries(PDO $db, $eventId, array $rule, array $dates, $createdBy) {
+    $db->prepare(
+        'INSERT INTO event_series (freq, interval_count, weekdays, until_date, occurrence_count, created_by)
+         VALUES (:freq, :interval, :weekdays, :until, :count, :created_by)'
+    )->execute([
+        ':freq' => $rule['freq'],
+        ':interval' => $rule['interval'],
+        ':weekdays' => $rule['weekdays'] ? implode(',', $rule['weekdays']) : null,
+        ':until' => $rule['until'],
+        ':count' => $rule['count'],
+        ':created_by' => $createdBy,
+    ]);
+    $seriesId = (int)$db->lastInsertId();
+
+    $db->prepare('UPDATE events SET series_id = :series WHERE id = :id')
+        ->execute([':series' => $seriesId, ':id' => $eventId]);
+
+    // Multi-day events keep their length on every date
+    $stmt = $db->prepare('SELECT DATEDIFF(end_date, date) FROM events WHERE id = :id');
+    $stmt->execute([':id' => $eventId]);
+    $spanDays = $stmt->fetchColumn();
+
+    $ids = [(int)$eventId];
+    foreach (array_slice($dates, 1) as $date) {
+        $endDate = $spanDays !== null && $spanDays !== false
+            ? (new DateTimeImmutable($date))->modify('+' . (int)$spanDays . ' days')->format('Y-m-d')
+            : null;
+        $ids[] = cloneEvent($db, $eventId, ['date' => $date, 'end_date' => $endDate, 'series_id' => $seriesId]);
+    }
+    refreshEventTimes($db, $ids);
+    return $seriesId;
+}
+
+// Ids of every date of a series, whatever its status
+function seriesEventIds(PDO $db, $seriesId) {
+    $stmt = $db->prepare('SELECT id FROM events WHERE series_id = :series ORDER BY date, time, id');
+    $stmt->execute([':series' => $seriesId]);
+    return array_map('intval', $stmt->fetchAll(PDO::FETCH_COLUMN));
+}
+
+/**
+ * Dates of a series on or after $fromDate (all when null), canceled ones
+ * included and flagged
+ */
+function seriesOccurrences(PDO $db, $seriesId, $fromDate = null, $limit = MAX_SERIES_OCCURRENCES) {
+    $sql = "SELECT id, date, time, capacity, available_spots, canceled_at
+            FROM events
+            WHERE series_id = :series AND status = 'published'";
+    $params = [':series' => $seriesId];
+    if ($fromDate !== null) {
+        $sql .= ' AND date >= :from_date';
+        $params[':from_date'] = $fromDate;
+    }
+    $stmt = $db->prepare($sql . ' ORDER BY date, time, id LIMIT ' . (int)$limit);
+    $stmt->execute($params);
+
+    return array_map(function ($row) {
+        return [
+            'id' => (int)$row['id'],
+            'date' => $row['date'],
+            'time' => $row['time'],
+            'canceled' => $row['canceled_at'] !== null,
+            'sold_out' => (int)$row['capacity'] > 0 && (int)$row['available_spots'] <= 0,
+        ];
+    }, $stmt->fetchAll(PDO::FETCH_ASSOC));
+}
+
+// Add a 'series' key (formatSeries() or null) to each event row
+function attachEventSeries(PDO $db, array &$events) {
+    $ids = array_values(array_unique(array_filter(array_map(function ($event) {
+        return (int)($event['series_id'] ?? 0);
+    }, $events))));
+
+    $series = [];
+    if ($ids) {
+        $placeholders = implode(',', array_fill(0, count($ids), '?'));
+        $stmt = $db->prepare("SELECT * FROM event_series WHERE id IN ($placeholders)");
+        $stmt->execute($ids);
+        foreach ($stmt->fetchAll(PDO::FETCH_ASSOC) as $row) {
+            $series[(int)$row['id']] = formatSeries($row);
+        }
+    }
+
+    foreach ($events as &$event) {
+        $event['series'] = $series[(int)($event['series_id'] ?? 0)] ?? null;
+    }
+    unset($event);
+}
+
+/**
+ * Copy the shared details of $sourceId (not its date), genres and ticket
+ * types to the upcoming dates of its series that haven't been edited on
+ * their own. Call inside a
+ * transaction. Returns the ids of the updated events.
+ */
+function applyToSeries(PDO $db, $sourceId, $seriesId) {
+    $stmt = $db->prepare(
+        "SELECT id FROM events
+         WHERE series_id = :series AND id <> :source AND series_override = 0
+           AND canceled_at IS NULL AND date >= CURDATE()"
+    );
+    $stmt->execute([':series' => $seriesId, ':source' => $sourceId]);
+    $targets = array_map('intval', $stmt->fetchAll(PDO::FETCH_COLUMN));
+    if (!$targets) {
+        return [];
+    }
+
+    $shared = ['name', 'description', 'location', 'lat', 'lng', 'time', 'end_time', 'timezone', 'age_restriction', 'price',
+        'image_url', 'status', 'publish_at', 'genre_id', 'capacity', 'refund_policy', 'refund_percent', 'refund_cutoff_hours'];
+    $set = implode(', ', array_map(function ($column) {
+        return "t.`$column` = s.`$column`";
+    }, $shared));
+    // The length of a multi-day event carries over; each date keeps its own start
+    $set .= ', t.end_date = IF(s.end_date IS NULL, NULL, DATE_ADD(t.date, INTERVAL DATEDIFF(s.end_date, s.date) DAY))';
+    $placeholders = implode(',', array_fill(0, count($targets), '?'));
+
+    $db->prepare("UPDATE events t JOIN events s ON s.id = ? SET $set WHERE t.id IN ($placeholders)")
+        ->execute(array_merge([$sourceId], $targets));
+    $db->prepare("DELETE FROM event_genres WHERE event_id IN ($placeholders)")->execute($targets);
+    $db->prepare(
+        "INSERT INTO event_genres (event_id, genre_id)
+         SELECT t.id, eg.genre_id FROM events t JOIN event_genres eg ON eg.event_id = ?
+         WHERE t.id IN ($placeholders)"
+    )->execute(array_merge([$sourceId], $targets));
+
+    // Ticket types match the source's, paired up by name so types that have
+    // sold tickets keep their ids
+    $stmt = $db->prepare('SELECT name, price, capacity FROM ticket_types WHERE event_id = :event ORDER BY sort_order, id');
+    $stmt->execute([':event' => $sourceId]);
+    $sourceTypes = $stmt->fetchAll(PDO::FETCH_ASSOC);
+    $targetTypes = $db->prepare('SELECT name, id FROM ticket_types WHERE event_id = :event');
+
+    foreach ($targets as $id) {
+        $targetTypes->execute([':event' => $id]);
+        $typeIds = $targetTypes->fetchAll(PDO::FETCH_KEY_PAIR);
+        saveTicketTypes($db, $id, array_map(function ($type) use ($typeIds) {
+            return $type + ['id' => $typeIds[$type['name']] ?? null];
+        }, $sourceTypes));
+        syncAvailableSpots($db, $id);
+    }
+    refreshEventTimes($db, $targets);
+    return $targets;
+}
+
+/**
+ * Cancel one date of a series (or any event): it leaves the listings and
+ * every registration, waitlist entry and unpaid hold is canceled, with paid
+ * orders refunded in full. Call inside a transaction; a failed refund
+ * throws PaymentException. Returns ['registrations' => n, 'refunded' => total].
+ */
+function cancelOccurrence(PDO $db, array $event) {
+    $db->prepare('UPDATE events SET canceled_at = NOW() WHERE id = :id')->execute([':id' => $event['id']]);
+
+    $stmt = $db->prepare(
+        "SELECT * FROM registrations
+         WHERE event_id = :event AND status IN ('registered', 'pending', 'waitlisted')
+         FOR UPDATE"
+    );
+    $stmt->execute([':event' => $event['id']]);
+    $registrations = $stmt->fetchAll(PDO::FETCH_ASSOC);
+
+    $refunded = 0.0;
+    $cancel = $db->prepare("UPDATE registrations SET status = 'canceled', waitlisted_at = NULL, updated_at = NOW() WHERE id = :id");
+    foreach ($registrations as $registration) {
+        $order = settleCanceledOrder($db, $registration, $event, true);
+        $refunded += $order ? (float)$order['refunded_amount'] : 0.0;
+        $cancel->execute([':id' => $registration['id']]);
+    }
+    syncAvailableSpots($db, $event['id']);
+
+    return ['registrations' => count($registrations), 'refunded' => round($refunded, 2)];
+}
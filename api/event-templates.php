@@ -0,0 +1,129 @@
+<?php
+/**
+ * Event templates
+ * A named set of event details (everything but the dates) that admins start
+ * new events from on the add page, e.g. "Friday jazz night at the Loft".
+ * Templates are shared by every admin; saving under a name that is already
+ * taken replaces that template. The details are validated when an event is
+ * created from them, not when they are saved, so a template may be partial.
+ */
+
+require_once __DIR__ . '/event-revisions.php';
+
+// Columns of events a template keeps; date and end_date are left for each new event
+const TEMPLATE_FIELDS = ['name', 'description', 'location', 'lat', 'lng', 'time', 'end_time', 'timezone',
+    'age_restriction', 'price', 'image_url', 'capacity', 'refund_policy', 'refund_percent', 'refund_cutoff_hours'];
+
+const MAX_TEMPLATE_NAME_LENGTH = 100;
+
+function ensureTemplateSchema(PDO $db) {
+    $db->exec(
+        "CREATE TABLE IF NOT EXISTS event_templates (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            name VARCHAR(" . MAX_TEMPLATE_NAME_LENGTH . ") NOT NULL,
+            details MEDIUMTEXT NOT NULL,
+            created_by INT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            UNIQUE KEY unique_template_name (name),
+            CONSTRAINT fk_template_creator FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci"
+    );
+}
+
+/**
+ * The template details in $input (shaped like an add-event payload), keeping
+ * only TEMPLATE_FIELDS, genres (ids) and ticket types (name, price, capacity)
+ */
+function templateDetails(array $input) {
+    $details = [];
+    foreach (TEMPLATE_FIELDS as $field) {
+        $value = $input[$field] ?? null;
+        $details[$field] = is_scalar($value) ? $value : null;
+    }
+
+    $details['genres'] = array_values(array_map('intval', array_filter(
+        is_array($input['genres'] ?? null) ? $input['genres'] : [],
+        'is_numeric'
+    )));
+
+    $details['ticket_types'] = [];
+    foreach (is_array($input['ticket_types'] ?? null) ? $input['ticket_types'] : [] as $type) {
+        if (!is_array($type)) {
+            continue;
+        }
+        $details['ticket_types'][] = [
+            'name' => (string)($type['name'] ?? ''),
+            'price' => is_numeric($type['price'] ?? null) ? (float)$type['price'] : 0,
+            'capacity' => is_numeric($type['capacity'] ?? null) ? (int)$type['capacity'] : null,
+        ];
+    }
+    return $details;
+}
+
+// Template details taken from a saved event, or null when it doesn't exist
+function templateDetailsFromEvent(PDO $db, $eventId) {
+    $snapshot = eventSnapshot($db, $eventId);
+    return $snapshot === null ? null : templateDetails($snapshot);
+}
+
+/**
+ * Save $details under $name, replacing a template of the same name.
+ * Returns ['id' => template id, 'replaced' => bool]. Throws
+ * InvalidArgumentException when the name is missing or too long.
+ */
+function saveTemplate(PDO $db, $name, array $details, $userId) {
+    $name = trim((string)$name);
+    if ($name === '' || mb_strlen($name) > MAX_TEMPLATE_NAME_LENGTH) {
+        throw new InvalidArgumentException('Template name is required (' . MAX_TEMPLATE_NAME_LENGTH . ' characters max)');
+    }
+
+    $stmt = $db->prepare('SELECT id FROM event_templates WHERE name = :name');
+    $stmt->execute([':name' => $name]);
+    $existingId = $stmt->fetchColumn();
+
+    if ($existingId) {
+        $db->prepare('UPDATE event_templates SET details = :details, created_by = :user WHERE id = :id')
+            ->execute([':details' => json_encode($details), ':user' => $userId, ':id' => $existingId]);
+        return ['id' => (int)$existingId, 'replaced' => true];
+    }
+
+    $db->prepare('INSERT INTO event_templates (name, details, created_by) VALUES (:name, :details, :user)')
+        ->execute([':name' => $name, ':details' => json_encode($details), ':user' => $userId]);
+    return ['id' => (int)$db->lastInsertId(), 'replaced' => false];
+}
+
+// One template with its decoded details, or null
+function fetchTemplate(PDO $db, $templateId) {
+    $stmt = $db->prepare(
+        'SELECT t.id, t.name, t.details, t.created_by, t.updated_at, u.name AS created_by_name
+         FROM event_templates t
+         LEFT JOIN users u ON u.id = t.created_by
+         WHERE t.id = :id'
+    );
+    $stmt->execute([':id' => $templateId]);
+    $row = $stmt->fetch(PDO::FETCH_ASSOC);
+    return $row ? formatTemplate($row) : null;
+}
+
+// Every template by name
+function listTemplates(PDO $db) {
+    $rows = $db->query(
+        'SELECT t.id, t.name, t.details, t.created_by, t.updated_at, u.name AS created_by_name
+         FROM event_templates t
+         LEFT JOIN users u ON u.id = t.created_by
+         ORDER BY t.name'
+    )->fetchAll(PDO::FETCH_ASSOC);
+    return array_map('formatTemplate', $rows);
+}
+
+function formatTemplate(array $row) {
+    return [
+        'id' => (int)$row['id'],
+        'name' => $row['name'],
+        'details' => json_decode($row['details'], true) ?: [],
+        'created_by' => $row['created_by'] !== null ? (int)$row['created_by'] : null,
+        'created_by_name' => $row['created_by_name'],
+        'updated_at' => $row['updated_at'],
+    ];
+}
@@ -0,0 +1,256 @@
+<?php
+/**
+ * Event times
+ * An event starts at date/time and ends at end_date/end_time, all wall-clock
+ * values in the event's IANA time zone (events.timezone, or config.php
+ * 'timezone' when it is not set).
+ *
+ * The end is optional:
+ * - no time: the event lasts whole days, from date to end_date (or date)
+ * - no end_date or end_time: it lasts ical.default_duration_minutes
+ * - end_time only: it ends that day, or the next when end_time <= time
+ * - end_date only: it ends at midnight after end_date
+ *
+ * starts_at_utc/ends_at_utc are derived from those on every save, so filters
+ * such as "happening now" compare UTC instants whatever the event's zone.
+ */
+
+// Longest an event can run, so a mistyped end date can't keep it "happening" for months
+const MAX_EVENT_DAYS = 31;
+// How close to its end a running event counts as "ends soon"
+const ENDS_SOON_MINUTES = 120;
+
+function ensureEventTimeSchema(PDO $db) {
+    $stmt = $db->prepare("SELECT COLUMN_NAME FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'events' AND COLUMN_NAME IN ('end_date', 'end_time', 'timezone', 'starts_at_utc', 'ends_at_utc')");
+    $stmt->execute();
+    $existing = $stmt->fetchAll(PDO::FETCH_COLUMN);
+
+    $missing = [];
+    if (!in_array('end_date', $existing, true)) {
+        $missing[] = 'ADD COLUMN end_date DATE NULL';
+    }
+    if (!in_array('end_time', $existing, true)) {
+        $missing[] = 'ADD COLUMN end_time TIME NULL';
+    }
+    if (!in_array('timezone', $existing, true)) {
+        $missing[] = 'ADD COLUMN timezone VARCHAR(64) NULL';
+    }
+    if (!in_array('starts_at_utc', $existing, true)) {
+        $missing[] = 'ADD COLUMN starts_at_utc DATETIME NULL';
+    }
+    if (!in_array('ends_at_utc', $existing, true)) {
+        $missing[] = 'ADD COLUMN ends_at_utc DATETIME NULL, ADD INDEX idx_ends_at (ends_at_utc, starts_at_utc)';
+    }
+    if ($missing) {
+        $db->exec('ALTER TABLE events ' . implode(', ', $missing));
+        // Existing events get their UTC range once, from their date/time
+        refreshEventTimes($db);
+    }
+}
+
+// Zone events are entered in when they don't set their own
+function defaultEventTimezone() {
+    $appConfig = require __DIR__ . '/config.php';
+    return $appConfig['timezone'] ?? 'UTC';
+}
+
+function defaultEventDurationMinutes() {
+    $appConfig = require __DIR__ . '/config.php';
+    return (int)($appConfig['ical']['default_duration_minutes'] ?? 120);
+}
+
+// Links count too: browsers offer legacy names such as Asia/Calcutta and
+// Europe/Kiev (V8's Intl.supportedValuesOf) in place of Asia/Kolkata and Europe/Kyiv
+function isValidTimezone($tzid) {
+    return is_string($tzid) && in_array($tzid, DateTimeZone::listIdentifiers(DateTimeZone::ALL_WITH_BC), true);
+}
+
+function eventTimezone(array $event) {
+    return !empty($event['timezone']) && isValidTimezone($event['timezone']) ? $event['timezone'] : defaultEventTimezone();
+}
+
+/**
+ * Start and end of an event in its zone, or null without a date.
+ * Returns ['start' => DateTimeImmutable, 'end' => DateTimeImmutable, 'all_day' => bool].
+ * $tzid and $durationMinutes default to the event's zone and the configured duration.
+ */
+function eventTimes(array $event, $tzid = null, $durationMinutes = null) {
+    if (empty($event['date'])) {
+        return null;
+    }
+    $tz = new DateTimeZone(!empty($event['timezone']) && isValidTimezone($event['timezone']) ? $event['timezone'] : ($tzid ?? defaultEventTimezone()));
+    $endDate = !empty($event['end_date']) ? $event['end_date'] : $event['date'];
+
+    if (empty($event['time'])) {
+        $start = new DateTimeImmutable($event['date'], $tz);
+        return ['start' => $start, 'end' => (new DateTimeImmutable($endDate, $tz))->modify('+1 day'), 'all_day' => true];
+    }
+
+    $start = new DateTimeImmutable($event['date'] . ' ' . $event['time'], $tz);
+    if (!empty($event['end_time'])) {
+        $end = new DateTimeImmutable($endDate . ' ' . $event['end_time'], $tz);
+        // Same-day end times before the start run past midnight (20:00-02:00)
+        if (empty($event['end_date']) && $end <= $start) {
+            $end = $end->modify('+1 day');
+        }
+    } elseif (!empty($event['end_date'])) {
+        $end = (new DateTimeImmutable($event['end_date'], $tz))->modify('+1 day');
+    } else {
+        $end = $start->modify('+' . (int)($durationMinutes ?? defaultEventDurationMinutes()) . ' minutes');
+    }
+    return ['start' => $start, 'end' => $end, 'all_day' => false];
+}
+
+// 'Y-m-d' date from a payload, or null when empty; throws on anything else
+function parseEventDate($value, $message) {
+    if ($value === null || $value === '') {
+        return null;
+    }
+    if (!preg_match('/^(\d{4})-(\d{2})-(\d{2})$/', (string)$value, $m) || !checkdate((int)$m[2], (int)$m[3], (int)$m[1])) {
+        throw new InvalidArgumentException($message);
+    }
+    return (string)$value;
+}
+
+// 'H:i:s' time from an 'H:i' or 'H:i:s' payload value, or null when empty; throws on anything else
+function parseEventTime($value, $message) {
+    if ($value === null || $value === '') {
+        return null;
+    }
+    if (!preg_match('/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/', (string)$value, $m)
+        || (int)$m[1] > 23 || (int)$m[2] > 59 || (int)($m[3] ?? 0) > 59) {
+        throw new InvalidArgumentException($message);
+    }
+    return sprintf('%02d:%02d:%02d', $m[1], $m[2], $m[3] ?? 0);
+}
+
+/**
+ * Validated date, time, end_date, end_time and timezone columns from an
+ * admin payload, falling back to $existing for fields not sent. Sending an
+ * empty end_date, end_time or timezone clears it.
+ * Throws InvalidArgumentException with a user-facing message.
+ */
+function eventTimesFromInput(array $input, array $existing = []) {
+    $pick = function ($key) use ($input, $existing) {
+        return array_key_exists($key, $input) ? $input[$key] : ($existing[$key] ?? null);
+    };
+
+    $times = [
+        'date' => parseEventDate($pick('date'), 'Date must be a valid date'),
+        'time' => parseEventTime($pick('time'), 'Time must be a valid time'),
+        'end_date' => parseEventDate($pick('end_date'), 'End date must be a valid date'),
+        'end_time' => parseEventTime($pick('end_time'), 'End time must be a valid time'),
+        'timezone' => $pick('timezone') ?: null,
+    ];
+
+    if ($times['timezone'] !== null && !isValidTimezone($times['timezone'])) {
+        throw new InvalidArgumentException('Time zone must be an IANA name such as Europe/London');
+    }
+    if (($times['end_date'] || $times['end_time']) && !$times['date']) {
+        throw new InvalidArgumentException('Set a start date before an end');
+    }
+    if ($times['end_time'] && !$times['time']) {
+        throw new InvalidArgumentException('Set a start time before an end time');
+    }
+    $range = eventTimes($times);
+    if ($range) {
+        if (($times['end_date'] && $times['end_date'] < $times['date']) || $range['end'] <= $range['start']) {
+            throw new InvalidArgumentException('The event must end after it starts');
+        }
+        if ($range['end']->getTimestamp() - $range['start']->getTimestamp() > MAX_EVENT_DAYS * 86400) {
+            throw new InvalidArgumentException('An event can last at most ' . MAX_EVENT_DAYS . ' days');
+        }
+    }
+    return $times;
+}
+
+/**
+ * Recompute starts_at_utc/ends_at_utc from the stored times, for $ids or
+ * (when null) every event. Call after any write to the time columns.
+ */
+function refreshEventTimes(PDO $db, ?array $ids = null) {
+    $sql = 'SELECT id, date, time, end_date, end_time, timezone FROM events';
+    $params = [];
+    if ($ids !== null) {
+        $ids = array_values(array_unique(array_map('intval', $ids)));
+        if (!$ids) {
+            return;
+        }
+        $sql .= ' WHERE id IN (' . implode(',', array_fill(0, count($ids), '?')) . ')';
+        $params = $ids;
+    }
+    $stmt = $db->prepare($sql);
+    $stmt->execute($params);
+
+    $update = $db->prepare('UPDATE events SET starts_at_utc = :starts, ends_at_utc = :ends WHERE id = :id');
+    $utc = new DateTimeZone('UTC');
+    foreach ($stmt->fetchAll(PDO::FETCH_ASSOC) as $event) {
+        $range = eventTimes($event);
+        $update->execute([
+            ':starts' => $range ? $range['start']->setTimezone($utc)->format('Y-m-d H:i:s') : null,
+            ':ends' => $range ? $range['end']->setTimezone($utc)->format('Y-m-d H:i:s') : null,
+            ':id' => $event['id'],
+        ]);
+    }
+}
+
+/**
+ * Times as sent to the browser: the event's zone, ISO 8601 start/end with
+ * that zone's offset (null without a date), and whether it spans several days
+ */
+function formatEventTimes(array $event) {
+    $range = eventTimes($event);
+    $multiDay = false;
+    if ($range) {
+        // An end at midnight belongs to the day before
+        $lastDay = $range['end']->format('H:i:s') === '00:00:00' ? $range['end']->modify('-1 day') : $range['end'];
+        $multiDay = $lastDay->format('Y-m-d') > $range['start']->format('Y-m-d');
+    }
+    return [
+        'timezone' => eventTimezone($event),
+        'starts_at' => $range ? $range['start']->format(DATE_ATOM) : null,
+        'ends_at' => $range ? $range['end']->format(DATE_ATOM) : null,
+        'all_day' => $range ? $range['all_day'] : false,
+        'multi_day' => $multiDay,
+    ];
+}
+
+// Add formatEventTimes() keys to each event row
+function attachEventTimes(array &$events) {
+    foreach ($events as &$event) {
+        $event = formatEventTimes($event) + $event;
+    }
+    unset($event);
+}
+
+/**
+ * WHERE clause for a when= filter, or null for unknown values:
+ * 'now' is running at this moment, 'ends_soon' is running and ends within
+ * ENDS_SOON_MINUTES. Adds its placeholders to $params.
+ */
+function eventWhenSql($when, array &$params) {
+    $now = new DateTimeImmutable('now', new DateTimeZone('UTC'));
+    if ($when === 'now') {
+        $params[':when_start'] = $now->format('Y-m-d H:i:s');
+        $params[':when_end'] = $now->format('Y-m-d H:i:s');
+        return 'e.starts_at_utc <= :when_start AND e.ends_at_utc > :when_end';
+    }
+    if ($when === 'ends_soon') {
+        $params[':when_start'] = $now->format('Y-m-d H:i:s');
+        $params[':when_end'] = $now->format('Y-m-d H:i:s');
+        $params[':when_soon'] = $now->modify('+' . ENDS_SOON_MINUTES . ' minutes')->format('Y-m-d H:i:s');
+        return 'e.starts_at_utc <= :when_start AND e.ends_at_utc > :when_end AND e.ends_at_utc <= :when_soon';
+    }
+    return null;
+}
+
+/**
+ * WHERE clause for events that haven't ended yet; undated events count as
+ * upcoming. Listings and the dashboard share this definition of "upcoming".
+ * Adds its placeholder to $params.
+ */
+function eventUpcomingSql(array &$params, $alias = 'e') {
+    $column = ($alias ? $alias . '.' : '') . 'ends_at_utc';
+    $params[':upcoming_now'] = gmdate('Y-m-d H:i:s');
+    return "($column IS NULL OR $column > :upcoming_now)";
+}
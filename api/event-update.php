@@ -1,7 +1,7 @@
 <?php
 // api/admin/event-update.php
 // POST /api/admin/event-update.php
-// Body: { id, name, description, date, time, location, image_url }
+// Body: { id, name, description, date, time, location, image_url, lat?, lng? }
 
 header('Content-Type: application/json');
 header('Access-Control-Allow-Origin: *');
@@ -52,10 +52,14 @@ try {
     }
 
     /** @var PDO $db */
-    $db = require __DIR__ . '/../db.php';
+    $db = require __DIR__ . '/db.php';
+    require_once __DIR__ . '/event-revisions.php';
+    ensureTicketSchema($db);
+    ensureEventTimeSchema($db);
+    ensureRevisionSchema($db);
 
     // role check
-    $stmt = $db->prepare('SELECT role FROM users WHERE firebase_uid = :uid');
+    $stmt = $db->prepare('SELECT id, role FROM users WHERE firebase_uid = :uid');
     $stmt->execute([':uid' => $firebaseUid]);
     $user = $stmt->fetch(PDO::FETCH_ASSOC);
 
@@ -82,6 +86,10 @@ try {
     $time        = isset($data['time']) ? trim($data['time']) : '';
     $location    = isset($data['location']) ? trim($data['location']) : '';
     $imageUrl    = isset($data['image_url']) ? trim((string) $data['image_url']) : null;
+    // Coordinates are optional; omitted keys keep the stored values
+    $hasCoords   = array_key_exists('lat', $data) || array_key_exists('lng', $data);
+    $lat         = isset($data['lat']) && $data['lat'] !== '' ? (float) $data['lat'] : null;
+    $lng         = isset($data['lng']) && $data['lng'] !== '' ? (float) $data['lng'] : null;
 
     $errors = [];
 
@@ -103,6 +111,11 @@ try {
     if ($location === '') {
         $errors[] = 'Location is required';
     }
+    if (($lat === null) !== ($lng === null)) {
+        $errors[] = 'Latitude and longitude must be set together';
+    } elseif ($lat !== null && (abs($lat) > 90 || abs($lng) > 180)) {
+        $errors[] = 'Coordinates are out of range';
+    }
 
     if (!empty($errors)) {
         http_response_code(422);
@@ -120,6 +133,10 @@ try {
     }
 
     // -------- UPDATE EVENT --------
+    $db->beginTransaction();
+    // Events saved before history was kept get their current state recorded first
+    ensureBaselineRevision($db, $id);
+
     $stmt2 = $db->prepare('
         UPDATE events
         SET name = :name,
@@ -127,11 +144,13 @@ try {
             date = :date,
             time = :time,
             location = :location,
-            image_url = :image_url
+            image_url = :image_url' . ($hasCoords ? ',
+            lat = :lat,
+            lng = :lng' : '') . '
         WHERE id = :id
     ');
 
-    $stmt2->execute([
+    $params = [
         ':name'       => $name,
         ':description'=> $description,
         ':date'       => $date,
@@ -139,13 +158,25 @@ try {
         ':location'   => $location,
         ':image_url'  => $imageUrl ?: null,
         ':id'         => $id,
-    ]);
+    ];
+    if ($hasCoords) {
+        $params[':lat'] = $lat;
+        $params[':lng'] = $lng;
+    }
+    $stmt2->execute($params);
+    // Keeps the "happening now" filters in step with the new date/time
+    refreshEventTimes($db, [$id]);
+    recordRevision($db, $id, (int) $user['id']);
+    $db->commit();
 
     echo json_encode([
         'success' => true,
         'message' => 'Event updated successfully',
     ]);
 } catch (Exception $e) {
+    if (isset($db) && $db->inTransaction()) {
+        $db->rollBack();
+    }
     error_log('event-update error: ' . $e->getMessage());
     http_response_code(500);
     echo json_encode(['success' => false, 'error' => 'Server error while updating event']);
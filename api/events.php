@@ -8,25 +8,93 @@ if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
     exit(0);
 }
 
-function distance_km($lat1, $lon1, $lat2, $lon2) {
-    $R = 6371;
-    $dLat = deg2rad($lat2 - $lat1);
-    $dLon = deg2rad($lon2 - $lon1);
-    $a = sin($dLat/2) * sin($dLat/2) + cos(deg2rad($lat1)) * cos(deg2rad($lat2)) * sin($dLon/2) * sin($dLon/2);
-    $c = 2 * atan2(sqrt($a), sqrt(1-$a));
-    return $R * $c;
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LAT = 111.045;
+
+// Haversine great-circle distance (km) from a fixed point to e.lat/e.lng, as SQL.
+// Coordinates are validated floats, so they are inlined rather than bound.
+function distance_sql($lat, $lng) {
+    $lat = sprintf('%.7F', $lat);
+    $lng = sprintf('%.7F', $lng);
+    return "(" . EARTH_RADIUS_KM . " * 2 * ASIN(SQRT(LEAST(1,
+        POWER(SIN(RADIANS(e.lat - $lat) / 2), 2)
+        + COS(RADIANS($lat)) * COS(RADIANS(e.lat)) * POWER(SIN(RADIANS(e.lng - $lng) / 2), 2)
+    ))))";
+}
+
+// Cheap index-friendly box around the point; Haversine then trims the corners
+function bounding_box_sql($lat, $lng, $radiusKm) {
+    $dLat = $radiusKm / KM_PER_DEGREE_LAT;
+    $clauses = [sprintf('e.lat BETWEEN %.7F AND %.7F', $lat - $dLat, $lat + $dLat)];
+
+    // Longitude degrees shrink towards the poles; skip the box where it
+    // degenerates or would wrap around the antimeridian
+    $cosLat = cos(deg2rad($lat));
+    if ($cosLat > 0.01) {
+        $dLng = $radiusKm / (KM_PER_DEGREE_LAT * $cosLat);
+        if ($lng - $dLng >= -180 && $lng + $dLng <= 180) {
+            $clauses[] = sprintf('e.lng BETWEEN %.7F AND %.7F', $lng - $dLng, $lng + $dLng);
+        }
+    }
+    return implode(' AND ', $clauses);
+}
+
+// Split a search query into at most 5 distinct lowercase terms
+function search_terms($query) {
+    $terms = preg_split('/\s+/u', mb_strtolower(trim($query)), -1, PREG_SPLIT_NO_EMPTY);
+    return array_slice(array_values(array_unique($terms)), 0, 5);
+}
+
+function like_escape($value) {
+    return addcslashes($value, '\\%_');
+}
+
+// Short excerpt of $text around the first matched term, or null if no term matches
+function search_snippet($text, $terms, $radius = 60) {
+    $text = trim(preg_replace('/\s+/u', ' ', (string)$text));
+    if ($text === '') {
+        return null;
+    }
+
+    $lower = mb_strtolower($text);
+    $pos = false;
+    foreach ($terms as $term) {
+        $p = mb_strpos($lower, $term);
+        if ($p !== false && ($pos === false || $p < $pos)) {
+            $pos = $p;
+        }
+    }
+    if ($pos === false) {
+        return null;
+    }
+
+    $start = max(0, $pos - $radius);
+    $length = $radius * 2;
+    $snippet = mb_substr($text, $start, $length);
+    if ($start > 0) {
+        $snippet = '…' . ltrim($snippet);
+    }
+    if ($start + $length < mb_strlen($text)) {
+        $snippet = rtrim($snippet) . '…';
+    }
+    return $snippet;
 }
 
 try {
     $db = require __DIR__ . '/db.php';
+    require_once __DIR__ . '/event-genres.php';
+    require_once __DIR__ . '/tickets.php';
+    require_once __DIR__ . '/event-series.php';
+    require_once __DIR__ . '/event-times.php';
 
     if (isset($_GET['id'])) {
+        // Archived events stay viewable, so links from registrations and calendars keep working
         $stmt = $db->prepare('
             SELECT e.*, g. name as genre_name, g. slug as genre_slug, g. icon as genre_icon, u. name as owner_name
             FROM events e
             LEFT JOIN genres g ON e.genre_id = g.id
             LEFT JOIN users u ON e.owner_id = u.id
-            WHERE e.id = :id AND e.status = "published"
+            WHERE e.id = :id AND e.status IN ("published", "archived")
         ');
         $stmt->execute([':id' => $_GET['id']]);
         $event = $stmt->fetch(PDO::FETCH_ASSOC);
@@ -37,30 +105,80 @@ try {
             exit;
         }
         
-        echo json_encode(['success' => true, 'event' => $event]);
+        $single = [$event];
+        attachEventGenres($db, $single);
+        attachEventTimes($single);
+        ensureTicketSchema($db);
+        $single[0]['ticket_types'] = fetchTicketTypes($db, (int)$event['id']);
+        // Canceled dates still open (with canceled_at set) so links to them keep working
+        attachEventSeries($db, $single);
+        if ($single[0]['series']) {
+            $single[0]['series']['upcoming'] = seriesOccurrences($db, (int)$event['series_id'], date('Y-m-d'), 12);
+        }
+        echo json_encode(['success' => true, 'event' => $single[0]]);
         exit;
     }
     
-    $where = ["e.status = 'published'"];
+    // Every date of a series is its own event; canceled dates are left out
+    $where = ["e.canceled_at IS NULL"];
     $params = [];
     
-    if (! empty($_GET['search'])) {
-        $where[] = "(e.name LIKE :search OR e.location LIKE :search OR e.description LIKE :search)";
-        $params[':search'] = '%' . $_GET['search'] . '%';
+    // Events that have ended are hidden unless include_past=1, which also
+    // brings back the ones the archive job has moved to 'archived'
+    if (!empty($_GET['include_past']) && $_GET['include_past'] !== '0') {
+        $where[] = "(e.status = 'published' OR (e.status = 'archived' AND NOT " . eventUpcomingSql($params) . "))";
+    } else {
+        $where[] = "e.status = 'published'";
+        $where[] = eventUpcomingSql($params);
     }
     
-    if (!empty($_GET['genre'])) {
-        if (is_numeric($_GET['genre'])) {
-            $where[] = "e.genre_id = :genre";
-            $params[':genre'] = $_GET['genre'];
-        } else {
-            $where[] = "g.slug = :genre";
-            $params[':genre'] = $_GET['genre'];
-        }
+    // Every term must match one of name, description, location or genre.
+    // Each term is ranked by where it matched: name > genre > location > description.
+    // Placeholders are unique per use because native prepares can't repeat them.
+    $terms = !empty($_GET['search']) ? search_terms($_GET['search']) : [];
+    $scoreParts = [];
+    $scoreParams = [];
+    foreach ($terms as $i => $term) {
+        $like = '%' . like_escape($term) . '%';
+        $where[] = "(e.name LIKE :s{$i}_name OR e.description LIKE :s{$i}_desc
+            OR e.location LIKE :s{$i}_loc OR g.name LIKE :s{$i}_genre
+            OR EXISTS (
+                SELECT 1 FROM event_genres eg
+                JOIN genres sg ON sg.id = eg.genre_id
+                WHERE eg.event_id = e.id AND sg.name LIKE :s{$i}_genres
+            ))";
+        $params[":s{$i}_name"] = $like;
+        $params[":s{$i}_desc"] = $like;
+        $params[":s{$i}_loc"] = $like;
+        $params[":s{$i}_genre"] = $like;
+        $params[":s{$i}_genres"] = $like;
+
+        $scoreParts[] = "(CASE WHEN e.name LIKE :r{$i}_prefix THEN 15 WHEN e.name LIKE :r{$i}_name THEN 10 ELSE 0 END)
+            + (CASE WHEN g.name LIKE :r{$i}_genre THEN 6 ELSE 0 END)
+            + (CASE WHEN e.location LIKE :r{$i}_loc THEN 4 ELSE 0 END)
+            + (CASE WHEN e.description LIKE :r{$i}_desc THEN 2 ELSE 0 END)";
+        $scoreParams[":r{$i}_prefix"] = like_escape($term) . '%';
+        $scoreParams[":r{$i}_name"] = $like;
+        $scoreParams[":r{$i}_genre"] = $like;
+        $scoreParams[":r{$i}_loc"] = $like;
+        $scoreParams[":r{$i}_desc"] = $like;
+    }
+    if (count($terms) > 1) {
+        // Whole phrase in the title outranks scattered term matches
+        $scoreParts[] = "(CASE WHEN e.name LIKE :r_phrase THEN 20 ELSE 0 END)";
+        $scoreParams[':r_phrase'] = '%' . like_escape(implode(' ', $terms)) . '%';
+    }
+    $scoreSql = $scoreParts ? implode(' + ', $scoreParts) : '0';
+    
+    // genre=rock,jazz (slugs or ids) matches any of them; genre_mode=all requires every one
+    $genreFilter = parseGenreFilter($_GET['genre'] ?? '');
+    if ($genreFilter) {
+        $where[] = genreFilterSql($genreFilter, ($_GET['genre_mode'] ?? '') === 'all', $params);
     }
     
+    // Multi-day events match every day they run on
     if (!empty($_GET['date_from'])) {
-        $where[] = "e.date >= :date_from";
+        $where[] = "COALESCE(e.end_date, e.date) >= :date_from";
         $params[':date_from'] = $_GET['date_from'];
     }
     
@@ -69,27 +187,90 @@ try {
         $params[':date_to'] = $_GET['date_to'];
     }
     
-    if (isset($_GET['price_min'])) {
+    // when=now (running at this moment) or when=ends_soon, whatever the event's time zone
+    if (!empty($_GET['when'])) {
+        $whenSql = eventWhenSql($_GET['when'], $params);
+        if ($whenSql) {
+            $where[] = $whenSql;
+        }
+    }
+    
+    if (!empty($_GET['location'])) {
+        $where[] = "e.location LIKE :location";
+        $params[':location'] = '%' . like_escape(trim($_GET['location'])) . '%';
+    }
+    
+    if (isset($_GET['price_min']) && is_numeric($_GET['price_min'])) {
         $where[] = "e.price >= :price_min";
         $params[':price_min'] = $_GET['price_min'];
     }
     
-    if (isset($_GET['price_max'])) {
-        $where[] = "e. price <= :price_max";
+    if (isset($_GET['price_max']) && is_numeric($_GET['price_max'])) {
+        $where[] = "e.price <= :price_max";
         $params[':price_max'] = $_GET['price_max'];
     }
     
+    // Free only: events with no price set count as free
+    if (!empty($_GET['free']) && $_GET['free'] !== '0') {
+        $where[] = "(e.price IS NULL OR e.price = 0)";
+    }
+    
+    // Map area: bounds=south,west,north,east (west > east crosses the antimeridian)
+    $bounds = null;
+    if (!empty($_GET['bounds'])) {
+        $parts = array_map('trim', explode(',', $_GET['bounds']));
+        if (count($parts) === 4 && count(array_filter($parts, 'is_numeric')) === 4) {
+            [$south, $west, $north, $east] = array_map('floatval', $parts);
+            $bounds = compact('south', 'west', 'north', 'east');
+            $where[] = sprintf('e.lat BETWEEN %.7F AND %.7F', min($south, $north), max($south, $north));
+            $where[] = $west <= $east
+                ? sprintf('e.lng BETWEEN %.7F AND %.7F', $west, $east)
+                : sprintf('(e.lng >= %.7F OR e.lng <= %.7F)', $west, $east);
+        }
+    }
+    
+    // Proximity: events without coordinates can't be placed, so a radius
+    // search excludes them. Radius defaults to 50 km when lat/lng are given,
+    // unless a map area is searched, where lat/lng only drive distance/sort.
+    $lat = isset($_GET['lat']) && is_numeric($_GET['lat']) ? floatval($_GET['lat']) : null;
+    $lng = isset($_GET['lng']) && is_numeric($_GET['lng']) ? floatval($_GET['lng']) : null;
+    $hasOrigin = $lat !== null && $lng !== null && abs($lat) <= 90 && abs($lng) <= 180;
+    $distanceSql = 'NULL';
+    
+    if ($hasOrigin) {
+        $radius = isset($_GET['radius']) && is_numeric($_GET['radius']) && $_GET['radius'] > 0
+            ? floatval($_GET['radius'])
+            : ($bounds ? null : 50);
+        $distanceSql = distance_sql($lat, $lng);
+        if ($radius !== null) {
+            $where[] = "e.lat IS NOT NULL AND e.lng IS NOT NULL";
+            $where[] = bounding_box_sql($lat, $lng, $radius);
+            $where[] = sprintf("$distanceSql <= %.4F", $radius);
+        }
+    }
+    
     $page = isset($_GET['page']) ? max(1, intval($_GET['page'])) : 1;
     $limit = isset($_GET['limit']) ? min(100, max(1, intval($_GET['limit']))) : 12;
     $offset = ($page - 1) * $limit;
     
-    $sortField = $_GET['sort'] ?? 'date';
+    // Searches rank by relevance unless the caller asked for another order
+    $sortField = !empty($_GET['sort']) ? $_GET['sort'] : ($terms ? 'relevance' : 'date');
     $sortOrder = ($_GET['order'] ?? 'ASC') === 'DESC' ? 'DESC' : 'ASC';
-    $allowedSorts = ['date', 'price', 'name', 'created_at'];
+    $allowedSorts = ['date', 'price', 'name', 'created_at', 'relevance', 'distance'];
     
     if (!in_array($sortField, $allowedSorts)) {
         $sortField = 'date';
     }
+    if (($sortField === 'relevance' && !$terms) || ($sortField === 'distance' && !$hasOrigin)) {
+        $sortField = 'date';
+    }
+    if ($sortField === 'relevance') {
+        $orderBy = 'relevance DESC, e.date ASC';
+    } elseif ($sortField === 'distance') {
+        $orderBy = "distance_km $sortOrder, e.date ASC";
+    } else {
+        $orderBy = "e.$sortField $sortOrder";
+    }
     
     $whereClause = implode(' AND ', $where);
     
@@ -103,16 +284,17 @@ try {
     $total = $countStmt->fetch(PDO::FETCH_ASSOC)['total'];
     
     $stmt = $db->prepare("
-        SELECT e.*, g.name as genre_name, g.slug as genre_slug, g.icon as genre_icon, u.name as owner_name
+        SELECT e.*, g.name as genre_name, g.slug as genre_slug, g.icon as genre_icon, u.name as owner_name,
+            ($scoreSql) as relevance, $distanceSql as distance_km
         FROM events e
         LEFT JOIN genres g ON e. genre_id = g.id
         LEFT JOIN users u ON e. owner_id = u.id
         WHERE $whereClause
-        ORDER BY e.$sortField $sortOrder
+        ORDER BY $orderBy
         LIMIT :limit OFFSET :offset
     ");
     
-    foreach ($params as $key => $value) {
+    foreach (array_merge($params, $scoreParams) as $key => $value) {
         $stmt->bindValue($key, $value);
     }
     $stmt->bindValue(':limit', $limit, PDO::PARAM_INT);
@@ -121,28 +303,28 @@ try {
     $stmt->execute();
     $events = $stmt->fetchAll(PDO::FETCH_ASSOC);
     
-    $lat = isset($_GET['lat']) ?  floatval($_GET['lat']) : null;
-    $lng = isset($_GET['lng']) ? floatval($_GET['lng']) : null;
-    $radius = isset($_GET['radius']) ? floatval($_GET['radius']) : 50;
-    
-    if ($lat !== null && $lng !== null) {
-        $filtered = [];
-        foreach ($events as $e) {
-            if (isset($e['lat']) && isset($e['lng']) && $e['lat'] !== null && $e['lng'] !== null) {
-                $d = distance_km($lat, $lng, floatval($e['lat']), floatval($e['lng']));
-                if ($d <= $radius) {
-                    $e['distance_km'] = round($d, 2);
-                    $filtered[] = $e;
-                }
-            }
+    foreach ($events as &$e) {
+        if ($hasOrigin) {
+            $e['distance_km'] = $e['distance_km'] !== null ? round((float)$e['distance_km'], 2) : null;
+        } else {
+            unset($e['distance_km']);
+        }
+        if ($terms) {
+            $e['relevance'] = (int)$e['relevance'];
+            $e['search_snippet'] = search_snippet($e['description'] ?? '', $terms);
+        } else {
+            unset($e['relevance']);
         }
-        $events = $filtered;
-        $total = count($filtered);
     }
+    unset($e);
+    attachEventGenres($db, $events);
+    attachEventSeries($db, $events);
+    attachEventTimes($events);
     
     echo json_encode([
         'success' => true,
         'events' => $events,
+        'search' => $terms ? ['query' => trim($_GET['search']), 'terms' => $terms] : null,
         'pagination' => [
             'page' => $page,
             'limit' => $limit,
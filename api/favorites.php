@@ -20,6 +20,7 @@ if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
 try {
     $db = require __DIR__ . '/db.php';
     require_once __DIR__ . '/auth.php';
+    require_once __DIR__ . '/event-genres.php';
 
     $auth = new Auth($db);
     $method = $_SERVER['REQUEST_METHOD'];
@@ -38,28 +39,16 @@ error_log("Favorites API - Firebase UID: " . ($currentUser['firebase_uid'] ??  '
         $stmt = $db->prepare("
             SELECT e.*, 
                    uf.created_at as favorited_at,
-                   u.name as creator_name,
-                   GROUP_CONCAT(g.name) as genres,
-                   GROUP_CONCAT(g.slug) as genre_slugs,
-                   GROUP_CONCAT(g.icon) as genre_icons
+                   u.name as creator_name
             FROM user_favorites uf
             JOIN events e ON uf.event_id = e.id
             LEFT JOIN users u ON e.owner_id = u.id
-            LEFT JOIN event_genres eg ON e.id = eg.event_id
-            LEFT JOIN genres g ON eg.genre_id = g.id
             WHERE uf.user_id = :user_id AND e.status = 'published'
-            GROUP BY e.id
             ORDER BY uf.created_at DESC
         ");
         $stmt->execute([':user_id' => $currentUser['id']]);
         $favorites = $stmt->fetchAll();
-        
-        // Convert comma-separated strings to arrays
-        foreach ($favorites as &$event) {
-            $event['genres'] = $event['genres'] ?  explode(',', $event['genres']) : [];
-            $event['genre_slugs'] = $event['genre_slugs'] ? explode(',', $event['genre_slugs']) : [];
-            $event['genre_icons'] = $event['genre_icons'] ? explode(',', $event['genre_icons']) : [];
-        }
+        attachEventGenres($db, $favorites);
         
         echo json_encode(['success' => true, 'favorites' => $favorites, 'count' => count($favorites)]);
         exit;
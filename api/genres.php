@@ -1,7 +1,7 @@
 <?php
 /**
  * Genres API - Public endpoint to get all event genres
- * GET /api/genres.php - Get all genres
+ * GET /api/genres.php - Get all genres, in the admin-defined display order
  */
 
 header('Content-Type: application/json');
@@ -16,6 +16,7 @@ if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
 
 try {
     $db = require __DIR__ . '/db.php';
+    require_once __DIR__ . '/event-genres.php';
 
     // Ensure the genres and event_genres tables exist for older databases
     $db->exec(<<<SQL
@@ -39,6 +40,8 @@ try {
         ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
     SQL);
 
+    ensureGenreDisplayOrder($db);
+
     // Seed defaults if the genres table is empty
     $countStmt = $db->query('SELECT COUNT(*) AS total FROM genres');
     $count = (int) $countStmt->fetchColumn();
@@ -68,7 +71,7 @@ try {
          LEFT JOIN event_genres eg ON g.id = eg.genre_id
          LEFT JOIN events e ON eg.event_id = e.id AND e.status = 'published'
          GROUP BY g.id
-         ORDER BY g.name ASC"
+         ORDER BY g.display_order ASC, g.name ASC"
     );
 
     $genres = $stmt->fetchAll();
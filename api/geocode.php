@@ -0,0 +1,48 @@
+<?php
+/**
+ * Geocode API - Public lookup for the home page "Set my location" control
+ * GET /api/geocode.php?q=city-or-postcode - Best matches as { label, lat, lng }
+ */
+
+session_start();
+header('Content-Type: application/json');
+header('Access-Control-Allow-Origin: *');
+header('Access-Control-Allow-Methods: GET');
+
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    http_response_code(405);
+    echo json_encode(['error' => 'Method not allowed']);
+    exit;
+}
+
+$query = trim($_GET['q'] ?? '');
+if (mb_strlen($query) < 2 || mb_strlen($query) > 100) {
+    http_response_code(422);
+    echo json_encode(['success' => false, 'error' => 'Enter a city or postcode']);
+    exit;
+}
+
+// Basic per-session throttle so the upstream geocoder isn't used as a free proxy
+$window = 600;
+$maxLookups = 20;
+$now = time();
+$recent = array_filter($_SESSION['geocode_lookups'] ?? [], fn($t) => $t > $now - $window);
+if (count($recent) >= $maxLookups) {
+    http_response_code(429);
+    echo json_encode(['success' => false, 'error' => 'Too many lookups. Try again in a few minutes.']);
+    exit;
+}
+$recent[] = $now;
+$_SESSION['geocode_lookups'] = array_values($recent);
+session_write_close();
+
+require_once __DIR__ . '/geocoder.php';
+
+try {
+    $results = array_slice(createGeocoder()->geocode($query), 0, 3);
+    echo json_encode(['success' => true, 'results' => $results]);
+} catch (Exception $e) {
+    error_log('Geocode API error: ' . $e->getMessage());
+    http_response_code(502);
+    echo json_encode(['success' => false, 'error' => 'Location lookup failed']);
+}
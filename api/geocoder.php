@@ -0,0 +1,185 @@
+<?php
+/**
+ * Geocoding helpers
+ * Turns a free-text address into candidate coordinates for events.
+ *
+ * Drivers implement Geocoder; createGeocoder() picks one from the
+ * 'geocoder' section of config.php.
+ */
+
+interface Geocoder {
+    /**
+     * Look up an address.
+     * Returns a list of ['label' => string, 'lat' => float, 'lng' => float], best match first.
+     */
+    public function geocode(string $query): array;
+}
+
+/**
+ * OpenStreetMap Nominatim (public server or a self-hosted instance)
+ */
+class NominatimGeocoder implements Geocoder {
+    private $url;
+    private $userAgent;
+    private $limit;
+    private $timeout;
+
+    public function __construct(string $url, string $userAgent, int $limit = 5, int $timeout = 10) {
+        $this->url = $url;
+        $this->userAgent = $userAgent;
+        $this->limit = $limit;
+        $this->timeout = $timeout;
+    }
+
+    public function geocode(string $query): array {
+        $url = $this->url . '?' . http_build_query([
+            'q' => $query,
+            'format' => 'jsonv2',
+            'limit' => $this->limit,
+        ]);
+
+        $ch = curl_init($url);
+        curl_setopt($ch, CURLOPT_RETURNTRANSFER, true);
+        // Nominatim's usage policy requires an identifying User-Agent
+        curl_setopt($ch, CURLOPT_USERAGENT, $this->userAgent);
+        curl_setopt($ch, CURLOPT_CONNECTTIMEOUT, min(5, $this->timeout));
+        curl_setopt($ch, CURLOPT_TIMEOUT, $this->timeout);
+
+        $response = curl_exec($ch);
+        $httpCode = curl_getinfo($ch, CURLINFO_HTTP_CODE);
+        curl_close($ch);
+
+        if ($response === false || $httpCode !== 200) {
+            throw new RuntimeException('Geocoding service unavailable');
+        }
+
+        $rows = json_decode($response, true);
+        if (!is_array($rows)) {
+            return [];
+        }
+
+        return array_map(function ($row) {
+            return [
+                'label' => $row['display_name'] ?? '',
+                'lat' => (float) $row['lat'],
+                'lng' => (float) $row['lon'],
+            ];
+        }, $rows);
+    }
+}
+
+/**
+ * Canned results from a JSON file: { "address (lowercase)": [ {label, lat, lng}, ... ] }
+ * Matches the exact address first, then any key contained in (or containing) the query.
+ */
+class FixtureGeocoder implements Geocoder {
+    private $entries;
+
+    public function __construct(string $path) {
+        $data = is_readable($path) ? json_decode(file_get_contents($path), true) : null;
+        if (!is_array($data)) {
+            throw new RuntimeException('Geocoder fixture not found or invalid: ' . $path);
+        }
+        $this->entries = array_change_key_case($data, CASE_LOWER);
+    }
+
+    public function geocode(string $query): array {
+        $needle = mb_strtolower(trim($query));
+        if ($needle === '') {
+            return [];
+        }
+        if (isset($this->entries[$needle])) {
+            return $this->entries[$needle];
+        }
+
+        $results = [];
+        foreach ($this->entries as $key => $matches) {
+            if (str_contains($needle, $key) || str_contains($key, $needle)) {
+                $results = array_merge($results, $matches);
+            }
+        }
+        return $results;
+    }
+}
+
+/**
+ * Build the configured geocoder.
+ */
+function createGeocoder(?array $config = null): Geocoder {
+    if ($config === null) {
+        $appConfig = require __DIR__ . '/config.php';
+        $config = $appConfig['geocoder'] ?? [];
+    }
+
+    $driver = $config['driver'] ?? 'nominatim';
+
+    if ($driver === 'fixture') {
+        return new FixtureGeocoder($config['fixture'] ?? __DIR__ . '/../dev/geocode-fixture.json');
+    }
+
+    if ($driver === 'nominatim') {
+        return new NominatimGeocoder(
+            $config['nominatim_url'] ?? 'https://nominatim.openstreetmap.org/search',
+            $config['user_agent'] ?? 'Lawen event finder',
+            (int) ($config['limit'] ?? 5),
+            (int) ($config['timeout'] ?? 10)
+        );
+    }
+
+    throw new InvalidArgumentException('Unknown geocoder driver: ' . $driver);
+}
+
+/**
+ * Best match for an address, or null when nothing matched or the lookup
+ * failed. For saving coordinates alongside user input, where a geocoder
+ * outage must not block the save. $timeout (seconds) overrides the
+ * configured one for lookups someone is waiting on.
+ */
+function geocodeFirst(string $query, ?int $timeout = null): ?array {
+    $query = trim($query);
+    if ($query === '') {
+        return null;
+    }
+
+    try {
+        $appConfig = require __DIR__ . '/config.php';
+        $config = $appConfig['geocoder'] ?? [];
+        if ($timeout !== null) {
+            $config['timeout'] = $timeout;
+        }
+        $results = createGeocoder($config)->geocode($query);
+    } catch (Exception $e) {
+        error_log('Geocode failed for "' . $query . '": ' . $e->getMessage());
+        return null;
+    }
+
+    return $results[0] ?? null;
+}
+
+// Seconds a profile location lookup may take; the home page waits on it
+const PROFILE_GEOCODE_TIMEOUT = 3;
+
+/**
+ * Fill in the coordinates of a user's profile location if they are missing.
+ * Signup and profile saves only store the text; the lookup happens here, the
+ * first time the home page needs the location for distances
+ * (api/me.php?resolve_location=1). Returns $user with location_lat/lng set
+ * when the address was found.
+ */
+function resolveProfileLocation(PDO $db, array $user): array {
+    if (empty($user['location']) || $user['location_lat'] !== null) {
+        return $user;
+    }
+
+    $match = geocodeFirst($user['location'], PROFILE_GEOCODE_TIMEOUT);
+    if (!$match) {
+        return $user;
+    }
+
+    // Unless the location changed while we looked it up
+    $db->prepare('UPDATE users SET location_lat = :lat, location_lng = :lng WHERE id = :id AND location = :location')
+        ->execute([':lat' => $match['lat'], ':lng' => $match['lng'], ':id' => $user['id'], ':location' => $user['location']]);
+    $user['location_lat'] = $match['lat'];
+    $user['location_lng'] = $match['lng'];
+    return $user;
+}
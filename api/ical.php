@@ -0,0 +1,200 @@
+<?php
+/**
+ * iCalendar helpers
+ * Builds RFC 5545 calendars for single-event downloads and per-user feeds.
+ *
+ * Event dates/times are stored as wall-clock values in each event's time
+ * zone (see event-times.php). They are written with that TZID and a matching
+ * VTIMEZONE, so calendar apps keep the local time across DST changes.
+ */
+
+require_once __DIR__ . '/event-times.php';
+
+const ICAL_PRODID = '-//Lawen//Events//EN';
+
+// Escape a TEXT value (RFC 5545 3.3.11)
+function ical_escape($text) {
+    $text = str_replace(["\r\n", "\r"], "\n", (string)$text);
+    return str_replace(['\\', ';', ',', "\n"], ['\\\\', '\;', '\,', '\n'], $text);
+}
+
+// Fold a content line at 75 octets without splitting a UTF-8 character
+function ical_fold($line) {
+    $out = '';
+    $limit = 75;
+    while (strlen($line) > $limit) {
+        $cut = $limit;
+        // Step back off UTF-8 continuation bytes (10xxxxxx)
+        while ($cut > 0 && (ord($line[$cut]) & 0xC0) === 0x80) {
+            $cut--;
+        }
+        $out .= substr($line, 0, $cut) . "\r\n ";
+        $line = substr($line, $cut);
+        $limit = 74; // the leading space counts towards the next line
+    }
+    return $out . $line;
+}
+
+function ical_offset($seconds) {
+    $sign = $seconds < 0 ? '-' : '+';
+    $seconds = abs($seconds);
+    return sprintf('%s%02d%02d', $sign, intdiv($seconds, 3600), intdiv($seconds % 3600, 60));
+}
+
+/**
+ * VTIMEZONE lines for $tzid covering the timestamps $from..$to.
+ * Each transition is written as its own observance, which avoids having to
+ * reverse-engineer RRULEs from PHP's transition table.
+ */
+function ical_timezone_lines($tzid, $from, $to) {
+    $tz = new DateTimeZone($tzid);
+    $transitions = $tz->getTransitions($from, $to) ?: [];
+    $lines = ['BEGIN:VTIMEZONE', 'TZID:' . $tzid];
+
+    if (!$transitions) {
+        $offset = $tz->getOffset(new DateTime('@' . $from));
+        $transitions = [['ts' => $from, 'offset' => $offset, 'isdst' => false, 'abbr' => '']];
+    }
+
+    $previous = $transitions[0]['offset'];
+    foreach ($transitions as $t) {
+        // DTSTART is the local time just before the change (old offset)
+        $local = gmdate('Ymd\THis', $t['ts'] + $previous);
+        $lines[] = $t['isdst'] ? 'BEGIN:DAYLIGHT' : 'BEGIN:STANDARD';
+        $lines[] = 'DTSTART:' . $local;
+        $lines[] = 'TZOFFSETFROM:' . ical_offset($previous);
+        $lines[] = 'TZOFFSETTO:' . ical_offset($t['offset']);
+        // Skip numeric abbreviations such as "+03"
+        if (preg_match('/^[A-Za-z]+$/', $t['abbr'] ?? '')) {
+            $lines[] = 'TZNAME:' . $t['abbr'];
+        }
+        $lines[] = $t['isdst'] ? 'END:DAYLIGHT' : 'END:STANDARD';
+        $previous = $t['offset'];
+    }
+
+    $lines[] = 'END:VTIMEZONE';
+    return $lines;
+}
+
+/**
+ * Start/end of an event as DateTimeImmutable in its zone ($tzid when it has
+ * none), or null without a date. Events without an end last $durationMinutes.
+ * Returns ['start' => ..., 'end' => ..., 'all_day' => bool].
+ */
+function ical_event_times(array $event, $tzid, $durationMinutes) {
+    return eventTimes($event, $tzid, $durationMinutes);
+}
+
+/**
+ * VEVENT lines for one event.
+ *
+ * $options: tzid (for events without a zone), duration_minutes, uid_domain, event_url (callable id => url),
+ * plus per-event 'transparent', 'categories' and 'canceled_at' keys read from $event.
+ */
+function ical_event_lines(array $event, array $options) {
+    $times = ical_event_times($event, $options['tzid'], $options['duration_minutes']);
+    if (!$times) {
+        return [];
+    }
+
+    $lines = [
+        'BEGIN:VEVENT',
+        'UID:event-' . (int)$event['id'] . '@' . $options['uid_domain'],
+        'DTSTAMP:' . gmdate('Ymd\THis\Z'),
+    ];
+
+    if ($times['all_day']) {
+        $lines[] = 'DTSTART;VALUE=DATE:' . $times['start']->format('Ymd');
+        $lines[] = 'DTEND;VALUE=DATE:' . $times['end']->format('Ymd');
+    } else {
+        $tzid = $times['start']->getTimezone()->getName();
+        $lines[] = 'DTSTART;TZID=' . $tzid . ':' . $times['start']->format('Ymd\THis');
+        $lines[] = 'DTEND;TZID=' . $tzid . ':' . $times['end']->format('Ymd\THis');
+    }
+
+    $lines[] = 'SUMMARY:' . ical_escape($event['name'] ?? 'Event');
+
+    $url = isset($options['event_url']) ? $options['event_url']((int)$event['id']) : null;
+    $description = trim((string)($event['description'] ?? ''));
+    if ($url) {
+        $description = trim($description . "\n\n" . $url);
+    }
+    if ($description !== '') {
+        $lines[] = 'DESCRIPTION:' . ical_escape($description);
+    }
+
+    if (!empty($event['location'])) {
+        $lines[] = 'LOCATION:' . ical_escape($event['location']);
+    }
+    if (isset($event['lat'], $event['lng']) && is_numeric($event['lat']) && is_numeric($event['lng'])) {
+        $lines[] = sprintf('GEO:%.6F;%.6F', $event['lat'], $event['lng']);
+    }
+    if ($url) {
+        $lines[] = 'URL:' . $url;
+    }
+    if (!empty($event['categories'])) {
+        $lines[] = 'CATEGORIES:' . implode(',', array_map('ical_escape', (array)$event['categories']));
+    }
+
+    // Canceled dates of a series stay in subscribed calendars, marked as such
+    $lines[] = 'STATUS:' . (!empty($event['canceled_at']) ? 'CANCELLED' : 'CONFIRMED');
+    $lines[] = 'TRANSP:' . (!empty($event['transparent']) ? 'TRANSPARENT' : 'OPAQUE');
+    $lines[] = 'END:VEVENT';
+    return $lines;
+}
+
+/**
+ * Full VCALENDAR document for $events.
+ *
+ * $options: name (calendar display name), tzid (the calendar's default zone), duration_minutes,
+ * uid_domain, event_url, refresh (ISO 8601 duration for subscribed feeds).
+ */
+function ical_calendar(array $events, array $options) {
+    $lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:' . ICAL_PRODID,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+    ];
+    if (!empty($options['name'])) {
+        $lines[] = 'X-WR-CALNAME:' . ical_escape($options['name']);
+    }
+    $lines[] = 'X-WR-TIMEZONE:' . $options['tzid'];
+    if (!empty($options['refresh'])) {
+        $lines[] = 'REFRESH-INTERVAL;VALUE=DURATION:' . $options['refresh'];
+        $lines[] = 'X-PUBLISHED-TTL:' . $options['refresh'];
+    }
+
+    // One VTIMEZONE per zone used, covering the span of its timed events
+    $stamps = [];
+    foreach ($events as $event) {
+        $times = ical_event_times($event, $options['tzid'], $options['duration_minutes']);
+        if ($times && !$times['all_day']) {
+            $stamps[$times['start']->getTimezone()->getName()][] = $times['start']->getTimestamp();
+            $stamps[$times['start']->getTimezone()->getName()][] = $times['end']->getTimestamp();
+        }
+    }
+    $year = 366 * 86400;
+    foreach ($stamps as $tzid => $zoneStamps) {
+        $lines = array_merge($lines, ical_timezone_lines($tzid, min($zoneStamps) - $year, max($zoneStamps) + $year));
+    }
+
+    foreach ($events as $event) {
+        $lines = array_merge($lines, ical_event_lines($event, $options));
+    }
+
+    $lines[] = 'END:VCALENDAR';
+    return implode("\r\n", array_map('ical_fold', $lines)) . "\r\n";
+}
+
+/**
+ * Send a calendar body. $download forces a file save (single event);
+ * feeds are served inline so calendar apps can subscribe to them.
+ */
+function ical_send($body, $filename, $download) {
+    header('Content-Type: text/calendar; charset=utf-8');
+    header(sprintf('Content-Disposition: %s; filename="%s"', $download ? 'attachment' : 'inline', $filename));
+    header('Cache-Control: no-cache, must-revalidate');
+    echo $body;
+}
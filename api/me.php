@@ -66,7 +66,7 @@ try {
 
     ensureProfileColumns($db);
 
-    $stmt = $db->prepare('SELECT id, name, email, age, phone, location, bio, role, joined_at FROM users WHERE firebase_uid = :uid');
+    $stmt = $db->prepare('SELECT id, name, email, age, phone, location, location_lat, location_lng, bio, role, joined_at FROM users WHERE firebase_uid = :uid');
     $stmt->execute([':uid' => $firebaseUid]);
     $user = $stmt->fetch(PDO::FETCH_ASSOC);
 
@@ -76,6 +76,12 @@ try {
         exit;
     }
 
+    // ?resolve_location=1: the home page needs the profile location for distances
+    if (!empty($_GET['resolve_location'])) {
+        require_once __DIR__ . '/geocoder.php';
+        $user = resolveProfileLocation($db, $user);
+    }
+
     echo json_encode(['success' => true, 'user' => $user]);
 } catch (Exception $e) {
     http_response_code(500);
@@ -90,7 +96,7 @@ try {
 function ensureProfileColumns(PDO $db): void
 {
     $missing = [];
-    foreach (['phone' => 'VARCHAR(30)', 'location' => 'VARCHAR(191)', 'bio' => 'TEXT'] as $column => $definition) {
+    foreach (['phone' => 'VARCHAR(30)', 'location' => 'VARCHAR(191)', 'location_lat' => 'DOUBLE', 'location_lng' => 'DOUBLE', 'bio' => 'TEXT'] as $column => $definition) {
         if (!columnExists($db, $column)) {
             $missing[] = "ADD COLUMN `$column` $definition NULL";
         }
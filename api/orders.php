@@ -0,0 +1,101 @@
+<?php
+/**
+ * Orders API - Checkout for priced registrations
+ * GET /api/orders.php - The signed-in user's orders, newest first
+ * GET /api/orders.php?id=X - One of their orders
+ * POST /api/orders.php?id=X&action=pay - Pay a pending order; body holds the
+ *      provider's checkout fields (card_number, exp_month, exp_year, cvc for the mock)
+ *
+ * Orders are opened by POST /api/registrations.php and refunded by its DELETE.
+ */
+
+session_start();
+header('Content-Type: application/json');
+header('Access-Control-Allow-Origin: *');
+header('Access-Control-Allow-Methods: GET, POST, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type, X-Firebase-UID, Authorization');
+
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    exit;
+}
+
+try {
+    $db = require __DIR__ . '/db.php';
+    require_once __DIR__ . '/auth.php';
+    require_once __DIR__ . '/payments.php';
+    require_once __DIR__ . '/waitlist.php';
+
+    ensureOrderSchema($db);
+
+    $auth = new Auth($db);
+    $currentUser = $auth->requireAuth();
+    $userId = (int)$currentUser['id'];
+    $method = $_SERVER['REQUEST_METHOD'];
+    $orderId = isset($_GET['id']) ? (int)$_GET['id'] : 0;
+
+    if ($method === 'GET' && !$orderId) {
+        releaseExpiredHolds($db);
+        $stmt = $db->prepare(
+            "SELECT o.*, TIMESTAMPDIFF(SECOND, NOW(), o.expires_at) AS expires_in, e.name AS event_name
+             FROM orders o
+             LEFT JOIN events e ON e.id = o.event_id
+             WHERE o.user_id = :uid
+             ORDER BY o.created_at DESC, o.id DESC"
+        );
+        $stmt->execute([':uid' => $userId]);
+        $orders = array_map(function ($row) {
+            return formatOrder($row) + ['event_name' => $row['event_name']];
+        }, $stmt->fetchAll(PDO::FETCH_ASSOC));
+
+        echo json_encode(['success' => true, 'orders' => $orders]);
+        exit;
+    }
+
+    $order = $orderId > 0 ? fetchOrder($db, $orderId) : null;
+    if (!$order || (int)$order['user_id'] !== $userId) {
+        http_response_code(404);
+        echo json_encode(['success' => false, 'error' => 'Order not found']);
+        exit;
+    }
+
+    if ($method === 'GET') {
+        releaseExpiredHolds($db, $order['event_id']);
+        echo json_encode(['success' => true, 'order' => formatOrder(fetchOrder($db, $orderId))]);
+        exit;
+    }
+
+    if ($method === 'POST' && ($_GET['action'] ?? '') === 'pay') {
+        $details = json_decode(file_get_contents('php://input'), true) ?? [];
+
+        $db->beginTransaction();
+        try {
+            $result = payOrder($db, $order, $details);
+            $db->commit();
+        } catch (InvalidArgumentException $e) {
+            $db->rollBack();
+            http_response_code(409);
+            echo json_encode(['success' => false, 'error' => $e->getMessage()]);
+            exit;
+        } catch (Exception $e) {
+            $db->rollBack();
+            throw $e;
+        }
+
+        if ($result['error'] !== null) {
+            // Declined: the seats are still held by the replacement order
+            http_response_code(402);
+            echo json_encode(['success' => false, 'error' => $result['error'], 'order' => formatOrder($result['order'])]);
+            exit;
+        }
+
+        echo json_encode(['success' => true, 'status' => 'registered', 'order' => formatOrder($result['order'])]);
+        exit;
+    }
+
+    http_response_code(405);
+    echo json_encode(['success' => false, 'error' => 'Method not allowed']);
+} catch (Exception $e) {
+    error_log('Orders API error: ' . $e->getMessage());
+    http_response_code(500);
+    echo json_encode(['success' => false, 'error' => 'Failed to process order']);
+}
@@ -0,0 +1,439 @@
+<?php
+/**
+ * Orders and payments
+ * Registering for a priced event opens an order for the ticket total. The
+ * registration holds its seats as 'pending' until the order is paid, and is
+ * confirmed ('registered') only once the payment provider captures it.
+ *
+ * Order states:
+ *   pending   waiting for payment; expires after the hold time in config.php
+ *   paid      captured; the registration is confirmed
+ *   refunded  the registration was canceled and money was returned
+ *   failed    declined, expired or canceled before payment
+ *
+ * Providers implement PaymentProvider; createPaymentProvider() picks one
+ * from the 'payments' section of config.php.
+ */
+
+require_once __DIR__ . '/tickets.php';
+require_once __DIR__ . '/event-times.php';
+
+const REFUND_POLICIES = ['full', 'partial', 'none'];
+
+// A provider refused or couldn't complete a request
+class PaymentException extends RuntimeException {}
+
+class PaymentDeclinedException extends PaymentException {}
+
+interface PaymentProvider {
+    public function name(): string;
+
+    /**
+     * Capture $order['amount'] in $order['currency'].
+     * $details is whatever the checkout form collected for this provider
+     * (card fields for the mock, a client-side token for a hosted one).
+     * Returns ['reference' => string]; throws PaymentDeclinedException when refused.
+     */
+    public function charge(array $order, array $details): array;
+
+    /**
+     * Return $amount of an earlier charge.
+     * Returns ['reference' => string]; throws PaymentException on failure.
+     */
+    public function refund(string $chargeReference, float $amount, string $currency): array;
+}
+
+/**
+ * Offline provider for dev, demos and tests. Never moves money.
+ * Card 4000 0000 0000 0002 is always declined, numbers failing the Luhn
+ * check are rejected, and any other valid number with a future expiry
+ * succeeds (4242 4242 4242 4242 is the usual choice).
+ */
+class MockPaymentProvider implements PaymentProvider {
+    const DECLINED_CARD = '4000000000000002';
+
+    public function name(): string {
+        return 'mock';
+    }
+
+    public function charge(array $order, array $details): array {
+        $number = preg_replace('/\D/', '', (string)($details['card_number'] ?? ''));
+        if (strlen($number) < 12 || !self::luhn($number)) {
+            throw new PaymentDeclinedException('Card number is invalid');
+        }
+        if ($number === self::DECLINED_CARD) {
+            throw new PaymentDeclinedException('Card was declined');
+        }
+
+        $month = (int)($details['exp_month'] ?? 0);
+        $year = (int)($details['exp_year'] ?? 0);
+        if ($year < 100) {
+            $year += 2000;
+        }
+        if ($month < 1 || $month > 12 || sprintf('%04d%02d', $year, $month) < date('Ym')) {
+            throw new PaymentDeclinedException('Card has expired');
+        }
+        if (!preg_match('/^\d{3,4}$/', (string)($details['cvc'] ?? ''))) {
+            throw new PaymentDeclinedException('Security code is invalid');
+        }
+
+        return ['reference' => 'mock_ch_' . bin2hex(random_bytes(8))];
+    }
+
+    public function refund(string $chargeReference, float $amount, string $currency): array {
+        if (!str_starts_with($chargeReference, 'mock_ch_')) {
+            throw new PaymentException('Unknown charge: ' . $chargeReference);
+        }
+        return ['reference' => 'mock_re_' . bin2hex(random_bytes(8))];
+    }
+
+    private static function luhn(string $number): bool {
+        $sum = 0;
+        $double = false;
+        for ($i = strlen($number) - 1; $i >= 0; $i--) {
+            $digit = (int)$number[$i];
+            if ($double) {
+                $digit *= 2;
+                if ($digit > 9) {
+                    $digit -= 9;
+                }
+            }
+            $sum += $digit;
+            $double = !$double;
+        }
+        return $sum % 10 === 0;
+    }
+}
+
+function paymentsConfig(): array {
+    $appConfig = require __DIR__ . '/config.php';
+    return ($appConfig['payments'] ?? []) + [
+        'provider' => 'mock',
+        'currency' => 'USD',
+        'hold_minutes' => 15,
+        'waitlist_hold_minutes' => 1440,
+    ];
+}
+
+/**
+ * Build the configured payment provider.
+ */
+function createPaymentProvider(?array $config = null): PaymentProvider {
+    $config = $config ?? paymentsConfig();
+    $provider = $config['provider'] ?? 'mock';
+
+    if ($provider === 'mock') {
+        return new MockPaymentProvider();
+    }
+
+    throw new InvalidArgumentException('Unknown payment provider: ' . $provider);
+}
+
+function ensureOrderSchema(PDO $db) {
+    $db->exec(
+        "CREATE TABLE IF NOT EXISTS orders (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            event_id INT NOT NULL,
+            registration_id INT NULL,
+            status ENUM('pending','paid','refunded','failed') NOT NULL DEFAULT 'pending',
+            amount DECIMAL(10,2) NOT NULL,
+            refunded_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+            currency CHAR(3) NOT NULL,
+            provider VARCHAR(30) NOT NULL,
+            provider_ref VARCHAR(100) NULL,
+            refund_ref VARCHAR(100) NULL,
+            failure_reason VARCHAR(255) NULL,
+            expires_at DATETIME NULL,
+            paid_at DATETIME NULL,
+            refunded_at DATETIME NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            INDEX idx_order_user (user_id),
+            INDEX idx_order_event (event_id, status),
+            INDEX idx_order_registration (registration_id),
+            INDEX idx_order_expiry (status, expires_at),
+            CONSTRAINT fk_order_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            CONSTRAINT fk_order_registration FOREIGN KEY (registration_id) REFERENCES registrations(id) ON DELETE SET NULL
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci"
+    );
+
+    // Registrations awaiting payment hold their seats as 'pending'
+    $stmt = $db->prepare("SELECT COLUMN_TYPE FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'registrations' AND COLUMN_NAME = 'status'");
+    $stmt->execute();
+    $statusType = (string)$stmt->fetchColumn();
+    if ($statusType !== '' && strpos($statusType, "'pending'") === false) {
+        $db->exec("ALTER TABLE registrations MODIFY status ENUM('registered','pending','waitlisted','canceled') DEFAULT 'registered'");
+    }
+
+    $stmt = $db->prepare("SELECT COLUMN_NAME FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'events' AND COLUMN_NAME IN ('refund_policy', 'refund_percent', 'refund_cutoff_hours')");
+    $stmt->execute();
+    $existing = $stmt->fetchAll(PDO::FETCH_COLUMN);
+    $missing = [];
+    if (!in_array('refund_policy', $existing, true)) {
+        $missing[] = "ADD COLUMN refund_policy ENUM('full','partial','none') NOT NULL DEFAULT 'full'";
+    }
+    if (!in_array('refund_percent', $existing, true)) {
+        $missing[] = 'ADD COLUMN refund_percent TINYINT UNSIGNED NOT NULL DEFAULT 50';
+    }
+    if (!in_array('refund_cutoff_hours', $existing, true)) {
+        $missing[] = 'ADD COLUMN refund_cutoff_hours INT NOT NULL DEFAULT 0';
+    }
+    if ($missing) {
+        $db->exec('ALTER TABLE events ' . implode(', ', $missing));
+    }
+}
+
+/**
+ * Validated refund policy fields from an admin payload, falling back to
+ * $existing (or the defaults) for fields not sent.
+ * Throws InvalidArgumentException with a user-facing message.
+ */
+function refundPolicyFromInput(array $input, array $existing = []) {
+    $policy = $input['refund_policy'] ?? $existing['refund_policy'] ?? 'full';
+    if (!in_array($policy, REFUND_POLICIES, true)) {
+        throw new InvalidArgumentException('Refund policy must be full, partial or none');
+    }
+
+    $percent = $input['refund_percent'] ?? $existing['refund_percent'] ?? 50;
+    if (filter_var($percent, FILTER_VALIDATE_INT) === false || $percent < 0 || $percent > 100) {
+        throw new InvalidArgumentException('Refund percentage must be between 0 and 100');
+    }
+
+    $cutoff = $input['refund_cutoff_hours'] ?? $existing['refund_cutoff_hours'] ?? 0;
+    if ($cutoff === '' || $cutoff === null) {
+        $cutoff = 0;
+    }
+    if (filter_var($cutoff, FILTER_VALIDATE_INT) === false || $cutoff < 0) {
+        throw new InvalidArgumentException('Refund cutoff must be a whole number of hours');
+    }
+
+    return [
+        'refund_policy' => $policy,
+        'refund_percent' => (int)$percent,
+        'refund_cutoff_hours' => (int)$cutoff,
+    ];
+}
+
+/**
+ * How much of a paid order goes back when its registration is canceled now.
+ * Nothing once the event has started or inside its cutoff window; otherwise
+ * all of it, a percentage of it, or nothing, per the event's policy.
+ */
+function refundAmount(array $order, array $event, ?DateTimeImmutable $now = null) {
+    if (($order['status'] ?? '') !== 'paid') {
+        return 0.0;
+    }
+
+    $policy = $event['refund_policy'] ?? 'full';
+    if ($policy === 'none') {
+        return 0.0;
+    }
+
+    $times = eventTimes($event);
+    if ($times) {
+        $now = $now ?? new DateTimeImmutable('now');
+        $cutoff = $times['start']->modify('-' . (int)($event['refund_cutoff_hours'] ?? 0) . ' hours');
+        if ($now >= $cutoff) {
+            return 0.0;
+        }
+    }
+
+    $amount = (float)$order['amount'];
+    if ($policy === 'partial') {
+        $amount *= (int)($event['refund_percent'] ?? 0) / 100;
+    }
+    return round($amount, 2);
+}
+
+/**
+ * Open a pending order for a registration. $holdMinutes defaults to the
+ * configured checkout hold. Returns the order row.
+ */
+function createOrder(PDO $db, array $registration, $amount, $holdMinutes = null) {
+    $config = paymentsConfig();
+    $holdMinutes = $holdMinutes ?? (int)$config['hold_minutes'];
+
+    $db->prepare(
+        'INSERT INTO orders (user_id, event_id, registration_id, status, amount, currency, provider, expires_at)
+         VALUES (:user, :event, :registration, "pending", :amount, :currency, :provider, DATE_ADD(NOW(), INTERVAL :hold MINUTE))'
+    )->execute([
+        ':user' => $registration['user_id'],
+        ':event' => $registration['event_id'],
+        ':registration' => $registration['id'],
+        ':amount' => round((float)$amount, 2),
+        ':currency' => $config['currency'],
+        ':provider' => $config['provider'],
+        ':hold' => max(1, (int)$holdMinutes),
+    ]);
+
+    return fetchOrder($db, (int)$db->lastInsertId());
+}
+
+function fetchOrder(PDO $db, $orderId, $forUpdate = false) {
+    $lock = $forUpdate ? 'FOR UPDATE' : '';
+    $stmt = $db->prepare("SELECT *, TIMESTAMPDIFF(SECOND, NOW(), expires_at) AS expires_in FROM orders WHERE id = :id $lock");
+    $stmt->execute([':id' => $orderId]);
+    $order = $stmt->fetch(PDO::FETCH_ASSOC);
+    return $order ?: null;
+}
+
+/**
+ * Latest order of each registration, keyed by registration id
+ */
+function registrationOrders(PDO $db, array $registrationIds) {
+    $ids = array_values(array_unique(array_filter(array_map('intval', $registrationIds))));
+    if (!$ids) {
+        return [];
+    }
+
+    $placeholders = implode(',', array_fill(0, count($ids), '?'));
+    $stmt = $db->prepare(
+        "SELECT *, TIMESTAMPDIFF(SECOND, NOW(), expires_at) AS expires_in FROM orders
+         WHERE registration_id IN ($placeholders)
+         ORDER BY id"
+    );
+    $stmt->execute($ids);
+
+    $orders = [];
+    foreach ($stmt->fetchAll(PDO::FETCH_ASSOC) as $row) {
+        $orders[(int)$row['registration_id']] = $row;
+    }
+    return $orders;
+}
+
+// Order row as sent to the browser (no provider references)
+function formatOrder(?array $order) {
+    if (!$order) {
+        return null;
+    }
+    return [
+        'id' => (int)$order['id'],
+        'event_id' => (int)$order['event_id'],
+        'registration_id' => $order['registration_id'] !== null ? (int)$order['registration_id'] : null,
+        'status' => $order['status'],
+        'amount' => (float)$order['amount'],
+        'refunded_amount' => (float)$order['refunded_amount'],
+        'currency' => $order['currency'],
+        'provider' => $order['provider'],
+        'failure_reason' => $order['failure_reason'],
+        // Seconds left to pay, so the browser doesn't depend on its own clock
+        'expires_in' => $order['status'] === 'pending' && $order['expires_in'] !== null ? max(0, (int)$order['expires_in']) : null,
+        'paid_at' => $order['paid_at'],
+        'refunded_at' => $order['refunded_at'],
+        'created_at' => $order['created_at'],
+    ];
+}
+
+/**
+ * Fail pending orders whose hold ran out and release their registrations'
+ * seats. Pass an event id to limit the sweep to one event.
+ * Returns the ids of the events that got seats back.
+ */
+function expireStaleOrders(PDO $db, $eventId = null) {
+    $sql = "SELECT id, event_id, registration_id FROM orders WHERE status = 'pending' AND expires_at < NOW()";
+    $params = [];
+    if ($eventId !== null) {
+        $sql .= ' AND event_id = :event';
+        $params[':event'] = $eventId;
+    }
+    $stmt = $db->prepare($sql);
+    $stmt->execute($params);
+    $stale = $stmt->fetchAll(PDO::FETCH_ASSOC);
+    if (!$stale) {
+        return [];
+    }
+
+    $fail = $db->prepare("UPDATE orders SET status = 'failed', failure_reason = 'Payment window expired' WHERE id = :id AND status = 'pending'");
+    $release = $db->prepare("UPDATE registrations SET status = 'canceled', updated_at = NOW() WHERE id = :id AND status = 'pending'");
+    foreach ($stale as $order) {
+        $fail->execute([':id' => $order['id']]);
+        if ($order['registration_id'] !== null) {
+            $release->execute([':id' => $order['registration_id']]);
+        }
+    }
+
+    $events = array_values(array_unique(array_map('intval', array_column($stale, 'event_id'))));
+    foreach ($events as $id) {
+        syncAvailableSpots($db, $id);
+    }
+    return $events;
+}
+
+/**
+ * Charge a pending order and confirm its registration.
+ * A declined payment fails the order and opens a fresh pending one with the
+ * same deadline, so the seats stay held while the user retries.
+ * Call inside a transaction.
+ * Returns ['order' => row, 'error' => ?string] with the error set on decline.
+ * Throws InvalidArgumentException when the order can't be paid any more.
+ */
+function payOrder(PDO $db, array $order, array $details, ?PaymentProvider $provider = null) {
+    $order = fetchOrder($db, $order['id'], true);
+    if (!$order || $order['status'] !== 'pending') {
+        throw new InvalidArgumentException('This order is no longer awaiting payment');
+    }
+    if ((int)$order['expires_in'] < 0) {
+        throw new InvalidArgumentException('The payment window for this order has expired');
+    }
+
+    $stmt = $db->prepare('SELECT * FROM registrations WHERE id = :id FOR UPDATE');
+    $stmt->execute([':id' => $order['registration_id']]);
+    $registration = $stmt->fetch(PDO::FETCH_ASSOC);
+    if (!$registration || $registration['status'] !== 'pending') {
+        throw new InvalidArgumentException('This registration is no longer awaiting payment');
+    }
+
+    $provider = $provider ?? createPaymentProvider();
+    try {
+        $charge = $provider->charge($order, $details);
+    } catch (PaymentDeclinedException $e) {
+        $db->prepare("UPDATE orders SET status = 'failed', failure_reason = :reason WHERE id = :id")
+            ->execute([':reason' => $e->getMessage(), ':id' => $order['id']]);
+        $db->prepare(
+            'INSERT INTO orders (user_id, event_id, registration_id, status, amount, currency, provider, expires_at)
+             SELECT user_id, event_id, registration_id, "pending", amount, currency, provider, expires_at FROM orders WHERE id = :id'
+        )->execute([':id' => $order['id']]);
+        return ['order' => fetchOrder($db, (int)$db->lastInsertId()), 'error' => $e->getMessage()];
+    }
+
+    $db->prepare("UPDATE orders SET status = 'paid', provider = :provider, provider_ref = :ref, paid_at = NOW(), failure_reason = NULL WHERE id = :id")
+        ->execute([':provider' => $provider->name(), ':ref' => $charge['reference'], ':id' => $order['id']]);
+    $db->prepare("UPDATE registrations SET status = 'registered', updated_at = NOW() WHERE id = :id")
+        ->execute([':id' => $registration['id']]);
+    syncAvailableSpots($db, $registration['event_id']);
+
+    return ['order' => fetchOrder($db, $order['id']), 'error' => null];
+}
+
+/**
+ * Settle the order of a registration that is being canceled: a pending
+ * order fails, a paid one is refunded per the event's policy (a zero refund
+ * leaves it 'paid'). Call inside a transaction, before the registration is
+ * deleted. $fullRefund ignores the policy, for cancellations by the
+ * organizer. Returns the updated order, or null when there was none.
+ */
+function settleCanceledOrder(PDO $db, array $registration, array $event, $fullRefund = false, ?PaymentProvider $provider = null) {
+    $order = registrationOrders($db, [$registration['id']])[(int)$registration['id']] ?? null;
+    if (!$order) {
+        return null;
+    }
+
+    if ($order['status'] === 'pending') {
+        $db->prepare("UPDATE orders SET status = 'failed', failure_reason = 'Canceled before payment' WHERE id = :id")
+            ->execute([':id' => $order['id']]);
+        return fetchOrder($db, $order['id']);
+    }
+
+    $amount = $fullRefund && $order['status'] === 'paid' ? round((float)$order['amount'], 2) : refundAmount($order, $event);
+    if ($amount <= 0) {
+        return $order;
+    }
+
+    $provider = $provider ?? createPaymentProvider(['provider' => $order['provider']]);
+    $refund = $provider->refund((string)$order['provider_ref'], $amount, $order['currency']);
+
+    $db->prepare("UPDATE orders SET status = 'refunded', refunded_amount = :amount, refund_ref = :ref, refunded_at = NOW() WHERE id = :id")
+        ->execute([':amount' => $amount, ':ref' => $refund['reference'], ':id' => $order['id']]);
+    return fetchOrder($db, $order['id']);
+}
@@ -127,12 +127,29 @@ try {
 
     ensureProfileColumns($db);
 
-    $stmt = $db->prepare('UPDATE users SET name = :name, age = :age, phone = :phone, location = :location, bio = :bio WHERE firebase_uid = :uid');
+    // The profile location doubles as the default origin for distances on
+    // the home page. A changed one is placed on the map when the home page
+    // first needs it (see resolveProfileLocation() in geocoder.php), so a slow
+    // geocoder never holds up the save
+    $current = $db->prepare('SELECT location, location_lat, location_lng FROM users WHERE firebase_uid = :uid');
+    $current->execute([':uid' => $firebaseUid]);
+    $currentLocation = $current->fetch(PDO::FETCH_ASSOC) ?: [];
+
+    $locationLat = $currentLocation['location_lat'] ?? null;
+    $locationLng = $currentLocation['location_lng'] ?? null;
+    if ($location !== ($currentLocation['location'] ?? null)) {
+        $locationLat = null;
+        $locationLng = null;
+    }
+
+    $stmt = $db->prepare('UPDATE users SET name = :name, age = :age, phone = :phone, location = :location, location_lat = :location_lat, location_lng = :location_lng, bio = :bio WHERE firebase_uid = :uid');
     $stmt->execute([
         ':name' => $name,
         ':age' => $age,
         ':phone' => $phone,
         ':location' => $location,
+        ':location_lat' => $locationLat,
+        ':location_lng' => $locationLng,
         ':bio' => $bio,
         ':uid' => $firebaseUid,
     ]);
@@ -147,7 +164,7 @@ try {
         }
     }
 
-    $stmt2 = $db->prepare('SELECT id, name, email, age, phone, location, bio, role, joined_at FROM users WHERE firebase_uid = :uid');
+    $stmt2 = $db->prepare('SELECT id, name, email, age, phone, location, location_lat, location_lng, bio, role, joined_at FROM users WHERE firebase_uid = :uid');
     $stmt2->execute([':uid' => $firebaseUid]);
     $user = $stmt2->fetch(PDO::FETCH_ASSOC);
 
@@ -176,7 +193,7 @@ try {
 function ensureProfileColumns(PDO $db): void
 {
     $missing = [];
-    foreach (['phone' => 'VARCHAR(30)', 'location' => 'VARCHAR(191)', 'bio' => 'TEXT'] as $column => $definition) {
+    foreach (['phone' => 'VARCHAR(30)', 'location' => 'VARCHAR(191)', 'location_lat' => 'DOUBLE', 'location_lng' => 'DOUBLE', 'bio' => 'TEXT'] as $column => $definition) {
         if (!columnExists($db, $column)) {
             $missing[] = "ADD COLUMN `$column` $definition NULL";
         }
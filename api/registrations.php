@@ -38,8 +38,19 @@ function normalize_headers(array $headers): array
 
 try {
     $db = require __DIR__ . '/db.php';
+    require_once __DIR__ . '/event-genres.php';
+    require_once __DIR__ . '/waitlist.php';
+    require_once __DIR__ . '/payments.php';
+    require_once __DIR__ . '/ticket-codes.php';
+    require_once __DIR__ . '/event-series.php';
     ensureRegistrationsTable($db);
+    ensureWaitlistSchema($db);
     ensureEventCapacityColumns($db);
+    ensureTicketSchema($db);
+    ensureOrderSchema($db);
+    ensureCheckInSchema($db);
+    ensureSeriesSchema($db);
+    ensureEventTimeSchema($db);
 
     $headers = normalize_headers(getallheaders());
     $firebaseUid = $headers['x-firebase-uid'] ?? '';
@@ -64,6 +75,25 @@ try {
         exit;
     }
 
+    // Door check-in is for admins; everything else acts on the caller's own registrations
+    $action = $_GET['action'] ?? '';
+    if ($action === 'check_in' || $action === 'attendance') {
+        if (!in_array($user['role'], ['admin', 'owner'], true)) {
+            http_response_code(403);
+            echo json_encode(['success' => false, 'error' => 'Admin access required']);
+            exit;
+        }
+        if ($action === 'check_in' && $_SERVER['REQUEST_METHOD'] === 'POST') {
+            handleCheckIn($db, (int) $user['id']);
+        } elseif ($action === 'attendance' && $_SERVER['REQUEST_METHOD'] === 'GET') {
+            handleAttendance($db);
+        } else {
+            http_response_code(405);
+            echo json_encode(['success' => false, 'error' => 'Method not allowed']);
+        }
+        exit;
+    }
+
     switch ($_SERVER['REQUEST_METHOD']) {
         case 'GET':
             handleGet($db, $user['id']);
@@ -91,12 +121,14 @@ function ensureRegistrationsTable(PDO $db): void
             id INT AUTO_INCREMENT PRIMARY KEY,
             user_id INT NOT NULL,
             event_id INT NOT NULL,
-            status ENUM('registered','canceled') DEFAULT 'registered',
+            status ENUM('registered','pending','waitlisted','canceled') DEFAULT 'registered',
+            waitlisted_at DATETIME NULL,
             created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
             updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
             UNIQUE KEY unique_user_event (user_id, event_id),
             INDEX idx_event (event_id),
             INDEX idx_user (user_id),
+            INDEX idx_waitlist (event_id, status, waitlisted_at),
             CONSTRAINT fk_reg_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
             CONSTRAINT fk_reg_event FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE
         ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci"
@@ -138,27 +170,62 @@ function handleGet(PDO $db, int $userId): void
             return;
         }
 
+        releaseExpiredHolds($db, $eventId);
         $registration = fetchRegistration($db, $userId, $eventId);
-        $capacityInfo = fetchCapacity($db, $eventId);
+        if ($registration) {
+            $registration['tickets'] = registrationTickets($db, [$registration['id']])[(int)$registration['id']] ?? [];
+            $registration['order'] = formatOrder(registrationOrders($db, [$registration['id']])[(int)$registration['id']] ?? null);
+            $registration['ticket_code'] = $registration['status'] === 'registered' ? ticketCode($registration) : null;
+        }
+        $availability = ticketAvailability($db, $eventId);
 
         echo json_encode([
             'success' => true,
             'status' => $registration['status'] ?? 'not_registered',
             'registration' => $registration,
-            'capacity' => $capacityInfo,
+            'capacity' => [
+                'capacity' => $availability['capacity'],
+                'available' => $availability['available'],
+            ],
+            'ticket_types' => $availability['types'],
+            'waitlist' => [
+                'position' => $registration ? waitlistPosition($db, $registration) : null,
+                'count' => waitlistCount($db, $eventId),
+            ],
         ]);
         return;
     }
 
     $stmt = $db->prepare(
-        'SELECT r.event_id, r.status, r.created_at, e.name, e.location, e.date, e.time, e.image_url
+        "SELECT r.id AS registration_id, r.event_id, r.user_id, r.status, r.quantity, r.checked_in_at, r.created_at, e.name, e.location, e.date, e.time, e.image_url,
+                e.end_date, e.end_time, e.timezone, e.price, e.refund_policy, e.refund_percent, e.refund_cutoff_hours,
+                CASE WHEN r.status = 'waitlisted' THEN (
+                    SELECT COUNT(*) FROM registrations w
+                    WHERE w.event_id = r.event_id AND w.status = 'waitlisted'
+                      AND (w.waitlisted_at < r.waitlisted_at OR (w.waitlisted_at = r.waitlisted_at AND w.id <= r.id))
+                ) END AS waitlist_position
          FROM registrations r
          JOIN events e ON e.id = r.event_id
-         WHERE r.user_id = :uid
-         ORDER BY r.created_at DESC'
+         WHERE r.user_id = :uid AND r.status != 'canceled'
+         ORDER BY r.created_at DESC"
     );
     $stmt->execute([':uid' => $userId]);
     $items = $stmt->fetchAll(PDO::FETCH_ASSOC);
+    attachEventGenres($db, $items, 'event_id');
+
+    $tickets = registrationTickets($db, array_column($items, 'registration_id'));
+    $orders = registrationOrders($db, array_column($items, 'registration_id'));
+    foreach ($items as &$item) {
+        $item['tickets'] = $tickets[(int)$item['registration_id']] ?? [];
+        $order = $orders[(int)$item['registration_id']] ?? null;
+        $item['order'] = formatOrder($order);
+        // What canceling now would give back, so the page can say so before asking
+        $item['refund_if_canceled'] = $order ? refundAmount($order, $item) : 0.0;
+        $item['ticket_code'] = $item['status'] === 'registered'
+            ? ticketCode(['id' => $item['registration_id'], 'event_id' => $item['event_id'], 'user_id' => $item['user_id']])
+            : null;
+    }
+    unset($item);
 
     echo json_encode(['success' => true, 'registrations' => $items]);
 }
@@ -180,38 +247,118 @@ function handlePost(PDO $db, int $userId): void
         echo json_encode(['success' => false, 'error' => 'Event not found']);
         return;
     }
+    // Drafts and events waiting for review or their publish time aren't open yet
+    if ($event['status'] !== 'published') {
+        http_response_code(409);
+        echo json_encode(['success' => false, 'error' => 'This event is not open for registration']);
+        return;
+    }
+    if ($event['canceled_at'] !== null) {
+        http_response_code(409);
+        echo json_encode(['success' => false, 'error' => 'This date has been canceled']);
+        return;
+    }
+
+    try {
+        $tickets = normalizeTicketSelection($payload ?? [], fetchTicketTypes($db, $eventId));
+    } catch (InvalidArgumentException $e) {
+        http_response_code(422);
+        echo json_encode(['success' => false, 'error' => $e->getMessage()]);
+        return;
+    }
 
+    releaseExpiredHolds($db, $eventId);
     $existing = fetchRegistration($db, $userId, $eventId);
     if ($existing && $existing['status'] === 'registered') {
         echo json_encode(['success' => true, 'status' => 'registered', 'message' => 'Already registered']);
         return;
     }
+    if ($existing && $existing['status'] === 'pending') {
+        echo json_encode([
+            'success' => true,
+            'status' => 'pending',
+            'order' => formatOrder(registrationOrders($db, [$existing['id']])[(int)$existing['id']] ?? null),
+            'message' => 'Awaiting payment',
+        ]);
+        return;
+    }
+    if ($existing && $existing['status'] === 'waitlisted') {
+        echo json_encode([
+            'success' => true,
+            'status' => 'waitlisted',
+            'position' => waitlistPosition($db, $existing),
+            'message' => 'Already on the waitlist',
+        ]);
+        return;
+    }
 
     $db->beginTransaction();
     try {
-        $capacityInfo = fetchCapacity($db, $eventId, true);
-        if ($capacityInfo['capacity'] > 0 && $capacityInfo['available'] <= 0) {
-            $db->rollBack();
-            http_response_code(409);
-            echo json_encode(['success' => false, 'error' => 'Event is at capacity']);
+        // Seats freed by a capacity increase go to the waitlist before anyone new
+        promoteWaitlist($db, $eventId);
+
+        $availability = ticketAvailability($db, $eventId, true);
+        if (!ticketsFit($availability, $tickets)) {
+            if (empty($payload['waitlist'])) {
+                $db->rollBack();
+                http_response_code(409);
+                echo json_encode([
+                    'success' => false,
+                    'error' => $availability['available'] === 0 ? 'Event is at capacity' : 'Not enough tickets left for this selection',
+                    'waitlist_open' => true,
+                ]);
+                return;
+            }
+
+            if ($existing) {
+                $stmt = $db->prepare('UPDATE registrations SET status = "waitlisted", waitlisted_at = NOW(), updated_at = NOW() WHERE id = :id');
+                $stmt->execute([':id' => $existing['id']]);
+                $registrationId = (int) $existing['id'];
+            } else {
+                $stmt = $db->prepare('INSERT INTO registrations (user_id, event_id, status, waitlisted_at) VALUES (:uid, :event, "waitlisted", NOW())');
+                $stmt->execute([':uid' => $userId, ':event' => $eventId]);
+                $registrationId = (int) $db->lastInsertId();
+            }
+            saveRegistrationTickets($db, $registrationId, $tickets);
+            $db->commit();
+
+            echo json_encode([
+                'success' => true,
+                'status' => 'waitlisted',
+                'position' => waitlistPosition($db, fetchRegistration($db, $userId, $eventId)),
+            ]);
             return;
         }
 
+        // Priced tickets hold their seats until the order is paid
+        $total = ticketsTotal($availability['types'], $tickets);
+        $status = $total > 0 ? 'pending' : 'registered';
+
         if ($existing) {
-            $stmt = $db->prepare('UPDATE registrations SET status = "registered", updated_at = NOW() WHERE id = :id');
-            $stmt->execute([':id' => $existing['id']]);
+            $stmt = $db->prepare('UPDATE registrations SET status = :status, updated_at = NOW() WHERE id = :id');
+            $stmt->execute([':status' => $status, ':id' => $existing['id']]);
+            $registrationId = (int) $existing['id'];
         } else {
-            $stmt = $db->prepare('INSERT INTO registrations (user_id, event_id, status) VALUES (:uid, :event, "registered")');
-            $stmt->execute([':uid' => $userId, ':event' => $eventId]);
+            $stmt = $db->prepare('INSERT INTO registrations (user_id, event_id, status) VALUES (:uid, :event, :status)');
+            $stmt->execute([':uid' => $userId, ':event' => $eventId, ':status' => $status]);
+            $registrationId = (int) $db->lastInsertId();
         }
+        saveRegistrationTickets($db, $registrationId, $tickets);
+        syncAvailableSpots($db, $eventId);
 
-        if ($event['capacity'] > 0) {
-            $update = $db->prepare('UPDATE events SET available_spots = GREATEST(0, available_spots - 1) WHERE id = :id');
-            $update->execute([':id' => $eventId]);
+        $order = null;
+        if ($total > 0) {
+            $order = createOrder($db, ['id' => $registrationId, 'user_id' => $userId, 'event_id' => $eventId], $total);
         }
 
         $db->commit();
-        echo json_encode(['success' => true, 'status' => 'registered']);
+        echo json_encode([
+            'success' => true,
+            'status' => $status,
+            'quantity' => count($tickets),
+            'total' => $total,
+            'order' => formatOrder($order),
+        ]);
     } catch (Exception $e) {
         $db->rollBack();
         throw $e;
@@ -236,21 +383,118 @@ function handleDelete(PDO $db, int $userId): void
 
     $db->beginTransaction();
     try {
+        // Refund (or void) the order before the registration it points to goes
+        $order = null;
+        $stmt = $db->prepare('SELECT * FROM events WHERE id = :id');
+        $stmt->execute([':id' => $eventId]);
+        $eventRow = $stmt->fetch(PDO::FETCH_ASSOC);
+        if ($eventRow) {
+            try {
+                $order = settleCanceledOrder($db, $existing, $eventRow);
+            } catch (PaymentException $e) {
+                $db->rollBack();
+                error_log('Refund failed for registration ' . $existing['id'] . ': ' . $e->getMessage());
+                http_response_code(502);
+                echo json_encode(['success' => false, 'error' => 'The refund could not be processed. Please try again later.']);
+                return;
+            }
+        }
+
         $stmt = $db->prepare('DELETE FROM registrations WHERE id = :id');
         $stmt->execute([':id' => $existing['id']]);
 
+        // A freed seat goes straight to the front of the waitlist; leaving
+        // the waitlist itself frees nothing
+        $promoted = [];
         $event = fetchEvent($db, $eventId);
-        if ($event && $event['capacity'] > 0) {
-            $update = $db->prepare('UPDATE events SET available_spots = LEAST(capacity, available_spots + 1) WHERE id = :id');
-            $update->execute([':id' => $eventId]);
+        if ($event && in_array($existing['status'], ['registered', 'pending'], true)) {
+            $promoted = promoteWaitlist($db, $eventId);
         }
 
         $db->commit();
-        echo json_encode(['success' => true, 'status' => 'canceled']);
+        echo json_encode([
+            'success' => true,
+            'status' => 'canceled',
+            'promoted' => count($promoted),
+            'order' => formatOrder($order),
+            'refunded' => $order ? (float) $order['refunded_amount'] : 0.0,
+        ]);
+    } catch (Exception $e) {
+        $db->rollBack();
+        throw $e;
+    }
+}
+
+function handleCheckIn(PDO $db, int $adminId): void
+{
+    $payload = json_decode(file_get_contents('php://input'), true) ?? [];
+    $code = trim((string) ($payload['code'] ?? ''));
+    $eventId = isset($payload['event_id']) && $payload['event_id'] !== '' ? (int) $payload['event_id'] : null;
+
+    if ($code === '') {
+        http_response_code(400);
+        echo json_encode(['success' => false, 'error' => 'code is required']);
+        return;
+    }
+
+    $db->beginTransaction();
+    try {
+        $checkIn = checkInTicket($db, $code, $adminId, $eventId);
+        $db->commit();
+    } catch (InvalidArgumentException $e) {
+        $db->rollBack();
+        http_response_code(422);
+        echo json_encode(['success' => false, 'error' => $e->getMessage()]);
+        return;
     } catch (Exception $e) {
         $db->rollBack();
         throw $e;
     }
+
+    $attendee = $checkIn['attendee'];
+    if ($checkIn['result'] === 'duplicate') {
+        http_response_code(409);
+        echo json_encode([
+            'success' => false,
+            'error' => 'Already checked in at ' . $attendee['checked_in_at'],
+            'duplicate' => true,
+            'attendee' => $attendee,
+        ]);
+        return;
+    }
+
+    echo json_encode([
+        'success' => true,
+        'status' => 'checked_in',
+        'attendee' => $attendee,
+        'attendance' => attendanceSummary($db, $attendee['event_id']),
+    ]);
+}
+
+function handleAttendance(PDO $db): void
+{
+    $eventId = isset($_GET['event_id']) ? (int) $_GET['event_id'] : 0;
+    if ($eventId <= 0) {
+        http_response_code(400);
+        echo json_encode(['success' => false, 'error' => 'event_id is required']);
+        return;
+    }
+
+    $stmt = $db->prepare(
+        "SELECT r.id AS registration_id, r.quantity, r.checked_in_at, u.name
+         FROM registrations r
+         JOIN users u ON u.id = r.user_id
+         WHERE r.event_id = :event AND r.status = 'registered' AND r.checked_in_at IS NOT NULL
+         ORDER BY r.checked_in_at DESC
+         LIMIT 20"
+    );
+    $stmt->execute([':event' => $eventId]);
+
+    echo json_encode([
+        'success' => true,
+        'attendance' => attendanceSummary($db, $eventId),
+        'recent' => $stmt->fetchAll(PDO::FETCH_ASSOC),
+    ]);
 }
 
 function fetchRegistration(PDO $db, int $userId, int $eventId): ?array
@@ -263,30 +507,8 @@ function fetchRegistration(PDO $db, int $userId, int $eventId): ?array
 
 function fetchEvent(PDO $db, int $eventId): ?array
 {
-    $stmt = $db->prepare('SELECT id, name, capacity, available_spots, status FROM events WHERE id = :id AND status != "archived"');
+    $stmt = $db->prepare('SELECT id, name, capacity, available_spots, status, canceled_at FROM events WHERE id = :id AND status != "archived"');
     $stmt->execute([':id' => $eventId]);
     $event = $stmt->fetch(PDO::FETCH_ASSOC);
     return $event ?: null;
 }
-
-function fetchCapacity(PDO $db, int $eventId, bool $forUpdate = false): array
-{
-    $lock = $forUpdate ? 'FOR UPDATE' : '';
-    $stmt = $db->prepare("SELECT capacity, available_spots FROM events WHERE id = :id $lock");
-    $stmt->execute([':id' => $eventId]);
-    $row = $stmt->fetch(PDO::FETCH_ASSOC) ?: ['capacity' => 0, 'available_spots' => 0];
-
-    if ((int) $row['capacity'] > 0) {
-        $countStmt = $db->prepare('SELECT COUNT(*) FROM registrations WHERE event_id = :id AND status = "registered"');
-        $countStmt->execute([':id' => $eventId]);
-        $used = (int) $countStmt->fetchColumn();
-        $available = max(0, (int) $row['capacity'] - $used);
-    } else {
-        $available = null; // unlimited
-    }
-
-    return [
-        'capacity' => (int) $row['capacity'],
-        'available' => $available,
-    ];
-}
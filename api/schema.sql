@@ -9,6 +9,9 @@ CREATE TABLE IF NOT EXISTS `users` (
   `age` INT,
   `phone` VARCHAR(30),
   `location` VARCHAR(191),
+  `location_lat` DOUBLE,
+  `location_lng` DOUBLE,
+  `calendar_token` VARCHAR(64) UNIQUE,
   `bio` TEXT,
   `role` ENUM('owner', 'admin', 'user') DEFAULT 'user',
   `is_active` TINYINT(1) DEFAULT 1,
@@ -25,10 +28,23 @@ CREATE TABLE IF NOT EXISTS `genres` (
   `slug` VARCHAR(100) NOT NULL UNIQUE,
   `description` TEXT,
   `icon` VARCHAR(50),
+  `display_order` INT NOT NULL DEFAULT 0,
   `created_at` DATETIME DEFAULT CURRENT_TIMESTAMP
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
--- EVENTS TABLE (references genres, users)
+-- EVENT_SERIES (recurrence rules; each date is an events row with series_id set)
+CREATE TABLE IF NOT EXISTS `event_series` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `freq` ENUM('daily','weekly','monthly') NOT NULL,
+  `interval_count` INT NOT NULL DEFAULT 1,
+  `weekdays` VARCHAR(20) NULL,
+  `until_date` DATE NULL,
+  `occurrence_count` INT NULL,
+  `created_by` INT NULL,
+  `created_at` DATETIME DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- EVENTS TABLE (references genres, users, event_series)
 CREATE TABLE IF NOT EXISTS `events` (
   `id` INT AUTO_INCREMENT PRIMARY KEY,
   `name` VARCHAR(255) NOT NULL,
@@ -38,19 +54,36 @@ CREATE TABLE IF NOT EXISTS `events` (
   `lng` DOUBLE,
   `date` DATE,
   `time` TIME,
+  `end_date` DATE NULL,
+  `end_time` TIME NULL,
+  `timezone` VARCHAR(64) NULL,
+  `starts_at_utc` DATETIME NULL,
+  `ends_at_utc` DATETIME NULL,
   `age_restriction` INT,
   `price` DECIMAL(10,2) DEFAULT 0.00,
   `image_url` VARCHAR(500),
-  `status` ENUM('draft','published','archived') DEFAULT 'published',
+  `status` ENUM('draft','pending_review','scheduled','published','archived') DEFAULT 'published',
+  `publish_at` DATETIME NULL, -- UTC; when a scheduled event goes live
+  `review_note` VARCHAR(500) NULL, -- why an owner sent it back to draft
   `genre_id` INT,
   `owner_id` INT NOT NULL,
   `capacity` INT DEFAULT 0,
   `available_spots` INT DEFAULT 0,
+  `refund_policy` ENUM('full','partial','none') NOT NULL DEFAULT 'full',
+  `refund_percent` TINYINT UNSIGNED NOT NULL DEFAULT 50,
+  `refund_cutoff_hours` INT NOT NULL DEFAULT 0,
+  `series_id` INT NULL,
+  `series_override` TINYINT(1) NOT NULL DEFAULT 0,
+  `canceled_at` DATETIME NULL,
   `created_at` DATETIME DEFAULT CURRENT_TIMESTAMP,
   `updated_at` DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   CONSTRAINT `fk_events_genre` FOREIGN KEY (`genre_id`) REFERENCES `genres`(`id`) ON DELETE SET NULL,
   CONSTRAINT `fk_events_owner` FOREIGN KEY (`owner_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_events_series` FOREIGN KEY (`series_id`) REFERENCES `event_series`(`id`) ON DELETE SET NULL,
   INDEX `idx_date` (`date`),
+  INDEX `idx_series` (`series_id`, `date`),
+  INDEX `idx_ends_at` (`ends_at_utc`, `starts_at_utc`),
+  INDEX `idx_publish_at` (`status`, `publish_at`),
   INDEX `idx_status` (`status`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
@@ -65,6 +98,33 @@ CREATE TABLE IF NOT EXISTS `event_genres` (
   CONSTRAINT `fk_event_genres_genre` FOREIGN KEY (`genre_id`) REFERENCES `genres`(`id`) ON DELETE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- EVENT REVISIONS (snapshot of the editable details after each save; see api/event-revisions.php)
+CREATE TABLE IF NOT EXISTS `event_revisions` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `event_id` INT NOT NULL,
+  `revision` INT NOT NULL,
+  `action` ENUM('original','create','edit','restore') NOT NULL DEFAULT 'edit',
+  `restored_from` INT NULL,
+  `snapshot` MEDIUMTEXT NOT NULL,
+  `edited_by` INT NULL,
+  `created_at` DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY `unique_event_revision` (`event_id`, `revision`),
+  CONSTRAINT `fk_revision_event` FOREIGN KEY (`event_id`) REFERENCES `events`(`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_revision_editor` FOREIGN KEY (`edited_by`) REFERENCES `users`(`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- EVENT TEMPLATES (named starting points for new events; see api/event-templates.php)
+CREATE TABLE IF NOT EXISTS `event_templates` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `name` VARCHAR(100) NOT NULL,
+  `details` MEDIUMTEXT NOT NULL,
+  `created_by` INT NULL,
+  `created_at` DATETIME DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY `unique_template_name` (`name`),
+  CONSTRAINT `fk_template_creator` FOREIGN KEY (`created_by`) REFERENCES `users`(`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- USER_FAVORITES
 CREATE TABLE IF NOT EXISTS `user_favorites` (
   `id` INT AUTO_INCREMENT PRIMARY KEY,
@@ -83,16 +143,75 @@ CREATE TABLE IF NOT EXISTS `registrations` (
   `id` INT AUTO_INCREMENT PRIMARY KEY,
   `user_id` INT NOT NULL,
   `event_id` INT NOT NULL,
-  `status` ENUM('registered','canceled') DEFAULT 'registered',
+  `status` ENUM('registered','pending','waitlisted','canceled') DEFAULT 'registered',
+  `waitlisted_at` DATETIME NULL,
+  `quantity` INT NOT NULL DEFAULT 1,
+  `checked_in_at` DATETIME NULL,
+  `checked_in_by` INT NULL,
   `created_at` DATETIME DEFAULT CURRENT_TIMESTAMP,
   `updated_at` DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   UNIQUE KEY `unique_user_event` (`user_id`, `event_id`),
   INDEX `idx_event` (`event_id`),
   INDEX `idx_user` (`user_id`),
+  INDEX `idx_waitlist` (`event_id`, `status`, `waitlisted_at`),
+  INDEX `idx_checkin` (`event_id`, `checked_in_at`),
   CONSTRAINT `fk_reg_user` FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
   CONSTRAINT `fk_reg_event` FOREIGN KEY (`event_id`) REFERENCES `events`(`id`) ON DELETE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- TICKET TYPES (per event; capacity NULL = limited only by the event)
+CREATE TABLE IF NOT EXISTS `ticket_types` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `event_id` INT NOT NULL,
+  `name` VARCHAR(100) NOT NULL,
+  `price` DECIMAL(10,2) NOT NULL DEFAULT 0,
+  `capacity` INT NULL,
+  `sort_order` INT NOT NULL DEFAULT 0,
+  `created_at` DATETIME DEFAULT CURRENT_TIMESTAMP,
+  INDEX `idx_ticket_event` (`event_id`),
+  CONSTRAINT `fk_ticket_type_event` FOREIGN KEY (`event_id`) REFERENCES `events`(`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- REGISTRATION TICKETS (one row per seat)
+CREATE TABLE IF NOT EXISTS `registration_tickets` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `registration_id` INT NOT NULL,
+  `ticket_type_id` INT NULL,
+  `guest_name` VARCHAR(100) NULL,
+  `created_at` DATETIME DEFAULT CURRENT_TIMESTAMP,
+  INDEX `idx_ticket_registration` (`registration_id`),
+  INDEX `idx_ticket_type` (`ticket_type_id`),
+  CONSTRAINT `fk_ticket_registration` FOREIGN KEY (`registration_id`) REFERENCES `registrations`(`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_ticket_type` FOREIGN KEY (`ticket_type_id`) REFERENCES `ticket_types`(`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ORDERS (payments for priced registrations; kept after the registration is canceled)
+CREATE TABLE IF NOT EXISTS `orders` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `user_id` INT NOT NULL,
+  `event_id` INT NOT NULL,
+  `registration_id` INT NULL,
+  `status` ENUM('pending','paid','refunded','failed') NOT NULL DEFAULT 'pending',
+  `amount` DECIMAL(10,2) NOT NULL,
+  `refunded_amount` DECIMAL(10,2) NOT NULL DEFAULT 0,
+  `currency` CHAR(3) NOT NULL,
+  `provider` VARCHAR(30) NOT NULL,
+  `provider_ref` VARCHAR(100) NULL,
+  `refund_ref` VARCHAR(100) NULL,
+  `failure_reason` VARCHAR(255) NULL,
+  `expires_at` DATETIME NULL,
+  `paid_at` DATETIME NULL,
+  `refunded_at` DATETIME NULL,
+  `created_at` DATETIME DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX `idx_order_user` (`user_id`),
+  INDEX `idx_order_event` (`event_id`, `status`),
+  INDEX `idx_order_registration` (`registration_id`),
+  INDEX `idx_order_expiry` (`status`, `expires_at`),
+  CONSTRAINT `fk_order_user` FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_order_registration` FOREIGN KEY (`registration_id`) REFERENCES `registrations`(`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- ADMIN_PERMISSIONS
 CREATE TABLE IF NOT EXISTS `admin_permissions` (
   `id` INT AUTO_INCREMENT PRIMARY KEY,
@@ -109,7 +228,7 @@ CREATE TABLE IF NOT EXISTS `admin_permissions` (
 -- ADMIN_ACTIONS
 CREATE TABLE IF NOT EXISTS `admin_actions` (
   `id` INT AUTO_INCREMENT PRIMARY KEY,
-  `admin_id` INT NOT NULL,
+  `admin_id` INT NULL, -- NULL for scheduled jobs (shown as "System")
   `action` VARCHAR(100) NOT NULL,
   `target_type` VARCHAR(50),
   `target_id` INT,
@@ -142,16 +261,16 @@ INSERT IGNORE INTO `users` (`id`, `name`, `email`, `role`) VALUES
 
 -- SEED EVENTS (fix URLs and numbers)
 INSERT INTO `events` (
-  `name`, `description`, `location`, `date`, `time`, `price`, `image_url`,
-  `genre_id`, `owner_id`, `capacity`, `available_spots`
+  `name`, `description`, `location`, `date`, `time`, `end_date`, `end_time`, `timezone`,
+  `starts_at_utc`, `ends_at_utc`, `price`, `image_url`, `genre_id`, `owner_id`, `capacity`, `available_spots`
 ) VALUES
-('Summer Music Festival', 'The biggest summer music festival featuring top artists from around the world. Three days of non-stop entertainment!', 'Central Park, New York', '2025-07-15', '18:00:00', 89.99, 'https://images.unsplash.com/photo-1459749411175-04bf5292ceea?w=600', 1, 1, 5000, 5000),
-('Tech Conference 2025', 'Annual technology conference featuring keynotes from industry leaders, workshops, and networking opportunities.', 'Convention Center, San Francisco', '2025-08-20', '09:00:00', 299.00, 'https://images.unsplash.com/photo-1540575467063-178a50c2df87?w=600', 5, 1, 1000, 1000),
-('Comedy Night Live', 'An evening of laughter with stand-up performances from the best comedians in the country.', 'Comedy Club, Los Angeles', '2025-06-10', '20:00:00', 35.00, 'https://images.unsplash.com/photo-1585699324551-f6c309eedeca?w=600', 4, 1, 200, 200),
-('Shakespeare in the Park', 'Free outdoor performance of Romeo and Juliet by the City Theater Company.', 'Riverside Park, Chicago', '2025-06-25', '19:30:00', 0.00, 'https://images.unsplash.com/photo-1503095396549-807759245b35?w=600', 3, 1, 500, 500),
-('NBA Finals Game 3', 'Eastern Conference Finals - Experience the excitement live!', 'Madison Square Garden, New York', '2025-06-18', '20:00:00', 250.00, 'https://images.unsplash.com/photo-1504450758481-7338eba7524a?w=600', 2, 1, 20000, 15000),
-('Food & Wine Expo', 'Taste dishes from over 50 restaurants and wineries. Cooking demos and wine tastings included.', 'Expo Center, Miami', '2025-07-22', '12:00:00', 75.00, 'https://images.unsplash.com/photo-1414235077428-338989a2e8c0?w=600', 5, 1, 800, 650),
-('Rock Concert: The Legends', 'Classic rock tribute band performing hits from the 70s and 80s.', 'Arena Stadium, Boston', '2025-08-05', '19:00:00', 65.00, 'https://images.unsplash.com/photo-1501281668745-f7f57925c3b4?w=600', 1, 1, 15000, 12000),
-('Art Gallery Opening', 'Exhibition opening featuring contemporary artists. Wine and cheese reception included.', 'Modern Art Museum, Seattle', '2025-06-30', '18:00:00', 25.00, 'https://images.unsplash.com/photo-1561214115-f2f134cc4912?w=600', 5, 1, 150, 150),
-('Marathon 2025', 'Annual city marathon. Register now for early bird pricing!', 'Downtown, Portland', '2025-09-10', '07:00:00', 45.00, 'https://images.unsplash.com/photo-1452626038306-9aae5e071dd3?w=600', 2, 1, 3000, 2500),
-('Jazz Night Under the Stars', 'Smooth jazz performances in an intimate outdoor setting. Bring a blanket!', 'Botanical Gardens, Austin', '2025-07-08', '20:30:00', 40.00, 'https://images.unsplash.com/photo-1415201364774-f6f0bb35f28f?w=600', 1, 1, 300, 300);
\ No newline at end of file
+('Summer Music Festival', 'The biggest summer music festival featuring top artists from around the world. Three days of non-stop entertainment!', 'Central Park, New York', '2025-07-15', '18:00:00', '2025-07-17', '23:00:00', 'America/New_York', '2025-07-15 22:00:00', '2025-07-18 03:00:00', 89.99, 'https://images.unsplash.com/photo-1459749411175-04bf5292ceea?w=600', 1, 1, 5000, 5000),
+('Tech Conference 2025', 'Annual technology conference featuring keynotes from industry leaders, workshops, and networking opportunities.', 'Convention Center, San Francisco', '2025-08-20', '09:00:00', NULL, NULL, 'America/Los_Angeles', '2025-08-20 16:00:00', '2025-08-20 18:00:00', 299.00, 'https://images.unsplash.com/photo-1540575467063-178a50c2df87?w=600', 5, 1, 1000, 1000),
+('Comedy Night Live', 'An evening of laughter with stand-up performances from the best comedians in the country.', 'Comedy Club, Los Angeles', '2025-06-10', '20:00:00', NULL, NULL, 'America/Los_Angeles', '2025-06-11 03:00:00', '2025-06-11 05:00:00', 35.00, 'https://images.unsplash.com/photo-1585699324551-f6c309eedeca?w=600', 4, 1, 200, 200),
+('Shakespeare in the Park', 'Free outdoor performance of Romeo and Juliet by the City Theater Company.', 'Riverside Park, Chicago', '2025-06-25', '19:30:00', NULL, NULL, 'America/Chicago', '2025-06-26 00:30:00', '2025-06-26 02:30:00', 0.00, 'https://images.unsplash.com/photo-1503095396549-807759245b35?w=600', 3, 1, 500, 500),
+('NBA Finals Game 3', 'Eastern Conference Finals - Experience the excitement live!', 'Madison Square Garden, New York', '2025-06-18', '20:00:00', NULL, NULL, 'America/New_York', '2025-06-19 00:00:00', '2025-06-19 02:00:00', 250.00, 'https://images.unsplash.com/photo-1504450758481-7338eba7524a?w=600', 2, 1, 20000, 15000),
+('Food & Wine Expo', 'Taste dishes from over 50 restaurants and wineries. Cooking demos and wine tastings included.', 'Expo Center, Miami', '2025-07-22', '12:00:00', NULL, NULL, 'America/New_York', '2025-07-22 16:00:00', '2025-07-22 18:00:00', 75.00, 'https://images.unsplash.com/photo-1414235077428-338989a2e8c0?w=600', 5, 1, 800, 650),
+('Rock Concert: The Legends', 'Classic rock tribute band performing hits from the 70s and 80s.', 'Arena Stadium, Boston', '2025-08-05', '19:00:00', NULL, NULL, 'America/New_York', '2025-08-05 23:00:00', '2025-08-06 01:00:00', 65.00, 'https://images.unsplash.com/photo-1501281668745-f7f57925c3b4?w=600', 1, 1, 15000, 12000),
+('Art Gallery Opening', 'Exhibition opening featuring contemporary artists. Wine and cheese reception included.', 'Modern Art Museum, Seattle', '2025-06-30', '18:00:00', NULL, NULL, 'America/Los_Angeles', '2025-07-01 01:00:00', '2025-07-01 03:00:00', 25.00, 'https://images.unsplash.com/photo-1561214115-f2f134cc4912?w=600', 5, 1, 150, 150),
+('Marathon 2025', 'Annual city marathon. Register now for early bird pricing!', 'Downtown, Portland', '2025-09-10', '07:00:00', NULL, NULL, 'America/Los_Angeles', '2025-09-10 14:00:00', '2025-09-10 16:00:00', 45.00, 'https://images.unsplash.com/photo-1452626038306-9aae5e071dd3?w=600', 2, 1, 3000, 2500),
+('Jazz Night Under the Stars', 'Smooth jazz performances in an intimate outdoor setting. Bring a blanket!', 'Botanical Gardens, Austin', '2025-07-08', '20:30:00', NULL, NULL, 'America/Chicago', '2025-07-09 01:30:00', '2025-07-09 03:30:00', 40.00, 'https://images.unsplash.com/photo-1415201364774-f6f0bb35f28f?w=600', 1, 1, 300, 300);
\ No newline at end of file
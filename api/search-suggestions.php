@@ -0,0 +1,120 @@
+<?php
+/**
+ * Search Suggestions API - Lightweight autocomplete for the header/hero search
+ * GET /api/search-suggestions.php?q=jazz - Matching event titles, locations and genres
+ */
+
+header('Content-Type: application/json');
+header('Access-Control-Allow-Origin: *');
+header('Access-Control-Allow-Methods: GET');
+
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    http_response_code(405);
+    echo json_encode(['error' => 'Method not allowed']);
+    exit;
+}
+
+$query = trim($_GET['q'] ?? '');
+$limit = isset($_GET['limit']) ? min(10, max(1, intval($_GET['limit']))) : 5;
+
+if (mb_strlen($query) < 2) {
+    echo json_encode(['success' => true, 'suggestions' => []]);
+    exit;
+}
+
+try {
+    $db = require __DIR__ . '/db.php';
+    require_once __DIR__ . '/event-series.php';
+    ensureSeriesSchema($db);
+    ensureEventTimeSchema($db);
+
+    $contains = '%' . addcslashes($query, '\\%_') . '%';
+    $prefix = addcslashes($query, '\\%_') . '%';
+    $suggestions = [];
+
+    // Same events as the default listing: published, not canceled and not over yet
+    $upcomingParams = [];
+    $upcomingSql = eventUpcomingSql($upcomingParams, '');
+
+    // Event titles: prefix matches first, then soonest. A repeating event is
+    // suggested once, linking to its next date
+    $stmt = $db->prepare(
+        "SELECT e.id, e.name, e.location, e.date
+         FROM events e
+         JOIN (
+             SELECT COALESCE(series_id, -id) AS event_group, MIN(date) AS next_date
+             FROM events
+             WHERE status = 'published' AND canceled_at IS NULL AND $upcomingSql AND name LIKE :contains
+             GROUP BY event_group
+         ) n ON n.event_group = COALESCE(e.series_id, -e.id) AND n.next_date = e.date
+         WHERE e.status = 'published' AND e.canceled_at IS NULL
+         ORDER BY (e.name LIKE :prefix) DESC, e.date ASC
+         LIMIT :limit"
+    );
+    $stmt->bindValue(':contains', $contains);
+    $stmt->bindValue(':prefix', $prefix);
+    $stmt->bindValue(':upcoming_now', $upcomingParams[':upcoming_now']);
+    $stmt->bindValue(':limit', $limit, PDO::PARAM_INT);
+    $stmt->execute();
+    foreach ($stmt->fetchAll() as $row) {
+        $suggestions[] = [
+            'type' => 'event',
+            'id' => (int) $row['id'],
+            'label' => $row['name'],
+            'detail' => trim(($row['location'] ?? '') . ' • ' . ($row['date'] ?? ''), ' •'),
+        ];
+    }
+
+    // Venues / locations with a published event count
+    $stmt = $db->prepare(
+        "SELECT location, COUNT(*) AS event_count
+         FROM events
+         WHERE status = 'published' AND canceled_at IS NULL AND $upcomingSql AND location LIKE :contains
+         GROUP BY location
+         ORDER BY (location LIKE :prefix) DESC, event_count DESC, location ASC
+         LIMIT :limit"
+    );
+    $stmt->bindValue(':contains', $contains);
+    $stmt->bindValue(':prefix', $prefix);
+    $stmt->bindValue(':upcoming_now', $upcomingParams[':upcoming_now']);
+    $stmt->bindValue(':limit', $limit, PDO::PARAM_INT);
+    $stmt->execute();
+    foreach ($stmt->fetchAll() as $row) {
+        $count = (int) $row['event_count'];
+        $suggestions[] = [
+            'type' => 'location',
+            'label' => $row['location'],
+            'detail' => $count . ($count === 1 ? ' event' : ' events'),
+        ];
+    }
+
+    $stmt = $db->prepare(
+        "SELECT id, name, slug, icon
+         FROM genres
+         WHERE name LIKE :contains OR slug LIKE :slug
+         ORDER BY (name LIKE :prefix) DESC, name ASC
+         LIMIT :limit"
+    );
+    $stmt->bindValue(':contains', $contains);
+    $stmt->bindValue(':slug', $contains);
+    $stmt->bindValue(':prefix', $prefix);
+    $stmt->bindValue(':limit', $limit, PDO::PARAM_INT);
+    $stmt->execute();
+    foreach ($stmt->fetchAll() as $row) {
+        $suggestions[] = [
+            'type' => 'genre',
+            'id' => (int) $row['id'],
+            'slug' => $row['slug'],
+            'label' => $row['name'],
+            'icon' => $row['icon'],
+        ];
+    }
+
+    echo json_encode(['success' => true, 'suggestions' => $suggestions]);
+    exit;
+} catch (Exception $e) {
+    error_log('Search suggestions API error: ' . $e->getMessage());
+    http_response_code(500);
+    echo json_encode(['error' => 'Server error']);
+    exit;
+}
@@ -132,6 +132,13 @@ try {
         ]);
         $userId = $db->lastInsertId();
     }
+
+    // A new location is placed on the map when the home page first needs it
+    // (see resolveProfileLocation() in geocoder.php), not while signing up
+    if ($hasLocation && (!$existing || $location !== ($existing['location'] ?? null))) {
+        $db->prepare('UPDATE users SET location_lat = NULL, location_lng = NULL WHERE id = :id')
+            ->execute([':id' => $userId]);
+    }
     
     echo json_encode(['success' => true, 'user_id' => $userId]);
 } catch (Exception $e) {
@@ -166,7 +173,7 @@ function verifyFirebaseToken($idToken) {
 function ensureProfileColumns(PDO $db): void
 {
     $missing = [];
-    foreach (['phone' => 'VARCHAR(30)', 'location' => 'VARCHAR(191)'] as $column => $definition) {
+    foreach (['phone' => 'VARCHAR(30)', 'location' => 'VARCHAR(191)', 'location_lat' => 'DOUBLE', 'location_lng' => 'DOUBLE'] as $column => $definition) {
         if (!columnExists($db, $column)) {
             $missing[] = "ADD COLUMN `$column` $definition NULL";
         }
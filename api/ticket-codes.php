@@ -0,0 +1,142 @@
+<?php
+/**
+ * Ticket codes and check-in
+ * Every confirmed registration has a ticket code, LWN-<registration id>-<signature>,
+ * shown as a QR code to the attendee. The signature is an HMAC of the
+ * registration, event and user ids with 'ticket_signing_key' from config.php,
+ * so codes can't be guessed or moved to another registration, and nothing
+ * extra has to be stored.
+ *
+ * Checking in stamps registrations.checked_in_at; a second scan of the same
+ * code is reported as a duplicate instead of being accepted again.
+ */
+
+const TICKET_CODE_PREFIX = 'LWN';
+
+// Attendance columns on databases created before check-in
+function ensureCheckInSchema(PDO $db) {
+    $stmt = $db->prepare("SELECT COLUMN_NAME FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'registrations' AND COLUMN_NAME IN ('checked_in_at', 'checked_in_by')");
+    $stmt->execute();
+    $existing = $stmt->fetchAll(PDO::FETCH_COLUMN);
+
+    $missing = [];
+    if (!in_array('checked_in_at', $existing, true)) {
+        $missing[] = 'ADD COLUMN checked_in_at DATETIME NULL, ADD INDEX idx_checkin (event_id, checked_in_at)';
+    }
+    if (!in_array('checked_in_by', $existing, true)) {
+        $missing[] = 'ADD COLUMN checked_in_by INT NULL';
+    }
+    if ($missing) {
+        $db->exec('ALTER TABLE registrations ' . implode(', ', $missing));
+    }
+}
+
+function ticketSigningKey() {
+    $config = require __DIR__ . '/config.php';
+    $key = $config['ticket_signing_key'] ?? '';
+    if ($key === '') {
+        throw new RuntimeException('ticket_signing_key is not configured');
+    }
+    return $key;
+}
+
+/**
+ * Ticket code for a registration row (needs id, event_id and user_id)
+ */
+function ticketCode(array $registration) {
+    $id = (int)$registration['id'];
+    $payload = 'ticket:' . $id . ':' . (int)$registration['event_id'] . ':' . (int)$registration['user_id'];
+    $signature = strtoupper(substr(hash_hmac('sha256', $payload, ticketSigningKey()), 0, 12));
+    return TICKET_CODE_PREFIX . '-' . $id . '-' . $signature;
+}
+
+/**
+ * Registration id and normalized code from scanned or typed input, or null
+ * when it isn't shaped like a ticket code. Case and spaces are ignored so
+ * codes can be typed by hand.
+ */
+function parseTicketCode($input) {
+    $code = strtoupper(preg_replace('/\s+/', '', (string)$input));
+    if (!preg_match('/^' . TICKET_CODE_PREFIX . '-(\d+)-([0-9A-F]{12})$/', $code, $m)) {
+        return null;
+    }
+    return ['registration_id' => (int)$m[1], 'code' => $code];
+}
+
+/**
+ * Check in the holder of $code. When $eventId is given the ticket must be
+ * for that event. Call inside a transaction.
+ *
+ * Returns ['result' => 'checked_in' | 'duplicate', 'attendee' => [...]];
+ * a duplicate keeps the first scan's time. Throws InvalidArgumentException
+ * with a user-facing message for codes that can't be accepted.
+ */
+function checkInTicket(PDO $db, $code, $adminId, $eventId = null) {
+    $parsed = parseTicketCode($code);
+    if (!$parsed) {
+        throw new InvalidArgumentException('Not a valid ticket code');
+    }
+
+    $stmt = $db->prepare(
+        "SELECT r.id, r.event_id, r.user_id, r.status, r.quantity, r.checked_in_at,
+                u.name AS user_name, u.email AS user_email, e.name AS event_name
+         FROM registrations r
+         JOIN users u ON u.id = r.user_id
+         JOIN events e ON e.id = r.event_id
+         WHERE r.id = :id
+         FOR UPDATE"
+    );
+    $stmt->execute([':id' => $parsed['registration_id']]);
+    $registration = $stmt->fetch(PDO::FETCH_ASSOC);
+
+    if (!$registration || !hash_equals(ticketCode($registration), $parsed['code'])) {
+        throw new InvalidArgumentException('Ticket not recognized');
+    }
+    if ($eventId !== null && (int)$registration['event_id'] !== (int)$eventId) {
+        throw new InvalidArgumentException('This ticket is for another event: ' . $registration['event_name']);
+    }
+    if ($registration['status'] !== 'registered') {
+        throw new InvalidArgumentException(
+            $registration['status'] === 'pending' ? 'This ticket has not been paid for' : 'This registration is not confirmed'
+        );
+    }
+
+    $result = 'duplicate';
+    if ($registration['checked_in_at'] === null) {
+        $db->prepare('UPDATE registrations SET checked_in_at = NOW(), checked_in_by = :admin WHERE id = :id')
+            ->execute([':admin' => $adminId, ':id' => $registration['id']]);
+        $stmt = $db->prepare('SELECT checked_in_at FROM registrations WHERE id = :id');
+        $stmt->execute([':id' => $registration['id']]);
+        $registration['checked_in_at'] = $stmt->fetchColumn();
+        $result = 'checked_in';
+    }
+
+    return [
+        'result' => $result,
+        'attendee' => [
+            'registration_id' => (int)$registration['id'],
+            'event_id' => (int)$registration['event_id'],
+            'event_name' => $registration['event_name'],
+            'name' => $registration['user_name'],
+            'email' => $registration['user_email'],
+            'tickets' => (int)$registration['quantity'],
+            'checked_in_at' => $registration['checked_in_at'],
+        ],
+    ];
+}
+
+/**
+ * Confirmed registrations/tickets of an event and how many have checked in
+ */
+function attendanceSummary(PDO $db, $eventId) {
+    $stmt = $db->prepare(
+        "SELECT COUNT(*) AS registrations,
+                COALESCE(SUM(quantity), 0) AS tickets,
+                COALESCE(SUM(checked_in_at IS NOT NULL), 0) AS checked_in,
+                COALESCE(SUM(CASE WHEN checked_in_at IS NOT NULL THEN quantity ELSE 0 END), 0) AS checked_in_tickets
+         FROM registrations
+         WHERE event_id = :event AND status = 'registered'"
+    );
+    $stmt->execute([':event' => $eventId]);
+    return array_map('intval', $stmt->fetch(PDO::FETCH_ASSOC));
+}
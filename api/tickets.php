@@ -0,0 +1,362 @@
+<?php
+/**
+ * Ticket helpers
+ * Events can sell several ticket types (General, VIP, Student...), each with
+ * its own price and an optional capacity. A registration holds one or more
+ * tickets: one registration_tickets row per seat, with an optional guest
+ * name, and registrations.quantity caching their count.
+ *
+ * Seats are limited twice: events.capacity caps the event as a whole
+ * (0 = unlimited) and ticket_types.capacity caps one type (NULL = no limit
+ * of its own). Events without ticket types sell a single "General admission"
+ * ticket at events.price.
+ */
+
+const MAX_TICKETS_PER_REGISTRATION = 10;
+const DEFAULT_TICKET_NAME = 'General admission';
+
+function ensureTicketSchema(PDO $db) {
+    $db->exec(
+        "CREATE TABLE IF NOT EXISTS ticket_types (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            event_id INT NOT NULL,
+            name VARCHAR(100) NOT NULL,
+            price DECIMAL(10,2) NOT NULL DEFAULT 0,
+            capacity INT NULL,
+            sort_order INT NOT NULL DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_ticket_event (event_id),
+            CONSTRAINT fk_ticket_type_event FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci"
+    );
+    $db->exec(
+        "CREATE TABLE IF NOT EXISTS registration_tickets (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            registration_id INT NOT NULL,
+            ticket_type_id INT NULL,
+            guest_name VARCHAR(100) NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_ticket_registration (registration_id),
+            INDEX idx_ticket_type (ticket_type_id),
+            CONSTRAINT fk_ticket_registration FOREIGN KEY (registration_id) REFERENCES registrations(id) ON DELETE CASCADE,
+            CONSTRAINT fk_ticket_type FOREIGN KEY (ticket_type_id) REFERENCES ticket_types(id) ON DELETE SET NULL
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci"
+    );
+
+    $stmt = $db->prepare("SELECT COUNT(*) FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'registrations' AND COLUMN_NAME = 'quantity'");
+    $stmt->execute();
+    if ((int)$stmt->fetchColumn() === 0) {
+        $db->exec('ALTER TABLE registrations ADD COLUMN quantity INT NOT NULL DEFAULT 1');
+    }
+}
+
+/**
+ * Ticket types of an event in display order, each with 'sold' and
+ * 'available' (null = no limit of its own). Falls back to the single
+ * default type when the event defines none.
+ */
+function fetchTicketTypes(PDO $db, $eventId, $forUpdate = false) {
+    $lock = $forUpdate ? 'FOR UPDATE' : '';
+    $stmt = $db->prepare("SELECT id, name, price, capacity FROM ticket_types WHERE event_id = :event ORDER BY sort_order, id $lock");
+    $stmt->execute([':event' => $eventId]);
+    $rows = $stmt->fetchAll(PDO::FETCH_ASSOC);
+
+    if (!$rows) {
+        $stmt = $db->prepare('SELECT price FROM events WHERE id = :id');
+        $stmt->execute([':id' => $eventId]);
+        return [[
+            'id' => null,
+            'name' => DEFAULT_TICKET_NAME,
+            'price' => (float)$stmt->fetchColumn(),
+            'capacity' => null,
+            'sold' => 0,
+            'available' => null,
+        ]];
+    }
+
+    $stmt = $db->prepare(
+        "SELECT rt.ticket_type_id, COUNT(*) AS sold
+         FROM registration_tickets rt
+         JOIN registrations r ON r.id = rt.registration_id
+         WHERE r.event_id = :event AND r.status IN ('registered', 'pending') AND rt.ticket_type_id IS NOT NULL
+         GROUP BY rt.ticket_type_id"
+    );
+    $stmt->execute([':event' => $eventId]);
+    $sold = $stmt->fetchAll(PDO::FETCH_KEY_PAIR);
+
+    return array_map(function ($row) use ($sold) {
+        $capacity = $row['capacity'] !== null && (int)$row['capacity'] > 0 ? (int)$row['capacity'] : null;
+        $used = (int)($sold[$row['id']] ?? 0);
+        return [
+            'id' => (int)$row['id'],
+            'name' => $row['name'],
+            'price' => (float)$row['price'],
+            'capacity' => $capacity,
+            'sold' => $used,
+            'available' => $capacity === null ? null : max(0, $capacity - $used),
+        ];
+    }, $rows);
+}
+
+// Seats taken by registered tickets and by those held while awaiting payment
+function seatsUsed(PDO $db, $eventId) {
+    $stmt = $db->prepare("SELECT COALESCE(SUM(quantity), 0) FROM registrations WHERE event_id = :event AND status IN ('registered', 'pending')");
+    $stmt->execute([':event' => $eventId]);
+    return (int)$stmt->fetchColumn();
+}
+
+/**
+ * Seat availability for an event:
+ *   ['capacity' => int, 'available' => ?int, 'types' => [...fetchTicketTypes]]
+ * 'available' is null when unlimited. When every ticket type has its own
+ * capacity, their remaining seats also bound the total.
+ * $forUpdate locks the event row; call inside a transaction.
+ */
+function ticketAvailability(PDO $db, $eventId, $forUpdate = false) {
+    $lock = $forUpdate ? 'FOR UPDATE' : '';
+    $stmt = $db->prepare("SELECT capacity FROM events WHERE id = :id $lock");
+    $stmt->execute([':id' => $eventId]);
+    $capacity = (int)$stmt->fetchColumn();
+
+    $types = fetchTicketTypes($db, $eventId, $forUpdate);
+    $available = $capacity > 0 ? max(0, $capacity - seatsUsed($db, $eventId)) : null;
+
+    $typeLimits = array_column($types, 'available');
+    if ($typeLimits && !in_array(null, $typeLimits, true)) {
+        $typeTotal = array_sum($typeLimits);
+        $available = $available === null ? $typeTotal : min($available, $typeTotal);
+    }
+
+    return ['capacity' => $capacity, 'available' => $available, 'types' => $types];
+}
+
+/**
+ * Turn a registration request into a flat ticket list:
+ *   [['ticket_type_id' => ?int, 'guest_name' => ?string], ...]
+ *
+ * Accepts 'tickets' => [['ticket_type_id' => 2, 'quantity' => 2, 'guest_names' => ['Ann']], ...]
+ * or, for single-type events, just 'quantity' (default 1) of the first type.
+ * Throws InvalidArgumentException with a user-facing message.
+ */
+function normalizeTicketSelection(array $payload, array $types) {
+    $byId = [];
+    foreach ($types as $type) {
+        $byId[(int)$type['id']] = $type;
+    }
+
+    $lines = $payload['tickets'] ?? null;
+    if (!is_array($lines) || !$lines) {
+        $lines = [[
+            'ticket_type_id' => $types[0]['id'],
+            'quantity' => $payload['quantity'] ?? 1,
+            'guest_names' => $payload['guest_names'] ?? [],
+        ]];
+    }
+
+    $tickets = [];
+    foreach ($lines as $line) {
+        $typeId = isset($line['ticket_type_id']) && $line['ticket_type_id'] !== '' ? (int)$line['ticket_type_id'] : null;
+        if (!isset($byId[(int)$typeId])) {
+            throw new InvalidArgumentException('Unknown ticket type');
+        }
+        $quantity = filter_var($line['quantity'] ?? 1, FILTER_VALIDATE_INT);
+        if ($quantity === false || $quantity < 0) {
+            throw new InvalidArgumentException('Ticket quantity must be a whole number');
+        }
+
+        $guests = array_values((array)($line['guest_names'] ?? []));
+        for ($i = 0; $i < $quantity; $i++) {
+            $guest = trim((string)($guests[$i] ?? ''));
+            if (mb_strlen($guest) > 100) {
+                throw new InvalidArgumentException('Guest names must be 100 characters or fewer');
+            }
+            $tickets[] = ['ticket_type_id' => $typeId, 'guest_name' => $guest === '' ? null : $guest];
+        }
+    }
+
+    if (!$tickets) {
+        throw new InvalidArgumentException('Choose at least one ticket');
+    }
+    if (count($tickets) > MAX_TICKETS_PER_REGISTRATION) {
+        throw new InvalidArgumentException('You can book at most ' . MAX_TICKETS_PER_REGISTRATION . ' tickets at once');
+    }
+    return $tickets;
+}
+
+// Whether $tickets fit in the seats left, both in total and per type
+function ticketsFit(array $availability, array $tickets) {
+    if ($availability['available'] !== null && count($tickets) > $availability['available']) {
+        return false;
+    }
+    $wanted = array_count_values(array_map(fn($t) => (int)$t['ticket_type_id'], $tickets));
+    foreach ($availability['types'] as $type) {
+        if ($type['available'] !== null && ($wanted[(int)$type['id']] ?? 0) > $type['available']) {
+            return false;
+        }
+    }
+    return true;
+}
+
+// Take $tickets out of an availability snapshot (used while promoting several entries)
+function reserveTickets(array $availability, array $tickets) {
+    if ($availability['available'] !== null) {
+        $availability['available'] -= count($tickets);
+    }
+    $wanted = array_count_values(array_map(fn($t) => (int)$t['ticket_type_id'], $tickets));
+    foreach ($availability['types'] as &$type) {
+        if ($type['available'] !== null) {
+            $type['available'] -= $wanted[(int)$type['id']] ?? 0;
+        }
+    }
+    unset($type);
+    return $availability;
+}
+
+function ticketsTotal(array $types, array $tickets) {
+    $prices = [];
+    foreach ($types as $type) {
+        $prices[(int)$type['id']] = (float)$type['price'];
+    }
+    $total = 0.0;
+    foreach ($tickets as $ticket) {
+        $total += $prices[(int)$ticket['ticket_type_id']] ?? 0;
+    }
+    return round($total, 2);
+}
+
+// Replace a registration's tickets and keep registrations.quantity in step
+function saveRegistrationTickets(PDO $db, $registrationId, array $tickets) {
+    $db->prepare('DELETE FROM registration_tickets WHERE registration_id = :id')->execute([':id' => $registrationId]);
+
+    $insert = $db->prepare('INSERT INTO registration_tickets (registration_id, ticket_type_id, guest_name) VALUES (:registration, :type, :guest)');
+    foreach ($tickets as $ticket) {
+        $insert->execute([
+            ':registration' => $registrationId,
+            ':type' => $ticket['ticket_type_id'],
+            ':guest' => $ticket['guest_name'],
+        ]);
+    }
+
+    $db->prepare('UPDATE registrations SET quantity = :quantity WHERE id = :id')
+        ->execute([':quantity' => count($tickets), ':id' => $registrationId]);
+}
+
+/**
+ * Tickets for several registrations, keyed by registration id:
+ *   [12 => [['ticket_type_id' => 3, 'name' => 'VIP', 'price' => 40.0, 'guest_name' => 'Ann'], ...]]
+ * Tickets from before ticket types existed (or whose type was deleted) are
+ * reported as the default type.
+ */
+function registrationTickets(PDO $db, array $registrationIds) {
+    $ids = array_values(array_unique(array_filter(array_map('intval', $registrationIds))));
+    if (!$ids) {
+        return [];
+    }
+
+    $placeholders = implode(',', array_fill(0, count($ids), '?'));
+    $stmt = $db->prepare(
+        "SELECT rt.registration_id, rt.ticket_type_id, rt.guest_name, tt.name, tt.price
+         FROM registration_tickets rt
+         LEFT JOIN ticket_types tt ON tt.id = rt.ticket_type_id
+         WHERE rt.registration_id IN ($placeholders)
+         ORDER BY rt.registration_id, rt.id"
+    );
+    $stmt->execute($ids);
+
+    $byRegistration = [];
+    foreach ($stmt->fetchAll(PDO::FETCH_ASSOC) as $row) {
+        $byRegistration[(int)$row['registration_id']][] = [
+            'ticket_type_id' => $row['ticket_type_id'] !== null ? (int)$row['ticket_type_id'] : null,
+            'name' => $row['name'] ?? DEFAULT_TICKET_NAME,
+            'price' => $row['price'] !== null ? (float)$row['price'] : null,
+            'guest_name' => $row['guest_name'],
+        ];
+    }
+    return $byRegistration;
+}
+
+// Resync the cached events.available_spots with the seats taken
+function syncAvailableSpots(PDO $db, $eventId) {
+    $stmt = $db->prepare('SELECT capacity FROM events WHERE id = :id');
+    $stmt->execute([':id' => $eventId]);
+    $capacity = (int)$stmt->fetchColumn();
+    if ($capacity <= 0) {
+        return;
+    }
+    $db->prepare('UPDATE events SET available_spots = :available WHERE id = :id')
+        ->execute([':available' => max(0, $capacity - seatsUsed($db, $eventId)), ':id' => $eventId]);
+}
+
+/**
+ * Create, update and delete an event's ticket types to match $types
+ * (rows with an 'id' are updated, rows without are added, missing ones are
+ * deleted; tickets already sold for a deleted type fall back to the default).
+ * Throws InvalidArgumentException with a user-facing message.
+ */
+function saveTicketTypes(PDO $db, $eventId, array $types) {
+    $clean = [];
+    foreach (array_values($types) as $i => $type) {
+        $name = trim((string)($type['name'] ?? ''));
+        if ($name === '' || mb_strlen($name) > 100) {
+            throw new InvalidArgumentException('Every ticket type needs a name (100 characters max)');
+        }
+        $price = $type['price'] ?? 0;
+        if ($price === '' || $price === null) {
+            $price = 0;
+        }
+        if (!is_numeric($price) || $price < 0) {
+            throw new InvalidArgumentException("Price for \"$name\" must be zero or more");
+        }
+        $capacity = $type['capacity'] ?? null;
+        if ($capacity === '' || $capacity === null || (int)$capacity === 0) {
+            $capacity = null;
+        } elseif (filter_var($capacity, FILTER_VALIDATE_INT) === false || $capacity < 0) {
+            throw new InvalidArgumentException("Capacity for \"$name\" must be a whole number");
+        }
+        $clean[] = [
+            'id' => isset($type['id']) && $type['id'] !== '' ? (int)$type['id'] : null,
+            'name' => $name,
+            'price' => round((float)$price, 2),
+            'capacity' => $capacity === null ? null : (int)$capacity,
+            'sort_order' => $i + 1,
+        ];
+    }
+
+    $stmt = $db->prepare('SELECT id FROM ticket_types WHERE event_id = :event');
+    $stmt->execute([':event' => $eventId]);
+    $existing = array_map('intval', $stmt->fetchAll(PDO::FETCH_COLUMN));
+
+    $update = $db->prepare(
+        'UPDATE ticket_types SET name = :name, price = :price, capacity = :capacity, sort_order = :sort_order
+         WHERE id = :id AND event_id = :event'
+    );
+    $insert = $db->prepare(
+        'INSERT INTO ticket_types (event_id, name, price, capacity, sort_order)
+         VALUES (:event, :name, :price, :capacity, :sort_order)'
+    );
+
+    $kept = [];
+    foreach ($clean as $type) {
+        $params = [
+            ':event' => $eventId,
+            ':name' => $type['name'],
+            ':price' => $type['price'],
+            ':capacity' => $type['capacity'],
+            ':sort_order' => $type['sort_order'],
+        ];
+        if ($type['id'] !== null && in_array($type['id'], $existing, true)) {
+            $update->execute($params + [':id' => $type['id']]);
+            $kept[] = $type['id'];
+        } else {
+            $insert->execute($params);
+        }
+    }
+
+    $removed = array_diff($existing, $kept);
+    if ($removed) {
+        $placeholders = implode(',', array_fill(0, count($removed), '?'));
+        $db->prepare("DELETE FROM ticket_types WHERE id IN ($placeholders)")->execute(array_values($removed));
+    }
+
+    return $clean;
+}
@@ -0,0 +1,129 @@
+<?php
+/**
+ * Registration waitlist helpers
+ * When an event with a capacity is full, users can join its waitlist
+ * (registrations.status = 'waitlisted'). Whenever seats free up, the oldest
+ * entries are promoted to 'registered', first in first out by waitlisted_at.
+ * Entries with priced tickets are promoted to 'pending' with an order to pay
+ * instead, held for the longer waitlist hold time.
+ */
+
+require_once __DIR__ . '/tickets.php';
+require_once __DIR__ . '/payments.php';
+
+// Add the 'waitlisted' status and queue timestamp on databases created before the waitlist
+function ensureWaitlistSchema(PDO $db) {
+    $stmt = $db->prepare("SELECT COLUMN_NAME, COLUMN_TYPE FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'registrations' AND COLUMN_NAME IN ('status', 'waitlisted_at')");
+    $stmt->execute();
+    $columns = $stmt->fetchAll(PDO::FETCH_KEY_PAIR);
+
+    if (isset($columns['status']) && strpos($columns['status'], "'waitlisted'") === false) {
+        $db->exec("ALTER TABLE registrations MODIFY status ENUM('registered','pending','waitlisted','canceled') DEFAULT 'registered'");
+    }
+    if (!isset($columns['waitlisted_at'])) {
+        $db->exec('ALTER TABLE registrations ADD COLUMN waitlisted_at DATETIME NULL, ADD INDEX idx_waitlist (event_id, status, waitlisted_at)');
+    }
+}
+
+/**
+ * 1-based place in the queue for a waitlisted registration row, or null.
+ * Ties on waitlisted_at are broken by id, matching the promotion order.
+ */
+function waitlistPosition(PDO $db, array $registration) {
+    if (($registration['status'] ?? '') !== 'waitlisted') {
+        return null;
+    }
+    $stmt = $db->prepare(
+        "SELECT COUNT(*) FROM registrations
+         WHERE event_id = :event AND status = 'waitlisted'
+           AND (waitlisted_at < :at OR (waitlisted_at = :at_tie AND id <= :id))"
+    );
+    $stmt->execute([
+        ':event' => $registration['event_id'],
+        ':at' => $registration['waitlisted_at'],
+        ':at_tie' => $registration['waitlisted_at'],
+        ':id' => $registration['id'],
+    ]);
+    return (int)$stmt->fetchColumn();
+}
+
+function waitlistCount(PDO $db, $eventId) {
+    $stmt = $db->prepare("SELECT COUNT(*) FROM registrations WHERE event_id = :event AND status = 'waitlisted'");
+    $stmt->execute([':event' => $eventId]);
+    return (int)$stmt->fetchColumn();
+}
+
+/**
+ * Fill free seats from the front of the waitlist and resync available_spots.
+ * Entries are taken oldest first; one whose tickets don't fit yet (too many
+ * seats, or a sold-out ticket type) keeps its place while later entries that
+ * do fit are promoted. Call inside a transaction; the event row stays locked
+ * until it commits. Returns the ids of the promoted users.
+ */
+function promoteWaitlist(PDO $db, $eventId) {
+    // Unpaid holds that ran out give their seats back first
+    expireStaleOrders($db, $eventId);
+    $availability = ticketAvailability($db, $eventId, true);
+
+    $stmt = $db->prepare(
+        "SELECT id, user_id, event_id FROM registrations
+         WHERE event_id = :event AND status = 'waitlisted'
+         ORDER BY waitlisted_at, id
+         FOR UPDATE"
+    );
+    $stmt->execute([':event' => $eventId]);
+    $waiting = $stmt->fetchAll(PDO::FETCH_ASSOC);
+
+    $promoted = [];
+    if ($waiting && ($availability['available'] === null || $availability['available'] > 0)) {
+        $tickets = registrationTickets($db, array_column($waiting, 'id'));
+        $promote = $db->prepare("UPDATE registrations SET status = :status, waitlisted_at = NULL, updated_at = NOW() WHERE id = :id");
+        $holdMinutes = (int)paymentsConfig()['waitlist_hold_minutes'];
+
+        foreach ($waiting as $row) {
+            // Entries from before ticket types hold one default seat
+            $wanted = $tickets[(int)$row['id']] ?? [['ticket_type_id' => null, 'guest_name' => null]];
+            if (!ticketsFit($availability, $wanted)) {
+                continue;
+            }
+            $total = ticketsTotal($availability['types'], $wanted);
+            $promote->execute([':status' => $total > 0 ? 'pending' : 'registered', ':id' => $row['id']]);
+            if ($total > 0) {
+                createOrder($db, $row, $total, $holdMinutes);
+            }
+            $availability = reserveTickets($availability, $wanted);
+            $promoted[] = (int)$row['user_id'];
+        }
+    }
+
+    syncAvailableSpots($db, $eventId);
+    return $promoted;
+}
+
+/**
+ * Fail unpaid orders whose hold ran out (see expireStaleOrders()) and hand
+ * the seats they free to the waitlist. Pass an event id to limit the sweep to
+ * one event. Runs in its own transaction unless one is already open.
+ * Returns the ids of the events that got seats back.
+ */
+function releaseExpiredHolds(PDO $db, $eventId = null) {
+    $ownTransaction = !$db->inTransaction();
+    if ($ownTransaction) {
+        $db->beginTransaction();
+    }
+    try {
+        $events = expireStaleOrders($db, $eventId);
+        foreach ($events as $id) {
+            promoteWaitlist($db, $id);
+        }
+        if ($ownTransaction) {
+            $db->commit();
+        }
+    } catch (Exception $e) {
+        if ($ownTransaction) {
+            $db->rollBack();
+        }
+        throw $e;
+    }
+    return $events;
+}
@@ -0,0 +1,39 @@
+<?php
+/**
+ * Maintenance CLI: archive published events that ended a while ago.
+ *
+ * Usage:
+ *   php dev/archive-events.php [--dry-run] [--after-hours=24]
+ *
+ * Meant to run on a schedule, e.g. hourly from cron:
+ *   0 * * * * php /var/www/lawen/dev/archive-events.php >> /var/log/lawen-archive.log 2>&1
+ *
+ * --after-hours defaults to archive.after_hours in api/config.php
+ * (ARCHIVE_AFTER_HOURS). Up to 500 events are archived per run; each one is
+ * recorded in the admin actions log. See api/event-archive.php.
+ */
+
+if (PHP_SAPI !== 'cli') {
+    http_response_code(403);
+    echo "Run this script from the command line.\n";
+    exit(1);
+}
+
+$options = getopt('', ['dry-run', 'after-hours:']);
+$dryRun = isset($options['dry-run']);
+
+// db.php reads SERVER_NAME when reporting connection errors
+$_SERVER['SERVER_NAME'] = $_SERVER['SERVER_NAME'] ?? 'localhost';
+$db = require __DIR__ . '/../api/db.php';
+require_once __DIR__ . '/../api/event-archive.php';
+
+ensureArchiveSchema($db);
+
+$afterHours = isset($options['after-hours']) ? max(0, (int) $options['after-hours']) : (int) archiveConfig()['after_hours'];
+$events = $dryRun ? endedEventsToArchive($db, $afterHours) : archiveEndedEvents($db, $afterHours);
+
+foreach ($events as $event) {
+    echo sprintf("#%d %s (ended %s UTC)%s\n", $event['id'], $event['name'], $event['ends_at_utc'], $dryRun ? ' [dry run]' : '');
+}
+
+echo ($dryRun ? 'Would archive' : 'Archived') . ' ' . count($events) . " event(s) that ended more than {$afterHours} hour(s) ago.\n";
@@ -0,0 +1,44 @@
+<?php
+/**
+ * Dev check: the time zones the add/edit forms can offer are accepted by the API.
+ *
+ * Usage:
+ *   php dev/check-timezones.php [Zone/Name ...]
+ *
+ * Browsers fill the zone picker from Intl.supportedValuesOf('timeZone'),
+ * which in V8 lists legacy links (Asia/Calcutta, Europe/Kiev, ...) instead of
+ * their current names. Checks those links, their canonical names and any zones
+ * given on the command line against isValidTimezone(); exits 1 on a rejection.
+ */
+
+if (PHP_SAPI !== 'cli') {
+    http_response_code(403);
+    echo "Run this script from the command line.\n";
+    exit(1);
+}
+
+require_once __DIR__ . '/../api/event-times.php';
+
+$zones = array_slice($argv, 1) ?: [
+    // Links V8 offers
+    'Asia/Calcutta', 'Asia/Saigon', 'Europe/Kiev', 'Asia/Katmandu', 'Asia/Rangoon', 'America/Buenos_Aires',
+    // Their canonical names
+    'Asia/Kolkata', 'Asia/Ho_Chi_Minh', 'Europe/Kyiv', 'Asia/Kathmandu', 'Asia/Yangon', 'America/Argentina/Buenos_Aires',
+    'UTC', 'Europe/London',
+];
+
+$rejected = 0;
+foreach ($zones as $zone) {
+    $ok = isValidTimezone($zone);
+    $rejected += $ok ? 0 : 1;
+    echo sprintf("%-32s %s\n", $zone, $ok ? 'ok' : 'REJECTED');
+}
+
+// Not a zone at all
+if (isValidTimezone('Mars/Olympus_Mons')) {
+    echo "Mars/Olympus_Mons                ACCEPTED (should be rejected)\n";
+    $rejected++;
+}
+
+echo $rejected ? "$rejected problem(s).\n" : "All zones accepted.\n";
+exit($rejected ? 1 : 0);
@@ -0,0 +1,79 @@
+<?php
+/**
+ * Dev/maintenance CLI: fill in lat/lng for events that only have a text location.
+ *
+ * Usage:
+ *   php dev/geocode-backfill.php [--dry-run] [--limit=50] [--delay=1]
+ *
+ * Uses the geocoder configured in api/config.php (set GEOCODER_DRIVER=fixture
+ * to run against dev/geocode-fixture.json). --delay is the pause in seconds
+ * between lookups; keep it at 1 or more for the public Nominatim server.
+ */
+
+if (PHP_SAPI !== 'cli') {
+    http_response_code(403);
+    echo "Run this script from the command line.\n";
+    exit(1);
+}
+
+$options = getopt('', ['dry-run', 'limit:', 'delay:']);
+$dryRun = isset($options['dry-run']);
+$limit = isset($options['limit']) ? max(1, (int) $options['limit']) : 50;
+$delay = isset($options['delay']) ? max(0, (float) $options['delay']) : 1;
+
+// db.php reads SERVER_NAME when reporting connection errors
+$_SERVER['SERVER_NAME'] = $_SERVER['SERVER_NAME'] ?? 'localhost';
+$db = require __DIR__ . '/../api/db.php';
+require_once __DIR__ . '/../api/geocoder.php';
+
+$geocoder = createGeocoder();
+
+$stmt = $db->prepare(
+    "SELECT id, name, location FROM events
+     WHERE (lat IS NULL OR lng IS NULL) AND location IS NOT NULL AND location <> ''
+     ORDER BY id ASC
+     LIMIT :limit"
+);
+$stmt->bindValue(':limit', $limit, PDO::PARAM_INT);
+$stmt->execute();
+$events = $stmt->fetchAll();
+
+if (!$events) {
+    echo "All events already have coordinates.\n";
+    exit(0);
+}
+
+$update = $db->prepare('UPDATE events SET lat = :lat, lng = :lng WHERE id = :id');
+$updated = 0;
+$missed = 0;
+
+foreach ($events as $i => $event) {
+    if ($i > 0 && $delay > 0) {
+        usleep((int) ($delay * 1000000));
+    }
+
+    try {
+        $results = $geocoder->geocode($event['location']);
+    } catch (Exception $e) {
+        fwrite(STDERR, "#{$event['id']} {$event['location']}: {$e->getMessage()}\n");
+        $missed++;
+        continue;
+    }
+
+    if (!$results) {
+        echo "#{$event['id']} {$event['location']}: no match\n";
+        $missed++;
+        continue;
+    }
+
+    $best = $results[0];
+    echo sprintf("#%d %s -> %.6f, %.6f (%s)%s\n",
+        $event['id'], $event['location'], $best['lat'], $best['lng'], $best['label'], $dryRun ? ' [dry run]' : '');
+
+    if (!$dryRun) {
+        $update->execute([':lat' => $best['lat'], ':lng' => $best['lng'], ':id' => $event['id']]);
+    }
+    $updated++;
+}
+
+echo "\n" . ($dryRun ? 'Would update' : 'Updated') . " {$updated} event(s), {$missed} without a match.\n";
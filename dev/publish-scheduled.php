@@ -0,0 +1,43 @@
+<?php
+/**
+ * Maintenance CLI: publish scheduled events whose publish time has passed.
+ *
+ * Usage:
+ *   php dev/publish-scheduled.php [--dry-run]
+ *
+ * Meant to run every minute from cron:
+ *   * * * * * php /var/www/lawen/dev/publish-scheduled.php >> /var/log/lawen-publish.log 2>&1
+ *
+ * Scheduled events stay unlisted until this job publishes them, so run it
+ * often. See api/event-publishing.php.
+ */
+
+if (PHP_SAPI !== 'cli') {
+    http_response_code(403);
+    echo "Run this script from the command line.\n";
+    exit(1);
+}
+
+$options = getopt('', ['dry-run']);
+$dryRun = isset($options['dry-run']);
+
+// db.php reads SERVER_NAME when reporting connection errors
+$_SERVER['SERVER_NAME'] = $_SERVER['SERVER_NAME'] ?? 'localhost';
+$db = require __DIR__ . '/../api/db.php';
+require_once __DIR__ . '/../api/event-publishing.php';
+
+ensurePublishingSchema($db);
+
+if ($dryRun) {
+    $stmt = $db->prepare("SELECT id, name, publish_at FROM events WHERE status = 'scheduled' AND publish_at <= :now ORDER BY publish_at, id");
+    $stmt->execute([':now' => gmdate('Y-m-d H:i:s')]);
+    $events = $stmt->fetchAll(PDO::FETCH_ASSOC);
+} else {
+    $events = publishDueEvents($db);
+}
+
+foreach ($events as $event) {
+    echo sprintf("#%d %s (due %s UTC)%s\n", $event['id'], $event['name'], $event['publish_at'], $dryRun ? ' [dry run]' : '');
+}
+
+echo ($dryRun ? 'Would publish' : 'Published') . ' ' . count($events) . " scheduled event(s).\n";
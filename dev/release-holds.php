@@ -0,0 +1,46 @@
+<?php
+/**
+ * Maintenance CLI: fail unpaid orders whose hold ran out and promote the
+ * waitlist into the seats they free.
+ *
+ * Usage:
+ *   php dev/release-holds.php [--dry-run]
+ *
+ * Meant to run every minute from cron:
+ *   * * * * * php /var/www/lawen/dev/release-holds.php >> /var/log/lawen-holds.log 2>&1
+ *
+ * The registration, order and roster endpoints also release the holds of the
+ * events they touch; the job makes sure a seat left by someone promoted off
+ * the waitlist who never paid goes to the next in line without waiting for
+ * unrelated traffic. See releaseExpiredHolds() in api/waitlist.php.
+ */
+
+if (PHP_SAPI !== 'cli') {
+    http_response_code(403);
+    echo "Run this script from the command line.\n";
+    exit(1);
+}
+
+$options = getopt('', ['dry-run']);
+$dryRun = isset($options['dry-run']);
+
+// db.php reads SERVER_NAME when reporting connection errors
+$_SERVER['SERVER_NAME'] = $_SERVER['SERVER_NAME'] ?? 'localhost';
+$db = require __DIR__ . '/../api/db.php';
+require_once __DIR__ . '/../api/waitlist.php';
+
+ensureOrderSchema($db);
+ensureWaitlistSchema($db);
+
+if ($dryRun) {
+    $stmt = $db->query("SELECT DISTINCT event_id FROM orders WHERE status = 'pending' AND expires_at < NOW() ORDER BY event_id");
+    $events = array_map('intval', $stmt->fetchAll(PDO::FETCH_COLUMN));
+} else {
+    $events = releaseExpiredHolds($db);
+}
+
+foreach ($events as $eventId) {
+    echo sprintf("#%d%s\n", $eventId, $dryRun ? ' [dry run]' : '');
+}
+
+echo ($dryRun ? 'Would release' : 'Released') . ' expired holds on ' . count($events) . " event(s).\n";
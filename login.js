@@ -3,6 +3,7 @@ import {
   signInWithEmailAndPassword,
   createUserWithEmailAndPassword,
 } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js";
+import { api } from "./scripts/api-client.js";
 
 const loginTab = document.getElementById("login-tab");
 const signupTab = document.getElementById("signup-tab");
@@ -73,21 +74,13 @@ loginForm.addEventListener("submit", async (e) => {
     );
     const user = userCredential.user;
 
-    // Get Firebase ID token
-    const idToken = await user.getIdToken();
-
     // Sync with backend (optional - ensures user exists in your DB)
-    await fetch("api/sync-user.php", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${idToken}`,
-      },
-      body: JSON.stringify({
+    await api.me
+      .sync({
         uid: user.uid,
         email: user.email,
-      }),
-    });
+      })
+      .catch((err) => console.warn("User sync failed:", err.message));
 
     // Redirect to account page
     window.location.href = "account.html";
@@ -183,25 +176,17 @@ signupForm.addEventListener("submit", async (e) => {
     );
     const user = userCredential.user;
 
-    // Get Firebase ID token
-    const idToken = await user.getIdToken();
-
     // Send additional user data to backend
-    await fetch("api/sync-user.php", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${idToken}`,
-      },
-      body: JSON.stringify({
+    await api.me
+      .sync({
         uid: user.uid,
         email: user.email,
         name: name,
         age: parseInt(age, 10),
         phone: phone,
         location: location,
-      }),
-    });
+      })
+      .catch((err) => console.warn("User sync failed:", err.message));
 
     // Redirect to account page
     window.location.href = "account.html";
@@ -5,6 +5,7 @@ import {
   onAuthStateChanged,
   signOut,
 } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js";
+import { api, pageUrl } from "./api-client.js";
 
 let currentUser = null;
 
@@ -51,26 +52,12 @@ function showAdminStuff(role) {
 // ---------- API: LOAD PROFILE ----------
 async function loadProfile(user) {
   try {
-    const idToken = await user.getIdToken();
-
-    const res = await fetch("api/me.php", {
-      headers: { Authorization: `Bearer ${idToken}` },
-    });
-
-    if (res.status === 401) {
-      window.location.href = "login.html";
-      return;
-    }
-
-    const data = await res.json();
-    if (!res.ok || !data.success) {
-      throw new Error(data.error || "Failed to load profile");
-    }
-
+    const data = await api.me.get();
     const userData = data.user;
     showProfile(userData, user.email);
     showAdminStuff(userData.role || null);
   } catch (err) {
+    if (err.status === 401) return; // api client redirects to login
     console.error("Profile load error:", err);
     alert("Unable to load profile: " + err.message);
   }
@@ -94,27 +81,12 @@ async function handleDeleteAccount() {
   if (!confirm2) return;
 
   try {
-    const idToken = await currentUser.getIdToken();
-
-    const res = await fetch("api/delete-account.php", {
-      method: "DELETE",
-      headers: {
-        Authorization: `Bearer ${idToken}`,
-        "X-Firebase-UID": currentUser.uid,
-        "Content-Type": "application/json",
-      },
-    });
-
-    const data = await res.json();
-
-    if (!res.ok || !data.success) {
-      throw new Error(data.error || "Failed to delete account");
-    }
+    await api.me.delete();
 
     alert("Your account has been deleted. You will be logged out.");
 
     await signOut(auth);
-    window.location.href = "login.html";
+    window.location.href = pageUrl("login.html");
   } catch (err) {
     console.error("Delete account error:", err);
     alert("Unable to delete account: " + err.message);
@@ -126,7 +98,7 @@ function initAccountPage() {
   // Auth & profile
   onAuthStateChanged(auth, async (user) => {
     if (!user) {
-      window.location.href = "login.html";
+      window.location.href = pageUrl("login.html");
       return;
     }
     currentUser = user;
@@ -143,14 +115,14 @@ function initAccountPage() {
   if (editProfileBtn) {
     editProfileBtn.addEventListener("click", () => {
       // you already have edit-profile.html in your project
-      window.location.href = "edit-profile.html";
+      window.location.href = pageUrl("edit-profile.html");
     });
   }
 
   if (changePasswordBtn) {
     changePasswordBtn.addEventListener("click", () => {
       // you already have change-password.html / forgot-password.html
-      window.location.href = "change-password.html";
+      window.location.href = pageUrl("change-password.html");
     });
   }
 
@@ -158,7 +130,7 @@ function initAccountPage() {
     logoutBtn.addEventListener("click", async () => {
       try {
         await signOut(auth);
-        window.location.href = "login.html";
+        window.location.href = pageUrl("login.html");
       } catch (err) {
         console.error("Logout error:", err);
         alert("Logout failed: " + err.message);
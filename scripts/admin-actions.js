@@ -21,12 +21,7 @@ async function loadActions() {
   }
 
   try {
-    const response = await adminAuth.apiRequest('/api/admin/actions.php?limit=150');
-    const data = await response.json();
-
-    if (!data.success) {
-      throw new Error(data.error || 'Failed to load admin actions');
-    }
+    const data = await adminAuth.apiRequest('admin/actions.php', { query: { limit: 150 } });
 
     renderActions(data.actions || []);
   } catch (error) {
@@ -49,7 +44,7 @@ function renderActions(actions) {
 
   actions.forEach((action) => {
     const tr = document.createElement('tr');
-    const adminName = action.admin_name || 'Unknown';
+    const adminName = action.admin_name || (action.admin_id ? 'Unknown' : 'System');
     const target = action.target_name || action.target_type || '-';
     const details = action.details ? escapeHtml(action.details) : '-';
 
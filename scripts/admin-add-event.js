@@ -4,8 +4,19 @@ import { auth } from "../firebase-config.js";
 import {
   onAuthStateChanged,
 } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js";
+import { api, pageUrl } from "./api-client.js";
+import { attachLocationPicker } from "./location-picker.js";
+import { attachTicketTypesEditor } from "./ticket-types-editor.js";
+import { attachRecurrenceEditor } from "./recurrence-editor.js";
+import { fillTimeZoneSelect } from "./event-times.js";
 
 let currentUser = null;
+let ticketTypesEditor = null;
+let recurrenceEditor = null;
+let locationPicker = null;
+// Image carried over from a duplicated event or a template
+let currentImageUrl = null;
+let templates = [];
 
 // ------------ DOM ELEMENTS ------------
 const form = document.getElementById("add-event-form");
@@ -17,6 +28,26 @@ const imageFileInput = document.getElementById("image_file");
 const imagePreviewWrapper = document.getElementById("image-preview-wrapper");
 const imagePreview = document.getElementById("image-preview");
 
+const latInput = document.getElementById("lat");
+const lngInput = document.getElementById("lng");
+
+const capacityInput = document.getElementById("capacity");
+const priceInput = document.getElementById("price");
+const ageInput = document.getElementById("age_restriction");
+const refundPolicyInput = document.getElementById("refund_policy");
+const refundPercentInput = document.getElementById("refund_percent");
+const refundCutoffInput = document.getElementById("refund_cutoff_hours");
+const endDateInput = document.getElementById("end_date");
+const endTimeInput = document.getElementById("end_time");
+const timezoneInput = document.getElementById("timezone");
+const statusInputs = document.querySelectorAll('input[name="status"]');
+const publishAtGroup = document.getElementById("publish-at-group");
+const publishAtInput = document.getElementById("publish_at");
+const templateSelect = document.getElementById("template_select");
+const deleteTemplateBtn = document.getElementById("delete-template-btn");
+const saveTemplateBtn = document.getElementById("save-template-btn");
+const prefillNote = document.getElementById("prefill-note");
+
 // ------------ HELPERS ------------
 
 function showAlert(message, type = "info") {
@@ -32,10 +63,38 @@ function showAlert(message, type = "info") {
 function toggleSubmit(state) {
   if (submitBtn) {
     submitBtn.disabled = state;
-    submitBtn.textContent = state ? "Creating..." : "Add Event";
+    submitBtn.textContent = state ? "Saving..." : submitLabel();
   }
 }
 
+// ------------ PUBLISHING ------------
+
+function selectedStatus() {
+  return document.querySelector('input[name="status"]:checked')?.value || "published";
+}
+
+// "Publish" with a publish time schedules the event instead
+function requestedStatus() {
+  const status = selectedStatus();
+  return status === "published" && publishAtInput.value ? "scheduled" : status;
+}
+
+function submitLabel() {
+  return {
+    published: "Add Event",
+    scheduled: "Schedule Event",
+    draft: "Save Draft",
+    pending_review: "Submit for Review",
+  }[requestedStatus()];
+}
+
+function updateStatusOptions() {
+  statusInputs.forEach((input) => input.closest(".status-option")?.classList.toggle("selected", input.checked));
+  // Drafts go live through the edit page later
+  publishAtGroup.hidden = selectedStatus() === "draft";
+  if (!submitBtn.disabled) submitBtn.textContent = submitLabel();
+}
+
 function updatePreview(url) {
   if (!url) {
     imagePreviewWrapper.style.display = "none";
@@ -48,15 +107,13 @@ function updatePreview(url) {
 
 // ------------ AUTH / ADMIN CHECK ------------
 
-async function ensureAdmin(user) {
-  const idToken = await user.getIdToken();
-
-  const res = await fetch("api/me.php", {
-    headers: { Authorization: `Bearer ${idToken}` },
-  });
-
-  const data = await res.json();
-  if (!res.ok || !data.success) throw new Error("Authentication failed");
+async function ensureAdmin() {
+  let data;
+  try {
+    data = await api.me.get();
+  } catch (err) {
+    throw new Error("Authentication failed");
+  }
 
   const role = data.user.role;
   if (role !== "admin" && role !== "owner")
@@ -69,10 +126,7 @@ async function ensureAdmin(user) {
 
 async function loadGenres() {
   try {
-    const res = await fetch("api/genres.php");
-    const data = await res.json();
-
-    if (!res.ok || !data.success) throw new Error(data.error);
+    const data = await api.genres.list();
 
     genreSelection.innerHTML = "";
     data.genres.forEach((genre) => {
@@ -103,23 +157,189 @@ async function uploadImageFile(file) {
 
   showAlert("Uploading image...", "info");
 
-  const idToken = await currentUser.getIdToken();
-  const formData = new FormData();
-  formData.append("image", file);
+  const data = await api.images.upload(file);
+  return data.url;
+}
 
-  const res = await fetch("api/upload-image.php", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${idToken}`,
-      "X-Firebase-UID": currentUser.uid,
-    },
-    body: formData,
+// ------------ COORDINATES ------------
+
+// Both or neither: a half-filled pair is a mistake, not "no location"
+function readCoordinates() {
+  const lat = latInput.value === "" ? null : Number(latInput.value);
+  const lng = lngInput.value === "" ? null : Number(lngInput.value);
+  if ((lat === null) !== (lng === null))
+    throw new Error("Enter both latitude and longitude, or neither.");
+  return { lat, lng };
+}
+
+// ------------ TICKETS ------------
+
+// Blank number inputs mean "not set"
+function readNumber(input) {
+  return input && input.value !== "" ? Number(input.value) : null;
+}
+
+// ------------ DUPLICATES AND TEMPLATES ------------
+
+function setPrefillNote(message) {
+  prefillNote.textContent = message;
+  prefillNote.hidden = !message;
+}
+
+// Fill the form from an event or template; the dates are left for the new event
+function fillForm(details) {
+  form.reset();
+  recurrenceEditor.reset();
+  document.getElementById("title").value = details.name || "";
+  document.getElementById("description").value = details.description || "";
+  document.getElementById("time").value = details.time ? details.time.slice(0, 5) : "";
+  endTimeInput.value = details.end_time ? details.end_time.slice(0, 5) : "";
+  fillTimeZoneSelect(timezoneInput, details.timezone || undefined);
+  document.getElementById("location").value = details.location || "";
+  latInput.value = details.lat ?? "";
+  lngInput.value = details.lng ?? "";
+  if (details.lat !== null && details.lat !== undefined && details.lng !== null && details.lng !== undefined) {
+    locationPicker?.setCoordinates(Number(details.lat), Number(details.lng));
+  }
+
+  const genres = (details.genres || []).map(Number);
+  document.querySelectorAll('input[name="genres[]"]').forEach((cb) => {
+    cb.checked = genres.includes(Number(cb.value));
   });
 
-  const data = await res.json();
-  if (!res.ok || !data.success) throw new Error(data.error);
+  ageInput.value = details.age_restriction ?? "";
+  priceInput.value = Number(details.price) > 0 ? details.price : "";
+  capacityInput.value = Number(details.capacity) > 0 ? details.capacity : "";
+  ticketTypesEditor.copyTypes(details.ticket_types || []);
+  refundPolicyInput.value = details.refund_policy || "full";
+  refundPercentInput.value = details.refund_percent ?? "";
+  refundCutoffInput.value = Number(details.refund_cutoff_hours) > 0 ? details.refund_cutoff_hours : "";
+
+  currentImageUrl = details.image_url || null;
+  updatePreview(currentImageUrl || "");
+  updateStatusOptions();
+}
 
-  return data.url;
+// addEvents.html?duplicate=ID starts from a copy of that event
+async function loadDuplicate() {
+  const sourceId = new URLSearchParams(window.location.search).get("duplicate");
+  if (!sourceId) return;
+
+  try {
+    const { event } = await api.admin.events.get(sourceId);
+    fillForm({
+      ...event,
+      genres: (event.genres || []).map((genre) => genre.id),
+      // The implicit default type (id null) isn't a real one
+      ticket_types: (event.ticket_types || []).filter((type) => type.id),
+    });
+    setPrefillNote(`Duplicating "${event.name}". Pick a date for the new event.`);
+  } catch (err) {
+    showAlert("Couldn't load the event to duplicate: " + err.message, "error");
+  }
+}
+
+async function loadTemplates(selectedId = "") {
+  try {
+    templates = (await api.admin.templates.list()).templates || [];
+  } catch (err) {
+    showAlert("Couldn't load templates: " + err.message, "error");
+    return;
+  }
+
+  templateSelect.innerHTML = '<option value="">Blank event</option>';
+  templates.forEach((template) => {
+    const option = document.createElement("option");
+    option.value = template.id;
+    option.textContent = template.name;
+    templateSelect.appendChild(option);
+  });
+  templateSelect.value = String(selectedId);
+  deleteTemplateBtn.disabled = !templateSelect.value;
+}
+
+function selectedTemplate() {
+  return templates.find((template) => String(template.id) === templateSelect.value) || null;
+}
+
+function handleTemplateChange() {
+  const template = selectedTemplate();
+  deleteTemplateBtn.disabled = !template;
+  if (template) {
+    fillForm(template.details);
+    setPrefillNote(`Started from the "${template.name}" template. Pick a date for the new event.`);
+  } else {
+    fillForm({});
+    setPrefillNote("");
+  }
+}
+
+// What a template keeps of the form as it is now (see api/event-templates.php)
+function readTemplateDetails() {
+  const { lat, lng } = readCoordinates();
+  return {
+    name: document.getElementById("title").value.trim(),
+    description: document.getElementById("description").value.trim(),
+    time: document.getElementById("time").value || null,
+    end_time: endTimeInput.value || null,
+    timezone: timezoneInput.value,
+    location: document.getElementById("location").value.trim(),
+    lat,
+    lng,
+    image_url: currentImageUrl,
+    genres: Array.from(document.querySelectorAll('input[name="genres[]"]:checked')).map((cb) => Number(cb.value)),
+    capacity: readNumber(capacityInput),
+    price: readNumber(priceInput),
+    age_restriction: readNumber(ageInput),
+    ticket_types: ticketTypesEditor.getTypes(),
+    refund_policy: refundPolicyInput.value,
+    refund_percent: readNumber(refundPercentInput),
+    refund_cutoff_hours: readNumber(refundCutoffInput),
+  };
+}
+
+async function handleSaveTemplate() {
+  let details;
+  try {
+    details = readTemplateDetails();
+  } catch (err) {
+    showAlert(err.message, "error");
+    return;
+  }
+
+  const name = prompt("Template name:", selectedTemplate()?.name || details.name)?.trim();
+  if (!name) return;
+  if (
+    templates.some((template) => template.name.toLowerCase() === name.toLowerCase()) &&
+    !confirm(`Replace the "${name}" template?`)
+  ) {
+    return;
+  }
+
+  saveTemplateBtn.disabled = true;
+  try {
+    const saved = await api.admin.templates.save(name, details);
+    await loadTemplates(saved.template.id);
+    showAlert(saved.replaced ? `Template "${name}" replaced.` : `Template "${name}" saved.`, "success");
+  } catch (err) {
+    showAlert(err.message, "error");
+  } finally {
+    saveTemplateBtn.disabled = false;
+  }
+}
+
+async function handleDeleteTemplate() {
+  const template = selectedTemplate();
+  if (!template || !confirm(`Delete the "${template.name}" template? Events created from it are not affected.`)) return;
+
+  try {
+    await api.admin.templates.remove(template.id);
+    await loadTemplates();
+    setPrefillNote("");
+    showAlert(`Template "${template.name}" deleted.`, "success");
+  } catch (err) {
+    showAlert(err.message, "error");
+  }
 }
 
 // ------------ FORM SUBMISSION ------------
@@ -140,6 +360,8 @@ async function handleSubmit(e) {
 
     if (!name || !description || !date || !time || !location)
       throw new Error("Please fill all required fields.");
+    if (endDateInput.value && endDateInput.value < date)
+      throw new Error("The end date can't be before the start date.");
 
     const genres = Array.from(
       document.querySelectorAll('input[name="genres[]"]:checked')
@@ -148,8 +370,17 @@ async function handleSubmit(e) {
     if (genres.length === 0)
       throw new Error("Please select at least one genre.");
 
-    // Upload image file if selected
-    let imageUrl = null;
+    const { lat, lng } = readCoordinates();
+    const ticketTypes = ticketTypesEditor.getTypes();
+    const recurrence = recurrenceEditor.getRule();
+    const status = requestedStatus();
+    const publishAt =
+      status !== "draft" && publishAtInput.value ? new Date(publishAtInput.value).toISOString() : null;
+    if (publishAt && new Date(publishAt) <= new Date())
+      throw new Error("The publish time must be in the future.");
+
+    // Upload image file if selected; otherwise keep a duplicated or template image
+    let imageUrl = currentImageUrl;
     const file = imageFileInput.files[0];
 
     if (file) {
@@ -163,32 +394,47 @@ async function handleSubmit(e) {
       description,
       date,
       time,
+      end_date: endDateInput.value || null,
+      end_time: endTimeInput.value || null,
+      timezone: timezoneInput.value,
       location,
-      image_url: imageUrl, // ONLY file-based images now
+      lat,
+      lng,
+      image_url: imageUrl,
       genres,
-      status: "published",
+      capacity: readNumber(capacityInput) ?? 0,
+      price: readNumber(priceInput) ?? 0,
+      age_restriction: readNumber(ageInput),
+      ticket_types: ticketTypes,
+      refund_policy: refundPolicyInput.value,
+      refund_percent: readNumber(refundPercentInput) ?? 50,
+      refund_cutoff_hours: readNumber(refundCutoffInput) ?? 0,
+      recurrence,
+      status,
+      publish_at: publishAt,
     };
 
-    const idToken = await currentUser.getIdToken();
-
-    const response = await fetch("api/admin/events.php", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${idToken}`,
-        "X-Firebase-UID": currentUser.uid,
-      },
-      body: JSON.stringify(payload),
-    });
-
-    const raw = await response.text();
-    const data = raw ? JSON.parse(raw) : {};
-
-    if (!response.ok || !data.success) throw new Error(data.error || raw);
-
-    showAlert("Event created successfully!", "success");
+    const created = await api.admin.events.create(payload);
+
+    const outcome = {
+      published: "It is live now.",
+      scheduled: `It goes live ${new Date(created.publish_at).toLocaleString()}.`,
+      draft: "Saved as a draft; only admins can see it.",
+      pending_review: "Submitted for an owner's review.",
+    }[created.status];
+    showAlert(
+      `${recurrence ? `Repeating event created with ${created.occurrences} dates!` : "Event created successfully!"} ${outcome || ""}`,
+      "success"
+    );
     form.reset();
+    updateStatusOptions();
+    ticketTypesEditor.setTypes([]);
+    recurrenceEditor.reset();
+    currentImageUrl = null;
     updatePreview("");
+    templateSelect.value = "";
+    deleteTemplateBtn.disabled = true;
+    setPrefillNote("");
 
   } catch (err) {
     showAlert(err.message, "error");
@@ -201,19 +447,62 @@ async function handleSubmit(e) {
 
 function init() {
   onAuthStateChanged(auth, async (user) => {
-    if (!user) return (window.location.href = "login.html");
+    if (!user) return (window.location.href = pageUrl("login.html"));
     currentUser = user;
 
     try {
-      await ensureAdmin(user);
-      loadGenres();
+      await ensureAdmin();
+      // Genres first: duplicates and templates tick theirs
+      await loadGenres();
+      await Promise.all([loadTemplates(), loadDuplicate()]);
     } catch (err) {
       alert(err.message);
-      window.location.href = "index.html";
+      window.location.href = pageUrl("index.html");
     }
   });
 
   if (form) form.addEventListener("submit", handleSubmit);
+  templateSelect.addEventListener("change", handleTemplateChange);
+  deleteTemplateBtn.addEventListener("click", handleDeleteTemplate);
+  saveTemplateBtn.addEventListener("click", handleSaveTemplate);
+
+  statusInputs.forEach((input) => input.addEventListener("change", updateStatusOptions));
+  publishAtInput.addEventListener("input", updateStatusOptions);
+  updateStatusOptions();
+
+  fillTimeZoneSelect(timezoneInput);
+
+  ticketTypesEditor = attachTicketTypesEditor({
+    list: document.getElementById("ticket-types-list"),
+    addButton: document.getElementById("add-ticket-type-btn"),
+  });
+
+  recurrenceEditor = attachRecurrenceEditor({
+    repeatSelect: document.getElementById("repeat"),
+    options: document.getElementById("repeat-options"),
+    intervalInput: document.getElementById("repeat_interval"),
+    unitLabel: document.getElementById("repeat-unit"),
+    endSelect: document.getElementById("repeat_end"),
+    untilInput: document.getElementById("repeat_until"),
+    countInput: document.getElementById("repeat_count"),
+    weekdaysGroup: document.getElementById("repeat-weekdays-group"),
+    weekdaysList: document.getElementById("repeat-weekdays"),
+    summary: document.getElementById("repeat-summary"),
+    dateInput: document.getElementById("date"),
+  });
+
+  locationPicker = attachLocationPicker(
+    {
+      locationInput: document.getElementById("location"),
+      latInput,
+      lngInput,
+      lookupButton: document.getElementById("geocode-btn"),
+      resultsList: document.getElementById("geocode-results"),
+      mapContainer: document.getElementById("location-map"),
+      status: document.getElementById("location-status"),
+    },
+    async (q) => (await api.admin.geocode(q)).results
+  );
 
   // Upload image when file is selected
   if (imageFileInput) {
@@ -222,6 +511,7 @@ function init() {
       if (file) {
         try {
           const url = await uploadImageFile(file);
+          currentImageUrl = url;
           updatePreview(url);
           showAlert("Image uploaded!", "success");
         } catch (err) {
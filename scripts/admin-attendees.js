@@ -0,0 +1,442 @@
+// Spreadsheet writer for "Export Excel" (loaded on first use)
+const XLSX_LIBRARY = 'https://cdn.sheetjs.com/xlsx-0.20.3/package/xlsx.mjs';
+// Longer mailto: links are cut off by some mail clients
+const MAILTO_MAX_LENGTH = 2000;
+
+const STATUS_LABELS = {
+  registered: 'Registered',
+  pending: 'Awaiting payment',
+  waitlisted: 'Waitlisted',
+  canceled: 'Canceled',
+};
+
+let currentEvent = null;
+let allAttendees = [];
+let sortKey = 'registered_at';
+let sortDir = 'asc';
+const selectedIds = new Set();
+
+async function initAttendeesAdmin() {
+  try {
+    await adminAuth.init();
+    adminAuth.updateUIForRole();
+    setupControls();
+    await loadEvents();
+  } catch (error) {
+    console.error('Admin attendees init failed:', error);
+  }
+}
+
+document.addEventListener('DOMContentLoaded', initAttendeesAdmin);
+
+async function loadEvents() {
+  try {
+    const data = await adminAuth.apiRequest('admin/events.php');
+    const events = data.events || [];
+    events.sort((a, b) => String(b.date || '').localeCompare(String(a.date || '')));
+
+    const select = document.getElementById('roster-event');
+    select.innerHTML =
+      '<option value="">Choose an event</option>' +
+      events
+        .map((event) => `<option value="${event.id}">${escapeHtml(event.name || 'Untitled')}${event.date ? ` (${escapeHtml(event.date)})` : ''}</option>`)
+        .join('');
+
+    // Linked from the dashboard as admin-attendees.html?event_id=X
+    const requested = new URLSearchParams(window.location.search).get('event_id');
+    if (requested && events.some((event) => String(event.id) === requested)) {
+      select.value = requested;
+      await loadRoster();
+    }
+  } catch (error) {
+    console.error('Failed to load events:', error);
+    showAlert('Failed to load events', 'error');
+  }
+}
+
+async function loadRoster() {
+  const eventId = document.getElementById('roster-event').value;
+  selectedIds.clear();
+
+  if (!eventId) {
+    currentEvent = null;
+    allAttendees = [];
+    document.getElementById('roster-summary').hidden = true;
+    renderRoster();
+    return;
+  }
+
+  setRosterMessage('loading-row', 'Loading...');
+  try {
+    const data = await adminAuth.apiRequest('admin/attendees.php', { query: { event_id: eventId } });
+    currentEvent = data.event;
+    allAttendees = data.attendees || [];
+    renderSummary(data.summary);
+    renderRoster();
+  } catch (error) {
+    console.error('Failed to load attendees:', error);
+    showAlert(error.message || 'Failed to load attendees', 'error');
+    setRosterMessage('error-row', 'Unable to load attendees');
+  }
+}
+
+function renderSummary(summary) {
+  const container = document.getElementById('roster-summary');
+  if (!summary) {
+    container.hidden = true;
+    return;
+  }
+
+  container.innerHTML = `
+    <span class="status-pill status-registered">${summary.registered} registered</span>
+    <span class="status-pill">${summary.tickets} tickets</span>
+    <span class="status-pill">${summary.checked_in} checked in</span>
+    ${summary.pending ? `<span class="status-pill status-pending">${summary.pending} awaiting payment</span>` : ''}
+    ${summary.waitlisted ? `<span class="status-pill status-waitlisted">${summary.waitlisted} waitlisted</span>` : ''}
+    ${summary.canceled ? `<span class="status-pill status-canceled">${summary.canceled} canceled</span>` : ''}
+  `;
+  container.hidden = false;
+}
+
+// Attendees matching the search box and status filter, in the chosen order
+function visibleAttendees() {
+  const query = document.getElementById('roster-search').value.trim().toLowerCase();
+  const status = document.getElementById('roster-status').value;
+
+  const rows = allAttendees.filter((attendee) => {
+    if (status === 'active' && !['registered', 'pending'].includes(attendee.status)) return false;
+    if (status !== 'active' && status !== 'all' && attendee.status !== status) return false;
+    if (!query) return true;
+
+    const haystack = [
+      attendee.name,
+      attendee.email,
+      attendee.phone,
+      ...attendee.tickets.map((ticket) => ticket.guest_name),
+    ]
+      .filter(Boolean)
+      .join(' ')
+      .toLowerCase();
+    return haystack.includes(query);
+  });
+
+  const direction = sortDir === 'asc' ? 1 : -1;
+  return rows.sort((a, b) => {
+    const left = a[sortKey] ?? '';
+    const right = b[sortKey] ?? '';
+    // Blank values (never checked in, no phone...) always sort last
+    if (left === '' || right === '') return left === right ? 0 : left === '' ? 1 : -1;
+    if (typeof left === 'number' && typeof right === 'number') return (left - right) * direction;
+    return String(left).localeCompare(String(right), undefined, { sensitivity: 'base' }) * direction;
+  });
+}
+
+function renderRoster() {
+  const tbody = document.querySelector('#roster-table tbody');
+  const rows = visibleAttendees();
+
+  document.querySelectorAll('.sort-btn').forEach((btn) => {
+    btn.classList.toggle('asc', btn.dataset.sort === sortKey && sortDir === 'asc');
+    btn.classList.toggle('desc', btn.dataset.sort === sortKey && sortDir === 'desc');
+  });
+  updateToolbar(rows);
+
+  if (!currentEvent) {
+    setRosterMessage('empty-row', 'Choose an event to see who is coming');
+    return;
+  }
+  if (!rows.length) {
+    setRosterMessage('empty-row', allAttendees.length ? 'No attendees match these filters' : 'Nobody has registered yet');
+    return;
+  }
+
+  tbody.innerHTML = rows
+    .map((attendee) => {
+      const guests = attendee.tickets.map((ticket) => ticket.guest_name).filter(Boolean);
+      const types = summarizeTickets(attendee.tickets);
+      const status = attendee.status === 'waitlisted' && attendee.waitlist_position
+        ? `Waitlisted #${attendee.waitlist_position}`
+        : STATUS_LABELS[attendee.status] || attendee.status;
+
+      return `
+        <tr>
+          <td><input type="checkbox" class="select-attendee" data-id="${attendee.registration_id}" ${selectedIds.has(attendee.registration_id) ? 'checked' : ''} aria-label="Select ${escapeHtml(attendee.name || 'attendee')}" /></td>
+          <td>
+            ${escapeHtml(attendee.name || 'Unknown')}
+            ${guests.length ? `<small>Guests: ${escapeHtml(guests.join(', '))}</small>` : ''}
+          </td>
+          <td>
+            <a href="mailto:${encodeURIComponent(attendee.email || '')}">${escapeHtml(attendee.email || '')}</a>
+            ${attendee.phone ? `<small>${escapeHtml(attendee.phone)}</small>` : ''}
+          </td>
+          <td><span class="status-pill status-${attendee.status}">${escapeHtml(status)}</span></td>
+          <td>
+            ${attendee.quantity}
+            ${types ? `<small>${escapeHtml(types)}</small>` : ''}
+          </td>
+          <td>${formatDate(attendee.registered_at)}</td>
+          <td>${attendee.checked_in_at ? formatDate(attendee.checked_in_at) : '—'}</td>
+          <td>
+            ${attendee.status !== 'canceled'
+              ? `<button type="button" class="action-btn cancel-attendee" data-id="${attendee.registration_id}">Cancel</button>`
+              : ''}
+          </td>
+        </tr>
+      `;
+    })
+    .join('');
+
+  tbody.querySelectorAll('.select-attendee').forEach((box) => {
+    box.addEventListener('change', () => {
+      const id = parseInt(box.dataset.id, 10);
+      if (box.checked) {
+        selectedIds.add(id);
+      } else {
+        selectedIds.delete(id);
+      }
+      updateToolbar(visibleAttendees());
+    });
+  });
+
+  tbody.querySelectorAll('.cancel-attendee').forEach((btn) => {
+    btn.addEventListener('click', () => cancelAttendee(parseInt(btn.dataset.id, 10)));
+  });
+}
+
+function updateToolbar(rows) {
+  const selected = selectedAttendees();
+  const selectAll = document.getElementById('select-all');
+  selectAll.checked = rows.length > 0 && rows.every((attendee) => selectedIds.has(attendee.registration_id));
+  selectAll.disabled = !rows.length;
+
+  document.getElementById('email-selected').disabled = !selected.length;
+  document.getElementById('copy-emails').disabled = !selected.length;
+  document.getElementById('email-selected').textContent = selected.length ? `Email selected (${selected.length})` : 'Email selected';
+  document.getElementById('export-csv').disabled = !rows.length;
+  document.getElementById('export-xlsx').disabled = !rows.length;
+}
+
+function setupControls() {
+  document.getElementById('roster-event').addEventListener('change', loadRoster);
+  document.getElementById('roster-search').addEventListener('input', renderRoster);
+  document.getElementById('roster-status').addEventListener('change', renderRoster);
+
+  document.querySelectorAll('.sort-btn').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      if (sortKey === btn.dataset.sort) {
+        sortDir = sortDir === 'asc' ? 'desc' : 'asc';
+      } else {
+        sortKey = btn.dataset.sort;
+        sortDir = 'asc';
+      }
+      renderRoster();
+    });
+  });
+
+  document.getElementById('select-all').addEventListener('change', (e) => {
+    visibleAttendees().forEach((attendee) => {
+      if (e.target.checked) {
+        selectedIds.add(attendee.registration_id);
+      } else {
+        selectedIds.delete(attendee.registration_id);
+      }
+    });
+    renderRoster();
+  });
+
+  document.getElementById('email-selected').addEventListener('click', emailSelected);
+  document.getElementById('copy-emails').addEventListener('click', copyEmails);
+  document.getElementById('export-csv').addEventListener('click', exportCsv);
+  document.getElementById('export-xlsx').addEventListener('click', exportXlsx);
+}
+
+// ---------- CANCELLATION ----------
+
+async function cancelAttendee(registrationId) {
+  const attendee = allAttendees.find((row) => row.registration_id === registrationId);
+  if (!attendee) return;
+
+  const paid = attendee.order?.status === 'paid';
+  const reason = prompt(
+    `Cancel the registration of ${attendee.name || attendee.email}?` +
+      (paid ? `\nTheir payment of ${formatMoney(attendee.order.amount, attendee.order.currency)} will be refunded in full.` : '') +
+      '\n\nReason (optional, kept in the admin log):'
+  );
+  if (reason === null) {
+    return;
+  }
+
+  try {
+    const data = await adminAuth.apiRequest('admin/attendees.php', {
+      method: 'DELETE',
+      query: { id: registrationId },
+      body: { reason: reason.trim() },
+    });
+    let message = `Canceled the registration of ${attendee.name || attendee.email}`;
+    if (data.refunded > 0) message += `, refunded ${formatMoney(data.refunded, attendee.order?.currency)}`;
+    if (data.promoted > 0) message += `, ${data.promoted} promoted from the waitlist`;
+    showAlert(message, 'success');
+    await loadRoster();
+  } catch (error) {
+    console.error('Failed to cancel registration:', error);
+    showAlert(error.message || 'Failed to cancel registration', 'error');
+  }
+}
+
+// ---------- MESSAGING ----------
+
+function selectedAttendees() {
+  return allAttendees.filter((attendee) => selectedIds.has(attendee.registration_id) && attendee.email);
+}
+
+function selectedEmails() {
+  return [...new Set(selectedAttendees().map((attendee) => attendee.email))];
+}
+
+// Opens the admin's mail client with the selected attendees in Bcc
+function emailSelected() {
+  const emails = selectedEmails();
+  const subject = currentEvent ? currentEvent.name : '';
+  const href = `mailto:?bcc=${emails.map(encodeURIComponent).join(',')}&subject=${encodeURIComponent(subject)}`;
+
+  if (href.length > MAILTO_MAX_LENGTH) {
+    copyEmails().then(() => {
+      showAlert(`Too many recipients for a mail link. Copied ${emails.length} addresses; paste them into Bcc.`, 'success');
+    });
+    return;
+  }
+  window.location.href = href;
+}
+
+async function copyEmails() {
+  const emails = selectedEmails();
+  try {
+    await navigator.clipboard.writeText(emails.join(', '));
+    showAlert(`Copied ${emails.length} email ${emails.length === 1 ? 'address' : 'addresses'}`, 'success');
+  } catch (error) {
+    console.error('Clipboard failed:', error);
+    showAlert('Could not copy to the clipboard', 'error');
+  }
+}
+
+// ---------- EXPORT ----------
+
+// Header row plus one row per visible attendee
+function exportRows() {
+  const header = ['Registration ID', 'Name', 'Email', 'Phone', 'Status', 'Tickets', 'Ticket types', 'Guests', 'Registered at', 'Checked in at', 'Payment', 'Amount'];
+  const rows = visibleAttendees().map((attendee) => [
+    attendee.registration_id,
+    attendee.name || '',
+    attendee.email || '',
+    attendee.phone || '',
+    STATUS_LABELS[attendee.status] || attendee.status,
+    attendee.quantity,
+    summarizeTickets(attendee.tickets),
+    attendee.tickets.map((ticket) => ticket.guest_name).filter(Boolean).join('; '),
+    attendee.registered_at || '',
+    attendee.checked_in_at || '',
+    attendee.order ? attendee.order.status : '',
+    attendee.order ? attendee.order.amount : '',
+  ]);
+  return [header, ...rows];
+}
+
+function exportFilename(extension) {
+  const slug = (currentEvent?.name || 'event').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return `attendees-${slug || 'event'}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+function exportCsv() {
+  const csv = exportRows()
+    .map((row) => row.map(csvCell).join(','))
+    .join('\r\n');
+  // BOM so Excel opens UTF-8 names correctly
+  downloadBlob(new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8' }), exportFilename('csv'));
+}
+
+function csvCell(value) {
+  let text = String(value ?? '');
+  // Keep spreadsheet apps from running user-entered text as a formula
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function exportXlsx() {
+  const button = document.getElementById('export-xlsx');
+  button.disabled = true;
+  try {
+    const XLSX = await import(XLSX_LIBRARY);
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(exportRows()), 'Attendees');
+    XLSX.writeFile(workbook, exportFilename('xlsx'));
+  } catch (error) {
+    console.error('Excel export failed:', error);
+    showAlert('Excel export is unavailable right now. Try CSV instead.', 'error');
+  } finally {
+    button.disabled = false;
+  }
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// ---------- HELPERS ----------
+
+// "2 × VIP, 1 × General" from a registration's tickets
+function summarizeTickets(tickets) {
+  const counts = {};
+  tickets.forEach((ticket) => {
+    counts[ticket.name] = (counts[ticket.name] || 0) + 1;
+  });
+  return Object.entries(counts)
+    .map(([name, count]) => `${count} × ${name}`)
+    .join(', ');
+}
+
+function setRosterMessage(className, message) {
+  const tbody = document.querySelector('#roster-table tbody');
+  tbody.innerHTML = `<tr><td colspan="8" class="${className}">${escapeHtml(message)}</td></tr>`;
+}
+
+function formatMoney(amount, currency) {
+  return Number(amount || 0).toLocaleString(undefined, { style: 'currency', currency: currency || 'USD' });
+}
+
+function formatDate(value) {
+  if (!value) return '-';
+  const date = new Date(String(value).replace(' ', 'T'));
+  if (Number.isNaN(date.getTime())) return value;
+  return date.toLocaleDateString() + ' ' + date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+function showAlert(message, type) {
+  const container = document.getElementById('alert-container');
+  const alert = document.createElement('div');
+  alert.className = `alert ${type}`;
+  alert.textContent = message;
+  container.innerHTML = '';
+  container.appendChild(alert);
+  alert.style.display = 'block';
+
+  setTimeout(() => {
+    alert.style.display = 'none';
+  }, 4500);
+}
+
+function escapeHtml(str) {
+  if (typeof str !== 'string') return '';
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
@@ -3,11 +3,39 @@
  * Checks user role and handles authentication for admin pages
  */
 
+// Admin pages load classic scripts, so the shared API client module is
+// pulled in with a dynamic import (resolved relative to this script).
+const apiClientModule = import("./api-client.js");
+
 class AdminAuth {
   constructor() {
     this.currentUser = null;
     this.isAdmin = false;
     this.isOwner = false;
+    this.client = null;
+  }
+
+  /**
+   * Lazily create an API client bound to the compat Firebase auth instance
+   */
+  async getClient() {
+    if (!this.client) {
+      const { createApiClient, pageUrl } = await apiClientModule;
+      this.pageUrl = pageUrl;
+      this.client = createApiClient({
+        getUser: async () => firebase.auth().currentUser,
+        onUnauthorized: () => this.handleAuthFailure(),
+      });
+    }
+    return this.client;
+  }
+
+  /**
+   * Send the user back to the login page
+   */
+  handleAuthFailure() {
+    alert("Session expired or access denied. Please log in again.");
+    window.location.href = this.pageUrl("login.html");
   }
 
   /**
@@ -17,26 +45,18 @@ class AdminAuth {
     // Check if Firebase user is logged in
     return new Promise((resolve, reject) => {
       firebase.auth().onAuthStateChanged(async (firebaseUser) => {
+        const client = await this.getClient();
+
         if (!firebaseUser) {
           // Not logged in - redirect to login
-          window.location.href = "/login.html";
+          window.location.href = this.pageUrl("login.html");
           reject("Not authenticated");
           return;
         }
 
         try {
           // Get user data from our database
-          const response = await fetch("/api/me.php", {
-            headers: {
-              "X-Firebase-UID": firebaseUser.uid,
-            },
-          });
-
-          if (!response.ok) {
-            throw new Error("Failed to fetch user data");
-          }
-
-          const data = await response.json();
+          const data = await client.me.get();
           this.currentUser = data.user;
 
           // Check roles
@@ -46,7 +66,7 @@ class AdminAuth {
           // Check if user has admin privileges
           if (!this.isAdmin) {
             alert("Access denied.  Admin privileges required.");
-            window.location.href = "/index.html";
+            window.location.href = this.pageUrl("index.html");
             reject("Not authorized");
             return;
           }
@@ -55,7 +75,7 @@ class AdminAuth {
         } catch (error) {
           console.error("Auth error:", error);
           alert("Authentication error. Please try logging in again.");
-          window.location.href = "/login.html";
+          window.location.href = this.pageUrl("login.html");
           reject(error);
         }
       });
@@ -64,31 +84,24 @@ class AdminAuth {
 
   /**
    * Make authenticated API request
+   * @param {string} path Endpoint path relative to the API base (e.g. "admin/stats.php")
+   * @param {Object} options { method, query, body } — see api-client.js
+   * @returns {Promise<Object>} Parsed JSON body
    */
-  async apiRequest(url, options = {}) {
-    const firebaseUser = firebase.auth().currentUser;
-    if (!firebaseUser) {
+  async apiRequest(path, options = {}) {
+    const client = await this.getClient();
+    if (!firebase.auth().currentUser) {
       throw new Error("Not authenticated");
     }
 
-    const headers = {
-      "Content-Type": "application/json",
-      "X-Firebase-UID": firebaseUser.uid,
-      ...options.headers,
-    };
-
-    const response = await fetch(url, {
-      ...options,
-      headers,
-    });
-
-    if (response.status === 401 || response.status === 403) {
-      alert("Session expired or access denied. Please log in again.");
-      window.location.href = "/login.html";
-      throw new Error("Authentication failed");
+    try {
+      return await client.request(path, options);
+    } catch (error) {
+      if (error.status === 403) {
+        this.handleAuthFailure();
+      }
+      throw error;
     }
-
-    return response;
   }
 
   /**
@@ -119,7 +132,7 @@ class AdminAuth {
   requireOwner() {
     if (!this.isOwner) {
       alert("Access denied. Owner privileges required.");
-      window.location.href = "/admin.html";
+      window.location.href = this.pageUrl("admin.html");
       return false;
     }
     return true;
@@ -0,0 +1,296 @@
+// Fallback QR decoder for browsers without BarcodeDetector (loaded on first use)
+const JSQR_LIBRARY = 'https://esm.sh/jsqr@1.4.0';
+// A code held in front of the camera is decoded many times a second
+const SCAN_COOLDOWN_MS = 3000;
+const SCAN_INTERVAL_MS = 250;
+
+let selectedEventId = '';
+let scanner = null;
+let lastScan = { code: '', at: 0 };
+let submitting = false;
+
+async function initCheckIn() {
+  try {
+    await adminAuth.init();
+    adminAuth.updateUIForRole();
+    setupEventSelect();
+    setupManualForm();
+    document.getElementById('scanner-toggle').addEventListener('click', toggleScanner);
+    await loadEvents();
+  } catch (error) {
+    console.error('Admin check-in init failed:', error);
+  }
+}
+
+document.addEventListener('DOMContentLoaded', initCheckIn);
+
+async function loadEvents() {
+  try {
+    const data = await adminAuth.apiRequest('admin/events.php');
+    const events = (data.events || []).filter((event) => event.date);
+    events.sort((a, b) => String(b.date).localeCompare(String(a.date)));
+
+    const select = document.getElementById('checkin-event');
+    select.innerHTML =
+      '<option value="">Any event</option>' +
+      events
+        .map((event) => `<option value="${event.id}">${escapeHtml(event.name || 'Untitled')} (${escapeHtml(event.date)})</option>`)
+        .join('');
+
+    // Default to today's event when there is exactly one
+    const today = new Date().toISOString().slice(0, 10);
+    const todays = events.filter((event) => event.date === today);
+    if (todays.length === 1) {
+      select.value = String(todays[0].id);
+      selectedEventId = select.value;
+      await loadAttendance();
+    }
+  } catch (error) {
+    console.error('Failed to load events:', error);
+    showAlert('Failed to load events', 'error');
+  }
+}
+
+function setupEventSelect() {
+  document.getElementById('checkin-event').addEventListener('change', async (e) => {
+    selectedEventId = e.target.value;
+    hideResult();
+    await loadAttendance();
+  });
+}
+
+async function loadAttendance() {
+  const counter = document.getElementById('checkin-count');
+  const tbody = document.querySelector('#recent-checkins tbody');
+
+  if (!selectedEventId) {
+    counter.hidden = true;
+    tbody.innerHTML = '<tr><td colspan="3" class="empty-row">Choose an event to see its check-ins</td></tr>';
+    return;
+  }
+
+  try {
+    const data = await adminAuth.apiRequest('registrations.php', {
+      query: { action: 'attendance', event_id: selectedEventId },
+    });
+    renderAttendance(data.attendance);
+    renderRecent(data.recent || []);
+  } catch (error) {
+    console.error('Failed to load attendance:', error);
+    showAlert(error.message || 'Failed to load attendance', 'error');
+  }
+}
+
+function renderAttendance(attendance) {
+  if (!attendance) return;
+  document.getElementById('checkin-count-value').textContent =
+    `${attendance.checked_in_tickets} / ${attendance.tickets}`;
+  document.getElementById('checkin-count').hidden = false;
+}
+
+function renderRecent(rows) {
+  const tbody = document.querySelector('#recent-checkins tbody');
+
+  if (!rows.length) {
+    tbody.innerHTML = '<tr><td colspan="3" class="empty-row">Nobody has checked in yet</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = rows
+    .map((row) => `
+      <tr>
+        <td>${escapeHtml(row.name || 'Unknown')}</td>
+        <td>${Number(row.quantity) || 1}</td>
+        <td>${formatTime(row.checked_in_at)}</td>
+      </tr>
+    `)
+    .join('');
+}
+
+function setupManualForm() {
+  document.getElementById('manual-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const input = document.getElementById('manual-code');
+    const code = input.value.trim();
+    if (!code) return;
+
+    const submitBtn = document.getElementById('manual-submit');
+    submitBtn.disabled = true;
+    const accepted = await checkIn(code);
+    submitBtn.disabled = false;
+    if (accepted) {
+      input.value = '';
+    }
+    input.focus();
+  });
+}
+
+// Validate and mark one ticket; returns whether it was accepted
+async function checkIn(code) {
+  if (submitting) return false;
+  submitting = true;
+
+  try {
+    const data = await adminAuth.apiRequest('registrations.php', {
+      method: 'POST',
+      query: { action: 'check_in' },
+      body: { code, event_id: selectedEventId ? Number(selectedEventId) : undefined },
+    });
+    const attendee = data.attendee;
+    showResult(
+      'ok',
+      `✅ ${attendee.name || 'Attendee'}`,
+      `${attendee.tickets} ${attendee.tickets === 1 ? 'ticket' : 'tickets'} • ${attendee.event_name || ''}`
+    );
+    if (selectedEventId) {
+      renderAttendance(data.attendance);
+      await loadAttendance();
+    }
+    return true;
+  } catch (error) {
+    console.error('Check-in failed:', error);
+    if (error.data?.duplicate) {
+      const attendee = error.data.attendee || {};
+      showResult('duplicate', '⚠️ Already checked in', `${attendee.name || 'This ticket'} at ${formatTime(attendee.checked_in_at)}`);
+    } else {
+      showResult('error', '❌ Not admitted', error.message || 'Check-in failed');
+    }
+    return false;
+  } finally {
+    submitting = false;
+  }
+}
+
+// ---------- CAMERA ----------
+
+async function toggleScanner() {
+  if (scanner) {
+    stopScanner();
+    return;
+  }
+
+  const toggle = document.getElementById('scanner-toggle');
+  toggle.disabled = true;
+  try {
+    await startScanner();
+    toggle.textContent = 'Stop Camera';
+  } catch (error) {
+    console.error('Camera failed:', error);
+    setScannerStatus('Camera unavailable. Use manual entry instead.');
+    stopScanner();
+  } finally {
+    toggle.disabled = false;
+  }
+}
+
+async function startScanner() {
+  if (!navigator.mediaDevices?.getUserMedia) {
+    throw new Error('Camera access is not supported in this browser');
+  }
+
+  const video = document.getElementById('scanner-video');
+  const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+  scanner = { stream, timer: null };
+  video.srcObject = stream;
+  video.hidden = false;
+  await video.play();
+
+  const detect = await createDetector();
+  setScannerStatus('Scanning…');
+
+  scanner.timer = setInterval(async () => {
+    if (!scanner || submitting || video.readyState < 2) return;
+    const code = await detect(video).catch(() => null);
+    if (!code) return;
+
+    const now = Date.now();
+    if (code === lastScan.code && now - lastScan.at < SCAN_COOLDOWN_MS) return;
+    lastScan = { code, at: now };
+    await checkIn(code);
+  }, SCAN_INTERVAL_MS);
+}
+
+function stopScanner() {
+  if (scanner) {
+    clearInterval(scanner.timer);
+    scanner.stream.getTracks().forEach((track) => track.stop());
+    scanner = null;
+  }
+  const video = document.getElementById('scanner-video');
+  video.srcObject = null;
+  video.hidden = true;
+  document.getElementById('scanner-toggle').textContent = 'Start Camera';
+  setScannerStatus('Point the camera at a ticket\'s QR code.');
+}
+
+// Returns async (video) => decoded text or null
+async function createDetector() {
+  if ('BarcodeDetector' in window) {
+    const formats = BarcodeDetector.getSupportedFormats ? await BarcodeDetector.getSupportedFormats() : ['qr_code'];
+    if (formats.includes('qr_code')) {
+      const detector = new BarcodeDetector({ formats: ['qr_code'] });
+      return async (video) => (await detector.detect(video))[0]?.rawValue || null;
+    }
+  }
+
+  const module = await import(JSQR_LIBRARY);
+  const jsQR = module.default || module;
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+
+  return async (video) => {
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    context.drawImage(video, 0, 0, canvas.width, canvas.height);
+    const image = context.getImageData(0, 0, canvas.width, canvas.height);
+    return jsQR(image.data, image.width, image.height)?.data || null;
+  };
+}
+
+function setScannerStatus(message) {
+  document.getElementById('scanner-status').textContent = message;
+}
+
+// ---------- HELPERS ----------
+
+function showResult(type, title, detail) {
+  const result = document.getElementById('scan-result');
+  result.className = `scan-result ${type}`;
+  document.getElementById('scan-result-title').textContent = title;
+  document.getElementById('scan-result-detail').textContent = detail || '';
+  result.hidden = false;
+}
+
+function hideResult() {
+  document.getElementById('scan-result').hidden = true;
+}
+
+function formatTime(value) {
+  if (!value) return '—';
+  const date = new Date(String(value).replace(' ', 'T'));
+  return Number.isNaN(date.getTime()) ? value : date.toLocaleString();
+}
+
+function showAlert(message, type) {
+  const container = document.getElementById('alert-container');
+  const alert = document.createElement('div');
+  alert.className = `alert ${type}`;
+  alert.textContent = message;
+  container.innerHTML = '';
+  container.appendChild(alert);
+  alert.style.display = 'block';
+
+  setTimeout(() => {
+    alert.style.display = 'none';
+  }, 4500);
+}
+
+function escapeHtml(str) {
+  if (typeof str !== 'string') return '';
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
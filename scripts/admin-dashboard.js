@@ -2,7 +2,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   try {
     await adminAuth.init();
     adminAuth.updateUIForRole();
-    await loadStats();
+    await Promise.all([loadStats(), loadUnpublishedEvents()]);
   } catch (error) {
     console.error('Admin init failed:', error);
   }
@@ -11,25 +11,23 @@ document.addEventListener('DOMContentLoaded', async () => {
 async function loadStats() {
   setLoadingRows('recent-registrations');
   setLoadingRows('recent-events');
+  setLoadingRows('event-attendance');
 
   try {
-    const response = await adminAuth.apiRequest('/api/admin/stats.php');
-    const data = await response.json();
-
-    if (!data.success) {
-      throw new Error(data.error || 'Failed to load stats');
-    }
+    const data = await adminAuth.apiRequest('admin/stats.php');
 
     renderCounts(data.counts);
     renderRecentRegistrations(data.recentRegistrations || []);
     renderRecentEvents(data.recentEvents || []);
     renderGenres(data.genreBreakdown || []);
+    renderAttendance(data.eventAttendance || []);
     renderActions(data.recentActions || [], data.role);
   } catch (error) {
     console.error('Failed to load dashboard stats:', error);
     showErrorRow('recent-registrations', 'Unable to load registrations');
     showErrorRow('recent-events', 'Unable to load events');
     showErrorRow('genre-breakdown', 'Unable to load genres');
+    showErrorRow('event-attendance', 'Unable to load attendance');
     showErrorRow('recent-actions', 'Unable to load activity');
   }
 }
@@ -40,16 +38,24 @@ function renderCounts(counts) {
   document.getElementById('stat-upcoming').textContent = `${fmt(counts.upcoming)} upcoming`;
   document.getElementById('stat-users').textContent = fmt(counts.users);
   document.getElementById('stat-registrations').textContent = fmt(counts.registrations);
+  document.getElementById('stat-tickets').textContent = `${fmt(counts.tickets)} tickets`;
   document.getElementById('stat-cancellations').textContent = `${fmt(counts.cancellations)} canceled`;
 
+   // Tickets sold for events that have a seat limit, against those limits
    const capacity = counts.capacity ?? 0;
    const available = counts.available ?? 0;
-   const utilization = capacity > 0 ? Math.min(100, Math.round(((counts.registrations || 0) / capacity) * 100)) : 0;
+   const utilization = capacity > 0 ? Math.min(100, Math.round(((counts.capacity_sold || 0) / capacity) * 100)) : 0;
 
    document.getElementById('stat-capacity').textContent = fmt(capacity);
    document.getElementById('stat-available').textContent = `${fmt(available)} available`;
    document.getElementById('stat-utilization').textContent = `${utilization}%`;
 
+  // Tickets checked in at events that have already started
+  const attendanceTickets = counts.attendance_tickets ?? 0;
+  const attendance = attendanceTickets > 0 ? Math.round(((counts.checked_in || 0) / attendanceTickets) * 100) : 0;
+  document.getElementById('stat-attendance').textContent = `${attendance}%`;
+  document.getElementById('stat-checked-in').textContent = `${fmt(counts.checked_in ?? 0)} of ${fmt(attendanceTickets)} checked in`;
+
   const recentCount = (counts.events || 0) + (counts.registrations || 0);
   document.getElementById('stat-recent').textContent = fmt(recentCount);
 }
@@ -95,6 +101,30 @@ function renderGenres(genres) {
   });
 }
 
+function renderAttendance(rows) {
+  const tbody = document.querySelector('#event-attendance tbody');
+  if (!tbody) return;
+  tbody.innerHTML = '';
+
+  if (!rows.length) {
+    tbody.innerHTML = '<tr><td colspan="4" class="empty-row">No past events with registrations yet</td></tr>';
+    return;
+  }
+
+  rows.forEach((row) => {
+    const tickets = Number(row.tickets) || 0;
+    const checkedIn = Number(row.checked_in) || 0;
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td><a class="panel-link" href="admin-attendees.html?event_id=${row.id}">${escapeHtml(row.name || 'Untitled')}</a></td>
+      <td>${formatDate(row.date)}</td>
+      <td>${checkedIn} / ${tickets}</td>
+      <td>${tickets > 0 ? Math.round((checkedIn / tickets) * 100) : 0}%</td>
+    `;
+    tbody.appendChild(tr);
+  });
+}
+
 function renderActions(actions, role) {
   const panel = document.getElementById('actions-panel');
   const tbody = document.querySelector('#recent-actions tbody');
@@ -127,22 +157,64 @@ function renderActions(actions, role) {
   });
 }
 
+// Events waiting for review come first: they are what an owner acts on
+const UNPUBLISHED_ORDER = { pending_review: 0, scheduled: 1, draft: 2 };
+const STATUS_LABELS = { pending_review: 'Awaiting review', scheduled: 'Scheduled', draft: 'Draft' };
+
+async function loadUnpublishedEvents() {
+  setLoadingRows('unpublished-events');
+  try {
+    const data = await adminAuth.apiRequest('admin/events.php', { query: { status: 'pending_review,scheduled,draft' } });
+    const rows = (data.events || []).sort((a, b) => UNPUBLISHED_ORDER[a.status] - UNPUBLISHED_ORDER[b.status]);
+    renderUnpublishedEvents(rows);
+  } catch (error) {
+    console.error('Failed to load unpublished events:', error);
+    showErrorRow('unpublished-events', 'Unable to load drafts');
+  }
+}
+
+function renderUnpublishedEvents(rows) {
+  const tbody = document.querySelector('#unpublished-events tbody');
+  tbody.innerHTML = '';
+
+  if (!rows.length) {
+    tbody.innerHTML = '<tr><td colspan="5" class="empty-row">No drafts or scheduled events</td></tr>';
+    return;
+  }
+
+  rows.forEach((row) => {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td><a class="panel-link" href="edit-event.html?id=${row.id}">${escapeHtml(row.name || 'Untitled')}</a></td>
+      <td><span class="status-pill status-${row.status}">${STATUS_LABELS[row.status] || row.status}</span></td>
+      <td>${row.publish_at ? formatDate(row.publish_at) : '-'}</td>
+      <td>${escapeHtml(row.owner_name || 'Unknown')}</td>
+      <td>
+        <a class="panel-link" href="event.html?id=${row.id}&preview=1" target="_blank" rel="noopener">Preview</a>
+        <a class="panel-link" href="addEvents.html?duplicate=${row.id}">Duplicate</a>
+      </td>
+    `;
+    tbody.appendChild(tr);
+  });
+}
+
 function renderRecentEvents(rows) {
   const tbody = document.querySelector('#recent-events tbody');
   tbody.innerHTML = '';
 
   if (!rows.length) {
-    tbody.innerHTML = '<tr><td colspan="4" class="empty-row">No events found</td></tr>';
+    tbody.innerHTML = '<tr><td colspan="5" class="empty-row">No events found</td></tr>';
     return;
   }
 
   rows.forEach((row) => {
     const tr = document.createElement('tr');
     tr.innerHTML = `
-      <td>${escapeHtml(row.title || 'Untitled')}</td>
+      <td><a class="panel-link" href="admin-attendees.html?event_id=${row.id}">${escapeHtml(row.title || 'Untitled')}</a></td>
       <td><span class="status-pill status-${row.status || 'draft'}">${row.status || 'draft'}</span></td>
       <td>${formatDate(row.date)}</td>
       <td>${escapeHtml(row.creator_name || 'Unknown')}</td>
+      <td><a class="panel-link" href="addEvents.html?duplicate=${row.id}">Duplicate</a></td>
     `;
     tbody.appendChild(tr);
   });
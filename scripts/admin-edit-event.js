@@ -4,10 +4,19 @@ import { auth } from "../firebase-config.js";
 import {
   onAuthStateChanged,
 } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js";
+import { api, pageUrl } from "./api-client.js";
+import { attachLocationPicker } from "./location-picker.js";
+import { attachTicketTypesEditor } from "./ticket-types-editor.js";
+import { describeRecurrence } from "./recurrence-editor.js";
+import { fillTimeZoneSelect } from "./event-times.js";
 
 let currentUser = null;
+let currentRole = null;
 let currentEventId = null;
+let currentEvent = null;
 let currentImageUrl = null;
+let locationPicker = null;
+let ticketTypesEditor = null;
 
 // DOM refs (match editEvent.html)
 const form = document.getElementById("edit-event-form");
@@ -18,12 +27,96 @@ const titleInput = document.getElementById("title");
 const descInput = document.getElementById("description");
 const dateInput = document.getElementById("date");
 const timeInput = document.getElementById("time");
+const endDateInput = document.getElementById("end_date");
+const endTimeInput = document.getElementById("end_time");
+const timezoneInput = document.getElementById("timezone");
 const locationInput = document.getElementById("location");
+const latInput = document.getElementById("lat");
+const lngInput = document.getElementById("lng");
+const capacityInput = document.getElementById("capacity");
+const refundPolicyInput = document.getElementById("refund_policy");
+const refundPercentInput = document.getElementById("refund_percent");
+const refundCutoffInput = document.getElementById("refund_cutoff_hours");
 
 const imageFileInput = document.getElementById("image_file");
 const imagePreviewWrapper = document.getElementById("image-preview-wrapper");
 const imagePreview = document.getElementById("image-preview");
 
+const seriesGroup = document.getElementById("series-group");
+const seriesSummary = document.getElementById("series-summary");
+const seriesScopeInput = document.getElementById("series_scope");
+const occurrenceActions = document.getElementById("occurrence-actions");
+const canceledNote = document.getElementById("canceled-note");
+const cancelDateBtn = document.getElementById("cancel-date-btn");
+const deleteSeriesBtn = document.getElementById("delete-series-btn");
+
+const publishingPanel = document.getElementById("publishing-panel");
+const publishingStatus = document.getElementById("publishing-status");
+const publishingWhen = document.getElementById("publishing-when");
+const previewLink = document.getElementById("preview-link");
+const reviewNote = document.getElementById("review-note");
+const publishAtGroup = document.getElementById("publish-at-group");
+const publishAtInput = document.getElementById("publish_at");
+const reviewNoteGroup = document.getElementById("review-note-group");
+const reviewNoteInput = document.getElementById("review_note");
+const publishingActions = document.getElementById("publishing-actions");
+
+const eventTools = document.getElementById("event-tools");
+const duplicateLink = document.getElementById("duplicate-link");
+const saveTemplateBtn = document.getElementById("save-template-btn");
+
+const historyPanel = document.getElementById("history-panel");
+const revisionList = document.getElementById("revision-list");
+
+// Workflow actions offered in each status (see api/event-publishing.php)
+const PUBLISHING_ACTIONS = {
+  draft: ["publish", "schedule", "submit"],
+  pending_review: ["approve", "reject", "unpublish"],
+  scheduled: ["publish", "schedule", "unpublish"],
+  published: ["unpublish"],
+  archived: [],
+};
+
+const ACTION_LABELS = {
+  publish: "Publish Now",
+  schedule: "Schedule",
+  submit: "Submit for Review",
+  approve: "Approve",
+  reject: "Send Back to Draft",
+  unpublish: "Unpublish",
+};
+
+const STATUS_LABELS = {
+  draft: "Draft",
+  pending_review: "Awaiting review",
+  scheduled: "Scheduled",
+  published: "Published",
+  archived: "Archived",
+};
+
+// How the fields of a revision (api/event-revisions.php) are named in the history
+const FIELD_LABELS = {
+  name: "Title",
+  description: "Description",
+  location: "Location",
+  lat: "Latitude",
+  lng: "Longitude",
+  date: "Date",
+  time: "Time",
+  end_date: "End date",
+  end_time: "End time",
+  timezone: "Time zone",
+  age_restriction: "Age restriction",
+  price: "Price",
+  image_url: "Image",
+  capacity: "Capacity",
+  refund_policy: "Refund policy",
+  refund_percent: "Refund percent",
+  refund_cutoff_hours: "Refund cutoff (hours)",
+  genres: "Genres",
+  ticket_types: "Ticket types",
+};
+
 // ---------- helpers ----------
 function showAlert(message, type = "info") {
   if (!alertBox) {
@@ -59,86 +152,357 @@ function getEventIdFromUrl() {
   return params.get("id");
 }
 
-async function ensureAdmin(user) {
-  const idToken = await user.getIdToken();
-  const res = await fetch("api/me.php", {
-    headers: { Authorization: `Bearer ${idToken}` },
-  });
-
-  const data = await res.json();
-  if (!res.ok || !data.success) {
-    throw new Error(data.error || "Failed to load user profile");
-  }
-
+async function ensureAdmin() {
+  const data = await api.me.get();
   const role = data.user.role;
   if (role !== "admin" && role !== "owner") {
     throw new Error("You are not authorized to access this page.");
   }
+  currentRole = role;
 
   return true;
 }
 
-// ---------- LOAD ONE EVENT (from api/events.php) ----------
+// ---------- LOAD ONE EVENT (from api/admin/events.php, so drafts load too) ----------
 async function loadEvent() {
   if (!currentEventId) return;
 
   showAlert("Loading event...", "info");
 
-  const res = await fetch(
-    `api/events.php?id=${encodeURIComponent(currentEventId)}`
-  );
-
-  let data;
-  try {
-    data = await res.json();
-  } catch (err) {
-    console.error("Invalid JSON from events.php", err);
-    throw new Error("Invalid response from server while loading event.");
-  }
-
-  if (!res.ok || data.success === false) {
-    throw new Error(data.error || "Failed to load event");
-  }
-
+  const data = await api.admin.events.get(currentEventId);
   const ev = data.event;
 
   titleInput.value = ev.name || "";
   descInput.value = ev.description || "";
   dateInput.value = ev.date || "";
   timeInput.value = ev.time || "";
+  endDateInput.value = ev.end_date || "";
+  endTimeInput.value = ev.end_time || "";
+  fillTimeZoneSelect(timezoneInput, ev.timezone);
   locationInput.value = ev.location || "";
+  if (ev.lat !== null && ev.lng !== null && ev.lat !== undefined && ev.lng !== undefined) {
+    locationPicker?.setCoordinates(Number(ev.lat), Number(ev.lng));
+  }
+
+  capacityInput.value = Number(ev.capacity) > 0 ? ev.capacity : "";
+  ticketTypesEditor?.setTypes(ev.ticket_types || []);
+  refundPolicyInput.value = ev.refund_policy || "full";
+  refundPercentInput.value = ev.refund_percent ?? "";
+  refundCutoffInput.value = Number(ev.refund_cutoff_hours) > 0 ? ev.refund_cutoff_hours : "";
 
   currentImageUrl = ev.image_url || null;
   updatePreview(currentImageUrl || "");
 
+  currentEvent = ev;
+  renderSeries(ev);
+  renderPublishing(ev);
+  if (eventTools) {
+    eventTools.hidden = false;
+    duplicateLink.href = pageUrl(`addEvents.html?duplicate=${encodeURIComponent(ev.id)}`);
+  }
+
   showAlert("");
+  await loadHistory();
 }
 
-// ---------- IMAGE UPLOAD ----------
-async function uploadImageFile(file) {
-  if (!file || !currentUser) return null;
+// ---------- REPEATING EVENTS ----------
+function renderSeries(ev) {
+  const series = ev.series;
+  if (seriesGroup) seriesGroup.hidden = !series;
+  if (occurrenceActions) occurrenceActions.hidden = !series;
+  if (!series) return;
 
-  showAlert("Uploading image...", "info");
+  const upcoming = series.upcoming || [];
+  seriesSummary.textContent = `${describeRecurrence(series)}. ${upcoming.length} upcoming ${upcoming.length === 1 ? "date" : "dates"}.`;
 
-  const idToken = await currentUser.getIdToken();
-  const formData = new FormData();
-  formData.append("image", file);
+  const canceled = Boolean(ev.canceled_at);
+  canceledNote.hidden = !canceled;
+  cancelDateBtn.textContent = canceled ? "Restore This Date" : "Cancel This Date";
+}
 
-  const res = await fetch("api/upload-image.php", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${idToken}`,
-      "X-Firebase-UID": currentUser.uid,
-    },
-    body: formData,
+async function handleCancelDate() {
+  if (!currentEvent) return;
+  const canceled = Boolean(currentEvent.canceled_at);
+
+  if (
+    !canceled &&
+    !confirm(
+      `Cancel ${currentEvent.name} on ${currentEvent.date}? Everyone registered for this date is canceled and paid tickets are refunded in full.`
+    )
+  ) {
+    return;
+  }
+
+  cancelDateBtn.disabled = true;
+  try {
+    if (canceled) {
+      await api.admin.events.restoreDate(currentEventId);
+      showAlert("Date restored. It is listed again; earlier registrations stay canceled.", "success");
+    } else {
+      const result = await api.admin.events.cancelDate(currentEventId);
+      let message = `Date canceled. ${result.registrations} ${result.registrations === 1 ? "registration" : "registrations"} canceled`;
+      if (result.refunded > 0) message += `, $${Number(result.refunded).toFixed(2)} refunded`;
+      showAlert(`${message}.`, "success");
+    }
+    await loadEvent();
+  } catch (err) {
+    console.error("Cancel date error:", err);
+    showAlert(err.message, "error");
+  } finally {
+    cancelDateBtn.disabled = false;
+  }
+}
+
+async function handleDeleteSeries() {
+  if (!currentEvent?.series) return;
+  if (
+    !confirm(
+      `Delete every date of ${currentEvent.name}, including past ones? Everyone registered for an upcoming date is canceled and paid tickets are refunded in full. This cannot be undone.`
+    )
+  ) {
+    return;
+  }
+
+  try {
+    await api.admin.events.remove(currentEventId, "series");
+    alert("Series deleted.");
+    window.location.href = pageUrl("admin.html");
+  } catch (err) {
+    console.error("Delete series error:", err);
+    showAlert(err.message, "error");
+  }
+}
+
+// ---------- PUBLISHING ----------
+
+// ISO 8601 -> the local "YYYY-MM-DDTHH:MM" a datetime-local input takes
+function toLocalInputValue(iso) {
+  if (!iso) return "";
+  const date = new Date(iso);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+function renderPublishing(ev) {
+  if (!publishingPanel) return;
+  publishingPanel.hidden = false;
+
+  const status = ev.status || "draft";
+  publishingStatus.textContent = STATUS_LABELS[status] || status;
+  publishingStatus.className = `status-pill status-${status}`;
+  publishingWhen.textContent = ev.publish_at
+    ? `${status === "scheduled" ? "Goes live" : "Requested for"} ${new Date(ev.publish_at).toLocaleString()}`
+    : "";
+  previewLink.href = pageUrl(`event.html?id=${encodeURIComponent(ev.id)}&preview=1`);
+
+  reviewNote.hidden = !(status === "draft" && ev.review_note);
+  reviewNote.textContent = ev.review_note ? `Sent back by an owner: ${ev.review_note}` : "";
+
+  const actions = (PUBLISHING_ACTIONS[status] || []).filter(
+    (action) => (action !== "approve" && action !== "reject") || currentRole === "owner"
+  );
+  publishAtGroup.hidden = !actions.some((action) => ["schedule", "submit", "approve"].includes(action));
+  publishAtInput.value = toLocalInputValue(ev.publish_at);
+  reviewNoteGroup.hidden = !actions.includes("reject");
+  reviewNoteInput.value = "";
+
+  publishingActions.innerHTML = "";
+  actions.forEach((action) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.dataset.action = action;
+    button.textContent = status === "pending_review" && action === "unpublish" ? "Withdraw" : ACTION_LABELS[action];
+    publishingActions.appendChild(button);
   });
+}
+
+async function handlePublishingAction(e) {
+  const button = e.target.closest("button[data-action]");
+  if (!button || !currentEvent) return;
+  const action = button.dataset.action;
 
-  const data = await res.json();
+  const publishAt = publishAtInput.value ? new Date(publishAtInput.value).toISOString() : null;
+  if (action === "schedule" && !publishAt) {
+    showAlert("Choose when the event should be published.", "error");
+    return;
+  }
+  if (
+    action === "unpublish" &&
+    currentEvent.status === "published" &&
+    !confirm(`Take ${currentEvent.name} off the public site? It goes back to being a draft.`)
+  ) {
+    return;
+  }
 
-  if (!res.ok || !data.success) {
-    throw new Error(data.error || "Image upload failed");
+  button.disabled = true;
+  try {
+    const result = await api.admin.events.transition(currentEventId, action, {
+      publish_at: publishAt,
+      note: action === "reject" ? reviewNoteInput.value.trim() : undefined,
+    });
+    await loadEvent();
+    const dates = result.dates > 1 ? ` (all ${result.dates} dates of the series)` : "";
+    showAlert(
+      result.status === "scheduled"
+        ? `Scheduled to go live ${new Date(result.publish_at).toLocaleString()}${dates}.`
+        : `Status is now ${(STATUS_LABELS[result.status] || result.status).toLowerCase()}${dates}.`,
+      "success"
+    );
+  } catch (err) {
+    console.error("Publishing error:", err);
+    showAlert(err.message, "error");
+    button.disabled = false;
   }
+}
+
+// ---------- TEMPLATES ----------
 
+async function handleSaveTemplate() {
+  if (!currentEvent) return;
+  const name = prompt("Template name (saves the event as last saved, without its dates):", currentEvent.name)?.trim();
+  if (!name) return;
+
+  saveTemplateBtn.disabled = true;
+  try {
+    const saved = await api.admin.templates.saveFromEvent(name, currentEventId);
+    showAlert(
+      saved.replaced ? `Template "${name}" replaced.` : `Template "${name}" saved. Pick it when adding an event.`,
+      "success"
+    );
+  } catch (err) {
+    console.error("Save template error:", err);
+    showAlert(err.message, "error");
+  } finally {
+    saveTemplateBtn.disabled = false;
+  }
+}
+
+// ---------- HISTORY ----------
+
+function formatDateTime(value) {
+  if (!value) return "";
+  const date = new Date(value.replace(" ", "T"));
+  return date.toLocaleDateString() + " " + date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+}
+
+function formatFieldValue(field, value) {
+  if (value === null || value === undefined || value === "") return "(none)";
+  if (field === "genres") return value.length ? value.join(", ") : "(none)";
+  if (field === "ticket_types") {
+    if (!value.length) return "(none)";
+    return value
+      .map((type) => `${type.name} $${Number(type.price).toFixed(2)}${type.capacity ? ` (${type.capacity})` : ""}`)
+      .join(", ");
+  }
+  return String(value);
+}
+
+function renderChange(change) {
+  const item = document.createElement("li");
+  const label = document.createElement("strong");
+  label.textContent = `${FIELD_LABELS[change.field] || change.field}: `;
+  item.appendChild(label);
+
+  // Descriptions are too long to show side by side
+  if (change.field === "description") {
+    const details = document.createElement("details");
+    const summary = document.createElement("summary");
+    summary.textContent = "changed";
+    const before = document.createElement("p");
+    before.textContent = `Before: ${formatFieldValue(change.field, change.from)}`;
+    const after = document.createElement("p");
+    after.textContent = `After: ${formatFieldValue(change.field, change.to)}`;
+    details.append(summary, before, after);
+    item.appendChild(details);
+    return item;
+  }
+
+  item.append(`${formatFieldValue(change.field, change.from)} → ${formatFieldValue(change.field, change.to)}`);
+  return item;
+}
+
+function renderHistory(revisions) {
+  if (!historyPanel) return;
+  historyPanel.hidden = revisions.length === 0;
+  revisionList.innerHTML = "";
+
+  revisions.forEach((revision, index) => {
+    const item = document.createElement("li");
+    item.className = "revision";
+
+    const heading = document.createElement("p");
+    const number = document.createElement("strong");
+    number.textContent = `Revision ${revision.revision}`;
+    let by;
+    if (revision.action === "original") {
+      by = "Before history was kept";
+    } else {
+      by = `${revision.action === "create" ? "Created" : "Saved"} by ${revision.editor_name || "a deleted user"}, ${formatDateTime(revision.created_at)}`;
+    }
+    heading.append(number, ` — ${by}`);
+    if (revision.action === "restore") {
+      heading.append(` (restored revision ${revision.restored_from})`);
+    }
+    item.appendChild(heading);
+
+    if (revision.changes.length) {
+      const changes = document.createElement("ul");
+      revision.changes.forEach((change) => changes.appendChild(renderChange(change)));
+      item.appendChild(changes);
+    }
+
+    // The newest revision is what the event looks like now
+    if (index > 0) {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.dataset.revision = revision.revision;
+      button.textContent = "Restore";
+      item.appendChild(button);
+    }
+
+    revisionList.appendChild(item);
+  });
+}
+
+async function loadHistory() {
+  if (!historyPanel || !currentEventId) return;
+  try {
+    const data = await api.admin.events.revisions(currentEventId);
+    renderHistory(data.revisions || []);
+  } catch (err) {
+    console.error("History error:", err);
+    historyPanel.hidden = true;
+  }
+}
+
+async function handleRestoreRevision(e) {
+  const button = e.target.closest("button[data-revision]");
+  if (!button) return;
+  const revision = Number(button.dataset.revision);
+
+  if (!confirm(`Restore revision ${revision}? The event's details, genres and ticket types go back to how they were then.`)) {
+    return;
+  }
+
+  button.disabled = true;
+  try {
+    const result = await api.admin.events.restoreRevision(currentEventId, revision);
+    await loadEvent();
+    const fields = result.changes.length ? ` Changed: ${result.changes.map((c) => FIELD_LABELS[c.field] || c.field).join(", ")}.` : "";
+    showAlert(`Revision ${revision} restored.${fields}`, "success");
+  } catch (err) {
+    console.error("Restore revision error:", err);
+    showAlert(err.message, "error");
+    button.disabled = false;
+  }
+}
+
+// ---------- IMAGE UPLOAD ----------
+async function uploadImageFile(file) {
+  if (!file || !currentUser) return null;
+
+  showAlert("Uploading image...", "info");
+
+  const data = await api.images.upload(file);
   return data.url;
 }
 
@@ -162,6 +526,25 @@ async function handleSubmit(e) {
     showAlert("Please fill in all required fields.", "error");
     return;
   }
+  if (endDateInput.value && endDateInput.value < date) {
+    showAlert("The end date can't be before the start date.", "error");
+    return;
+  }
+
+  const lat = latInput.value === "" ? null : Number(latInput.value);
+  const lng = lngInput.value === "" ? null : Number(lngInput.value);
+  if ((lat === null) !== (lng === null)) {
+    showAlert("Enter both latitude and longitude, or neither.", "error");
+    return;
+  }
+
+  let ticketTypes;
+  try {
+    ticketTypes = ticketTypesEditor.getTypes();
+  } catch (err) {
+    showAlert(err.message, "error");
+    return;
+  }
 
   toggleSubmit(true);
 
@@ -177,41 +560,36 @@ async function handleSubmit(e) {
     }
 
     const payload = {
-      id: Number(currentEventId), // 🔥 tell backend we’re updating this event
       name,
       description,
       date,
       time,
+      // Empty values clear the end, making it a single-day event again
+      end_date: endDateInput.value || null,
+      end_time: endTimeInput.value || null,
+      timezone: timezoneInput.value,
       location,
+      lat,
+      lng,
       image_url: imageUrl,
+      capacity: capacityInput.value === "" ? 0 : Number(capacityInput.value),
+      ticket_types: ticketTypes,
+      refund_policy: refundPolicyInput.value,
+      refund_percent: refundPercentInput.value === "" ? 50 : Number(refundPercentInput.value),
+      refund_cutoff_hours: refundCutoffInput.value === "" ? 0 : Number(refundCutoffInput.value),
     };
 
-    const idToken = await currentUser.getIdToken();
-
-    // Reuse existing admin events endpoint (same as Add Event, but with id)
-    const res = await fetch("api/admin/events.php", {
-      method: "POST", // your add event uses POST, so update can too
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${idToken}`,
-        "X-Firebase-UID": currentUser.uid,
-      },
-      body: JSON.stringify(payload),
-    });
-
-    const raw = await res.text();
-    let data = {};
-    try {
-      data = raw ? JSON.parse(raw) : {};
-    } catch (err) {
-      console.warn("Non-JSON response from events.php:", raw);
-    }
+    // PUT updates in place (POST on the same endpoint creates a new event)
+    const scope = currentEvent?.series ? seriesScopeInput.value : undefined;
+    const result = await api.admin.events.update(currentEventId, payload, scope);
 
-    if (!res.ok || data.success === false) {
-      throw new Error(data.error || raw || "Update failed");
-    }
+    // New ticket types only get their ids once saved; reload them so the
+    // next save updates them instead of adding them again
+    const saved = await api.admin.events.get(currentEventId);
+    ticketTypesEditor.setTypes(saved.event?.ticket_types || []);
+    await loadHistory();
 
-    showAlert("Event updated successfully!", "success");
+    showAlert(result.series_updated ? `${result.message}!` : "Event updated successfully!", "success");
   } catch (err) {
     console.error("Edit event error:", err);
     showAlert(err.message, "error");
@@ -225,31 +603,54 @@ function init() {
   currentEventId = getEventIdFromUrl();
   if (!currentEventId) {
     alert("Missing ?id= in URL for event.");
-    window.location.href = "admin.html";
+    window.location.href = pageUrl("admin.html");
     return;
   }
 
   onAuthStateChanged(auth, async (user) => {
     if (!user) {
-      window.location.href = "login.html";
+      window.location.href = pageUrl("login.html");
       return;
     }
 
     currentUser = user;
 
     try {
-      await ensureAdmin(user);
-      await loadEvent(); // uses api/events.php?id=...
+      await ensureAdmin();
+      await loadEvent(); // uses api/admin/events.php?id=...
     } catch (err) {
       console.error("Error initializing edit page:", err);
       alert(err.message || "Unable to load event.");
-      window.location.href = "admin.html";
+      window.location.href = pageUrl("admin.html");
     }
   });
 
   if (form) {
     form.addEventListener("submit", handleSubmit);
   }
+  cancelDateBtn?.addEventListener("click", handleCancelDate);
+  deleteSeriesBtn?.addEventListener("click", handleDeleteSeries);
+  publishingActions?.addEventListener("click", handlePublishingAction);
+  revisionList?.addEventListener("click", handleRestoreRevision);
+  saveTemplateBtn?.addEventListener("click", handleSaveTemplate);
+
+  ticketTypesEditor = attachTicketTypesEditor({
+    list: document.getElementById("ticket-types-list"),
+    addButton: document.getElementById("add-ticket-type-btn"),
+  });
+
+  locationPicker = attachLocationPicker(
+    {
+      locationInput,
+      latInput,
+      lngInput,
+      lookupButton: document.getElementById("geocode-btn"),
+      resultsList: document.getElementById("geocode-results"),
+      mapContainer: document.getElementById("location-map"),
+      status: document.getElementById("location-status"),
+    },
+    async (q) => (await api.admin.geocode(q)).results
+  );
 
   if (imageFileInput) {
     imageFileInput.addEventListener("change", async (e) => {
@@ -0,0 +1,302 @@
+let allGenres = [];
+let editingGenreId = null;
+// Slug follows the name until the admin types one of their own
+let slugEdited = false;
+
+async function initGenreAdmin() {
+  try {
+    await adminAuth.init();
+    adminAuth.updateUIForRole();
+    setupGenreForm();
+    setupMergeForm();
+    await loadGenres();
+  } catch (error) {
+    console.error('Admin genres init failed:', error);
+  }
+}
+
+document.addEventListener('DOMContentLoaded', initGenreAdmin);
+
+async function loadGenres() {
+  try {
+    const data = await adminAuth.apiRequest('admin/genres.php');
+    allGenres = data.genres || [];
+    renderGenres();
+    renderMergeOptions();
+  } catch (error) {
+    console.error('Failed to load genres:', error);
+    showAlert('Failed to load genres', 'error');
+    const tbody = document.querySelector('#genres-table tbody');
+    tbody.innerHTML = '<tr><td colspan="6" class="error-row">Unable to load genres</td></tr>';
+  }
+}
+
+function renderGenres() {
+  const tbody = document.querySelector('#genres-table tbody');
+
+  if (!allGenres.length) {
+    tbody.innerHTML = '<tr><td colspan="6" class="empty-row">No genres yet</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = allGenres
+    .map((genre, index) => `
+      <tr class="${genre.id == editingGenreId ? 'editing' : ''}">
+        <td class="order-cell">
+          <button class="order-btn" data-move="-1" data-index="${index}" ${index === 0 ? 'disabled' : ''} aria-label="Move ${escapeHtml(genre.name)} up">▲</button>
+          <button class="order-btn" data-move="1" data-index="${index}" ${index === allGenres.length - 1 ? 'disabled' : ''} aria-label="Move ${escapeHtml(genre.name)} down">▼</button>
+        </td>
+        <td class="genre-name-cell">
+          <span class="genre-icon">${escapeHtml(genre.icon || '')}</span>
+          ${escapeHtml(genre.name)}
+        </td>
+        <td><code>${escapeHtml(genre.slug)}</code></td>
+        <td class="genre-description">${escapeHtml(genre.description || '')}</td>
+        <td>${Number(genre.event_count) || 0}</td>
+        <td class="genre-actions">
+          <button class="action-btn" data-edit="${genre.id}">Edit</button>
+          <button class="action-btn delete-btn" data-delete="${genre.id}">Delete</button>
+        </td>
+      </tr>
+    `)
+    .join('');
+
+  tbody.querySelectorAll('[data-move]').forEach((btn) => {
+    btn.addEventListener('click', () => moveGenre(parseInt(btn.dataset.index, 10), parseInt(btn.dataset.move, 10)));
+  });
+  tbody.querySelectorAll('[data-edit]').forEach((btn) => {
+    btn.addEventListener('click', () => startEdit(parseInt(btn.dataset.edit, 10)));
+  });
+  tbody.querySelectorAll('[data-delete]').forEach((btn) => {
+    btn.addEventListener('click', () => deleteGenre(parseInt(btn.dataset.delete, 10)));
+  });
+}
+
+// Swap with the neighbour, show it straight away, then save the full order
+async function moveGenre(index, direction) {
+  const target = index + direction;
+  if (target < 0 || target >= allGenres.length) return;
+
+  const previous = allGenres.slice();
+  [allGenres[index], allGenres[target]] = [allGenres[target], allGenres[index]];
+  renderGenres();
+
+  try {
+    await adminAuth.apiRequest('admin/genres.php', {
+      method: 'POST',
+      query: { action: 'reorder' },
+      body: { order: allGenres.map((genre) => Number(genre.id)) },
+    });
+  } catch (error) {
+    console.error('Error saving genre order:', error);
+    showAlert(error.message || 'Failed to save genre order', 'error');
+    allGenres = previous;
+    renderGenres();
+  }
+}
+
+function setupGenreForm() {
+  const form = document.getElementById('genre-form');
+  const nameInput = document.getElementById('genre-name');
+  const slugInput = document.getElementById('genre-slug');
+
+  nameInput.addEventListener('input', () => {
+    if (!slugEdited) {
+      slugInput.value = slugify(nameInput.value);
+    }
+  });
+  slugInput.addEventListener('input', () => {
+    slugEdited = slugInput.value.trim() !== '';
+  });
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    await saveGenre();
+  });
+  document.getElementById('genre-cancel').addEventListener('click', resetGenreForm);
+}
+
+async function saveGenre() {
+  const payload = {
+    name: document.getElementById('genre-name').value.trim(),
+    slug: document.getElementById('genre-slug').value.trim(),
+    icon: document.getElementById('genre-icon').value.trim(),
+    description: document.getElementById('genre-description').value.trim(),
+  };
+
+  if (!payload.name) {
+    showAlert('Genre name is required', 'error');
+    return;
+  }
+
+  const submitBtn = document.getElementById('genre-submit');
+  submitBtn.disabled = true;
+
+  try {
+    if (editingGenreId) {
+      await adminAuth.apiRequest('admin/genres.php', {
+        method: 'PUT',
+        query: { id: editingGenreId },
+        body: payload,
+      });
+      showAlert('Genre updated successfully!', 'success');
+    } else {
+      await adminAuth.apiRequest('admin/genres.php', { method: 'POST', body: payload });
+      showAlert('Genre added successfully!', 'success');
+    }
+
+    resetGenreForm();
+    await loadGenres();
+  } catch (error) {
+    console.error('Error saving genre:', error);
+    showAlert(error.message || 'Failed to save genre', 'error');
+  } finally {
+    submitBtn.disabled = false;
+  }
+}
+
+function startEdit(genreId) {
+  const genre = allGenres.find((g) => Number(g.id) === genreId);
+  if (!genre) return;
+
+  editingGenreId = genreId;
+  slugEdited = true;
+  document.getElementById('genre-name').value = genre.name || '';
+  document.getElementById('genre-slug').value = genre.slug || '';
+  document.getElementById('genre-icon').value = genre.icon || '';
+  document.getElementById('genre-description').value = genre.description || '';
+  document.getElementById('genre-form-title').textContent = `Edit “${genre.name}”`;
+  document.getElementById('genre-submit').textContent = 'Save Changes';
+  document.getElementById('genre-cancel').hidden = false;
+  renderGenres();
+  document.getElementById('genre-name').focus();
+}
+
+function resetGenreForm() {
+  editingGenreId = null;
+  slugEdited = false;
+  document.getElementById('genre-form').reset();
+  document.getElementById('genre-form-title').textContent = 'Add Genre';
+  document.getElementById('genre-submit').textContent = 'Add Genre';
+  document.getElementById('genre-cancel').hidden = true;
+  renderGenres();
+}
+
+async function deleteGenre(genreId) {
+  const genre = allGenres.find((g) => Number(g.id) === genreId);
+  if (!genre) return;
+
+  const count = Number(genre.event_count) || 0;
+  const warning = count
+    ? `${count} event(s) will lose this genre. Merge it into another genre instead to keep them tagged.\n\n`
+    : '';
+  if (!confirm(`${warning}Delete the genre "${genre.name}"?`)) {
+    return;
+  }
+
+  try {
+    await adminAuth.apiRequest('admin/genres.php', { method: 'DELETE', query: { id: genreId } });
+    showAlert('Genre deleted', 'success');
+    if (editingGenreId === genreId) {
+      resetGenreForm();
+    }
+    await loadGenres();
+  } catch (error) {
+    console.error('Error deleting genre:', error);
+    showAlert(error.message || 'Failed to delete genre', 'error');
+  }
+}
+
+function setupMergeForm() {
+  document.getElementById('merge-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    await mergeGenres();
+  });
+}
+
+function renderMergeOptions() {
+  ['merge-source', 'merge-target'].forEach((id, i) => {
+    const select = document.getElementById(id);
+    const current = select.value;
+    select.innerHTML =
+      `<option value="">${i === 0 ? 'Genre to remove' : 'Genre to keep'}</option>` +
+      allGenres
+        .map((genre) => `<option value="${genre.id}">${escapeHtml(genre.name)} (${Number(genre.event_count) || 0})</option>`)
+        .join('');
+    if (allGenres.some((genre) => String(genre.id) === current)) {
+      select.value = current;
+    }
+  });
+}
+
+async function mergeGenres() {
+  const sourceId = parseInt(document.getElementById('merge-source').value, 10);
+  const targetId = parseInt(document.getElementById('merge-target').value, 10);
+  const source = allGenres.find((g) => Number(g.id) === sourceId);
+  const target = allGenres.find((g) => Number(g.id) === targetId);
+
+  if (!source || !target) {
+    showAlert('Choose both genres to merge', 'error');
+    return;
+  }
+  if (sourceId === targetId) {
+    showAlert('Choose two different genres', 'error');
+    return;
+  }
+  if (!confirm(`Move every event from "${source.name}" to "${target.name}" and delete "${source.name}"?`)) {
+    return;
+  }
+
+  const submitBtn = document.getElementById('merge-submit');
+  submitBtn.disabled = true;
+
+  try {
+    const data = await adminAuth.apiRequest('admin/genres.php', {
+      method: 'POST',
+      query: { action: 'merge' },
+      body: { source_id: sourceId, target_id: targetId },
+    });
+    showAlert(data.message || 'Genres merged', 'success');
+    document.getElementById('merge-form').reset();
+    if (editingGenreId === sourceId) {
+      resetGenreForm();
+    }
+    await loadGenres();
+  } catch (error) {
+    console.error('Error merging genres:', error);
+    showAlert(error.message || 'Failed to merge genres', 'error');
+  } finally {
+    submitBtn.disabled = false;
+  }
+}
+
+function slugify(value) {
+  return value
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function showAlert(message, type) {
+  const container = document.getElementById('alert-container');
+  const alert = document.createElement('div');
+  alert.className = `alert ${type}`;
+  alert.textContent = message;
+  container.innerHTML = '';
+  container.appendChild(alert);
+  alert.style.display = 'block';
+
+  setTimeout(() => {
+    alert.style.display = 'none';
+  }, 4500);
+}
+
+function escapeHtml(str) {
+  if (typeof str !== 'string') return '';
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
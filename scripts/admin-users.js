@@ -22,16 +22,10 @@ document.addEventListener('DOMContentLoaded', initUserAdmin);
 async function loadUsers() {
   try {
     setUsersLoading();
-    const response = await adminAuth.apiRequest('/api/admin/users.php');
-    const data = await response.json();
-
-    if (data.success) {
-      allUsers = data.users || [];
-      renderUsers();
-      updateStats();
-    } else {
-      throw new Error(data.error || 'Failed to load users');
-    }
+    const data = await adminAuth.apiRequest('admin/users.php');
+    allUsers = data.users || [];
+    renderUsers();
+    updateStats();
   } catch (error) {
     console.error('Failed to load users:', error);
     showAlert('Failed to load users', 'error');
@@ -112,18 +106,14 @@ async function updateUserRole(userId) {
   }
 
   try {
-    const response = await adminAuth.apiRequest(`/api/admin/users.php?id=${userId}`, {
+    await adminAuth.apiRequest('admin/users.php', {
       method: 'PUT',
-      body: JSON.stringify({ role: newRole }),
+      query: { id: userId },
+      body: { role: newRole },
     });
 
-    const data = await response.json();
-    if (data.success) {
-      showAlert('User role updated successfully!', 'success');
-      await loadUsers();
-    } else {
-      throw new Error(data.error || 'Failed to update role');
-    }
+    showAlert('User role updated successfully!', 'success');
+    await loadUsers();
   } catch (error) {
     console.error('Error updating user role:', error);
     showAlert(error.message || 'Failed to update user role', 'error');
@@ -142,18 +132,14 @@ async function toggleUserStatus(userId) {
   }
 
   try {
-    const response = await adminAuth.apiRequest(`/api/admin/users.php?id=${userId}`, {
+    await adminAuth.apiRequest('admin/users.php', {
       method: 'PUT',
-      body: JSON.stringify({ is_active: newStatus }),
+      query: { id: userId },
+      body: { is_active: newStatus },
     });
 
-    const data = await response.json();
-    if (data.success) {
-      showAlert(`User ${action}d successfully!`, 'success');
-      await loadUsers();
-    } else {
-      throw new Error(data.error || `Failed to ${action} user`);
-    }
+    showAlert(`User ${action}d successfully!`, 'success');
+    await loadUsers();
   } catch (error) {
     console.error(`Error ${action}ing user:`, error);
     showAlert(error.message || `Failed to ${action} user`, 'error');
@@ -0,0 +1,278 @@
+/**
+ * API Client
+ *
+ * Single entry point for every call the frontend makes to the PHP API:
+ * - Resolves endpoint paths against a configurable base (defaults to the
+ *   `api/` folder next to this script's parent, so the site works no matter
+ *   which path it is deployed under)
+ * - Attaches the signed-in user's Firebase ID token and UID automatically
+ * - Normalizes responses to parsed JSON and throws ApiError when the server
+ *   answers with a non-2xx status or `success: false`
+ * - Redirects to the login page on 401 (can be disabled per client)
+ */
+
+const APP_ROOT = new URL("../", import.meta.url);
+
+/**
+ * Error thrown for failed API calls. Carries the HTTP status and the parsed
+ * response body so callers can branch on them.
+ */
+export class ApiError extends Error {
+  constructor(message, status = 0, data = null) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.data = data;
+  }
+}
+
+/**
+ * Resolve a page path (e.g. "event.html?id=3") against the app root.
+ */
+export function pageUrl(path = "") {
+  return new URL(path, APP_ROOT).toString();
+}
+
+/**
+ * Default user provider: the modular Firebase auth instance used by the
+ * public pages. Loaded lazily so public-only requests never pull in Firebase.
+ */
+async function defaultGetUser() {
+  const { auth } = await import("../firebase-config.js");
+  if (typeof auth.authStateReady === "function") {
+    await auth.authStateReady();
+  }
+  return auth.currentUser;
+}
+
+function defaultOnUnauthorized() {
+  window.location.href = pageUrl("login.html");
+}
+
+function buildQuery(params) {
+  const query = new URLSearchParams();
+  Object.entries(params || {}).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === "") return;
+    if (Array.isArray(value)) {
+      value.forEach((item) => query.append(`${key}[]`, item));
+    } else {
+      query.append(key, value);
+    }
+  });
+  const str = query.toString();
+  return str ? `?${str}` : "";
+}
+
+/**
+ * Create an API client.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.basePath] Base URL/path of the API folder
+ * @param {Function} [options.getUser] Async function returning the Firebase user (or null)
+ * @param {Function|null} [options.onUnauthorized] Called on 401; pass null to disable
+ */
+export function createApiClient(options = {}) {
+  const config = {
+    basePath: options.basePath || window.LAWEN_API_BASE || new URL("api/", APP_ROOT).toString(),
+    getUser: options.getUser || defaultGetUser,
+    onUnauthorized:
+      options.onUnauthorized === undefined ? defaultOnUnauthorized : options.onUnauthorized,
+  };
+
+  function resolve(path) {
+    const base = config.basePath.endsWith("/") ? config.basePath : `${config.basePath}/`;
+    return new URL(path.replace(/^\/+/, ""), new URL(base, window.location.href)).toString();
+  }
+
+  async function authHeaders() {
+    const user = await config.getUser();
+    if (!user) return {};
+    const idToken = await user.getIdToken();
+    return {
+      Authorization: `Bearer ${idToken}`,
+      "X-Firebase-UID": user.uid,
+    };
+  }
+
+  /**
+   * Perform a request and return the raw Response (auth headers attached).
+   */
+  async function raw(path, { method = "GET", query, body, headers = {} } = {}) {
+    const init = {
+      method,
+      headers: { ...(await authHeaders()), ...headers },
+    };
+
+    if (body instanceof FormData) {
+      init.body = body;
+    } else if (body !== undefined && body !== null) {
+      init.headers["Content-Type"] = "application/json";
+      init.body = JSON.stringify(body);
+    }
+
+    return fetch(resolve(path) + buildQuery(query), init);
+  }
+
+  /**
+   * Perform a request and return the parsed JSON body.
+   * Throws ApiError on network failures, non-JSON bodies, non-2xx statuses
+   * and `{ success: false }` payloads.
+   */
+  async function request(path, init = {}) {
+    let response;
+    try {
+      response = await raw(path, init);
+    } catch (error) {
+      throw new ApiError("Network error. Please check your connection.", 0);
+    }
+
+    const text = await response.text();
+    let data = {};
+    try {
+      data = text ? JSON.parse(text) : {};
+    } catch (error) {
+      throw new ApiError("Invalid response from server", response.status, text);
+    }
+
+    if (response.status === 401 && config.onUnauthorized) {
+      config.onUnauthorized(response, data);
+    }
+
+    if (!response.ok || data.success === false) {
+      throw new ApiError(data.error || `Request failed (${response.status})`, response.status, data);
+    }
+
+    return data;
+  }
+
+  return {
+    configure(next = {}) {
+      Object.assign(config, next);
+    },
+    resolve,
+    raw,
+    request,
+    get: (path, query) => request(path, { query }),
+    post: (path, body) => request(path, { method: "POST", body }),
+    put: (path, body, query) => request(path, { method: "PUT", body, query }),
+    delete: (path, query) => request(path, { method: "DELETE", query }),
+    upload: (path, formData) => request(path, { method: "POST", body: formData }),
+
+    me: {
+      // resolveLocation: place a newly saved profile location on the map first
+      get: ({ resolveLocation = false } = {}) =>
+        request("me.php", { query: { resolve_location: resolveLocation ? 1 : undefined } }),
+      update: (profile) => request("profile-update.php", { method: "POST", body: profile }),
+      sync: (payload) => request("sync-user.php", { method: "POST", body: payload }),
+      delete: () => request("delete-account.php", { method: "DELETE" }),
+    },
+
+    events: {
+      list: (params = {}) => request("events.php", { query: params }),
+      get: (id) => request("events.php", { query: { id } }),
+    },
+
+    genres: {
+      list: () => request("genres.php"),
+    },
+
+    geocode: (q) => request("geocode.php", { query: { q } }),
+
+    search: {
+      suggest: (q) => request("search-suggestions.php", { query: { q } }),
+    },
+
+    favorites: {
+      list: () => request("favorites.php"),
+      add: (eventId) => request("favorites.php", { method: "POST", body: { event_id: Number(eventId) } }),
+      remove: (eventId) => request("favorites.php", { method: "DELETE", query: { event_id: eventId } }),
+    },
+
+    registrations: {
+      list: () => request("registrations.php"),
+      status: (eventId) => request("registrations.php", { query: { event_id: eventId } }),
+      // tickets: [{ ticket_type_id, quantity, guest_names }] (default: one ticket);
+      // waitlist: true joins the waitlist when they don't fit
+      register: (eventId, { tickets, waitlist = false } = {}) =>
+        request("registrations.php", { method: "POST", body: { event_id: Number(eventId), tickets, waitlist } }),
+      cancel: (eventId) => request("registrations.php", { method: "DELETE", query: { event_id: eventId } }),
+      // Admin door check-in; eventId (optional) rejects tickets for other events
+      checkIn: (code, eventId) =>
+        request("registrations.php", { method: "POST", query: { action: "check_in" }, body: { code, event_id: eventId } }),
+      attendance: (eventId) => request("registrations.php", { query: { action: "attendance", event_id: eventId } }),
+    },
+
+    orders: {
+      list: () => request("orders.php"),
+      get: (orderId) => request("orders.php", { query: { id: orderId } }),
+      // details: the payment provider's checkout fields (card_number, exp_month, exp_year, cvc for the mock)
+      pay: (orderId, details) => request("orders.php", { method: "POST", query: { id: orderId, action: "pay" }, body: details }),
+    },
+
+    calendar: {
+      // Plain URL (not fetched) so the browser handles the .ics download
+      eventUrl: (eventId) => resolve("calendar.php") + buildQuery({ event_id: eventId }),
+      feed: () => request("calendar.php", { query: { action: "feed" } }),
+      resetFeed: () => request("calendar.php", { method: "POST", query: { action: "reset" } }),
+    },
+
+    images: {
+      upload: (file) => {
+        const formData = new FormData();
+        formData.append("image", file);
+        return request("upload-image.php", { method: "POST", body: formData });
+      },
+    },
+
+    admin: {
+      geocode: (q) => request("admin/geocode.php", { query: { q } }),
+      events: {
+        // status (e.g. "draft,scheduled") narrows the list
+        list: (status) => request("admin/events.php", { query: { status } }),
+        // Any status, shaped like events.get (edit page and draft previews)
+        get: (id) => request("admin/events.php", { query: { id } }),
+        create: (event) => request("admin/events.php", { method: "POST", body: event }),
+        // scope "series" also updates the upcoming dates of a repeating event
+        update: (id, event, scope) => request("admin/events.php", { method: "PUT", query: { id, scope }, body: event }),
+        remove: (id, scope) => request("admin/events.php", { method: "DELETE", query: { id, scope } }),
+        cancelDate: (id) => request("admin/events.php", { method: "POST", query: { id, action: "cancel" } }),
+        restoreDate: (id) => request("admin/events.php", { method: "POST", query: { id, action: "restore" } }),
+        // Publishing workflow: submit, approve, reject, publish, schedule or unpublish
+        transition: (id, action, body = {}) => request("admin/events.php", { method: "POST", query: { id, action }, body }),
+        // Edit history, newest first, and restoring an earlier revision
+        revisions: (id) => request("admin/event-revisions.php", { query: { event_id: id } }),
+        restoreRevision: (id, revision) =>
+          request("admin/event-revisions.php", { method: "POST", query: { event_id: id, revision } }),
+      },
+      // Named starting points for new events; saving under a taken name replaces it
+      templates: {
+        list: () => request("admin/event-templates.php"),
+        save: (name, details) => request("admin/event-templates.php", { method: "POST", body: { name, details } }),
+        saveFromEvent: (name, eventId) =>
+          request("admin/event-templates.php", { method: "POST", body: { name, event_id: eventId } }),
+        remove: (id) => request("admin/event-templates.php", { method: "DELETE", query: { id } }),
+      },
+      genres: {
+        list: () => request("admin/genres.php"),
+        create: (genre) => request("admin/genres.php", { method: "POST", body: genre }),
+        update: (id, genre) => request("admin/genres.php", { method: "PUT", query: { id }, body: genre }),
+        remove: (id) => request("admin/genres.php", { method: "DELETE", query: { id } }),
+        reorder: (order) => request("admin/genres.php", { method: "POST", query: { action: "reorder" }, body: { order } }),
+        merge: (sourceId, targetId) =>
+          request("admin/genres.php", {
+            method: "POST",
+            query: { action: "merge" },
+            body: { source_id: sourceId, target_id: targetId },
+          }),
+      },
+      attendees: {
+        list: (eventId) => request("admin/attendees.php", { query: { event_id: eventId } }),
+        cancel: (registrationId, reason) =>
+          request("admin/attendees.php", { method: "DELETE", query: { id: registrationId }, body: { reason } }),
+      },
+    },
+  };
+}
+
+/** Shared client for the public (modular Firebase) pages. */
+export const api = createApiClient();
@@ -0,0 +1,41 @@
+import { auth } from "../firebase-config.js";
+import { onAuthStateChanged } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js";
+import { api } from "./api-client.js";
+import { renderTicketQr } from "./ticket-qr.js";
+
+// event.js sends people here with ?event_id= once their registration is confirmed
+const eventId = new URLSearchParams(window.location.search).get("event_id");
+
+document.addEventListener("DOMContentLoaded", () => {
+  if (!eventId) return;
+
+  onAuthStateChanged(auth, async (firebaseUser) => {
+    if (firebaseUser) {
+      await loadTicket();
+    }
+  });
+});
+
+async function loadTicket() {
+  try {
+    const [status, eventData] = await Promise.all([api.registrations.status(eventId), api.events.get(eventId)]);
+    const registration = status.registration;
+    // Pending payment or waitlisted: no ticket yet, keep the generic message
+    if (!registration?.ticket_code) return;
+
+    const event = eventData.event || {};
+    const quantity = Number(registration.quantity) || 1;
+
+    document.getElementById("ticket-event").textContent = [event.name || event.title, event.date, event.time]
+      .filter(Boolean)
+      .join(" • ");
+    document.getElementById("ticket-code").textContent = registration.ticket_code;
+    document.getElementById("ticket-note").textContent =
+      `Show this code at the door. It admits ${quantity} ${quantity === 1 ? "person" : "people"}.`;
+    document.getElementById("ticket-section").hidden = false;
+
+    await renderTicketQr(document.getElementById("ticket-qr"), registration.ticket_code, 220);
+  } catch (error) {
+    console.error("Failed to load ticket:", error);
+  }
+}
@@ -1,5 +1,6 @@
 import { auth } from "../firebase-config.js";
 import { onAuthStateChanged } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js";
+import { api, pageUrl } from "./api-client.js";
 
 let currentFirebaseUser = null;
 
@@ -18,18 +19,12 @@ function showStatus(message, color = "") {
 }
 
 async function loadProfile() {
-  const idToken = await currentFirebaseUser.getIdToken();
-  const res = await fetch("api/me.php", {
-    headers: {
-      Authorization: `Bearer ${idToken}`,
-      "X-Firebase-UID": currentFirebaseUser.uid,
-    },
-  });
-
-  const data = await res.json();
-  if (!res.ok || !data.success) {
-    console.error("Profile load failed:", data.error);
-    showStatus(data.error || "Unable to load profile", "red");
+  let data;
+  try {
+    data = await api.me.get();
+  } catch (err) {
+    console.error("Profile load failed:", err.message);
+    showStatus(err.message || "Unable to load profile", "red");
     return;
   }
 
@@ -52,38 +47,27 @@ async function saveProfile(event) {
     bio: bioInput.value.trim(),
   };
 
-  const idToken = await currentFirebaseUser.getIdToken();
-  const res = await fetch("api/profile-update.php", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${idToken}`,
-      "X-Firebase-UID": currentFirebaseUser.uid,
-    },
-    body: JSON.stringify(payload),
-  });
-
-  const data = await res.json();
-
-  if (!res.ok || !data.success) {
-    showStatus(data.error || "Update failed", "red");
+  try {
+    await api.me.update(payload);
+  } catch (err) {
+    showStatus(err.message || "Update failed", "red");
     return;
   }
 
   showStatus("Profile updated! Redirecting...", "green");
 
   setTimeout(() => {
-    window.location.href = "account.html";
+    window.location.href = pageUrl("account.html");
   }, 1000);
 }
 
 cancelBtn.addEventListener("click", () => {
-  window.location.href = "account.html";
+  window.location.href = pageUrl("account.html");
 });
 
 onAuthStateChanged(auth, async (user) => {
   if (!user) {
-    window.location.href = "login.html";
+    window.location.href = pageUrl("login.html");
     return;
   }
 
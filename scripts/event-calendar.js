@@ -0,0 +1,362 @@
+/**
+ * Event Calendar
+ *
+ * Month / week / agenda layouts for the home page:
+ * - Each layout covers a date window; only that window is requested from
+ *   the page (which queries api/events.php with date_from/date_to)
+ * - Weeks start on Monday so a weekend sits together at the end of a row
+ * - Events link to event.html?id=
+ *
+ * Dates are handled as local calendar days ("YYYY-MM-DD"), never as
+ * instants, so no timezone can shift an event onto the wrong day.
+ */
+
+import { pageUrl } from "./api-client.js";
+
+export const CALENDAR_MODES = ["month", "week", "agenda"];
+
+const AGENDA_DAYS = 30;
+const MONTH_CELL_LIMIT = 3;
+
+// ---------- date helpers ----------
+
+function toISODate(date) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, "0");
+  const d = String(date.getDate()).padStart(2, "0");
+  return `${y}-${m}-${d}`;
+}
+
+function parseISODate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || "");
+  if (!match) return null;
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function addDays(date, days) {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+}
+
+function startOfWeek(date) {
+  // getDay(): Sunday = 0; shift so Monday = 0
+  return addDays(date, -((date.getDay() + 6) % 7));
+}
+
+function today() {
+  const now = new Date();
+  return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+}
+
+// First and last day shown by a layout anchored on `anchor`
+function visibleRange(mode, anchor) {
+  if (mode === "week") {
+    const start = startOfWeek(anchor);
+    return { start, end: addDays(start, 6) };
+  }
+  if (mode === "agenda") {
+    return { start: anchor, end: addDays(anchor, AGENDA_DAYS - 1) };
+  }
+  const first = new Date(anchor.getFullYear(), anchor.getMonth(), 1);
+  const last = new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0);
+  return { start: startOfWeek(first), end: addDays(startOfWeek(last), 6) };
+}
+
+function formatTime(time) {
+  return time ? String(time).slice(0, 5) : "";
+}
+
+/**
+ * Render a calendar into `container`.
+ *
+ * @param {HTMLElement} container
+ * @param {object} options
+ * @param {(from: string, to: string) => Promise<object[]>} options.fetchEvents
+ *   Events between two "YYYY-MM-DD" days (inclusive).
+ * @param {(state: {mode: string, date: string}) => void} [options.onNavigate]
+ *   Called after the user changes layout or moves the window.
+ * @returns {{ show: Function, refresh: Function, getState: Function }}
+ */
+export function createEventCalendar(container, { fetchEvents, onNavigate }) {
+  let mode = "month";
+  let anchor = today();
+  let requestId = 0;
+
+  container.innerHTML = "";
+
+  const toolbar = document.createElement("div");
+  toolbar.className = "calendar-toolbar";
+
+  const nav = document.createElement("div");
+  nav.className = "calendar-nav";
+  const prevBtn = makeButton("‹", "calendar-prev", "Previous");
+  const todayBtn = makeButton("Today", "calendar-today");
+  const nextBtn = makeButton("›", "calendar-next", "Next");
+  nav.append(prevBtn, todayBtn, nextBtn);
+
+  const title = document.createElement("h4");
+  title.className = "calendar-title";
+  title.setAttribute("aria-live", "polite");
+
+  const modes = document.createElement("div");
+  modes.className = "calendar-modes";
+  modes.setAttribute("role", "group");
+  modes.setAttribute("aria-label", "Calendar layout");
+  const modeButtons = CALENDAR_MODES.map((m) => {
+    const btn = makeButton(m.charAt(0).toUpperCase() + m.slice(1), "calendar-mode-btn");
+    btn.dataset.mode = m;
+    btn.addEventListener("click", () => navigate({ mode: m }));
+    modes.appendChild(btn);
+    return btn;
+  });
+
+  toolbar.append(nav, title, modes);
+
+  const body = document.createElement("div");
+  body.className = "calendar-body";
+
+  container.append(toolbar, body);
+
+  prevBtn.addEventListener("click", () => navigate({ step: -1 }));
+  nextBtn.addEventListener("click", () => navigate({ step: 1 }));
+  todayBtn.addEventListener("click", () => navigate({ date: today() }));
+
+  function makeButton(text, className, label) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = className;
+    btn.textContent = text;
+    if (label) btn.setAttribute("aria-label", label);
+    return btn;
+  }
+
+  function navigate({ mode: nextMode, date, step }) {
+    if (nextMode) mode = nextMode;
+    if (date) anchor = date;
+    if (step) {
+      if (mode === "month") {
+        anchor = new Date(anchor.getFullYear(), anchor.getMonth() + step, 1);
+      } else {
+        anchor = addDays(anchor, step * (mode === "week" ? 7 : AGENDA_DAYS));
+      }
+    }
+    refresh();
+    if (onNavigate) onNavigate(getState());
+  }
+
+  function updateToolbar() {
+    const { start, end } = visibleRange(mode, anchor);
+    if (mode === "month") {
+      title.textContent = anchor.toLocaleDateString(undefined, { month: "long", year: "numeric" });
+    } else {
+      const opts = { day: "numeric", month: "short" };
+      title.textContent = `${start.toLocaleDateString(undefined, opts)} – ${end.toLocaleDateString(undefined, {
+        ...opts,
+        year: "numeric",
+      })}`;
+    }
+    modeButtons.forEach((btn) => btn.setAttribute("aria-pressed", String(btn.dataset.mode === mode)));
+  }
+
+  function groupByDay(events) {
+    const days = new Map();
+    events.forEach((event) => {
+      if (!event.date) return;
+      // Multi-day events show on every day they run
+      const first = String(event.date).slice(0, 10);
+      const last = event.end_date ? String(event.end_date).slice(0, 10) : first;
+      for (let day = new Date(`${first}T00:00:00`); toISODate(day) <= last; day.setDate(day.getDate() + 1)) {
+        const key = toISODate(day);
+        if (!days.has(key)) days.set(key, []);
+        days.get(key).push(event);
+      }
+    });
+    days.forEach((list) => list.sort((a, b) => String(a.time || "").localeCompare(String(b.time || ""))));
+    return days;
+  }
+
+  function eventLink(event) {
+    const link = document.createElement("a");
+    link.className = "calendar-event";
+    link.href = pageUrl(`event.html?id=${encodeURIComponent(event.id)}`);
+    if (event.genres?.length) link.dataset.genre = event.genres.map((g) => g.slug).join(",");
+
+    const time = formatTime(event.time);
+    if (time) {
+      const timeEl = document.createElement("span");
+      timeEl.className = "calendar-event-time";
+      timeEl.textContent = time;
+      link.appendChild(timeEl);
+    }
+
+    const name = document.createElement("span");
+    name.className = "calendar-event-name";
+    name.textContent = event.name || event.title || "Untitled Event";
+    link.appendChild(name);
+
+    link.title = [event.name, event.location].filter(Boolean).join(" — ");
+    return link;
+  }
+
+  function dayHeading(date) {
+    const heading = document.createElement("h5");
+    heading.className = "calendar-day-heading";
+    heading.textContent = date.toLocaleDateString(undefined, {
+      weekday: "long",
+      day: "numeric",
+      month: "long",
+    });
+    return heading;
+  }
+
+  function renderMonth(days) {
+    const { start, end } = visibleRange("month", anchor);
+    const grid = document.createElement("div");
+    grid.className = "calendar-month";
+
+    for (let i = 0; i < 7; i++) {
+      const name = document.createElement("div");
+      name.className = "calendar-weekday";
+      name.textContent = addDays(start, i).toLocaleDateString(undefined, { weekday: "short" });
+      grid.appendChild(name);
+    }
+
+    const todayKey = toISODate(today());
+    for (let day = start; day <= end; day = addDays(day, 1)) {
+      const key = toISODate(day);
+      const events = days.get(key) || [];
+      const cell = document.createElement("div");
+      cell.className = "calendar-cell";
+      if (day.getMonth() !== anchor.getMonth()) cell.classList.add("outside");
+      if (key === todayKey) cell.classList.add("today");
+      if (day.getDay() === 0 || day.getDay() === 6) cell.classList.add("weekend");
+      cell.setAttribute(
+        "aria-label",
+        `${day.toLocaleDateString(undefined, { weekday: "long", day: "numeric", month: "long" })}, ${
+          events.length
+        } event${events.length === 1 ? "" : "s"}`
+      );
+
+      const number = document.createElement("span");
+      number.className = "calendar-date";
+      number.textContent = day.getDate();
+      cell.appendChild(number);
+
+      events.slice(0, MONTH_CELL_LIMIT).forEach((event) => cell.appendChild(eventLink(event)));
+
+      if (events.length > MONTH_CELL_LIMIT) {
+        const more = makeButton(`+${events.length - MONTH_CELL_LIMIT} more`, "calendar-more");
+        const date = day;
+        more.addEventListener("click", () => navigate({ mode: "week", date }));
+        cell.appendChild(more);
+      }
+
+      grid.appendChild(cell);
+    }
+    body.appendChild(grid);
+  }
+
+  function renderWeek(days) {
+    const { start } = visibleRange("week", anchor);
+    const week = document.createElement("div");
+    week.className = "calendar-week";
+
+    const todayKey = toISODate(today());
+    for (let i = 0; i < 7; i++) {
+      const day = addDays(start, i);
+      const key = toISODate(day);
+      const column = document.createElement("section");
+      column.className = "calendar-week-day";
+      if (key === todayKey) column.classList.add("today");
+      if (day.getDay() === 0 || day.getDay() === 6) column.classList.add("weekend");
+      column.appendChild(dayHeading(day));
+
+      const events = days.get(key) || [];
+      if (!events.length) {
+        const empty = document.createElement("p");
+        empty.className = "calendar-empty";
+        empty.textContent = "No events";
+        column.appendChild(empty);
+      }
+      events.forEach((event) => column.appendChild(eventLink(event)));
+      week.appendChild(column);
+    }
+    body.appendChild(week);
+  }
+
+  function renderAgenda(days) {
+    const list = document.createElement("div");
+    list.className = "calendar-agenda";
+
+    const keys = Array.from(days.keys()).sort();
+    if (!keys.length) {
+      const empty = document.createElement("p");
+      empty.className = "calendar-empty";
+      empty.textContent = `No events in the next ${AGENDA_DAYS} days.`;
+      list.appendChild(empty);
+    }
+
+    keys.forEach((key) => {
+      const section = document.createElement("section");
+      section.className = "calendar-agenda-day";
+      section.appendChild(dayHeading(parseISODate(key)));
+      days.get(key).forEach((event) => {
+        const link = eventLink(event);
+        if (event.location) {
+          const where = document.createElement("span");
+          where.className = "calendar-event-location";
+          where.textContent = event.location;
+          link.appendChild(where);
+        }
+        section.appendChild(link);
+      });
+      list.appendChild(section);
+    });
+    body.appendChild(list);
+  }
+
+  async function refresh() {
+    updateToolbar();
+    const { start, end } = visibleRange(mode, anchor);
+    const current = ++requestId;
+
+    body.innerHTML = '<div class="loading-spinner"><p>⏳ Loading calendar...</p></div>';
+    try {
+      const events = await fetchEvents(toISODate(start), toISODate(end));
+      if (current !== requestId) return;
+
+      body.innerHTML = "";
+      const days = groupByDay(events);
+      if (mode === "week") renderWeek(days);
+      else if (mode === "agenda") renderAgenda(days);
+      else renderMonth(days);
+    } catch (err) {
+      if (current !== requestId) return;
+      console.error("Failed to load calendar:", err);
+      body.innerHTML = "";
+      const error = document.createElement("div");
+      error.className = "no-events";
+      error.innerHTML = "<h3>😕 Unable to load events</h3>";
+      const message = document.createElement("p");
+      message.textContent = err.message || "Please try again later";
+      error.appendChild(message);
+      body.appendChild(error);
+    }
+  }
+
+  function getState() {
+    return { mode, date: toISODate(anchor) };
+  }
+
+  // Set layout/date without fetching (the page decides when to refresh)
+  function show({ mode: nextMode, date } = {}) {
+    if (CALENDAR_MODES.includes(nextMode)) mode = nextMode;
+    const parsed = parseISODate(date);
+    if (parsed) anchor = parsed;
+    updateToolbar();
+  }
+
+  return { show, refresh, getState };
+}
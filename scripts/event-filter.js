@@ -4,6 +4,7 @@
  * Provides robust client-side event filtering with:
  * - Normalized category matching (case-insensitive, whitespace, ampersands)
  * - Support for multiple types per event (comma/pipe-separated)
+ * - Multi-select: match any (OR) or all (AND) of several categories
  * - Data attribute support for stable slugs (data-category-slug, data-event-slug)
  * - Delegated event handling for dynamically added elements
  * - Backwards-compatible label fallback when data attributes aren't present
@@ -134,13 +135,30 @@
   }
 
   /**
-   * Apply filter to show/hide events based on category
+   * Check if an event matches a set of categories
+   * - mode 'any': at least one category matches (OR)
+   * - mode 'all': every category matches (AND)
+   * An empty set means "all events"
    */
-  function applyFilter(categorySlug) {
+  function eventMatchesCategories(eventElement, categorySlugs, mode) {
+    const categories = categorySlugs.filter(c => c && c !== 'all' && c !== 'all-events');
+    if (categories.length === 0) {
+      return true;
+    }
+
+    const matches = c => eventMatchesCategory(eventElement, c);
+    return mode === 'all' ? categories.every(matches) : categories.some(matches);
+  }
+
+  /**
+   * Apply filter to show/hide events based on one or more categories
+   */
+  function applyFilter(categorySlugs, mode) {
+    const categories = Array.isArray(categorySlugs) ? categorySlugs : [categorySlugs];
     const eventItems = document.querySelectorAll('.event-card');
     
     eventItems.forEach(event => {
-      const matches = eventMatchesCategory(event, categorySlug);
+      const matches = eventMatchesCategories(event, categories, mode);
       
       // Use inline style.display to toggle visibility
       // Preserve any existing visibility classes
@@ -202,11 +220,12 @@
   }
 
   /**
-   * Public API - programmatically filter by category slug or label
+   * Public API - programmatically filter by category slug or label,
+   * or by an array of them with mode 'any' (default) or 'all'
    */
-  function filter(slugOrLabel) {
-    const normalized = normalizeString(slugOrLabel);
-    applyFilter(normalized);
+  function filter(slugsOrLabels, mode) {
+    const list = Array.isArray(slugsOrLabels) ? slugsOrLabels : [slugsOrLabels];
+    applyFilter(list.map(normalizeString), mode === 'all' ? 'all' : 'any');
   }
 
   // Export public API
@@ -217,6 +236,7 @@
     _normalize: normalizeString,
     _extractTypes: extractTypes,
     _getCategorySlug: getCategorySlug,
-    _getEventTypes: getEventTypes
+    _getEventTypes: getEventTypes,
+    _matchesCategories: eventMatchesCategories
   };
 })();
@@ -0,0 +1,216 @@
+/**
+ * Event Map
+ *
+ * Leaflet map of events for the home page:
+ * - Leaflet and Leaflet.markercluster are loaded on first use, from a
+ *   configurable base URL so both can be self-hosted
+ * - Tiles come from a configurable URL template (e.g. a local tile server
+ *   for offline development)
+ * - Markers are clustered; popups link to event.html?id=
+ * - "Search this area" reports the visible bounds to the page
+ *
+ * Override any default by defining `window.LAWEN_MAP_CONFIG` before the page
+ * scripts load, e.g.
+ *   window.LAWEN_MAP_CONFIG = {
+ *     leafletBase: "vendor/leaflet/",
+ *     clusterBase: "vendor/leaflet.markercluster/",
+ *     tileUrl: "http://localhost:8080/tiles/{z}/{x}/{y}.png",
+ *   };
+ */
+
+import { pageUrl } from "./api-client.js";
+import { formatEventRange } from "./event-times.js";
+
+const DEFAULT_CONFIG = {
+  leafletBase: "https://unpkg.com/leaflet@1.9.4/dist/",
+  clusterBase: "https://unpkg.com/leaflet.markercluster@1.5.3/dist/",
+  tileUrl: "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png",
+  tileAttribution:
+    '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+  maxZoom: 18,
+  // Shown until there are events or a user location to fit
+  center: [51.5074, -0.1278],
+  zoom: 11,
+};
+
+export const mapConfig = { ...DEFAULT_CONFIG, ...(window.LAWEN_MAP_CONFIG || {}) };
+
+let leafletPromise = null;
+
+function loadStylesheet(href) {
+  if (document.querySelector(`link[href="${href}"]`)) return;
+  const link = document.createElement("link");
+  link.rel = "stylesheet";
+  link.href = href;
+  document.head.appendChild(link);
+}
+
+function loadScript(src) {
+  return new Promise((resolve, reject) => {
+    const script = document.createElement("script");
+    script.src = src;
+    script.onload = resolve;
+    script.onerror = () => reject(new Error(`Failed to load ${src}`));
+    document.head.appendChild(script);
+  });
+}
+
+/**
+ * Load Leaflet and the cluster plugin once; resolves to the global `L`.
+ */
+export function loadLeaflet() {
+  if (!leafletPromise) {
+    const base = (url) => new URL(url, pageUrl()).toString();
+    const leaflet = base(mapConfig.leafletBase);
+    const cluster = base(mapConfig.clusterBase);
+
+    loadStylesheet(`${leaflet}leaflet.css`);
+    loadStylesheet(`${cluster}MarkerCluster.css`);
+    loadStylesheet(`${cluster}MarkerCluster.Default.css`);
+
+    leafletPromise = loadScript(`${leaflet}leaflet.js`)
+      .then(() => loadScript(`${cluster}leaflet.markercluster.js`))
+      .then(() => window.L)
+      .catch((err) => {
+        // Allow a retry (e.g. after the network comes back)
+        leafletPromise = null;
+        throw err;
+      });
+  }
+  return leafletPromise;
+}
+
+function hasCoordinates(event) {
+  return [event.lat, event.lng].every(
+    (value) => value !== null && value !== undefined && value !== "" && Number.isFinite(Number(value))
+  );
+}
+
+function buildPopup(event) {
+  const wrapper = document.createElement("div");
+  wrapper.className = "map-popup";
+
+  const title = document.createElement("a");
+  title.className = "map-popup-title";
+  title.href = pageUrl(`event.html?id=${encodeURIComponent(event.id)}`);
+  title.textContent = event.name || event.title || "Untitled Event";
+  wrapper.appendChild(title);
+
+  const info = document.createElement("p");
+  info.className = "map-popup-info";
+  const when = formatEventRange(event) || [event.date, event.time].filter(Boolean).join(" • ");
+  info.textContent = [event.location, when].filter(Boolean).join(" — ");
+  wrapper.appendChild(info);
+
+  return wrapper;
+}
+
+/**
+ * Create a map inside `container`.
+ *
+ * @param {HTMLElement} container
+ * @param {object} options
+ * @param {(bounds: {south:number, west:number, north:number, east:number}) => void} options.onSearchArea
+ * @returns {Promise<object>} controller with setEvents, setUserLocation,
+ *   fitToEvents, fitToBounds, invalidateSize
+ */
+export async function createEventMap(container, { onSearchArea }) {
+  const L = await loadLeaflet();
+
+  const map = L.map(container, { zoomControl: true }).setView(mapConfig.center, mapConfig.zoom);
+  L.tileLayer(mapConfig.tileUrl, {
+    attribution: mapConfig.tileAttribution,
+    maxZoom: mapConfig.maxZoom,
+  }).addTo(map);
+
+  const clusters = L.markerClusterGroup({ showCoverageOnHover: false });
+  map.addLayer(clusters);
+
+  let userMarker = null;
+
+  // "Search this area" appears once the user pans or zooms the map
+  const SearchAreaControl = L.Control.extend({
+    options: { position: "topright" },
+    onAdd() {
+      const button = L.DomUtil.create("button", "map-search-area-btn");
+      button.type = "button";
+      button.textContent = "Search this area";
+      button.hidden = true;
+      L.DomEvent.disableClickPropagation(button);
+      L.DomEvent.on(button, "click", () => {
+        button.hidden = true;
+        const b = map.getBounds();
+        onSearchArea({
+          south: b.getSouth(),
+          west: b.getWest(),
+          north: b.getNorth(),
+          east: b.getEast(),
+        });
+      });
+      this.button = button;
+      return button;
+    },
+  });
+  const searchArea = new SearchAreaControl();
+  searchArea.addTo(map);
+
+  // Ignore the moves we cause ourselves when fitting to results
+  // (Leaflet fires movestart synchronously from fitBounds/setView)
+  let programmaticMove = false;
+  map.on("movestart", () => {
+    if (!programmaticMove) searchArea.button.hidden = false;
+  });
+
+  function moveProgrammatically(fn) {
+    programmaticMove = true;
+    try {
+      fn();
+    } finally {
+      programmaticMove = false;
+    }
+  }
+
+  return {
+    setEvents(events) {
+      clusters.clearLayers();
+      const markers = events.filter(hasCoordinates).map((event) =>
+        L.marker([Number(event.lat), Number(event.lng)], {
+          title: event.name || event.title || "",
+        }).bindPopup(() => buildPopup(event))
+      );
+      clusters.addLayers(markers);
+    },
+
+    setUserLocation(location) {
+      if (!location) return;
+      const latLng = [location.lat, location.lng];
+      if (userMarker) {
+        userMarker.setLatLng(latLng);
+      } else {
+        userMarker = L.circleMarker(latLng, {
+          radius: 8,
+          color: "#0ab4ff",
+          fillOpacity: 0.8,
+        })
+          .bindTooltip("You are here")
+          .addTo(map);
+      }
+    },
+
+    // Frame the current markers (and the user), without touching the bounds filter
+    fitToEvents() {
+      const bounds = clusters.getBounds();
+      if (userMarker) bounds.extend(userMarker.getLatLng());
+      if (!bounds.isValid()) return;
+      moveProgrammatically(() => map.fitBounds(bounds, { padding: [30, 30], maxZoom: 14 }));
+    },
+
+    fitToBounds({ south, west, north, east }) {
+      moveProgrammatically(() => map.fitBounds([[south, west], [north, east]]));
+    },
+
+    invalidateSize() {
+      map.invalidateSize();
+    },
+  };
+}
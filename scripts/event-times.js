@@ -0,0 +1,111 @@
+/**
+ * Event Times
+ *
+ * Formats an event's start and end (the starts_at/ends_at the API sends, ISO
+ * 8601 with the event's own offset) for display:
+ * - In the event's time zone: "Tue, Jul 15, 6:00 PM – Thu, Jul 17, 11:00 PM EDT"
+ * - In the viewer's zone too, when its clock differs from the event's
+ * - Whole-day events as dates only, which mean the same day everywhere
+ *
+ * Also tells whether an event is running now or about to end, matching the
+ * when=now / when=ends_soon filters of api/events.php.
+ */
+
+// Matches ENDS_SOON_MINUTES in api/event-times.php
+export const ENDS_SOON_MINUTES = 120;
+
+export const viewerTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const DATE_PARTS = { weekday: "short", month: "short", day: "numeric" };
+const TIME_PARTS = { hour: "numeric", minute: "2-digit" };
+
+function formatRange(formatter, start, end) {
+  if (typeof formatter.formatRange === "function") return formatter.formatRange(start, end);
+  return `${formatter.format(start)} – ${formatter.format(end)}`;
+}
+
+function eventRange(event) {
+  if (!event?.starts_at) return null;
+  const start = new Date(event.starts_at);
+  const end = new Date(event.ends_at || event.starts_at);
+  return Number.isNaN(start.getTime()) ? null : { start, end };
+}
+
+/**
+ * Start–end of an event in one time zone (the event's by default), or "" when
+ * it has no date yet.
+ * @param {object} event Event from the API
+ * @param {{ timeZone?: string, year?: boolean }} [options] year adds the year
+ * @returns {string}
+ */
+export function formatEventRange(event, { timeZone = event?.timezone, year = false } = {}) {
+  const range = eventRange(event);
+  if (!range) return "";
+
+  const dateParts = year ? { ...DATE_PARTS, year: "numeric" } : DATE_PARTS;
+  if (event.all_day) {
+    // ends_at is the midnight after the last day
+    const lastDay = new Date(range.end.getTime() - 1);
+    const formatter = new Intl.DateTimeFormat(undefined, { ...dateParts, timeZone });
+    return formatRange(formatter, range.start, lastDay);
+  }
+
+  const formatter = new Intl.DateTimeFormat(undefined, { ...dateParts, ...TIME_PARTS, timeZone, timeZoneName: "short" });
+  return formatRange(formatter, range.start, range.end);
+}
+
+/**
+ * The event's times in its own zone and, when the viewer's clock reads
+ * differently, in the viewer's zone (otherwise viewer is null).
+ * @returns {{ local: string, viewer: string|null, timeZone: string }}
+ */
+export function describeEventTimes(event, options = {}) {
+  const local = formatEventRange(event, options);
+  const range = eventRange(event);
+  let viewer = null;
+
+  if (range && !event.all_day && event.timezone && event.timezone !== viewerTimeZone) {
+    const wallClock = (timeZone) =>
+      new Intl.DateTimeFormat("en-US", { dateStyle: "short", timeStyle: "short", timeZone }).format(range.start);
+    if (wallClock(event.timezone) !== wallClock(viewerTimeZone)) {
+      viewer = formatEventRange(event, { ...options, timeZone: viewerTimeZone });
+    }
+  }
+  return { local, viewer, timeZone: event?.timezone || viewerTimeZone };
+}
+
+/**
+ * "now" while the event runs, "ends_soon" in its last ENDS_SOON_MINUTES,
+ * otherwise null
+ */
+export function eventTimeStatus(event, now = new Date()) {
+  const range = eventRange(event);
+  if (!range || now < range.start || now >= range.end) return null;
+  return range.end - now <= ENDS_SOON_MINUTES * 60 * 1000 ? "ends_soon" : "now";
+}
+
+/**
+ * Whether the event is over, the same test api/events.php uses to leave past
+ * events out of listings. Undated events never end.
+ */
+export function eventHasEnded(event, now = new Date()) {
+  const range = eventRange(event);
+  return Boolean(range) && now >= range.end;
+}
+
+/**
+ * Fill a <select> with IANA zone names and select `selected` (the viewer's
+ * zone by default). The selection is also the default, so form.reset() keeps it.
+ */
+export function fillTimeZoneSelect(select, selected = viewerTimeZone) {
+  const zones = typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : [viewerTimeZone];
+  // Keep zones the browser doesn't list (e.g. "UTC" in some) selectable
+  if (selected && !zones.includes(selected)) zones.unshift(selected);
+
+  select.innerHTML = "";
+  zones.forEach((zone) => {
+    const option = new Option(zone.replace(/_/g, " "), zone);
+    option.defaultSelected = option.selected = zone === selected;
+    select.appendChild(option);
+  });
+}
@@ -1,9 +1,22 @@
-import { auth } from "/web-proj/firebase-config.js";
+import { auth } from "../firebase-config.js";
 import { onAuthStateChanged as fbOnAuthStateChanged } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js";
+import { api, pageUrl } from "./api-client.js";
+import { describeRecurrence } from "./recurrence-editor.js";
+import { describeEventTimes, eventHasEnded } from "./event-times.js";
 
 // Safety: read event id from URL and bail early if missing
 const urlParams = new URLSearchParams(window.location.search);
 const eventId = urlParams.get("id");
+// ?preview=1 lets admins see a draft or scheduled event as it will look
+const isPreview = urlParams.get("preview") === "1";
+
+const PREVIEW_STATUS_LABELS = {
+  draft: "a draft",
+  pending_review: "waiting for an owner's review",
+  scheduled: "scheduled",
+  published: "published",
+  archived: "archived",
+};
 
 if (!eventId) {
   document.addEventListener("DOMContentLoaded", () => {
@@ -16,26 +29,34 @@ let currentUser = null;
 let currentEvent = null;
 let isFavorited = false;
 let registrationStatus = "unknown";
+let capacityInfo = null;
+let waitlistPosition = null;
+let ticketTypes = [];
+let registeredQuantity = 0;
+// The order to pay while the registration is "pending"
+let pendingOrder = null;
+
+// Matches MAX_TICKETS_PER_REGISTRATION in api/tickets.php
+const MAX_TICKETS = 10;
 
 window.addEventListener("DOMContentLoaded", async () => {
   fbOnAuthStateChanged(auth, async (firebaseUser) => {
     if (firebaseUser) {
-      await loadCurrentUser(firebaseUser);
+      await loadCurrentUser();
       updateUIForLoggedIn();
       await checkIfFavorited();
       await refreshRegistrationState();
     }
   });
 
+  document.getElementById("checkout-form").addEventListener("submit", handleCheckoutSubmit);
+
   await loadEvent();
 });
 
-async function loadCurrentUser(firebaseUser) {
+async function loadCurrentUser() {
   try {
-    const response = await fetch("/web-proj/api/me.php", {
-      headers: { "X-Firebase-UID": firebaseUser.uid },
-    });
-    const data = await response.json();
+    const data = await api.me.get();
     if (data.user) {
       currentUser = data.user;
     }
@@ -56,10 +77,9 @@ function updateUIForLoggedIn() {
 
 async function loadEvent() {
   try {
-    const response = await fetch(`/web-proj/api/events.php?id=${encodeURIComponent(eventId)}`);
-    const data = await response.json();
+    const data = isPreview ? await api.admin.events.get(eventId) : await api.events.get(eventId);
 
-    if (data.success && data.event) {
+    if (data.event) {
       currentEvent = data.event;
       renderEvent();
     } else {
@@ -67,7 +87,7 @@ async function loadEvent() {
     }
   } catch (error) {
     console.error("Failed to load event:", error);
-    showError("Failed to load event details");
+    showError([403, 404].includes(error.status) ? "Event not found" : "Failed to load event details");
   }
 }
 
@@ -83,39 +103,34 @@ function renderEvent() {
       : `https://via.placeholder.com/1200x400?text=Event:${encodeURIComponent(event.id || eventId)}`;
   document.getElementById("event-main-image").src = imageUrl;
   document.getElementById("event-title").textContent = event.title || event.name || "Untitled Event";
-  document.getElementById("event-subtitle").textContent = `${
-    event.location || "Location TBA"
-  } • ${event.date || "Date TBA"}${event.time ? " • " + event.time : ""}`;
+  // In the event's own zone, plus the viewer's when their clock differs
+  const times = describeEventTimes(event, { year: true });
+  document.getElementById("event-subtitle").textContent = `${event.location || "Location TBA"} • ${
+    times.local || "Date TBA"
+  }`;
 
   const genresContainer = document.getElementById("event-genres");
   genresContainer.innerHTML = "";
-  if (Array.isArray(event.genres) && event.genres.length) {
-    event.genres.forEach((gName) => {
-      const badge = document.createElement("span");
-      badge.className = "genre-badge";
-      badge.textContent = gName;
-      genresContainer.appendChild(badge);
-    });
-  } else if (event.genre_name) {
+  (event.genres || []).forEach((genre) => {
     const badge = document.createElement("span");
     badge.className = "genre-badge";
-    badge.textContent = event.genre_name;
+    badge.textContent = genre.icon ? `${genre.icon} ${genre.name}` : genre.name;
     genresContainer.appendChild(badge);
-  }
+  });
 
   document.getElementById("event-description").textContent = event.description || "No description provided.";
-  document.getElementById("info-date").textContent = event.date || "TBA";
-  document.getElementById("info-time").textContent = event.time || "TBA";
+  document.getElementById("info-date").textContent = times.local || "TBA";
+  document.getElementById("info-viewer-time-row").hidden = !times.viewer;
+  document.getElementById("info-viewer-time").textContent = times.viewer || "";
+  document.getElementById("info-timezone").textContent = times.timeZone.replace(/_/g, " ");
   document.getElementById("info-location").textContent = event.location || "TBA";
-  const price =
-    event.price && parseFloat(event.price) > 0
-      ? `$${parseFloat(event.price).toFixed(2)}`
-      : "FREE";
+  ticketTypes = event.ticket_types || [];
+  const price = formatPriceRange(ticketTypes.length ? ticketTypes.map((type) => type.price) : [event.price]);
   document.getElementById("info-price").textContent = price;
   document.getElementById("info-age").textContent = event.age_restriction
     ? `${event.age_restriction}+`
     : "All ages";
-  document.getElementById("info-status").textContent = event.status || "Published";
+  document.getElementById("info-status").textContent = event.canceled_at ? "Canceled" : event.status || "Published";
 
   if (event.creator_name) {
     const createdAt = event.created_at ? new Date(event.created_at).toLocaleDateString() : "-";
@@ -126,9 +141,11 @@ function renderEvent() {
 
   document.getElementById("ticket-price").textContent = price;
   document.getElementById("ticket-info").textContent =
-    event.price && parseFloat(event.price) > 0
-      ? "Purchase your tickets today!"
-      : "Free entry - Register to attend!";
+    price !== "FREE" ? "Purchase your tickets today!" : "Free entry - Register to attend!";
+
+  renderTicketSelector();
+  renderRefundPolicy(event);
+  renderSeries(event);
 
   resetButton("register-btn").addEventListener("click", handleRegisterClick);
 
@@ -136,11 +153,221 @@ function renderEvent() {
   favoriteBtn.replaceWith(favoriteBtn.cloneNode(true));
   document.getElementById("favorite-btn").addEventListener("click", toggleFavorite);
 
+  // Undated events can't go into a calendar
+  const calendarBtn = resetButton("calendar-btn");
+  calendarBtn.disabled = !event.date;
+  calendarBtn.title = event.date ? "Download an .ics file for your calendar app" : "Date to be announced";
+  calendarBtn.addEventListener("click", addToCalendar);
+
+  if (isPreview) renderPreviewBanner(event);
+
   updateRegisterButton();
 
   document.title = `${event.title || "Event"} | Lawen`;
 }
 
+function renderPreviewBanner(event) {
+  const banner = document.getElementById("preview-banner");
+  const status = PREVIEW_STATUS_LABELS[event.status] || event.status;
+  let message = `Preview: this event is ${status}`;
+  if (event.status === "scheduled" && event.publish_at) {
+    message += ` and goes live ${new Date(event.publish_at).toLocaleString()}`;
+  }
+  banner.textContent = event.status === "published" ? `${message}.` : `${message}, so the public can't see it yet.`;
+  banner.hidden = false;
+
+  // Nothing here should act on an event that isn't out yet
+  ["favorite-btn", "calendar-btn"].forEach((id) => {
+    document.getElementById(id).disabled = true;
+  });
+}
+
+/**
+ * Other dates of a repeating event, each linking to its own page
+ */
+function renderSeries(event) {
+  const section = document.getElementById("series-section");
+  const dates = event.series?.upcoming || [];
+  section.hidden = !event.series || !dates.length;
+  if (section.hidden) return;
+
+  document.getElementById("series-summary").textContent = describeRecurrence(event.series);
+  const list = document.getElementById("series-dates");
+  list.innerHTML = "";
+  dates.forEach((occurrence) => {
+    const item = document.createElement("li");
+    const label = formatOccurrenceDate(occurrence);
+    if (String(occurrence.id) === String(event.id)) {
+      item.className = "current";
+      item.textContent = `${label} (this date)`;
+    } else {
+      const link = document.createElement("a");
+      link.href = pageUrl(`event.html?id=${encodeURIComponent(occurrence.id)}`);
+      link.textContent = label;
+      item.appendChild(link);
+    }
+    if (occurrence.canceled) {
+      item.classList.add("canceled");
+      item.append(" · Canceled");
+    } else if (occurrence.sold_out) {
+      item.append(" · Sold out");
+    }
+    list.appendChild(item);
+  });
+}
+
+function formatOccurrenceDate(occurrence) {
+  const date = new Date(`${occurrence.date}T00:00:00`);
+  const text = date.toLocaleDateString(undefined, { weekday: "short", month: "short", day: "numeric", year: "numeric" });
+  return occurrence.time ? `${text} • ${occurrence.time.slice(0, 5)}` : text;
+}
+
+function formatPrice(value) {
+  const amount = parseFloat(value) || 0;
+  return amount > 0 ? `$${amount.toFixed(2)}` : "FREE";
+}
+
+// "$10.00", "From $10.00" when ticket types differ, or "FREE"
+function formatPriceRange(prices) {
+  const amounts = prices.map((p) => parseFloat(p) || 0);
+  const min = Math.min(...amounts);
+  const max = Math.max(...amounts);
+  if (max <= 0) return "FREE";
+  return min === max ? formatPrice(min) : `From ${formatPrice(min)}`;
+}
+
+// "Full refund if you cancel at least 48 hours before the event."
+function renderRefundPolicy(event) {
+  const el = document.getElementById("refund-policy");
+  const prices = ticketTypes.length ? ticketTypes.map((type) => type.price) : [event.price];
+  if (!el || !event.refund_policy || formatPriceRange(prices) === "FREE") return;
+
+  const hours = Number(event.refund_cutoff_hours) || 0;
+  const deadline = hours > 0 ? `at least ${hours} hour${hours === 1 ? "" : "s"} before the event` : "before the event starts";
+  const text = {
+    full: `Full refund if you cancel ${deadline}.`,
+    partial: `${Number(event.refund_percent) || 0}% refund if you cancel ${deadline}.`,
+    none: "Tickets are non-refundable.",
+  }[event.refund_policy];
+
+  el.textContent = text || "";
+  el.hidden = !text;
+}
+
+// ---------- TICKET SELECTION ----------
+
+// One quantity input per ticket type, then optional names for the extra guests
+function renderTicketSelector() {
+  const container = document.getElementById("ticket-selector");
+  if (!container) return;
+  container.innerHTML = "";
+
+  const firstOpen = ticketTypes.findIndex((type) => type.available === null || type.available > 0);
+
+  ticketTypes.forEach((type, index) => {
+    const max = Math.min(MAX_TICKETS, type.available ?? MAX_TICKETS);
+    const row = document.createElement("label");
+    row.className = "ticket-option";
+    if (max <= 0) row.classList.add("sold-out");
+
+    const name = document.createElement("span");
+    name.className = "ticket-option-name";
+    name.textContent = ticketTypes.length > 1 || type.id ? type.name : "Tickets";
+
+    const meta = document.createElement("span");
+    meta.className = "ticket-option-meta";
+    meta.textContent = [
+      formatPrice(type.price),
+      max <= 0 ? "Sold out" : type.available !== null ? `${type.available} left` : "",
+    ]
+      .filter(Boolean)
+      .join(" · ");
+
+    const qty = document.createElement("input");
+    qty.type = "number";
+    qty.min = "0";
+    qty.max = String(Math.max(0, max));
+    qty.value = index === firstOpen ? "1" : "0";
+    qty.disabled = max <= 0;
+    qty.dataset.typeIndex = index;
+    qty.setAttribute("aria-label", `${type.name} quantity`);
+    qty.addEventListener("input", updateTicketSummary);
+
+    row.append(name, meta, qty);
+    container.appendChild(row);
+  });
+
+  const guests = document.createElement("div");
+  guests.id = "ticket-guests";
+  guests.className = "ticket-guests";
+  container.appendChild(guests);
+
+  updateTicketSummary();
+}
+
+function selectedQuantities() {
+  return Array.from(document.querySelectorAll("#ticket-selector input[data-type-index]")).map((input) =>
+    Math.max(0, Math.min(parseInt(input.value, 10) || 0, parseInt(input.max, 10) || 0))
+  );
+}
+
+// Guest name inputs for every ticket after the buyer's own, plus the running total
+function updateTicketSummary() {
+  const quantities = selectedQuantities();
+  const count = quantities.reduce((sum, q) => sum + q, 0);
+  const total = quantities.reduce((sum, q, i) => sum + q * (parseFloat(ticketTypes[i]?.price) || 0), 0);
+
+  const guests = document.getElementById("ticket-guests");
+  if (guests) {
+    const previous = Array.from(guests.querySelectorAll("input")).map((input) => input.value);
+    guests.innerHTML = "";
+    for (let i = 1; i < Math.min(count, MAX_TICKETS); i++) {
+      const input = document.createElement("input");
+      input.type = "text";
+      input.maxLength = 100;
+      input.placeholder = `Guest ${i + 1} name (optional)`;
+      input.value = previous[i - 1] || "";
+      guests.appendChild(input);
+    }
+  }
+
+  const totalEl = document.getElementById("ticket-total");
+  if (totalEl) {
+    totalEl.hidden = count === 0;
+    totalEl.textContent = `${count} ticket${count === 1 ? "" : "s"} · ${total > 0 ? `$${total.toFixed(2)}` : "Free"}`;
+    totalEl.classList.toggle("error", count > MAX_TICKETS);
+    if (count > MAX_TICKETS) totalEl.textContent += ` (max ${MAX_TICKETS} per registration)`;
+  }
+}
+
+// Request body lines: [{ ticket_type_id, quantity, guest_names }]
+function selectedTickets() {
+  const guestNames = Array.from(document.querySelectorAll("#ticket-guests input")).map((input) => input.value.trim());
+  // The first ticket is the buyer's own; guests fill the rest in order
+  const names = ["", ...guestNames];
+  let offset = 0;
+
+  return selectedQuantities()
+    .map((quantity, i) => {
+      const line = {
+        ticket_type_id: ticketTypes[i]?.id ?? null,
+        quantity,
+        guest_names: names.slice(offset, offset + quantity),
+      };
+      offset += quantity;
+      return line;
+    })
+    .filter((line) => line.quantity > 0);
+}
+
+function setTicketSelectorVisible(visible) {
+  const selector = document.getElementById("ticket-selector");
+  if (selector) selector.hidden = !visible || !ticketTypes.length;
+  const totalEl = document.getElementById("ticket-total");
+  if (totalEl && !visible) totalEl.hidden = true;
+  if (visible) updateTicketSummary();
+}
+
 function resetButton(id) {
   const btn = document.getElementById(id);
   const clone = btn.cloneNode(true);
@@ -152,17 +379,10 @@ async function checkIfFavorited() {
   if (!currentUser || !eventId) return;
 
   try {
-    const firebaseUser = auth.currentUser;
-    const response = await fetch("/web-proj/api/favorites.php", {
-      headers: { "X-Firebase-UID": firebaseUser.uid },
-    });
-    const data = await response.json();
-
-    if (data.success) {
-      const favoriteIds = data.favorites.map((f) => f.id);
-      isFavorited = favoriteIds.includes(parseInt(eventId));
-      updateFavoriteButton();
-    }
+    const data = await api.favorites.list();
+    const favoriteIds = data.favorites.map((f) => Number(f.id));
+    isFavorited = favoriteIds.includes(parseInt(eventId));
+    updateFavoriteButton();
   } catch (error) {
     console.error("Failed to check favorites:", error);
   }
@@ -183,127 +403,248 @@ function updateFavoriteButton() {
 async function toggleFavorite() {
   if (!currentUser) {
     alert("Please log in to add favorites");
-    window.location.href = "/web-proj/login.html";
+    window.location.href = pageUrl("login.html");
     return;
   }
 
-  const firebaseUser = auth.currentUser;
-
   try {
-    const response = await fetch(
-      "/web-proj/api/favorites.php" + (isFavorited ? `?event_id=${encodeURIComponent(eventId)}` : ""),
-      {
-        method: isFavorited ? "DELETE" : "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "X-Firebase-UID": firebaseUser.uid,
-        },
-        body: isFavorited ? null : JSON.stringify({ event_id: parseInt(eventId) }),
-      }
-    );
-
-    const data = await response.json();
+    if (isFavorited) await api.favorites.remove(eventId);
+    else await api.favorites.add(eventId);
 
-    if (data.success) {
-      isFavorited = !isFavorited;
-      updateFavoriteButton();
-    } else {
-      alert("Failed to update favorite: " + (data.error || "Unknown error"));
-    }
+    isFavorited = !isFavorited;
+    updateFavoriteButton();
   } catch (error) {
     console.error("Failed to toggle favorite:", error);
-    alert("Failed to update favorite");
+    alert("Failed to update favorite: " + error.message);
   }
 }
 
+// The server builds the .ics (time zone, location, link back here) and
+// sends it as an attachment, so navigating to it downloads without leaving
+function addToCalendar() {
+  window.location.href = api.calendar.eventUrl(eventId);
+}
+
 async function refreshRegistrationState() {
   if (!currentUser || !eventId) return;
 
   try {
-    const response = await fetch(`/web-proj/api/registrations.php?event_id=${encodeURIComponent(eventId)}` , {
-      headers: { "X-Firebase-UID": auth.currentUser.uid },
-    });
-
-    const data = await response.json();
-    if (!response.ok || !data.success) {
-      throw new Error(data.error || "Unable to load registration state");
-    }
-
+    const data = await api.registrations.status(eventId);
     registrationStatus = data.status || "not_registered";
-    updateRegisterButton(data.capacity);
+    capacityInfo = data.capacity || null;
+    waitlistPosition = data.waitlist?.position ?? null;
+    registeredQuantity = Number(data.registration?.quantity) || 0;
+    pendingOrder = data.registration?.order?.status === "pending" ? data.registration.order : null;
+    if (data.ticket_types) {
+      ticketTypes = data.ticket_types;
+      renderTicketSelector();
+    }
+    updateRegisterButton();
   } catch (error) {
     console.error("Failed to check registration:", error);
     setRegisterStatus(error.message, true);
   }
 }
 
-function updateRegisterButton(capacityInfo = null) {
+function updateRegisterButton() {
   const btn = document.getElementById("register-btn");
   if (!btn) return;
 
   btn.disabled = false;
   btn.textContent = "🎫 Register Now";
-  btn.classList.remove("registered");
+  btn.classList.remove("registered", "waitlisted", "pending");
+  delete btn.dataset.waitlist;
+  setTicketSelectorVisible(!["registered", "waitlisted", "pending"].includes(registrationStatus));
+  setCheckoutVisible(registrationStatus === "pending" && pendingOrder);
 
-  if (capacityInfo && capacityInfo.capacity > 0) {
-    const available = capacityInfo.available;
-    if (available !== null && available <= 0) {
-      btn.disabled = true;
-      btn.textContent = "Sold Out";
-      setRegisterStatus("This event is at capacity.", true);
-      return;
-    }
-    if (available !== null) {
-      setRegisterStatus(`${available} spots remaining`);
-    }
+  if (isPreview && currentEvent && currentEvent.status !== "published") {
+    btn.disabled = true;
+    setCheckoutVisible(false);
+    setRegisterStatus("Registration opens once the event is published.");
+    return;
+  }
+
+  // Canceled dates keep their page but take no new registrations
+  if (currentEvent?.canceled_at) {
+    btn.disabled = true;
+    btn.textContent = "Date Canceled";
+    setTicketSelectorVisible(false);
+    setRegisterStatus("This date has been canceled. Check the other dates of this event.", true);
+    return;
+  }
+
+  // Past and archived events stay viewable but are closed
+  if (currentEvent && (currentEvent.status === "archived" || eventHasEnded(currentEvent))) {
+    btn.disabled = true;
+    btn.textContent = "Event Ended";
+    setTicketSelectorVisible(false);
+    setCheckoutVisible(false);
+    setRegisterStatus("This event has ended.");
+    return;
+  }
+
+  if (registrationStatus === "pending") {
+    btn.disabled = true;
+    btn.textContent = "💳 Awaiting Payment";
+    btn.classList.add("pending");
+    const minutes = pendingOrder?.expires_in != null ? Math.max(1, Math.ceil(pendingOrder.expires_in / 60)) : null;
+    setRegisterStatus(
+      "Your tickets are held until you pay" +
+        (minutes ? ` (${minutes} more minute${minutes === 1 ? "" : "s"}).` : ".") +
+        " Registration is confirmed once payment goes through."
+    );
+    return;
   }
 
   if (registrationStatus === "registered") {
     btn.disabled = true;
     btn.textContent = "Registered";
     btn.classList.add("registered");
-    setRegisterStatus("You're registered for this event!");
+    setRegisterStatus(
+      registeredQuantity > 1
+        ? `You're registered for this event with ${registeredQuantity} tickets!`
+        : "You're registered for this event!"
+    );
+    return;
+  }
+
+  if (registrationStatus === "waitlisted") {
+    btn.disabled = true;
+    btn.textContent = "⏳ On Waitlist";
+    btn.classList.add("waitlisted");
+    setRegisterStatus(
+      `${waitlistPosition ? `You're #${waitlistPosition} on the waitlist. ` : "You're on the waitlist. "}` +
+        "You'll be registered automatically when a spot opens."
+    );
+    return;
+  }
+
+  // available is null when unlimited; it already accounts for ticket type limits
+  if (capacityInfo && capacityInfo.available !== null) {
+    const available = capacityInfo.available;
+    if (available <= 0) {
+      // Full: the button joins the waitlist instead
+      btn.textContent = "⏳ Join Waitlist";
+      btn.dataset.waitlist = "true";
+      setRegisterStatus("This event is full. Join the waitlist to get the next free spot.", true);
+      return;
+    }
+    setRegisterStatus(`${available} ${available === 1 ? "spot" : "spots"} remaining`);
   }
 }
 
 async function handleRegisterClick() {
   if (!currentUser) {
     alert("Please log in to register for this event.");
-    window.location.href = "/web-proj/login.html";
+    window.location.href = pageUrl("login.html");
     return;
   }
 
   const btn = document.getElementById("register-btn");
+  const joinWaitlist = btn.dataset.waitlist === "true";
+  const tickets = ticketTypes.length ? selectedTickets() : undefined;
+  const count = tickets ? tickets.reduce((sum, line) => sum + line.quantity, 0) : 1;
+
+  // A full event has every quantity at 0; the waitlist entry asks for one ticket
+  if (tickets && count === 0 && !joinWaitlist) {
+    setRegisterStatus("Choose at least one ticket.", true);
+    return;
+  }
+  if (count > MAX_TICKETS) {
+    setRegisterStatus(`You can book at most ${MAX_TICKETS} tickets at once.`, true);
+    return;
+  }
+
   btn.disabled = true;
-  btn.textContent = "Registering...";
+  btn.textContent = joinWaitlist ? "Joining..." : "Registering...";
   setRegisterStatus("");
 
   try {
-    const response = await fetch("/web-proj/api/registrations.php", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "X-Firebase-UID": auth.currentUser.uid,
-      },
-      body: JSON.stringify({ event_id: Number(eventId) }),
+    const data = await api.registrations.register(eventId, {
+      tickets: tickets && count > 0 ? tickets : undefined,
+      waitlist: joinWaitlist,
     });
-
-    const data = await response.json();
-    if (!response.ok || !data.success) {
-      throw new Error(data.error || "Registration failed");
-    }
-
     registrationStatus = data.status || "registered";
-    setRegisterStatus("Registration confirmed!");
+    waitlistPosition = data.position ?? null;
+    registeredQuantity = Number(data.quantity) || count || 1;
+    pendingOrder = data.order?.status === "pending" ? data.order : null;
     updateRegisterButton();
+    if (registrationStatus === "registered") {
+      setRegisterStatus("Registration confirmed!");
+      showConfirmation();
+    }
   } catch (error) {
     console.error("Registration error:", error);
+    if (error.data?.waitlist_open) {
+      // Filled up since the page loaded; switch the button to the waitlist
+      await refreshRegistrationState();
+      return;
+    }
     setRegisterStatus(error.message, true);
-    btn.disabled = false;
-    btn.textContent = "🎫 Register Now";
+    updateRegisterButton();
   }
 }
 
+// ---------- CHECKOUT ----------
+
+function setCheckoutVisible(visible) {
+  const form = document.getElementById("checkout-form");
+  if (!form) return;
+  form.hidden = !visible;
+  if (!visible) return;
+
+  document.getElementById("checkout-summary").textContent = `Total: ${formatPrice(pendingOrder.amount)} ${pendingOrder.currency}`;
+  document.getElementById("pay-btn").textContent = `💳 Pay ${formatPrice(pendingOrder.amount)}`;
+  document.getElementById("checkout-hint").hidden = pendingOrder.provider !== "mock";
+}
+
+async function handleCheckoutSubmit(e) {
+  e.preventDefault();
+  if (!pendingOrder) return;
+
+  const [month, year] = document.getElementById("card-expiry").value.split("/").map((part) => part.trim());
+  const details = {
+    card_number: document.getElementById("card-number").value.replace(/\s+/g, ""),
+    exp_month: Number(month) || 0,
+    exp_year: Number(year) || 0,
+    cvc: document.getElementById("card-cvc").value.trim(),
+  };
+
+  const payBtn = document.getElementById("pay-btn");
+  payBtn.disabled = true;
+  payBtn.textContent = "Processing...";
+
+  try {
+    await api.orders.pay(pendingOrder.id, details);
+    registrationStatus = "registered";
+    pendingOrder = null;
+    document.getElementById("checkout-form").reset();
+    updateRegisterButton();
+    setRegisterStatus("Payment received. Registration confirmed!");
+    showConfirmation();
+  } catch (error) {
+    console.error("Payment error:", error);
+    if (error.status === 402 && error.data?.order) {
+      // Declined: retry against the replacement order, seats still held
+      pendingOrder = error.data.order;
+      setCheckoutVisible(true);
+      setRegisterStatus(error.message, true);
+    } else {
+      // Expired or canceled meanwhile; start over from the current state
+      await refreshRegistrationState();
+      setRegisterStatus(error.message, true);
+    }
+  } finally {
+    payBtn.disabled = false;
+    if (pendingOrder) payBtn.textContent = `💳 Pay ${formatPrice(pendingOrder.amount)}`;
+  }
+}
+
+// The confirmation page shows the ticket's QR code for the door
+function showConfirmation() {
+  window.location.href = pageUrl(`confirmation.html?event_id=${encodeURIComponent(eventId)}`);
+}
+
 function setRegisterStatus(message, isError = false) {
   const statusEl = document.getElementById("register-status");
   if (!statusEl) return;
@@ -316,7 +657,7 @@ function showError(message) {
                 <div class="error-state">
                     <h2>⚠️ Error</h2>
                     <p>${message}</p>
-                    <a href="/web-proj/index.html" class="back-btn">Go Back Home</a>
+                    <a href="${pageUrl("index.html")}" class="back-btn">Go Back Home</a>
                 </div>
             `;
 }
@@ -1,5 +1,6 @@
-import { auth } from "/web-proj/firebase-config.js";
+import { auth } from "../firebase-config.js";
 import { onAuthStateChanged } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js";
+import { api, pageUrl } from "./api-client.js";
 
 let currentUser = null;
 let favorites = [];
@@ -7,7 +8,7 @@ let favorites = [];
 window.addEventListener("DOMContentLoaded", () => {
   onAuthStateChanged(auth, async (firebaseUser) => {
     if (firebaseUser) {
-      await loadCurrentUser(firebaseUser);
+      await loadCurrentUser();
       updateUIForLoggedIn();
       await loadFavorites();
     } else {
@@ -16,12 +17,9 @@ window.addEventListener("DOMContentLoaded", () => {
   });
 });
 
-async function loadCurrentUser(firebaseUser) {
+async function loadCurrentUser() {
   try {
-    const response = await fetch("/web-proj/api/me.php", {
-      headers: { "X-Firebase-UID": firebaseUser.uid },
-    });
-    const data = await response.json();
+    const data = await api.me.get();
     if (data.user) {
       currentUser = data.user;
     }
@@ -46,7 +44,7 @@ function showAuthRequired() {
                 <div class="auth-required">
                     <h2>🔒 Login Required</h2>
                     <p>Please log in to view your favorite events.</p>
-                    <a href="/web-proj/login.html" class="login-btn">Go to Login</a>
+                    <a href="${pageUrl("login.html")}" class="login-btn">Go to Login</a>
                 </div>
             `;
 }
@@ -55,26 +53,17 @@ async function loadFavorites() {
   const container = document.getElementById("favorites-container");
 
   try {
-    const firebaseUser = auth.currentUser;
-    const response = await fetch("/web-proj/api/favorites.php", {
-      headers: { "X-Firebase-UID": firebaseUser.uid },
-    });
-    const data = await response.json();
-
-    if (data.success) {
-      favorites = data.favorites;
-      document.getElementById("favorites-subtitle").textContent = `You have ${favorites.length} saved event${favorites.length !== 1 ? "s" : ""}`;
-      renderFavorites();
-    } else {
-      throw new Error(data.error || "Failed to load favorites");
-    }
+    const data = await api.favorites.list();
+    favorites = data.favorites;
+    document.getElementById("favorites-subtitle").textContent = `You have ${favorites.length} saved event${favorites.length !== 1 ? "s" : ""}`;
+    renderFavorites();
   } catch (error) {
     console.error("Failed to load favorites:", error);
     container.innerHTML = `
                     <div class="empty-state">
                         <h3>⚠️ Error</h3>
                         <p>Failed to load your favorites. Please try again. </p>
-                       <a href="/web-proj/index.html" class="browse-btn">Go Home</a>
+                       <a href="${pageUrl("index.html")}" class="browse-btn">Go Home</a>
                     </div>
                 `;
   }
@@ -88,7 +77,7 @@ function renderFavorites() {
                     <div class="empty-state">
                         <h3>💔 No Favorites Yet</h3>
                         <p>You haven't saved any events yet. Start exploring!</p>
-                        <a href="/web-proj/index.html" class="browse-btn">Browse Events</a>
+                        <a href="${pageUrl("index.html")}" class="browse-btn">Browse Events</a>
                     </div>
                 `;
     return;
@@ -124,12 +113,12 @@ function renderFavorites() {
                         <span class="event-price">${price}</span>
 
                         <div class="event-genres">
-                            ${(event.genre_icons || [])
+                            ${(event.genres || [])
                               .map(
-                                (icon, i) => `
+                                (genre) => `
                                 <span class="genre-tag">
-                                    <span>${icon}</span>
-                                    <span>${event.genres[i]}</span>
+                                    ${genre.icon ? `<span>${genre.icon}</span>` : ""}
+                                    <span>${genre.name}</span>
                                 </span>
                             `
                               )
@@ -162,27 +151,16 @@ async function removeFavorite(eventId) {
   }
 
   try {
-    const firebaseUser = auth.currentUser;
-    const response = await fetch(`/web-proj/api/favorites.php?event_id=${eventId}`, {
-      method: "DELETE",
-      headers: { "X-Firebase-UID": firebaseUser.uid },
-    });
-
-    const data = await response.json();
-
-    if (data.success) {
-      favorites = favorites.filter((f) => f.id !== eventId);
-      document.getElementById("favorites-subtitle").textContent = `You have ${favorites.length} saved event${favorites.length !== 1 ? "s" : ""}`;
-      renderFavorites();
-    } else {
-      alert("Failed to remove favorite: " + (data.error || "Unknown error"));
-    }
+    await api.favorites.remove(eventId);
+    favorites = favorites.filter((f) => Number(f.id) !== eventId);
+    document.getElementById("favorites-subtitle").textContent = `You have ${favorites.length} saved event${favorites.length !== 1 ? "s" : ""}`;
+    renderFavorites();
   } catch (error) {
     console.error("Failed to remove favorite:", error);
-    alert("Failed to remove favorite. Please try again.");
+    alert("Failed to remove favorite: " + error.message);
   }
 }
 
 function viewEvent(eventId) {
-  window.location.href = `/web-proj/event.html?id=${eventId}`;
+  window.location.href = pageUrl(`event.html?id=${eventId}`);
 }
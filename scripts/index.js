@@ -1,17 +1,66 @@
-import { auth } from "/web-proj/firebase-config.js";
+import { auth } from "../firebase-config.js";
 import { onAuthStateChanged } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js";
+import { api, pageUrl } from "./api-client.js";
+import { attachSearchSuggestions } from "./search-suggest.js";
+import { createEventMap } from "./event-map.js";
+import { createEventCalendar } from "./event-calendar.js";
+import { describeEventTimes, eventTimeStatus } from "./event-times.js";
 
 let allEvents = [];
 let allGenres = [];
 let userFavorites = [];
 let currentUser = null;
-let selectedGenre = "";
+// Genre chips are multi-select: "any" shows events with at least one of the
+// selected genres, "all" only events that have every one of them
+let selectedGenres = [];
+let genreMatchMode = "any";
 let userLocation = null;
 
+// Where userLocation came from: "device" (geolocation), "session" (the
+// "Set my location" override) or "profile" (saved profile location)
+let locationSource = null;
+let locationLabel = "";
+let geolocationUnavailable = false;
+const LOCATION_OVERRIDE_KEY = "lawen.locationOverride";
+// Profile locations the geocoder couldn't place this session (not retried)
+const UNRESOLVED_LOCATION_KEY = "lawen.unresolvedLocation";
+let resolvingProfileLocation = false;
+
+// Server-side pagination state for the home grid
+let currentPage = 0;
+let totalPages = 0;
+let totalEvents = 0;
+let isLoadingPage = false;
+let loadGeneration = 0;
+let scrollObserver = null;
+
+// Server-side search: terms echoed by events.php for highlighting, and the
+// query the grid currently reflects (so debounced typing skips no-op reloads)
+let searchTerms = [];
+let activeSearchQuery = "";
+let searchDebounceTimer = null;
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Map view: controller from createEventMap() (created on first open) and the
+// "search this area" bounds filter [south, west, north, east]
+let eventMap = null;
+let mapView = false;
+let mapBounds = null;
+
+// Calendar view: replaces the grid with month/week/agenda layouts that fetch
+// their own date window (see event-calendar.js). Map and calendar are
+// exclusive views; the URL keeps `view`, `cal` (layout) and `cal_date`.
+let eventCalendar = null;
+let calendarView = false;
+const CALENDAR_PAGE_SIZE = 100;
+const CALENDAR_MAX_PAGES = 10;
+
 window.addEventListener("DOMContentLoaded", async () => {
   onAuthStateChanged(auth, async (firebaseUser) => {
     if (firebaseUser) {
-      await loadCurrentUser(firebaseUser);
+      await loadCurrentUser();
+      // Geolocation may have failed before the profile arrived
+      if (geolocationUnavailable && !locationSource) applyFallbackLocation();
       updateUIForLoggedIn();
       await loadFavorites();
     } else {
@@ -20,17 +69,24 @@ window.addEventListener("DOMContentLoaded", async () => {
   });
 
   await loadGenres();
+  // Restore filters from the URL before the first fetch so shared links
+  // and refreshes show the same results
+  applyFilterState(readFilterStateFromUrl());
+  syncUrl({ replace: true });
   await loadEvents();
   getUserLocation();
   setupEventListeners();
 });
 
-async function loadCurrentUser(firebaseUser) {
+// Back/forward between filter states pushed by syncUrl()
+window.addEventListener("popstate", async () => {
+  applyFilterState(readFilterStateFromUrl());
+  await loadEvents();
+});
+
+async function loadCurrentUser() {
   try {
-    const response = await fetch("/web-proj/api/me.php", {
-      headers: { "X-Firebase-UID": firebaseUser.uid },
-    });
-    const data = await response.json();
+    const data = await api.me.get();
     if (data.user) currentUser = data.user;
   } catch (error) {
     console.error("Failed to load user:", error);
@@ -67,24 +123,22 @@ function updateUIForLoggedOut() {
 // Load genres from API
 async function loadGenres() {
   try {
-    const response = await fetch("api/genres.php");
-    const data = await response.json();
-    if (data.success) {
-      allGenres = data.genres;
-      renderGenreFilters();
-    }
+    const data = await api.genres.list();
+    allGenres = data.genres;
+    renderGenreFilters();
   } catch (error) {
     console.error("Failed to load genres:", error);
   }
 }
 
-// Render genre chips (text-only, no emojis)
+// Render genre chips (text-only, no emojis) in the admin-defined order
 function renderGenreFilters() {
   const container = document.getElementById("genre-filters");
   container.innerHTML = "";
 
-  // "All Events" chip (text-only)
-  const allChip = document.createElement("div");
+  // "All Events" chip (text-only) clears the selection
+  const allChip = document.createElement("button");
+  allChip.type = "button";
   allChip.className = "genre-chip active";
   allChip.dataset.genre = "";
   allChip.dataset.categorySlug = "";
@@ -94,44 +148,204 @@ function renderGenreFilters() {
   });
   container.appendChild(allChip);
 
-  allGenres.forEach((genre) => {
-    const chip = document.createElement("div");
+  const ordered = [...allGenres].sort(
+    (a, b) => (Number(a.display_order) || 0) - (Number(b.display_order) || 0) || a.name.localeCompare(b.name)
+  );
+
+  ordered.forEach((genre) => {
+    const chip = document.createElement("button");
+    chip.type = "button";
     chip.className = "genre-chip";
     chip.dataset.genre = genre.slug || genre.name;
     chip.dataset.categorySlug = genre.slug || genre.name;
+    chip.setAttribute("aria-pressed", "false");
     // text-only rendering
     const labelSpan = document.createElement("span");
     labelSpan.textContent = genre.name;
     chip.appendChild(labelSpan);
 
     chip.addEventListener("click", () => {
-      selectGenre(genre.slug || genre.name);
+      toggleGenre(genre.slug || genre.name);
     });
     container.appendChild(chip);
   });
 }
 
-// Select genre, update UI, filter events client-side
-function selectGenre(genreSlug) {
-  selectedGenre = genreSlug || "";
+// Select a single genre (or none with "")
+function selectGenre(genreSlug, options = {}) {
+  setGenreFilter(genreSlug ? [genreSlug] : [], options);
+}
+
+// Add/remove one genre from the selection
+function toggleGenre(genreSlug) {
+  const next = selectedGenres.includes(genreSlug)
+    ? selectedGenres.filter((slug) => slug !== genreSlug)
+    : [...selectedGenres, genreSlug];
+  setGenreFilter(next);
+}
+
+function genreLabel(slug) {
+  const genre = allGenres.find((g) => g.slug === slug || g.name === slug);
+  return genre ? genre.name : slug;
+}
+
+// Update the selection and mode, the chips and heading, and reload from page 1
+// (restoring a saved state leaves the fetch to the caller)
+function setGenreFilter(genreSlugs, { mode = genreMatchMode, updateUrl = true, reload = updateUrl } = {}) {
+  selectedGenres = [...new Set((genreSlugs || []).filter(Boolean))];
+  genreMatchMode = mode === "all" ? "all" : "any";
 
   document.querySelectorAll(".genre-chip").forEach((chip) => {
-    chip.classList.toggle("active", chip.dataset.genre === selectedGenre);
+    const active = chip.dataset.genre
+      ? selectedGenres.includes(chip.dataset.genre)
+      : selectedGenres.length === 0;
+    chip.classList.toggle("active", active);
+    if (chip.dataset.genre) chip.setAttribute("aria-pressed", String(active));
   });
 
+  // The any/all switch only matters with two or more genres
+  const modeGroup = document.getElementById("genre-mode");
+  if (modeGroup) {
+    modeGroup.hidden = selectedGenres.length < 2;
+    modeGroup.querySelectorAll("[data-mode]").forEach((btn) => {
+      btn.setAttribute("aria-pressed", String(btn.dataset.mode === genreMatchMode));
+    });
+  }
+
   const heading = document.getElementById("events-heading");
-  if (selectedGenre) {
-    const genre = allGenres.find(
-      (g) => g.slug === selectedGenre || g.name === selectedGenre
-    );
-    heading.textContent = `${genre ? genre.name : selectedGenre} Events`;
+  if (selectedGenres.length) {
+    const names = selectedGenres.map(genreLabel);
+    heading.textContent = `${names.join(genreMatchMode === "all" ? " + " : " or ")} Events`;
   } else {
     heading.textContent = "All Events";
   }
 
-  // Use client-side filtering instead of server reload
-  if (window.EventFilter) {
-    window.EventFilter.filter(selectedGenre);
+  if (updateUrl) syncUrl();
+  if (reload) loadEvents();
+}
+
+// ---------- URL FILTER STATE ----------
+
+// api/events.php parameter for each advanced filter input; the page URL
+// uses the same keys so shared links map straight onto the API query
+const QUERY_FILTER_FIELDS = {
+  when: "filter-when",
+  date_from: "filter-date-from",
+  date_to: "filter-date-to",
+  location: "filter-location",
+  radius: "filter-radius",
+  price_min: "filter-price-min",
+  price_max: "filter-price-max",
+};
+
+// Query-string key for each advanced filter control
+const URL_FILTER_FIELDS = {
+  ...QUERY_FILTER_FIELDS,
+  sort: "filter-sort",
+};
+
+// filter-sort option -> events.php sort/order
+const SORT_OPTIONS = {
+  date: { sort: "date", order: "ASC" },
+  "price-low": { sort: "price", order: "ASC" },
+  "price-high": { sort: "price", order: "DESC" },
+  name: { sort: "name", order: "ASC" },
+  // Needs lat/lng; events.php falls back to date order without them
+  distance: { sort: "distance", order: "ASC" },
+};
+
+function getSearchQuery() {
+  const q1 = document.getElementById("search-input")?.value || "";
+  const q2 = document.getElementById("header-search")?.value || "";
+  return (q1 || q2).trim();
+}
+
+// Snapshot of every filter the home page knows about (empty values omitted)
+function getFilterState() {
+  const state = {};
+  if (selectedGenres.length) state.genre = selectedGenres.join(",");
+  if (selectedGenres.length > 1 && genreMatchMode === "all") state.genre_mode = "all";
+
+  Object.entries(URL_FILTER_FIELDS).forEach(([key, id]) => {
+    const value = (document.getElementById(id)?.value || "").trim();
+    if (value) state[key] = value;
+  });
+
+  if (document.getElementById("filter-free")?.checked) state.free = "1";
+  if (document.getElementById("filter-past")?.checked) state.include_past = "1";
+
+  const query = getSearchQuery();
+  if (query) state.q = query;
+
+  if (mapBounds) state.bounds = mapBounds.map((n) => n.toFixed(5)).join(",");
+  if (mapView) state.view = "map";
+  if (calendarView && eventCalendar) {
+    const { mode, date } = eventCalendar.getState();
+    state.view = "calendar";
+    state.cal = mode;
+    state.cal_date = date;
+  }
+
+  return state;
+}
+
+function readFilterStateFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  const state = {};
+  ["genre", "genre_mode", "q", "free", "include_past", "bounds", "view", "cal", "cal_date", ...Object.keys(URL_FILTER_FIELDS)].forEach((key) => {
+    const value = params.get(key);
+    if (value) state[key] = value;
+  });
+  return state;
+}
+
+// Push a state into the form controls, chips and search boxes
+function applyFilterState(state) {
+  Object.entries(URL_FILTER_FIELDS).forEach(([key, id]) => {
+    const el = document.getElementById(id);
+    if (el) el.value = state[key] || "";
+  });
+
+  const free = document.getElementById("filter-free");
+  if (free) free.checked = state.free === "1";
+  const past = document.getElementById("filter-past");
+  if (past) past.checked = state.include_past === "1";
+
+  ["search-input", "header-search"].forEach((id) => {
+    const el = document.getElementById(id);
+    if (el) el.value = state.q || "";
+  });
+
+  mapBounds = parseBounds(state.bounds);
+  updateAreaBar();
+  setMapView(state.view === "map");
+  setCalendarView(state.view === "calendar", { mode: state.cal, date: state.cal_date });
+
+  setGenreFilter((state.genre || "").split(","), { mode: state.genre_mode, updateUrl: false });
+}
+
+// "south,west,north,east" -> numbers, or null when missing/invalid
+function parseBounds(value) {
+  if (!value) return null;
+  const parts = String(value).split(",").map(Number);
+  return parts.length === 4 && parts.every(Number.isFinite) ? parts : null;
+}
+
+/**
+ * Serialize the current filter state into the query string.
+ * Committed changes push a history entry so back/forward step between
+ * filter states; `replace` rewrites the current entry instead.
+ */
+function syncUrl({ replace = false } = {}) {
+  const query = new URLSearchParams(getFilterState()).toString();
+  const url = `${window.location.pathname}${query ? `?${query}` : ""}${window.location.hash}`;
+  const current = `${window.location.pathname}${window.location.search}${window.location.hash}`;
+  if (url === current) return;
+
+  if (replace) {
+    history.replaceState(null, "", url);
+  } else {
+    history.pushState(null, "", url);
   }
 }
 
@@ -140,18 +354,17 @@ function createEventCard(event) {
   const card = document.createElement("div");
   card.className = "event-card";
   
-  // Add data attributes for client-side filtering
-  if (event.genre_slug) {
-    card.dataset.eventSlug = event.genre_slug;
-  }
-  if (event.genre_name) {
-    card.dataset.type = event.genre_name;
+  // Every genre of the event as data attributes (comma-separated)
+  const genres = event.genres || [];
+  if (genres.length) {
+    card.dataset.eventSlug = genres.map((g) => g.slug).join(",");
+    card.dataset.type = genres.map((g) => g.name).join(",");
   }
 
   const title = event.name || event.title || "Untitled Event";
   const location = event.location || "Location TBA";
-  const date = event.date || "TBA";
-  const time = event.time ? `• ${event.time}` : "";
+  // In the event's own zone, plus the viewer's when their clock differs
+  const times = describeEventTimes(event);
   const price =
     event.price && parseFloat(event.price) > 0
       ? `$${parseFloat(event.price).toFixed(2)}`
@@ -177,24 +390,46 @@ function createEventCard(event) {
   preview.appendChild(img);
   preview.appendChild(priceSpan);
 
+  const timeStatus = eventTimeStatus(event);
+  if (timeStatus) {
+    const liveSpan = document.createElement("span");
+    liveSpan.className = `event-live event-live-${timeStatus}`;
+    liveSpan.textContent = timeStatus === "now" ? "Happening now" : "Ends soon";
+    preview.appendChild(liveSpan);
+  }
+
   const h4 = document.createElement("h4");
-  h4.textContent = title;
+  appendHighlighted(h4, title);
 
   // Include distance in the event description if available
   // Distance is automatically calculated when user grants location permission
   const distanceText = event.distance_km ? ` • ${event.distance_km} km away` : "";
   const infoP = document.createElement("p");
   infoP.className = "event-info";
-  infoP.textContent = `${location} • ${date} ${time}${distanceText}`;
+  appendHighlighted(infoP, `${location} • ${times.local || "Date TBA"}${distanceText}`);
+
+  let viewerTimeP = null;
+  if (times.viewer) {
+    viewerTimeP = document.createElement("p");
+    viewerTimeP.className = "event-viewer-time";
+    viewerTimeP.textContent = `Your time: ${times.viewer}`;
+  }
+
+  let snippetP = null;
+  if (event.search_snippet) {
+    snippetP = document.createElement("p");
+    snippetP.className = "event-snippet";
+    appendHighlighted(snippetP, event.search_snippet);
+  }
 
   const genresDiv = document.createElement("div");
   genresDiv.className = "event-genres";
-  if (event.genre_name) {
+  genres.forEach((genre) => {
     const tag = document.createElement("span");
     tag.className = "event-genre-tag";
-    tag.textContent = event.genre_name;
+    appendHighlighted(tag, genre.name);
     genresDiv.appendChild(tag);
-  }
+  });
 
   const actionsDiv = document.createElement("div");
   actionsDiv.className = "card-actions";
@@ -221,94 +456,360 @@ function createEventCard(event) {
   card.appendChild(preview);
   card.appendChild(h4);
   card.appendChild(infoP);
+  if (viewerTimeP) card.appendChild(viewerTimeP);
+  if (snippetP) card.appendChild(snippetP);
   card.appendChild(genresDiv);
   card.appendChild(actionsDiv);
 
   return card;
 }
 
-// Load events (with filters)
+// Append text to el, wrapping matches of the current search terms in <mark>
+function appendHighlighted(el, text) {
+  if (!searchTerms.length) {
+    el.appendChild(document.createTextNode(text));
+    return;
+  }
+
+  const escaped = searchTerms.map((t) => t.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  const pattern = new RegExp(`(${escaped.join("|")})`, "gi");
+  text.split(pattern).forEach((part, i) => {
+    if (!part) return;
+    // split() with a capture group puts the matches at odd indexes
+    if (i % 2 === 1) {
+      const mark = document.createElement("mark");
+      mark.textContent = part;
+      el.appendChild(mark);
+    } else {
+      el.appendChild(document.createTextNode(part));
+    }
+  });
+}
+
+// Build the api/events.php query from the current filter state
+function buildEventQuery() {
+  const params = new URLSearchParams();
+  if (selectedGenres.length) {
+    params.append("genre", selectedGenres.join(","));
+    params.append("genre_mode", genreMatchMode);
+  }
+
+  Object.entries(QUERY_FILTER_FIELDS).forEach(([key, id]) => {
+    const value = (document.getElementById(id)?.value || "").trim();
+    if (value) params.append(key, value);
+  });
+
+  if (document.getElementById("filter-free")?.checked) {
+    params.append("free", "1");
+  }
+
+  // Ended events are left out unless asked for
+  if (document.getElementById("filter-past")?.checked) {
+    params.append("include_past", "1");
+  }
+
+  const sort = SORT_OPTIONS[document.getElementById("filter-sort")?.value];
+  if (sort) {
+    params.append("sort", sort.sort);
+    params.append("order", sort.order);
+  }
+
+  const query = getSearchQuery();
+  if (query) params.append("search", query);
+
+  if (mapBounds) params.append("bounds", mapBounds.join(","));
+
+  if (userLocation) {
+    params.append("lat", userLocation.lat);
+    params.append("lng", userLocation.lng);
+  }
+
+  return Object.fromEntries(params);
+}
+
+// Load events (with filters) - resets the grid and fetches page 1
 async function loadEvents() {
   const container = document.getElementById("events-container");
   container.innerHTML = '<div class="loading-spinner"><p>⏳ Loading events...</p></div>';
 
-  try {
-    const params = new URLSearchParams();
-    // Optional: send genre to server for initial filtering efficiency
-    // Client-side filtering will be applied after rendering anyway
-    if (selectedGenre) params.append("genre", selectedGenre);
-
-    const date = document.getElementById("filter-date")?.value;
-    if (date) params.append("date", date);
+  // Invalidate any page request still in flight for the previous filters
+  loadGeneration++;
+  isLoadingPage = false;
+  activeSearchQuery = getSearchQuery();
+  allEvents = [];
+  currentPage = 0;
+  totalPages = 0;
+  totalEvents = 0;
+  updatePaginationControls();
 
-    const location = document.getElementById("filter-location")?.value;
-    if (location) params.append("location", location);
+  if (calendarView && eventCalendar) eventCalendar.refresh();
+  await loadNextPage();
+}
 
-    const radius = document.getElementById("filter-radius")?.value;
-    if (radius) params.append("radius", radius);
+// Fetch the next page from the server and append its cards to the grid
+async function loadNextPage() {
+  if (isLoadingPage) return;
+  if (currentPage > 0 && currentPage >= totalPages) return;
 
-    const price = document.getElementById("filter-price")?.value;
-    if (price) params.append("max_price", price);
+  const generation = loadGeneration;
+  const container = document.getElementById("events-container");
+  let loaded = false;
+  isLoadingPage = true;
+  updatePaginationControls();
 
-    const sort = document.getElementById("filter-sort")?.value;
-    if (sort) params.append("sort", sort);
+  try {
+    const data = await api.events.list({ ...buildEventQuery(), page: currentPage + 1 });
+    if (generation !== loadGeneration) return;
 
-    if (userLocation) {
-      params.append("lat", userLocation.lat);
-      params.append("lng", userLocation.lng);
-    }
+    const pagination = data.pagination || {};
+    currentPage = Number(pagination.page) || currentPage + 1;
+    totalPages = Number(pagination.pages) || 0;
+    totalEvents = Number(pagination.total) || 0;
+    if (currentPage === 1) searchTerms = data.search?.terms || [];
 
-    const response = await fetch(`/web-proj/api/events.php?${params.toString()}`);
-    const data = await response.json();
+    // Skip anything already on the grid (rows can shift between pages)
+    const seen = new Set(allEvents.map((e) => Number(e.id)));
+    const fresh = (data.events || []).filter((e) => !seen.has(Number(e.id)));
+    allEvents = allEvents.concat(fresh);
 
-    if (data.success) {
-      allEvents = data.events;
+    if (currentPage === 1) {
       renderEvents();
     } else {
-      throw new Error(data.error || "Failed to load events");
+      appendEventCards(fresh);
     }
+    loaded = true;
   } catch (error) {
+    if (generation !== loadGeneration) return;
     console.error("Failed to load events:", error);
-    container.innerHTML = `
+    if (currentPage === 0) {
+      container.innerHTML = `
           <div class="no-events">
             <h3>😕 Unable to load events</h3>
             <p>${error.message || "Please try again later"}</p>
           </div>
         `;
+    } else {
+      setPaginationStatus("Couldn't load more events. Try again.");
+    }
+  } finally {
+    if (generation === loadGeneration) {
+      isLoadingPage = false;
+      updatePaginationControls();
+      if (loaded) fillViewport();
+    }
   }
 }
 
+// The observer only fires when the sentinel *enters* the viewport. If a page
+// was short the sentinel never leaves,
+// so keep loading until it is pushed out of view or pages run out.
+function fillViewport() {
+  const sentinel = document.getElementById("events-sentinel");
+  if (!scrollObserver || !sentinel || !hasMorePages()) return;
+  const rect = sentinel.getBoundingClientRect();
+  if (rect.top < window.innerHeight + 400) {
+    loadNextPage();
+  }
+}
+
+function hasMorePages() {
+  return currentPage > 0 && currentPage < totalPages;
+}
+
 function renderEvents() {
   const container = document.getElementById("events-container");
   if (!allEvents.length) {
     container.innerHTML =
       '<div class="no-events"><h3>😕 No events found</h3><p>Try adjusting your search or filters</p></div>';
+    updateMapMarkers();
     return;
   }
 
   container.innerHTML = "";
-  allEvents.forEach((event) => container.appendChild(createEventCard(event)));
-  
-  // Apply client-side filter if a genre is selected
-  if (window.EventFilter && selectedGenre) {
-    window.EventFilter.filter(selectedGenre);
+  appendEventCards(allEvents);
+
+  // Frame the new results, unless the user picked the area themselves
+  if (eventMap && !mapBounds) eventMap.fitToEvents();
+}
+
+// ---------- MAP VIEW ----------
+
+function updateMapMarkers() {
+  if (eventMap) eventMap.setEvents(allEvents);
+}
+
+async function setMapView(open) {
+  mapView = open;
+  const panel = document.getElementById("events-map-panel");
+  const toggle = document.getElementById("map-toggle-btn");
+  if (panel) panel.hidden = !open;
+  if (toggle) {
+    toggle.setAttribute("aria-pressed", String(open));
+    toggle.textContent = open ? "Hide map" : "Show map";
   }
+  if (!open) return;
+
+  try {
+    if (!eventMap) {
+      eventMap = await createEventMap(document.getElementById("events-map"), {
+        onSearchArea: searchMapArea,
+      });
+      eventMap.setUserLocation(userLocation);
+      updateMapMarkers();
+      if (mapBounds) {
+        const [south, west, north, east] = mapBounds;
+        eventMap.fitToBounds({ south, west, north, east });
+      } else {
+        eventMap.fitToEvents();
+      }
+    }
+    // The container had no size while hidden
+    eventMap.invalidateSize();
+  } catch (err) {
+    console.error("Failed to load map:", err);
+    const mapEl = document.getElementById("events-map");
+    if (mapEl) mapEl.textContent = "Map unavailable. Check the map library and tile settings.";
+  }
+}
+
+// ---------- CALENDAR VIEW ----------
+
+// Show/hide the calendar in place of the grid. Does not fetch: callers
+// either follow up with loadEvents() or call eventCalendar.refresh().
+function setCalendarView(open, { mode, date } = {}) {
+  calendarView = open;
+  const panel = document.getElementById("events-calendar");
+  const toggle = document.getElementById("calendar-toggle-btn");
+  if (panel) panel.hidden = !open;
+  if (toggle) {
+    toggle.setAttribute("aria-pressed", String(open));
+    toggle.textContent = open ? "Show list" : "Calendar";
+  }
+  ["events-container", "events-sentinel"].forEach((id) => {
+    const el = document.getElementById(id);
+    if (el) el.hidden = open;
+  });
+  document.querySelector(".events-pagination")?.toggleAttribute("hidden", open);
+  if (!open) return;
+
+  if (!eventCalendar) {
+    eventCalendar = createEventCalendar(panel, {
+      fetchEvents: fetchCalendarEvents,
+      onNavigate: () => syncUrl(),
+    });
+  }
+  eventCalendar.show({ mode, date });
+}
+
+// Every event between two days (inclusive) matching the current filters.
+// The visible window is intersected with any date_from/date_to filter.
+async function fetchCalendarEvents(from, to) {
+  const query = { ...buildEventQuery(), sort: "date", order: "ASC", limit: CALENDAR_PAGE_SIZE };
+  query.date_from = query.date_from && query.date_from > from ? query.date_from : from;
+  query.date_to = query.date_to && query.date_to < to ? query.date_to : to;
+  if (query.date_from > query.date_to) return [];
+
+  const events = [];
+  for (let page = 1; page <= CALENDAR_MAX_PAGES; page++) {
+    const data = await api.events.list({ ...query, page });
+    events.push(...(data.events || []));
+    if (page >= (data.pagination?.pages || 0)) break;
+  }
+  return events;
+}
+
+function searchMapArea({ south, west, north, east }) {
+  mapBounds = [south, west, north, east];
+  updateAreaBar();
+  syncUrl();
+  loadEvents();
+}
+
+function clearMapArea() {
+  mapBounds = null;
+  updateAreaBar();
+  syncUrl();
+  loadEvents();
+}
+
+function updateAreaBar() {
+  const bar = document.getElementById("map-area-bar");
+  if (bar) bar.hidden = !mapBounds;
+}
+
+// Append cards without touching the ones already rendered
+function appendEventCards(events) {
+  const container = document.getElementById("events-container");
+  const fragment = document.createDocumentFragment();
+  events.forEach((event) => fragment.appendChild(createEventCard(event)));
+  container.appendChild(fragment);
+  updateMapMarkers();
+}
+
+function setPaginationStatus(message) {
+  const status = document.getElementById("events-status");
+  if (status) status.textContent = message;
+}
+
+// Show/hide the "Load more" fallback and the progress line under the grid
+function updatePaginationControls() {
+  const loadMoreBtn = document.getElementById("load-more-btn");
+  const more = hasMorePages();
+
+  if (loadMoreBtn) {
+    loadMoreBtn.hidden = !more;
+    loadMoreBtn.disabled = isLoadingPage;
+    loadMoreBtn.textContent = isLoadingPage ? "Loading..." : "Load more events";
+  }
+
+  if (isLoadingPage && currentPage > 0) {
+    setPaginationStatus("⏳ Loading more events...");
+  } else if (currentPage > 0 && totalEvents > 0) {
+    setPaginationStatus(`Showing ${allEvents.length} of ${totalEvents} events`);
+  } else {
+    setPaginationStatus("");
+  }
+}
+
+// Infinite scroll: load the next page when the sentinel under the grid
+// comes into view. The "Load more" button stays as a fallback.
+function setupInfiniteScroll() {
+  const sentinel = document.getElementById("events-sentinel");
+  if (!sentinel || !("IntersectionObserver" in window)) return;
+
+  scrollObserver = new IntersectionObserver(
+    (entries) => {
+      if (entries.some((entry) => entry.isIntersecting) && hasMorePages()) {
+        loadNextPage();
+      }
+    },
+    { rootMargin: "400px 0px" }
+  );
+  scrollObserver.observe(sentinel);
 }
 
 // Load favorites
 async function loadFavorites() {
   try {
-    const firebaseUser = auth.currentUser;
-    const response = await fetch("/web-proj/api/favorites.php", {
-      headers: { "X-Firebase-UID": firebaseUser.uid },
-    });
-    const data = await response.json();
-    if (data.success) userFavorites = data.favorites.map((f) => Number(f.id));
+    const data = await api.favorites.list();
+    userFavorites = data.favorites.map((f) => Number(f.id));
+    syncFavoriteButtons();
   } catch (error) {
     console.error("Failed to load favorites:", error);
   }
 }
 
+// Reflect favorite state on every rendered card (all loaded pages)
+function syncFavoriteButtons(eventId = null) {
+  const selector = eventId === null ? ".favorite-btn" : `.favorite-btn[data-id="${eventId}"]`;
+  document.querySelectorAll(`#events-container ${selector}`).forEach((btn) => {
+    const favorited = userFavorites.includes(Number(btn.dataset.id));
+    btn.classList.toggle("favorited", favorited);
+    btn.disabled = !currentUser;
+    btn.textContent = favorited ? "❤️ Favorited" : "♡ Add to Favorites";
+  });
+}
+
 // Toggle favorite (optimistic + logging)
 window.toggleFavorite = async function (eventId) {
   if (!currentUser) {
@@ -321,43 +822,24 @@ window.toggleFavorite = async function (eventId) {
   // optimistic update
   if (!isFavorited) userFavorites.push(fid);
   else userFavorites = userFavorites.filter((id) => id !== fid);
-  renderEvents();
+  syncFavoriteButtons(fid);
 
   try {
-    const firebaseUser = auth.currentUser;
-    const resp = await fetch(
-      "/web-proj/api/favorites.php" + (isFavorited ? `?event_id=${fid}` : ""),
-      {
-        method: isFavorited ? "DELETE" : "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "X-Firebase-UID": firebaseUser.uid,
-        },
-        body: isFavorited ? null : JSON.stringify({ event_id: fid }),
-      }
-    );
-    const data = await resp.json();
-    console.log("toggleFavorite response", resp.status, data);
-    if (!resp.ok || !data.success) {
-      // revert
-      if (!isFavorited) userFavorites = userFavorites.filter((id) => id !== fid);
-      else userFavorites.push(fid);
-      renderEvents();
-      alert("Failed to update favorite: " + (data.error || resp.status));
-    }
+    if (isFavorited) await api.favorites.remove(fid);
+    else await api.favorites.add(fid);
   } catch (err) {
     console.error("toggleFavorite error", err);
     // revert
     if (!isFavorited) userFavorites = userFavorites.filter((id) => id !== fid);
     else userFavorites.push(fid);
-    renderEvents();
-    alert("Network error while updating favorite");
+    syncFavoriteButtons(fid);
+    alert("Failed to update favorite: " + err.message);
   }
 };
 
 // View event details
 window.viewEventDetails = function (eventId) {
-  window.location.href = `/web-proj/event.html?id=${eventId}`;
+  window.location.href = pageUrl(`event.html?id=${eventId}`);
 };
 
 /**
@@ -380,75 +862,245 @@ window.viewEventDetails = function (eventId) {
  */
 function getUserLocation() {
   // Check if browser supports Geolocation API (all modern browsers do)
-  if (navigator.geolocation) {
-    // Request user's current position
-    navigator.geolocation.getCurrentPosition(
-      // Success callback: executed when user grants permission
-      (position) => {
-        // Store user's coordinates for use in event requests
-        userLocation = {
-          lat: position.coords.latitude,  // North/South position (-90 to 90)
+  if (!navigator.geolocation) {
+    geolocationUnavailable = true;
+    applyFallbackLocation();
+    return;
+  }
+
+  // Request user's current position
+  navigator.geolocation.getCurrentPosition(
+    // Success callback: executed when user grants permission
+    (position) => {
+      geolocationUnavailable = false;
+      setActiveLocation(
+        {
+          lat: position.coords.latitude, // North/South position (-90 to 90)
           lng: position.coords.longitude, // East/West position (-180 to 180)
-        };
-        // Reload events with location data to get distances
-        loadEvents();
-      },
-      // Error callback: executed if permission denied or error occurs
-      (error) => {
-        // Events still load, just without distance information
-        console.log("Location access denied:", error);
-      }
-    );
+        },
+        "device"
+      );
+    },
+    // Error callback: executed if permission denied or error occurs
+    (error) => {
+      console.log("Location access denied:", error);
+      geolocationUnavailable = true;
+      applyFallbackLocation();
+    }
+  );
+}
+
+// ---------- LOCATION FALLBACKS ----------
+
+function readLocationOverride() {
+  try {
+    const saved = JSON.parse(sessionStorage.getItem(LOCATION_OVERRIDE_KEY));
+    if (saved && Number.isFinite(saved.lat) && Number.isFinite(saved.lng)) return saved;
+  } catch (err) {
+    // Corrupt entry: treat as unset
   }
+  return null;
 }
 
-// Search (renders filtered view, doesn't overwrite allEvents)
-function searchEvents() {
-  const q1 = document.getElementById("search-input")?.value || "";
-  const q2 = document.getElementById("header-search")?.value || "";
-  const query = (q1 || q2).trim();
+function getProfileLocation() {
+  if (!currentUser || currentUser.location_lat == null || currentUser.location_lng == null) {
+    return null;
+  }
+  return {
+    lat: Number(currentUser.location_lat),
+    lng: Number(currentUser.location_lng),
+    label: currentUser.location,
+  };
+}
 
-  if (!query) {
-    renderEvents();
+// Without geolocation: this session's override, then the profile location
+function applyFallbackLocation() {
+  const override = readLocationOverride();
+  if (override) {
+    setActiveLocation(override, "session");
     return;
   }
+  const profile = getProfileLocation();
+  setActiveLocation(profile, profile ? "profile" : null);
+  if (!profile) resolveProfileLocation();
+}
 
-  const filtered = allEvents.filter(
-    (event) =>
-      (event.name || event.title || "")
-        .toLowerCase()
-        .includes(query.toLowerCase()) ||
-      (event.description || "")
-        .toLowerCase()
-        .includes(query.toLowerCase()) ||
-      (event.location || "").toLowerCase().includes(query.toLowerCase())
-  );
+// A newly saved profile location is placed on the map the first time it's needed
+async function resolveProfileLocation() {
+  const location = currentUser?.location;
+  if (!location || resolvingProfileLocation) return;
+  if (sessionStorage.getItem(UNRESOLVED_LOCATION_KEY) === location) return;
 
-  const container = document.getElementById("events-container");
-  if (filtered.length === 0) {
-    container.innerHTML =
-      '<div class="no-events"><h3>😕 No events found</h3><p>Try adjusting your search or filters</p></div>';
+  resolvingProfileLocation = true;
+  try {
+    const data = await api.me.get({ resolveLocation: true });
+    if (data.user) currentUser = data.user;
+    if (!getProfileLocation()) {
+      sessionStorage.setItem(UNRESOLVED_LOCATION_KEY, location);
+      return;
+    }
+    // Unless geolocation or an override took over in the meantime
+    if (!locationSource) applyFallbackLocation();
+  } catch (error) {
+    console.error("Failed to resolve profile location:", error);
+    sessionStorage.setItem(UNRESOLVED_LOCATION_KEY, location);
+  } finally {
+    resolvingProfileLocation = false;
+  }
+}
+
+function setActiveLocation(location, source) {
+  const changed =
+    (userLocation?.lat ?? null) !== (location?.lat ?? null) ||
+    (userLocation?.lng ?? null) !== (location?.lng ?? null);
+
+  userLocation = location ? { lat: location.lat, lng: location.lng } : null;
+  locationSource = location ? source : null;
+  locationLabel = location?.label || "";
+  eventMap?.setUserLocation(userLocation);
+  updateLocationControl();
+
+  // Reload events with location data to get distances
+  if (changed) loadEvents();
+}
+
+function updateLocationControl() {
+  const control = document.getElementById("location-control");
+  const label = document.getElementById("location-label");
+  const clearBtn = document.getElementById("location-clear-btn");
+  if (!control || !label) return;
+
+  // The device position always wins, so there is nothing to set
+  control.hidden = locationSource === "device";
+  if (clearBtn) clearBtn.hidden = locationSource !== "session";
+
+  if (locationSource === "session") {
+    label.textContent = `📍 Showing distances from ${locationLabel}`;
+  } else if (locationSource === "profile") {
+    label.textContent = `📍 Showing distances from ${locationLabel} (your profile)`;
+  } else {
+    label.textContent = "📍 Set your location to see distances";
+  }
+}
+
+async function handleLocationSubmit(e) {
+  e.preventDefault();
+  const input = document.getElementById("location-input");
+  const button = document.getElementById("location-set-btn");
+  const label = document.getElementById("location-label");
+  const query = input?.value.trim();
+  if (!query) return;
+
+  if (button) button.disabled = true;
+  try {
+    const data = await api.geocode(query);
+    const match = (data.results || [])[0];
+    if (!match) {
+      label.textContent = `📍 Couldn't find "${query}". Try a city name or postcode.`;
+      return;
+    }
+
+    const override = { lat: Number(match.lat), lng: Number(match.lng), label: query };
+    sessionStorage.setItem(LOCATION_OVERRIDE_KEY, JSON.stringify(override));
+    input.value = "";
+    setActiveLocation(override, "session");
+  } catch (err) {
+    console.error("Location lookup failed:", err);
+    label.textContent = `📍 ${err.message || "Location lookup failed"}`;
+  } finally {
+    if (button) button.disabled = false;
+  }
+}
+
+function clearLocationOverride() {
+  sessionStorage.removeItem(LOCATION_OVERRIDE_KEY);
+  applyFallbackLocation();
+}
+
+// Search runs server-side (ranked by relevance) through the normal grid load
+function searchEvents({ replaceUrl = false } = {}) {
+  clearTimeout(searchDebounceTimer);
+  syncUrl({ replace: replaceUrl });
+  loadEvents();
+}
+
+// Keep both search boxes in step and search once typing pauses
+function handleSearchInput(e) {
+  ["search-input", "header-search"].forEach((id) => {
+    const el = document.getElementById(id);
+    if (el && el !== e.target) el.value = e.target.value;
+  });
+
+  clearTimeout(searchDebounceTimer);
+  searchDebounceTimer = setTimeout(() => {
+    if (getSearchQuery() !== activeSearchQuery) searchEvents({ replaceUrl: true });
+  }, SEARCH_DEBOUNCE_MS);
+}
+
+// A picked suggestion replaces the typed query with a concrete filter
+function handleSuggestionSelect(suggestion) {
+  if (suggestion.type === "event") {
+    window.location.href = pageUrl(`event.html?id=${encodeURIComponent(suggestion.id)}`);
     return;
   }
 
-  container.innerHTML = "";
-  filtered.forEach((e) => container.appendChild(createEventCard(e)));
+  clearTimeout(searchDebounceTimer);
+  ["search-input", "header-search"].forEach((id) => {
+    const el = document.getElementById(id);
+    if (el) el.value = "";
+  });
+
+  if (suggestion.type === "genre") {
+    selectGenre(suggestion.slug);
+  } else if (suggestion.type === "location") {
+    const locationInput = document.getElementById("filter-location");
+    if (locationInput) locationInput.value = suggestion.label;
+    applyFilters();
+  }
 }
 
 // Setup event listeners
 function setupEventListeners() {
-  document.getElementById("search-btn")?.addEventListener("click", searchEvents);
-  document
-    .getElementById("header-search-btn")
-    ?.addEventListener("click", searchEvents);
-  document.getElementById("search-input")?.addEventListener("keypress", (e) => {
-    if (e.key === "Enter") searchEvents();
+  document.getElementById("load-more-btn")?.addEventListener("click", loadNextPage);
+  document.getElementById("map-toggle-btn")?.addEventListener("click", () => {
+    if (!mapView) setCalendarView(false);
+    setMapView(!mapView);
+    syncUrl();
   });
+  document.getElementById("calendar-toggle-btn")?.addEventListener("click", () => {
+    const open = !calendarView;
+    if (open) setMapView(false);
+    setCalendarView(open);
+    if (open) eventCalendar.refresh();
+    syncUrl();
+  });
+  document.getElementById("clear-area-btn")?.addEventListener("click", clearMapArea);
+  document.querySelectorAll("#genre-mode [data-mode]").forEach((btn) => {
+    btn.addEventListener("click", () => setGenreFilter(selectedGenres, { mode: btn.dataset.mode }));
+  });
+  document.getElementById("location-form")?.addEventListener("submit", handleLocationSubmit);
+  document
+    .getElementById("location-clear-btn")
+    ?.addEventListener("click", clearLocationOverride);
+  setupInfiniteScroll();
+
+  document.getElementById("search-btn")?.addEventListener("click", () => searchEvents());
   document
-    .getElementById("header-search")
-    ?.addEventListener("keypress", (e) => {
+    .getElementById("header-search-btn")
+    ?.addEventListener("click", () => searchEvents());
+  ["search-input", "header-search"].forEach((id) => {
+    const input = document.getElementById(id);
+    if (input) {
+      attachSearchSuggestions(input, {
+        fetchSuggestions: async (q) => (await api.search.suggest(q)).suggestions,
+        onSelect: handleSuggestionSelect,
+      });
+    }
+    input?.addEventListener("input", handleSearchInput);
+    input?.addEventListener("keypress", (e) => {
       if (e.key === "Enter") searchEvents();
     });
+  });
 
   const toggleBtn = document.getElementById("filter-toggle");
   const panel = document.getElementById("filter-panel");
@@ -472,10 +1124,10 @@ function setupEventListeners() {
   document.getElementById("clear-filters-btn")?.addEventListener("click", () => {
     const form = document.getElementById("filter-form");
     if (form) form.reset();
-    selectedGenre = "";
-    document
-      .querySelectorAll(".genre-chip")
-      .forEach((ch) => ch.classList.toggle("active", ch.dataset.genre === ""));
+    // Clearing filters keeps the current view (grid, map or calendar)
+    const { view, cal, cal_date } = getFilterState();
+    applyFilterState({ view, cal, cal_date });
+    syncUrl();
     // Reload from server (clears all filters including advanced ones)
     loadEvents();
   });
@@ -483,15 +1135,13 @@ function setupEventListeners() {
   const genreSelect = document.getElementById("genreFilter");
   if (genreSelect) {
     genreSelect.addEventListener("change", (e) => {
-      selectedGenre = e.target.value;
-      loadEvents();
+      selectGenre(e.target.value);
     });
   }
 }
 
 function applyFilters() {
-  selectedGenre = selectedGenre || "";
   // Reload from server with advanced filters (date, location, price, etc.)
-  // After loading, client-side genre filter will be applied in renderEvents()
+  syncUrl();
   loadEvents();
 }
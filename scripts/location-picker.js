@@ -0,0 +1,163 @@
+/**
+ * Location Picker
+ *
+ * Address lookup + draggable pin for the admin event forms:
+ * - "Find on map" sends the location text to the configured geocoder
+ *   (api/admin/geocode.php) and lists the candidates
+ * - Picking a candidate (or the only one) drops a pin and fills lat/lng
+ * - Dragging the pin, or typing coordinates, keeps pin and inputs in step
+ *
+ * The map reuses the Leaflet loader and tile settings from event-map.js.
+ */
+
+import { loadLeaflet, mapConfig } from "./event-map.js";
+
+const PIN_ZOOM = 16;
+
+/**
+ * @param {object} els
+ * @param {HTMLInputElement} els.locationInput
+ * @param {HTMLInputElement} els.latInput
+ * @param {HTMLInputElement} els.lngInput
+ * @param {HTMLButtonElement} els.lookupButton
+ * @param {HTMLElement} els.resultsList
+ * @param {HTMLElement} els.mapContainer
+ * @param {HTMLElement} [els.status]
+ * @param {(query: string) => Promise<object[]>} geocode
+ *   Resolves to `{ label, lat, lng }` candidates, best first.
+ * @returns {{ setCoordinates: (lat: number, lng: number) => Promise<void> }}
+ */
+export function attachLocationPicker(els, geocode) {
+  const { locationInput, latInput, lngInput, lookupButton, resultsList, mapContainer, status } = els;
+
+  let map = null;
+  let marker = null;
+
+  function setStatus(message) {
+    if (status) status.textContent = message;
+  }
+
+  function readCoordinates() {
+    const lat = parseFloat(latInput.value);
+    const lng = parseFloat(lngInput.value);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+    if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+    return { lat, lng };
+  }
+
+  function writeCoordinates(lat, lng) {
+    latInput.value = lat.toFixed(6);
+    lngInput.value = lng.toFixed(6);
+  }
+
+  async function ensureMap() {
+    if (map) return window.L;
+    const L = await loadLeaflet();
+    mapContainer.hidden = false;
+
+    map = L.map(mapContainer).setView(mapConfig.center, mapConfig.zoom);
+    L.tileLayer(mapConfig.tileUrl, {
+      attribution: mapConfig.tileAttribution,
+      maxZoom: mapConfig.maxZoom,
+    }).addTo(map);
+
+    // Clicking the map moves the pin there too
+    map.on("click", (e) => placePin(e.latlng.lat, e.latlng.lng, { pan: false }));
+    return L;
+  }
+
+  async function placePin(lat, lng, { pan = true } = {}) {
+    // Fill the inputs first so the form is usable even if the map can't load
+    writeCoordinates(lat, lng);
+    const L = await ensureMap();
+    if (marker) {
+      marker.setLatLng([lat, lng]);
+    } else {
+      marker = L.marker([lat, lng], { draggable: true, autoPan: true }).addTo(map);
+      marker.on("dragend", () => {
+        const pos = marker.getLatLng();
+        writeCoordinates(pos.lat, pos.lng);
+        setStatus("Pin moved. Coordinates updated.");
+      });
+    }
+    if (pan) map.setView([lat, lng], PIN_ZOOM);
+    map.invalidateSize();
+  }
+
+  function renderResults(results) {
+    resultsList.innerHTML = "";
+    resultsList.hidden = results.length < 2;
+    if (results.length < 2) return;
+
+    results.forEach((result) => {
+      const item = document.createElement("li");
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "geocode-result";
+      button.textContent = result.label;
+      button.addEventListener("click", () => {
+        placePin(result.lat, result.lng);
+        resultsList.hidden = true;
+        setStatus(`Pinned: ${result.label}. Drag the pin to adjust.`);
+      });
+      item.appendChild(button);
+      resultsList.appendChild(item);
+    });
+  }
+
+  async function lookup() {
+    const query = locationInput.value.trim();
+    if (!query) {
+      setStatus("Enter a location first.");
+      return;
+    }
+
+    lookupButton.disabled = true;
+    setStatus("Looking up address...");
+    try {
+      const results = (await geocode(query)) || [];
+      if (!results.length) {
+        renderResults([]);
+        setStatus("No matches found. Click the map or enter coordinates manually.");
+        await ensureMap();
+        map.invalidateSize();
+        return;
+      }
+
+      renderResults(results);
+      await placePin(results[0].lat, results[0].lng);
+      setStatus(
+        results.length > 1
+          ? "Best match pinned. Pick another result or drag the pin to adjust."
+          : `Pinned: ${results[0].label}. Drag the pin to adjust.`
+      );
+    } catch (err) {
+      console.error("Geocode error:", err);
+      setStatus("Address lookup failed: " + err.message);
+    } finally {
+      lookupButton.disabled = false;
+    }
+  }
+
+  lookupButton.addEventListener("click", lookup);
+
+  // Typed coordinates move the pin
+  [latInput, lngInput].forEach((input) =>
+    input.addEventListener("change", () => {
+      const coords = readCoordinates();
+      if (coords) placePin(coords.lat, coords.lng);
+    })
+  );
+
+  return {
+    async setCoordinates(lat, lng) {
+      if (!Number.isFinite(lat) || !Number.isFinite(lng)) return;
+      try {
+        await placePin(lat, lng);
+      } catch (err) {
+        // Map library unavailable; the inputs are already filled
+        console.warn("Map unavailable:", err.message);
+      }
+    },
+  };
+}
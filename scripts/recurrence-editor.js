@@ -0,0 +1,149 @@
+/**
+ * Recurrence Editor
+ *
+ * "Repeat" controls for the add-event form:
+ * - Daily, weekly (on chosen weekdays) or monthly, every N days/weeks/months
+ * - Ends on a date or after a number of dates
+ * - A plain-language summary ("Every 2 weeks on Mon, Thu, 8 times") updates as you edit
+ *
+ * The rule is sent as the event's `recurrence` and expanded into dates by
+ * api/event-series.php; the event's own date is always the first one.
+ */
+
+export const WEEKDAYS = [
+  { code: "MO", label: "Mon" },
+  { code: "TU", label: "Tue" },
+  { code: "WE", label: "Wed" },
+  { code: "TH", label: "Thu" },
+  { code: "FR", label: "Fri" },
+  { code: "SA", label: "Sat" },
+  { code: "SU", label: "Sun" },
+];
+
+const UNITS = { daily: "day", weekly: "week", monthly: "month" };
+
+/**
+ * Plain-language description of a rule (or a series from the API, which has
+ * the same freq/interval/weekdays/until/count keys)
+ * @param {{ freq: string, interval?: number, weekdays?: string[], until?: string|null, count?: number|null }} rule
+ * @returns {string}
+ */
+export function describeRecurrence(rule) {
+  if (!rule || !UNITS[rule.freq]) return "";
+
+  const interval = Number(rule.interval) || 1;
+  const unit = UNITS[rule.freq];
+  let text = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+
+  if (rule.freq === "weekly" && rule.weekdays?.length) {
+    const labels = WEEKDAYS.filter((day) => rule.weekdays.includes(day.code)).map((day) => day.label);
+    text += ` on ${labels.join(", ")}`;
+  }
+
+  if (rule.until) {
+    const until = new Date(`${rule.until}T00:00:00`);
+    text += `, until ${until.toLocaleDateString(undefined, { month: "short", day: "numeric", year: "numeric" })}`;
+  } else if (rule.count) {
+    text += `, ${rule.count} times`;
+  }
+  return text;
+}
+
+/**
+ * @param {object} els
+ * @param {HTMLSelectElement} els.repeatSelect none | daily | weekly | monthly
+ * @param {HTMLElement} els.options Wrapper shown while the event repeats
+ * @param {HTMLInputElement} els.intervalInput
+ * @param {HTMLElement} els.unitLabel
+ * @param {HTMLSelectElement} els.endSelect until | count
+ * @param {HTMLInputElement} els.untilInput
+ * @param {HTMLInputElement} els.countInput
+ * @param {HTMLElement} els.weekdaysGroup Shown for weekly rules only
+ * @param {HTMLElement} els.weekdaysList Weekday checkboxes are rendered into it
+ * @param {HTMLElement} els.summary
+ * @param {HTMLInputElement} els.dateInput The event's (first) date
+ * @returns {{ getRule: () => object|null, reset: () => void }}
+ */
+export function attachRecurrenceEditor(els) {
+  els.weekdaysList.innerHTML = WEEKDAYS.map(
+    (day) => `
+      <label class="genre-option">
+        <input type="checkbox" value="${day.code}" />
+        <span>${day.label}</span>
+      </label>
+    `
+  ).join("");
+  const weekdayBoxes = Array.from(els.weekdaysList.querySelectorAll("input"));
+
+  // Weekly rules start out on the first date's weekday
+  function syncWeekdayDefault() {
+    if (!els.dateInput.value || weekdayBoxes.some((box) => box.checked)) return;
+    const weekday = (new Date(`${els.dateInput.value}T00:00:00`).getDay() + 6) % 7;
+    weekdayBoxes[weekday].checked = true;
+  }
+
+  function readRule() {
+    const freq = els.repeatSelect.value;
+    if (!UNITS[freq]) return null;
+
+    return {
+      freq,
+      interval: Number(els.intervalInput.value) || 1,
+      weekdays: freq === "weekly" ? weekdayBoxes.filter((box) => box.checked).map((box) => box.value) : [],
+      until: els.endSelect.value === "until" ? els.untilInput.value || null : null,
+      count: els.endSelect.value === "count" && els.countInput.value !== "" ? Number(els.countInput.value) : null,
+    };
+  }
+
+  function render() {
+    const rule = readRule();
+    els.options.hidden = !rule;
+    if (!rule) return;
+
+    if (rule.freq === "weekly") syncWeekdayDefault();
+    const interval = Number(els.intervalInput.value) || 1;
+    els.unitLabel.textContent = `${UNITS[rule.freq]}${interval === 1 ? "" : "s"}`;
+    els.weekdaysGroup.hidden = rule.freq !== "weekly";
+    els.untilInput.closest(".input-group").hidden = els.endSelect.value !== "until";
+    els.countInput.closest(".input-group").hidden = els.endSelect.value !== "count";
+    els.summary.textContent = describeRecurrence(readRule());
+  }
+
+  /** The rule to send, or null for a one-off event; throws on incomplete rules */
+  function getRule() {
+    const rule = readRule();
+    if (!rule) return null;
+
+    if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 99)
+      throw new Error("Repeat every must be a whole number from 1 to 99.");
+    if (rule.freq === "weekly" && !rule.weekdays.length)
+      throw new Error("Choose at least one weekday to repeat on.");
+    if (els.endSelect.value === "until") {
+      if (!rule.until) throw new Error("Choose when the repeating event ends.");
+      if (els.dateInput.value && rule.until <= els.dateInput.value)
+        throw new Error("The repeat end date must be after the first date.");
+    } else if (!Number.isInteger(rule.count) || rule.count < 2 || rule.count > 100) {
+      throw new Error("Number of dates must be a whole number from 2 to 100.");
+    }
+    return rule;
+  }
+
+  function reset() {
+    els.repeatSelect.value = "none";
+    els.intervalInput.value = 1;
+    els.endSelect.value = "until";
+    els.untilInput.value = "";
+    els.countInput.value = "";
+    weekdayBoxes.forEach((box) => (box.checked = false));
+    render();
+  }
+
+  [els.repeatSelect, els.intervalInput, els.endSelect, els.untilInput, els.countInput, els.dateInput].forEach((input) =>
+    input.addEventListener("input", render)
+  );
+  [els.repeatSelect, els.endSelect].forEach((input) => input.addEventListener("change", render));
+  weekdayBoxes.forEach((box) => box.addEventListener("change", render));
+  render();
+
+  return { getRule, reset };
+}
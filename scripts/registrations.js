@@ -1,27 +1,28 @@
-import { auth } from "/web-proj/firebase-config.js";
+import { auth } from "../firebase-config.js";
 import { onAuthStateChanged } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js";
+import { api, pageUrl } from "./api-client.js";
+import { renderTicketQr } from "./ticket-qr.js";
 
 let currentUser = null;
 let registrations = [];
+let calendarFeed = null;
 
 document.addEventListener("DOMContentLoaded", () => {
   onAuthStateChanged(auth, async (firebaseUser) => {
     if (firebaseUser) {
-      await loadCurrentUser(firebaseUser);
+      await loadCurrentUser();
       updateUIForLoggedIn();
       await loadRegistrations();
+      await loadCalendarFeed();
     } else {
       showAuthRequired();
     }
   });
 });
 
-async function loadCurrentUser(firebaseUser) {
+async function loadCurrentUser() {
   try {
-    const response = await fetch("/web-proj/api/me.php", {
-      headers: { "X-Firebase-UID": firebaseUser.uid },
-    });
-    const data = await response.json();
+    const data = await api.me.get();
     if (data.user) {
       currentUser = data.user;
     }
@@ -42,7 +43,7 @@ function showAuthRequired() {
     <div class="auth-required">
       <h2>🔒 Login Required</h2>
       <p>Please log in to view your registrations.</p>
-      <a href="/web-proj/login.html" class="login-btn">Go to Login</a>
+      <a href="${pageUrl("login.html")}" class="login-btn">Go to Login</a>
     </div>
   `;
 }
@@ -51,21 +52,9 @@ async function loadRegistrations() {
   const container = document.getElementById("registrations-container");
 
   try {
-    const firebaseUser = auth.currentUser;
-    const response = await fetch("/web-proj/api/registrations.php", {
-      headers: { "X-Firebase-UID": firebaseUser.uid },
-    });
-    const data = await response.json();
-
-    if (!response.ok || !data.success) {
-      throw new Error(data.error || "Failed to load registrations");
-    }
-
+    const data = await api.registrations.list();
     registrations = data.registrations || [];
-    document.getElementById("registrations-subtitle").textContent =
-      registrations.length === 0
-        ? "You haven't registered for any events yet."
-        : `You have ${registrations.length} registration${registrations.length === 1 ? "" : "s"}.`;
+    updateSubtitle();
     renderRegistrations();
   } catch (error) {
     console.error("Failed to load registrations:", error);
@@ -73,12 +62,24 @@ async function loadRegistrations() {
       <div class="error-state">
         <h3>⚠️ Error</h3>
         <p>${error.message}</p>
-        <a href="/web-proj/index.html" class="browse-btn">Go Home</a>
+        <a href="${pageUrl("index.html")}" class="browse-btn">Go Home</a>
       </div>
     `;
   }
 }
 
+function updateSubtitle() {
+  const waitlisted = registrations.filter((item) => item.status === "waitlisted").length;
+  const registered = registrations.length - waitlisted;
+  const parts = [];
+  if (registered) parts.push(`${registered} registration${registered === 1 ? "" : "s"}`);
+  if (waitlisted) parts.push(`${waitlisted} waitlist ${waitlisted === 1 ? "entry" : "entries"}`);
+
+  document.getElementById("registrations-subtitle").textContent = parts.length
+    ? `You have ${parts.join(" and ")}.`
+    : "You haven't registered for any events yet.";
+}
+
 function renderRegistrations() {
   const container = document.getElementById("registrations-container");
 
@@ -87,7 +88,7 @@ function renderRegistrations() {
       <div class="empty-state">
         <h3>📭 No Registrations Yet</h3>
         <p>Find an event you like and tap Register.</p>
-        <a href="/web-proj/index.html" class="browse-btn">Browse Events</a>
+        <a href="${pageUrl("index.html")}" class="browse-btn">Browse Events</a>
       </div>
     `;
     return;
@@ -98,7 +99,9 @@ function renderRegistrations() {
 
   registrations.forEach((event) => {
     const card = document.createElement("div");
-    card.className = "registration-card";
+    const isWaitlisted = event.status === "waitlisted";
+    const isPending = event.status === "pending";
+    card.className = `registration-card${isWaitlisted ? " waitlisted" : ""}${isPending ? " pending" : ""}`;
 
     const imageUrl =
       event.image_url && typeof event.image_url === "string" && event.image_url.trim()
@@ -121,14 +124,28 @@ function renderRegistrations() {
           📍 ${event.location || "Location TBA"}<br />
           📅 ${event.date || "Date TBA"} ${event.time ? "• 🕐 " + event.time : ""}
         </p>
-        <span class="registration-status">✅ Registered${registeredAt ? ` • ${registeredAt}` : ""}</span>
+        ${summarizeTickets(event.tickets || [])}
+        ${renderStatus(event, registeredAt)}
         <div class="registration-actions">
-          <a class="view-btn" href="/web-proj/event.html?id=${event.event_id || event.id}" aria-label="View event details">View Details</a>
-          <button class="cancel-btn" data-event-id="${event.event_id || event.id}">Cancel</button>
+          <a class="view-btn" href="${pageUrl(`event.html?id=${event.event_id || event.id}`)}" aria-label="${isPending ? "Complete payment" : "View event details"}">${isPending ? "Complete Payment" : "View Details"}</a>
+          ${event.ticket_code ? `<button class="ticket-btn" type="button" aria-expanded="false">🎟️ Show Ticket</button>` : ""}
+          <button class="cancel-btn" data-event-id="${event.event_id || event.id}">${isWaitlisted ? "Leave Waitlist" : "Cancel"}</button>
         </div>
+        ${
+          event.ticket_code
+            ? `<div class="registration-ticket" hidden>
+                <canvas class="ticket-qr" aria-label="Ticket QR code"></canvas>
+                <code class="ticket-code">${escapeHtml(event.ticket_code)}</code>
+                <small>Show this at the door. One code admits ${Number(event.quantity) || 1} ${Number(event.quantity) > 1 ? "people" : "person"}.</small>
+              </div>`
+            : ""
+        }
       </div>
     `;
 
+    const ticketBtn = card.querySelector(".ticket-btn");
+    if (ticketBtn) ticketBtn.addEventListener("click", () => toggleTicket(card, event.ticket_code));
+
     grid.appendChild(card);
   });
 
@@ -137,28 +154,151 @@ function renderRegistrations() {
   );
 }
 
+function renderStatus(event, registeredAt) {
+  if (event.status === "waitlisted") {
+    return `<span class="registration-status waitlisted">⏳ Waitlisted${
+      event.waitlist_position ? ` • #${event.waitlist_position} in line` : ""
+    }</span>`;
+  }
+  if (event.status === "pending") {
+    return `<span class="registration-status pending">💳 Awaiting payment${
+      event.order ? ` • ${formatMoney(event.order.amount)}` : ""
+    }</span>`;
+  }
+  const paid = event.order?.status === "paid" ? ` • Paid ${formatMoney(event.order.amount)}` : "";
+  const checkedIn = event.checked_in_at ? `<span class="registration-status checked-in">✔ Checked in</span>` : "";
+  return `<span class="registration-status">✅ Registered${registeredAt ? ` • ${registeredAt}` : ""}${paid}</span>${checkedIn}`;
+}
+
+// The QR code is only drawn the first time the ticket is opened
+function toggleTicket(card, code) {
+  const panel = card.querySelector(".registration-ticket");
+  const btn = card.querySelector(".ticket-btn");
+  panel.hidden = !panel.hidden;
+  btn.setAttribute("aria-expanded", String(!panel.hidden));
+  btn.textContent = panel.hidden ? "🎟️ Show Ticket" : "Hide Ticket";
+
+  const canvas = panel.querySelector(".ticket-qr");
+  if (!panel.hidden && !canvas.dataset.drawn) {
+    canvas.dataset.drawn = "true";
+    renderTicketQr(canvas, code);
+  }
+}
+
+function formatMoney(value) {
+  return `$${(parseFloat(value) || 0).toFixed(2)}`;
+}
+
+// "🎟️ 3 tickets: VIP ×2, General ×1" plus guest names; nothing for a single plain ticket
+function summarizeTickets(tickets) {
+  if (tickets.length < 2 && !tickets.some((t) => t.ticket_type_id)) return "";
+
+  const counts = new Map();
+  tickets.forEach((t) => counts.set(t.name, (counts.get(t.name) || 0) + 1));
+  const types = Array.from(counts, ([name, count]) => `${escapeHtml(name)} ×${count}`).join(", ");
+  const guests = tickets.map((t) => t.guest_name).filter(Boolean);
+
+  return `
+    <p class="registration-tickets">
+      🎟️ ${tickets.length} ticket${tickets.length === 1 ? "" : "s"}: ${types}
+      ${guests.length ? `<br />👥 ${guests.map(escapeHtml).join(", ")}` : ""}
+    </p>
+  `;
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Spell out what happens to the money before asking
+function cancelQuestion(entry) {
+  if (entry?.status === "waitlisted") return "Leave the waitlist for this event?";
+  if (entry?.status === "pending") return "Cancel this registration? The tickets held for you will be released.";
+  if (entry?.order?.status === "paid") {
+    const refund = Number(entry.refund_if_canceled) || 0;
+    return refund > 0
+      ? `Cancel this registration? You'll be refunded ${formatMoney(refund)} of ${formatMoney(entry.order.amount)}.`
+      : "Cancel this registration? Under this event's refund policy you won't get a refund.";
+  }
+  return "Cancel this registration?";
+}
+
 async function cancelRegistration(eventId) {
-  if (!confirm("Cancel this registration?")) return;
+  const entry = registrations.find((item) => (item.event_id || item.id) === eventId);
+  if (!confirm(cancelQuestion(entry))) return;
 
   try {
-    const response = await fetch(`/web-proj/api/registrations.php?event_id=${encodeURIComponent(eventId)}`, {
-      method: "DELETE",
-      headers: { "X-Firebase-UID": auth.currentUser.uid },
-    });
-    const data = await response.json();
-
-    if (!response.ok || !data.success) {
-      throw new Error(data.error || "Cancel failed");
-    }
-
+    const data = await api.registrations.cancel(eventId);
     registrations = registrations.filter((item) => (item.event_id || item.id) !== eventId);
-    document.getElementById("registrations-subtitle").textContent =
-      registrations.length === 0
-        ? "You haven't registered for any events yet."
-        : `You have ${registrations.length} registration${registrations.length === 1 ? "" : "s"}.`;
+    updateSubtitle();
     renderRegistrations();
+    if (data.refunded > 0) {
+      alert(`Your registration was canceled. ${formatMoney(data.refunded)} will be refunded to your card.`);
+    }
   } catch (error) {
     console.error("Cancel registration failed:", error);
     alert(error.message || "Failed to cancel registration");
   }
 }
+
+// ---------- CALENDAR FEED ----------
+
+async function loadCalendarFeed() {
+  try {
+    calendarFeed = await api.calendar.feed();
+  } catch (error) {
+    console.error("Failed to load calendar feed:", error);
+    return;
+  }
+
+  document.getElementById("calendar-feed").hidden = false;
+  document.getElementById("feed-favorites").addEventListener("change", renderCalendarFeed);
+  document.getElementById("feed-copy-btn").addEventListener("click", copyCalendarFeed);
+  document.getElementById("feed-reset-btn").addEventListener("click", resetCalendarFeed);
+  renderCalendarFeed();
+}
+
+function renderCalendarFeed() {
+  if (!calendarFeed) return;
+  const withFavorites = document.getElementById("feed-favorites").checked;
+  const url = withFavorites ? calendarFeed.feed_url_with_favorites : calendarFeed.feed_url;
+
+  document.getElementById("feed-url").value = url;
+  // webcal:// makes phones and desktop apps offer to subscribe
+  document.getElementById("feed-subscribe-link").href = url.replace(/^https?:/, "webcal:");
+}
+
+async function copyCalendarFeed() {
+  const input = document.getElementById("feed-url");
+  try {
+    await navigator.clipboard.writeText(input.value);
+    setFeedStatus("Link copied.");
+  } catch {
+    input.select();
+    setFeedStatus("Press Ctrl+C (or ⌘C) to copy the selected link.");
+  }
+}
+
+async function resetCalendarFeed() {
+  if (!confirm("Reset your calendar link? Calendars subscribed to the old link will stop updating.")) return;
+
+  try {
+    calendarFeed = await api.calendar.resetFeed();
+    renderCalendarFeed();
+    setFeedStatus("New link created. Subscribe again with this one.");
+  } catch (error) {
+    console.error("Failed to reset calendar feed:", error);
+    setFeedStatus(error.message || "Failed to reset the link", true);
+  }
+}
+
+function setFeedStatus(message, isError = false) {
+  const statusEl = document.getElementById("feed-status");
+  statusEl.textContent = message;
+  statusEl.classList.toggle("error", Boolean(isError));
+}
@@ -0,0 +1,208 @@
+/**
+ * Search Suggestions
+ *
+ * Turns a text input into an ARIA 1.2 combobox with a suggestion listbox:
+ * - Fetches suggestions (debounced) once the query has 2+ characters
+ * - Arrow keys move the active option, Enter picks it, Escape closes
+ * - Focus stays on the input; the active option is exposed through
+ *   aria-activedescendant so screen readers announce it
+ * - Stale responses are dropped when the user keeps typing
+ */
+
+const MIN_QUERY_LENGTH = 2;
+const DEBOUNCE_MS = 150;
+
+const TYPE_LABELS = {
+  event: "Event",
+  location: "Venue",
+  genre: "Genre",
+};
+
+/**
+ * Attach a suggestion dropdown to `input`.
+ *
+ * @param {HTMLInputElement} input
+ * @param {object} options
+ * @param {(query: string) => Promise<object[]>} options.fetchSuggestions
+ *   Resolves to `{ type, label, detail?, icon? }` items.
+ * @param {(suggestion: object) => void} options.onSelect
+ * @returns {{ close: () => void }}
+ */
+export function attachSearchSuggestions(input, { fetchSuggestions, onSelect }) {
+  const listId = `${input.id}-suggestions`;
+
+  // Wrap the input so the listbox can be positioned right under it
+  const wrapper = document.createElement("div");
+  wrapper.className = "search-combobox";
+  input.parentNode.insertBefore(wrapper, input);
+  wrapper.appendChild(input);
+
+  const list = document.createElement("ul");
+  list.id = listId;
+  list.className = "search-suggestions";
+  list.setAttribute("role", "listbox");
+  list.setAttribute("aria-label", "Search suggestions");
+  list.hidden = true;
+  wrapper.appendChild(list);
+
+  input.setAttribute("role", "combobox");
+  input.setAttribute("aria-autocomplete", "list");
+  input.setAttribute("aria-controls", listId);
+  input.setAttribute("aria-expanded", "false");
+  input.setAttribute("autocomplete", "off");
+
+  let suggestions = [];
+  let activeIndex = -1;
+  let debounceTimer = null;
+  let requestId = 0;
+
+  function close() {
+    clearTimeout(debounceTimer);
+    requestId++;
+    suggestions = [];
+    activeIndex = -1;
+    list.hidden = true;
+    list.innerHTML = "";
+    input.setAttribute("aria-expanded", "false");
+    input.removeAttribute("aria-activedescendant");
+  }
+
+  function render() {
+    list.innerHTML = "";
+    if (!suggestions.length) {
+      close();
+      return;
+    }
+
+    suggestions.forEach((item, index) => {
+      const option = document.createElement("li");
+      option.id = `${listId}-${index}`;
+      option.className = `search-suggestion search-suggestion-${item.type}`;
+      option.setAttribute("role", "option");
+      option.setAttribute("aria-selected", "false");
+
+      const label = document.createElement("span");
+      label.className = "search-suggestion-label";
+      label.textContent = item.icon ? `${item.icon} ${item.label}` : item.label;
+      option.appendChild(label);
+
+      if (item.detail) {
+        const detail = document.createElement("span");
+        detail.className = "search-suggestion-detail";
+        detail.textContent = item.detail;
+        option.appendChild(detail);
+      }
+
+      const type = document.createElement("span");
+      type.className = "search-suggestion-type";
+      type.textContent = TYPE_LABELS[item.type] || item.type;
+      option.appendChild(type);
+
+      // mousedown (not click) so the input doesn't blur and close the list first
+      option.addEventListener("mousedown", (e) => {
+        e.preventDefault();
+        select(index);
+      });
+      option.addEventListener("mousemove", () => setActive(index));
+
+      list.appendChild(option);
+    });
+
+    list.hidden = false;
+    input.setAttribute("aria-expanded", "true");
+    setActive(-1);
+  }
+
+  function setActive(index) {
+    activeIndex = index;
+    Array.from(list.children).forEach((option, i) => {
+      const active = i === index;
+      option.classList.toggle("active", active);
+      option.setAttribute("aria-selected", String(active));
+      if (active) option.scrollIntoView({ block: "nearest" });
+    });
+
+    if (index >= 0) {
+      input.setAttribute("aria-activedescendant", `${listId}-${index}`);
+    } else {
+      input.removeAttribute("aria-activedescendant");
+    }
+  }
+
+  function select(index) {
+    const item = suggestions[index];
+    if (!item) return;
+    close();
+    onSelect(item);
+  }
+
+  async function update() {
+    const query = input.value.trim();
+    if (query.length < MIN_QUERY_LENGTH) {
+      close();
+      return;
+    }
+
+    const current = ++requestId;
+    try {
+      const results = await fetchSuggestions(query);
+      if (current !== requestId) return;
+      suggestions = results || [];
+      render();
+    } catch (err) {
+      if (current !== requestId) return;
+      console.warn("Search suggestions failed:", err.message);
+      close();
+    }
+  }
+
+  input.addEventListener("input", () => {
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(update, DEBOUNCE_MS);
+  });
+
+  input.addEventListener("keydown", (e) => {
+    const open = !list.hidden;
+
+    switch (e.key) {
+      case "ArrowDown":
+        e.preventDefault();
+        if (!open) {
+          update();
+          return;
+        }
+        setActive(activeIndex < suggestions.length - 1 ? activeIndex + 1 : 0);
+        break;
+      case "ArrowUp":
+        if (!open) return;
+        e.preventDefault();
+        setActive(activeIndex > 0 ? activeIndex - 1 : suggestions.length - 1);
+        break;
+      case "Enter":
+        // With an active option Enter picks it instead of running a full search
+        if (open && activeIndex >= 0) {
+          e.preventDefault();
+          e.stopImmediatePropagation();
+          select(activeIndex);
+        } else {
+          close();
+        }
+        break;
+      case "Escape":
+        if (open) {
+          e.preventDefault();
+          close();
+        }
+        break;
+      case "Tab":
+        close();
+        break;
+      default:
+        break;
+    }
+  });
+
+  input.addEventListener("blur", close);
+
+  return { close };
+}
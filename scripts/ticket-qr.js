@@ -0,0 +1,31 @@
+/**
+ * Ticket QR codes
+ *
+ * Draws a registration's ticket code (see api/ticket-codes.php) as a QR
+ * code for door check-in. The encoder is loaded from a CDN on first use,
+ * like Firebase, so pages without tickets never download it.
+ */
+
+const QR_LIBRARY = "https://esm.sh/qrcode@1.5.4";
+
+let qrLibrary = null;
+
+/**
+ * Render `code` into `canvas`. Falls back to leaving the canvas empty (the
+ * code is always printed next to it) when the encoder can't be loaded.
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} code
+ * @param {number} [size] Width/height in CSS pixels
+ */
+export async function renderTicketQr(canvas, code, size = 200) {
+  try {
+    qrLibrary ??= import(QR_LIBRARY).then((module) => module.default || module);
+    const QRCode = await qrLibrary;
+    await QRCode.toCanvas(canvas, code, { width: size, margin: 1, errorCorrectionLevel: "M" });
+  } catch (error) {
+    console.error("Failed to draw ticket QR code:", error);
+    qrLibrary = null;
+    canvas.hidden = true;
+  }
+}
@@ -0,0 +1,88 @@
+/**
+ * Ticket Types Editor
+ *
+ * Editable rows of ticket types for the admin event forms:
+ * - Each row has a name, a price and an optional capacity
+ *   (blank = limited only by the event's capacity)
+ * - "Add ticket type" appends a row; "Remove" drops one
+ * - Rows loaded from an existing event keep their id, so saving updates
+ *   them in place instead of replacing tickets already sold
+ * - Rows copied from another event or a template have no id and are saved
+ *   as new types
+ *
+ * No rows means the event sells one "General admission" ticket at its price.
+ */
+
+const DEFAULT_TYPES = ["General", "VIP", "Student"];
+
+/**
+ * @param {object} els
+ * @param {HTMLElement} els.list Container the rows are rendered into
+ * @param {HTMLButtonElement} els.addButton
+ * @returns {{
+ *   getTypes: () => { id?: number, name: string, price: number, capacity: number|null }[],
+ *   setTypes: (types: object[]) => void,
+ *   copyTypes: (types: object[]) => void
+ * }}
+ */
+export function attachTicketTypesEditor({ list, addButton }) {
+  function addRow(type = {}) {
+    const row = document.createElement("div");
+    row.className = "ticket-type-row";
+    if (type.id) row.dataset.id = type.id;
+
+    // Suggest the next common name for new rows
+    const used = Array.from(list.querySelectorAll(".ticket-type-name")).map((input) => input.value);
+    const suggestion = DEFAULT_TYPES.find((name) => !used.includes(name)) || "";
+
+    row.innerHTML = `
+      <input type="text" class="ticket-type-name" maxlength="100" aria-label="Ticket name" placeholder="${suggestion || "Ticket name"}" />
+      <input type="number" class="ticket-type-price" min="0" step="0.01" aria-label="Price ($)" placeholder="0.00" />
+      <input type="number" class="ticket-type-capacity" min="0" step="1" aria-label="Capacity" placeholder="No limit" />
+      <button type="button" class="ticket-type-remove" aria-label="Remove ticket type">✕</button>
+    `;
+    row.querySelector(".ticket-type-name").value = type.name ?? "";
+    row.querySelector(".ticket-type-price").value = type.price ?? "";
+    row.querySelector(".ticket-type-capacity").value = type.capacity ?? "";
+    row.querySelector(".ticket-type-remove").addEventListener("click", () => row.remove());
+
+    list.appendChild(row);
+    return row;
+  }
+
+  function getTypes() {
+    return Array.from(list.querySelectorAll(".ticket-type-row")).map((row) => {
+      const name = row.querySelector(".ticket-type-name").value.trim();
+      const price = row.querySelector(".ticket-type-price").value;
+      const capacity = row.querySelector(".ticket-type-capacity").value;
+
+      if (!name) throw new Error("Every ticket type needs a name.");
+      if (price !== "" && Number(price) < 0) throw new Error(`Price for "${name}" can't be negative.`);
+      if (capacity !== "" && (!Number.isInteger(Number(capacity)) || Number(capacity) < 0))
+        throw new Error(`Capacity for "${name}" must be a whole number.`);
+
+      const type = {
+        name,
+        price: price === "" ? 0 : Number(price),
+        capacity: capacity === "" || Number(capacity) === 0 ? null : Number(capacity),
+      };
+      if (row.dataset.id) type.id = Number(row.dataset.id);
+      return type;
+    });
+  }
+
+  function setTypes(types = []) {
+    list.innerHTML = "";
+    // The implicit default type (id null) isn't a real row
+    types.filter((type) => type.id).forEach((type) => addRow(type));
+  }
+
+  function copyTypes(types = []) {
+    list.innerHTML = "";
+    types.forEach(({ name, price, capacity }) => addRow({ name, price, capacity }));
+  }
+
+  addButton.addEventListener("click", () => addRow().querySelector(".ticket-type-name").focus());
+
+  return { getTypes, setTypes, copyTypes };
+}